@@ -10,9 +10,13 @@
  * Tools:
  * - get_kibana_version: Read Kibana version from the source tree
  * - get_plugin_info: Read plugin's kibana.jsonc and resolve deps
- * - list_registered_types: List all saved object types in the Kibana source
- * - search_kibana_api: Search for API usage patterns in the Kibana source
+ * - list_registered_types: List the saved object types in the Kibana source (AST scan, cached)
+ * - search_kibana_api: Search for API usage patterns in the Kibana source (indexed)
+ * - search_kibana_symbols: Find exported symbols by name, kind and plugin (indexed)
  * - check_api_compatibility: Check if an API exists in the target Kibana version
+ * - compare_api_versions: Follow an API across Kibana versions from the git history
+ * - scan_plugin_deprecations: Find deprecated and removed Kibana APIs in the plugin (JSON or SARIF)
+ * - apply_codemod: Run a migration codemod over the plugin (dry-run diffs or apply)
  * - run_type_check: Execute TypeScript type checking on the plugin
  * - list_eui_icons: List available EUI icon names
  * - get_breaking_changes: Extract breaking changes from Kibana changelogs
@@ -20,6 +24,7 @@
  * Setup:
  *   KIBANA_ROOT=/path/to/kibana  (Kibana source checkout)
  *   PLUGIN_ROOT=/path/to/plugin  (Your plugin directory)
+ *   KIBANA_MCP_CACHE_DIR=/path    (Scan caches, default ~/.cache/kibana-plugin-dev-mcp)
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
@@ -31,6 +36,13 @@ import {
 import * as fs from 'fs/promises';
 import * as path from 'path';
 import { execSync } from 'child_process';
+import { diffApiVersions } from './lib/api-history.mjs';
+import { CODEMODS, CodemodError, applyCodemod, listCodemods } from './lib/codemods.mjs';
+import { scanPluginDeprecations, toSarif } from './lib/deprecation-scan.mjs';
+import { GitError } from './lib/git-tree.mjs';
+import { KibanaTree } from './lib/kibana-tree.mjs';
+import { createTypeCache, scanSavedObjectTypes } from './lib/saved-object-types.mjs';
+import { SYMBOL_KINDS, createSourceIndex } from './lib/source-index.mjs';
 
 const KIBANA_ROOT = process.env.KIBANA_ROOT || '';
 const PLUGIN_ROOT = process.env.PLUGIN_ROOT || '';
@@ -65,35 +77,113 @@ const tools = [
   {
     name: 'list_registered_types',
     description:
-      'Scans the Kibana source tree for all registered saved object types (calls to core.savedObjects.registerType). Returns type names to avoid naming conflicts.',
+      'Lists the saved object types defined in the Kibana source tree, from a TypeScript AST scan of src, x-pack, packages and examples. Returns the name, owning plugin, file and line, hidden, namespaceType, management settings, mapping fields and model version count. Pass a name to check it for collisions. Results are cached per file until the file or its imports change.',
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        name: {
+          type: 'string',
+          description:
+            'A type name to check for collisions, e.g. "my_plugin_dashboard". Returns the types that use it or a similar name.',
+        },
+        plugin: {
+          type: 'string',
+          description: 'Only list the types of this plugin or package, e.g. "dashboard", "cases"',
+        },
+        refresh: {
+          type: 'boolean',
+          description: 'Rescan every file instead of reusing cached results',
+          default: false,
+        },
+      },
     },
   },
   {
     name: 'search_kibana_api',
     description:
-      'Searches the Kibana source tree for usage patterns of a specific API. Returns file paths and code snippets showing how other plugins use the API.',
+      'Searches the lines of the Kibana source tree for a text or regular expression. Returns file paths, line numbers and code showing how other plugins use an API. Served from a local index of the tree that is built on first use and kept up to date incrementally.',
     inputSchema: {
       type: 'object',
       properties: {
         query: {
           type: 'string',
           description:
-            'API pattern to search for, e.g. "registerEmbeddableFactory", "createRouter", "registerType"',
+            'Text to search for, e.g. "registerEmbeddableFactory", "createRouter", "core.savedObjects.registerType("',
+        },
+        regex: {
+          type: 'boolean',
+          description: 'Treat the query as a JavaScript regular expression',
+          default: false,
+        },
+        caseSensitive: {
+          type: 'boolean',
+          description: 'Match case',
+          default: true,
         },
         filePattern: {
           type: 'string',
           description:
-            'File glob pattern to limit search, e.g. "*.ts", "plugin.ts", "*.test.ts"',
-          default: '*.ts',
+            'File glob to limit the search, e.g. "*.tsx", "plugin.ts", "src/core/**/*.ts"',
+        },
+        plugin: {
+          type: 'string',
+          description:
+            'Only search one plugin or package, by plugin id or package id, e.g. "dashboard", "@kbn/core-http-server"',
         },
         maxResults: {
           type: 'number',
           description: 'Maximum number of results to return',
           default: 10,
         },
+        offset: {
+          type: 'number',
+          description: 'Number of results to skip, for the next page',
+          default: 0,
+        },
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'search_kibana_symbols',
+    description:
+      'Searches the symbols exported by Kibana source files by name. Returns kind, file and line, owning plugin, @deprecated notes and the @kbn/* import paths the symbol is public under.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description:
+            'Part of the symbol name (case-insensitive), e.g. "toMountPoint", "EmbeddableFactory"',
+        },
+        regex: {
+          type: 'boolean',
+          description: 'Treat the query as a regular expression, e.g. "^use.*Service$"',
+          default: false,
+        },
+        kinds: {
+          type: 'array',
+          items: { type: 'string', enum: SYMBOL_KINDS },
+          description: 'Only these kinds of symbols',
+        },
+        plugin: {
+          type: 'string',
+          description: 'Only symbols of one plugin or package, by plugin id or package id',
+        },
+        deprecated: {
+          type: 'boolean',
+          description: 'Only deprecated (true) or only current (false) symbols',
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Maximum number of results to return',
+          default: 20,
+        },
+        offset: {
+          type: 'number',
+          description: 'Number of results to skip, for the next page',
+          default: 0,
+        },
       },
       required: ['query'],
     },
@@ -101,7 +191,7 @@ const tools = [
   {
     name: 'check_api_compatibility',
     description:
-      'Checks if a specific Kibana API or import path exists in the current Kibana source. Useful for verifying version compatibility before using an API.',
+      'Checks if a specific Kibana API or import path exists in the current Kibana source. Import paths are resolved like the build does, symbol names are looked up among exported symbols, anything else is searched as text. Useful for verifying version compatibility before using an API.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -114,6 +204,95 @@ const tools = [
       required: ['apiPattern'],
     },
   },
+  {
+    name: 'compare_api_versions',
+    description:
+      'Follows a symbol or @kbn/* import path across Kibana versions read from the KIBANA_ROOT git history (release numbers, tags, branches or commits) and the working tree. Reports when it was introduced, deprecated (@deprecated JSDoc) or removed, bisecting over the release tags in between, and how its signature or exports changed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        symbol: {
+          type: 'string',
+          description: 'Exported symbol name, e.g. "toMountPoint"',
+        },
+        importPath: {
+          type: 'string',
+          description:
+            'An @kbn/* import path, e.g. "@kbn/react-kibana-mount". With a symbol, only that import of it is followed',
+        },
+        versions: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Kibana versions or git refs to compare, e.g. ["8.10.0", "8.14.0"]',
+        },
+        includeWorkingTree: {
+          type: 'boolean',
+          description: 'Also compare the checked out source (default: true)',
+        },
+        bisect: {
+          type: 'boolean',
+          description:
+            'Find the exact release of a change between two versions from the release tags (default: true)',
+        },
+      },
+    },
+  },
+  {
+    name: 'scan_plugin_deprecations',
+    description:
+      'Scans the plugin TypeScript sources for deprecated and removed Kibana APIs: every import from Kibana is checked against the @deprecated annotations and exports of the KIBANA_ROOT source, and a bundled rule set covers the version guides of the migration agent (legacy kibana.json, sync context.core, toMountPoint from kibana-react, registerEmbeddableFactory, ...). Findings come with file:line, severity, replacement and target version, as JSON or SARIF.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pluginPath: {
+          type: 'string',
+          description: 'Path to plugin directory (defaults to PLUGIN_ROOT)',
+        },
+        targetVersion: {
+          type: 'string',
+          description:
+            'Kibana version the plugin moves to; rules for later versions are left out (default: the KIBANA_ROOT version, or all rules)',
+        },
+        format: {
+          type: 'string',
+          enum: ['json', 'sarif'],
+          description: 'Output format (default: json)',
+        },
+      },
+    },
+  },
+  {
+    name: 'apply_codemod',
+    description:
+      'Runs a named, version-tagged codemod over the plugin: await-context-core, kibana-jsonc-manifest, kbn-import-paths or react-embeddable-factory. A dry run (the default) returns unified diffs; apply writes the changes. Lists the files that need manual follow-up. Without a codemod, lists the available ones.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        codemod: {
+          type: 'string',
+          enum: CODEMODS.map((codemod) => codemod.name),
+          description: 'The codemod to run; leave out to list them',
+        },
+        pluginPath: {
+          type: 'string',
+          description: 'Path to plugin directory (defaults to PLUGIN_ROOT)',
+        },
+        apply: {
+          type: 'boolean',
+          description: 'Write the changes instead of returning a dry run (default: false)',
+        },
+        files: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only transform these source files, relative to the plugin',
+        },
+        targetVersion: {
+          type: 'string',
+          description: 'Kibana version the plugin moves to; changes from later versions are left out',
+        },
+      },
+    },
+  },
   {
     name: 'run_type_check',
     description:
@@ -213,94 +392,189 @@ async function getPluginInfo(pluginPath) {
   }
 }
 
-async function listRegisteredTypes() {
+async function listRegisteredTypes({ name, plugin, refresh } = {}) {
   if (!KIBANA_ROOT) {
     return { error: 'KIBANA_ROOT environment variable not set' };
   }
   try {
-    const result = execSync(
-      `grep -r "registerType(" --include="*.ts" -l "${KIBANA_ROOT}/src" "${KIBANA_ROOT}/x-pack" 2>/dev/null | head -50`,
-      { encoding: 'utf-8', timeout: 30000 }
+    const { types, scannedFiles, cache } = await scanSavedObjectTypes(
+      getKibanaTree(),
+      getTypeCache(),
+      { refresh }
     );
 
-    // Extract type names from the files
-    const typeNames = [];
-    for (const file of result.trim().split('\n').filter(Boolean)) {
-      try {
-        const content = await fs.readFile(file, 'utf-8');
-        const matches = content.match(/name:\s*['"]([^'"]+)['"]/g);
-        if (matches) {
-          for (const m of matches) {
-            const name = m.match(/name:\s*['"]([^'"]+)['"]/)?.[1];
-            if (name) typeNames.push(name);
-          }
-        }
-      } catch { /* skip unreadable files */ }
+    if (name) {
+      // Kibana type names mix `-` and `_`, so near misses collide in practice
+      const normalize = (typeName) => typeName?.toLowerCase().replace(/[-_.]/g, '');
+      return {
+        name,
+        conflict: types.some((type) => type.name === name),
+        matches: types.filter((type) => type.name === name),
+        similar: types.filter(
+          (type) => type.name !== name && normalize(type.name) === normalize(name)
+        ),
+        // Types whose name is only known at runtime can't be ruled out
+        unresolvedNames: types.filter((type) => type.name === null).length,
+        scannedFiles,
+      };
     }
 
-    return {
-      types: [...new Set(typeNames)].sort(),
-      count: new Set(typeNames).size,
-      files: result.trim().split('\n').filter(Boolean).length,
-    };
+    const listed = plugin ? types.filter((type) => type.plugin === plugin) : types;
+    return { types: listed, count: listed.length, scannedFiles, cache };
   } catch (error) {
     return { error: `Failed to list types: ${error.message}` };
   }
 }
 
-async function searchKibanaApi(query, filePattern = '*.ts', maxResults = 10) {
+async function searchKibanaApi(args) {
   if (!KIBANA_ROOT) {
     return { error: 'KIBANA_ROOT environment variable not set' };
   }
+  const { query, maxResults = 10, offset = 0, ...options } = args;
   try {
-    const result = execSync(
-      `grep -rn "${query}" --include="${filePattern}" "${KIBANA_ROOT}/src" "${KIBANA_ROOT}/x-pack" 2>/dev/null | head -${maxResults}`,
-      { encoding: 'utf-8', timeout: 30000 }
-    );
-
-    const matches = result
-      .trim()
-      .split('\n')
-      .filter(Boolean)
-      .map((line) => {
-        const colonIdx = line.indexOf(':');
-        const secondColon = line.indexOf(':', colonIdx + 1);
-        return {
-          file: line.substring(0, colonIdx).replace(KIBANA_ROOT, ''),
-          line: parseInt(line.substring(colonIdx + 1, secondColon), 10),
-          content: line.substring(secondColon + 1).trim(),
-        };
-      });
-
-    return { query, matches, count: matches.length };
+    const index = await getSourceIndex();
+    const result = await index.searchContent(query, { ...options, offset, limit: maxResults });
+    const matches = result.matches.map((match) => ({
+      ...match,
+      plugin: index.records.get(match.file)?.plugin ?? null,
+    }));
+    return { query, ...result, matches, count: matches.length, index: index.stats() };
   } catch (error) {
     return { error: `Search failed: ${error.message}` };
   }
 }
 
+async function searchKibanaSymbols(args) {
+  if (!KIBANA_ROOT) {
+    return { error: 'KIBANA_ROOT environment variable not set' };
+  }
+  const { query, maxResults = 20, offset = 0, ...options } = args;
+  try {
+    const index = await getSourceIndex();
+    const { total, symbols } = index.searchSymbols(query, {
+      ...options,
+      offset,
+      limit: maxResults,
+    });
+    return {
+      query,
+      symbols,
+      count: symbols.length,
+      total,
+      ...(offset + symbols.length < total && { nextOffset: offset + symbols.length }),
+    };
+  } catch (error) {
+    return { error: `Symbol search failed: ${error.message}` };
+  }
+}
+
 async function checkApiCompatibility(apiPattern) {
   if (!KIBANA_ROOT) {
     return { error: 'KIBANA_ROOT environment variable not set' };
   }
   try {
-    const result = execSync(
-      `grep -rn "${apiPattern}" --include="*.ts" --include="*.tsx" "${KIBANA_ROOT}/packages" "${KIBANA_ROOT}/src/core" 2>/dev/null | head -5`,
-      { encoding: 'utf-8', timeout: 15000 }
-    );
+    const index = await getSourceIndex();
+
+    // An import path: does it resolve, and what does it export?
+    if (apiPattern.startsWith('@kbn/')) {
+      const tree = getKibanaTree();
+      const entry = tree.resolveModule(tree.root, apiPattern);
+      const importers = index.importersOf(apiPattern);
+      return {
+        apiPattern,
+        kind: 'import',
+        exists: Boolean(entry),
+        locations: entry ? [tree.relative(entry)] : [],
+        exports: entry ? index.exportsOf(tree.relative(entry)).size : 0,
+        importedBy: {
+          files: importers.length,
+          plugins: [...new Set(importers.map((file) => index.records.get(file).plugin))]
+            .filter(Boolean)
+            .sort(),
+        },
+      };
+    }
+
+    // A symbol name: is anything exported under it?
+    if (/^[A-Za-z_$][\w$]*$/.test(apiPattern)) {
+      // Exact matches rank first
+      const { symbols } = index.searchSymbols(apiPattern, { limit: 20 });
+      const exact = symbols.filter((symbol) => symbol.name === apiPattern);
+      if (exact.length) {
+        return {
+          apiPattern,
+          kind: 'symbol',
+          exists: true,
+          locations: exact.map((symbol) => `${symbol.file}:${symbol.line}`),
+          symbols: exact,
+        };
+      }
+    }
 
-    const found = result.trim().length > 0;
+    const { matches } = await index.searchContent(apiPattern, { limit: 5 });
     return {
       apiPattern,
-      exists: found,
-      locations: found
-        ? result
-            .trim()
-            .split('\n')
-            .map((l) => l.replace(KIBANA_ROOT, '').split(':').slice(0, 2).join(':'))
-        : [],
+      kind: 'text',
+      exists: matches.length > 0,
+      locations: matches.map((match) => `${match.file}:${match.line}`),
     };
-  } catch {
-    return { apiPattern, exists: false, locations: [] };
+  } catch (error) {
+    return { apiPattern, error: `Check failed: ${error.message}` };
+  }
+}
+
+async function compareApiVersions(args = {}) {
+  if (!KIBANA_ROOT) {
+    return { error: 'KIBANA_ROOT environment variable not set' };
+  }
+  try {
+    // Lists the working tree's packages, so its `@kbn/*` ids resolve
+    await getSourceIndex();
+    return diffApiVersions(getKibanaTree(), args);
+  } catch (error) {
+    if (error instanceof GitError) return { error: error.message };
+    return { error: `Comparison failed: ${error.message}` };
+  }
+}
+
+async function scanDeprecations({ pluginPath, targetVersion, format = 'json' } = {}) {
+  const root = pluginPath || PLUGIN_ROOT;
+  if (!root) {
+    return { error: 'PLUGIN_ROOT environment variable not set and no pluginPath given' };
+  }
+  try {
+    let kibanaTree = null;
+    let kibanaVersion = null;
+    if (KIBANA_ROOT) {
+      // Lists the Kibana packages, so `@kbn/*` imports resolve
+      await getSourceIndex();
+      kibanaTree = getKibanaTree();
+      kibanaVersion = (await getKibanaVersion()).version ?? null;
+    }
+    const report = await scanPluginDeprecations(root, {
+      kibanaTree,
+      kibanaVersion,
+      targetVersion: targetVersion || kibanaVersion,
+    });
+    return format === 'sarif' ? toSarif(report) : report;
+  } catch (error) {
+    return { error: `Deprecation scan failed: ${error.message}` };
+  }
+}
+
+async function runCodemod({ codemod, pluginPath, apply = false, files, targetVersion } = {}) {
+  if (!codemod) {
+    return { codemods: listCodemods() };
+  }
+  const root = pluginPath || PLUGIN_ROOT;
+  if (!root) {
+    return { error: 'PLUGIN_ROOT environment variable not set and no pluginPath given' };
+  }
+  try {
+    return await applyCodemod(root, codemod, { apply, files, targetVersion });
+  } catch (error) {
+    if (error instanceof CodemodError) return { error: error.message };
+    return { error: `Codemod failed: ${error.message}` };
   }
 }
 
@@ -421,6 +695,27 @@ async function getBreakingChanges(fromVersion, toVersion) {
 
 // ─── Helpers ───────────────────────────────────────────────────────
 
+// The tree and caches are kept for the lifetime of the server
+let kibanaTree;
+let typeCache;
+let sourceIndex;
+
+function getKibanaTree() {
+  kibanaTree ??= new KibanaTree(KIBANA_ROOT);
+  return kibanaTree;
+}
+
+function getTypeCache() {
+  typeCache ??= createTypeCache(KIBANA_ROOT);
+  return typeCache;
+}
+
+async function getSourceIndex() {
+  sourceIndex ??= createSourceIndex(getKibanaTree());
+  await sourceIndex.update();
+  return sourceIndex;
+}
+
 async function fileExists(filePath) {
   try {
     await fs.access(filePath);
@@ -453,14 +748,26 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       result = await getPluginInfo(args?.pluginPath);
       break;
     case 'list_registered_types':
-      result = await listRegisteredTypes();
+      result = await listRegisteredTypes(args);
       break;
     case 'search_kibana_api':
-      result = await searchKibanaApi(args.query, args.filePattern, args.maxResults);
+      result = await searchKibanaApi(args);
+      break;
+    case 'search_kibana_symbols':
+      result = await searchKibanaSymbols(args);
       break;
     case 'check_api_compatibility':
       result = await checkApiCompatibility(args.apiPattern);
       break;
+    case 'compare_api_versions':
+      result = await compareApiVersions(args);
+      break;
+    case 'scan_plugin_deprecations':
+      result = await scanDeprecations(args);
+      break;
+    case 'apply_codemod':
+      result = await runCodemod(args);
+      break;
     case 'run_type_check':
       result = await runTypeCheck(args?.pluginPath);
       break;
@@ -0,0 +1,283 @@
+/**
+ * API History
+ *
+ * Follows a Kibana API across versions of the KIBANA_ROOT checkout: a
+ * symbol, an `@kbn/*` import path, or a symbol imported from one. Older
+ * versions are read from git (see GitTree), the working tree from disk, and
+ * parsed, so the answer is about what the version exported, not whether some
+ * text appears in it:
+ * - where the symbol is declared, its kind and one-line signature
+ * - whether it carries a `@deprecated` JSDoc tag
+ * - for an import path alone, the names it exports
+ *
+ * Comparing the versions gives when the API was introduced, deprecated or
+ * removed, and how its signature changed. Between two release versions the
+ * exact release is found by bisecting over the release tags in between.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  GitError,
+  GitTree,
+  compareVersions,
+  grepFiles,
+  parseVersion,
+  releaseTags,
+  resolveRef,
+} from './git-tree.mjs';
+import { ModuleGraph, deprecationOf, lineOf, signatureOf, symbolKind } from './ts-ast.mjs';
+
+export const WORKING_TREE = 'working tree';
+
+// ─── Snapshots ─────────────────────────────────────────────────────
+
+function describeDeclaration(tree, module, binding) {
+  const deprecated = deprecationOf(binding.node);
+  return {
+    file: tree.relative(module.file),
+    line: lineOf(binding.node),
+    plugin: tree.ownerOf(module.file)?.id ?? null,
+    kind: symbolKind(binding),
+    signature: signatureOf(binding),
+    ...(deprecated !== undefined && { deprecated }),
+  };
+}
+
+// Where a symbol is declared, following re-exports from an import path
+function locateExport(tree, graph, entry, symbol) {
+  const found = graph.findExport(graph.module(entry), symbol);
+  if (!found) return [];
+  const file = tree.relative(found.module.file);
+  if (found.namespace) return [{ file, kind: 'namespace', signature: `* as ${symbol}` }];
+  if (found.node) {
+    return [{ file, line: lineOf(found.node), kind: 'variable', signature: 'export default' }];
+  }
+  return [describeDeclaration(tree, found.module, found.binding)];
+}
+
+// Every source file that declares and exports a symbol under its own name
+function locateDeclarations(tree, graph, symbol, commit) {
+  const files = grepFiles(tree.root, symbol, commit);
+  tree.prefetch?.(files);
+  const locations = [];
+  for (const relative of files) {
+    const module = graph.module(path.join(tree.root, relative));
+    const exported = module.exports.get(symbol);
+    const binding = exported?.kind === 'local' && module.locals.get(exported.name);
+    if (binding && binding.kind !== 'import') {
+      locations.push(describeDeclaration(tree, module, binding));
+    }
+  }
+  return locations;
+}
+
+/**
+ * What one version of the tree has of the API: `{ exists, locations }`
+ * for symbols, `{ exists, entry, exports }` for an import path alone.
+ */
+export function inspectApi(tree, { symbol, importPath, commit }) {
+  const graph = new ModuleGraph(tree);
+  if (importPath) {
+    const entry = tree.resolveModule(tree.root, importPath);
+    if (!entry) return { exists: false, ...(symbol && { packageExists: false }), locations: [] };
+    if (!symbol) {
+      const exports = [...graph.exportNames(graph.module(entry))].sort();
+      return { exists: true, entry: tree.relative(entry), exports };
+    }
+    const locations = locateExport(tree, graph, entry, symbol);
+    return { exists: locations.length > 0, packageExists: true, locations };
+  }
+  const locations = locateDeclarations(tree, graph, symbol, commit);
+  return { exists: locations.length > 0, locations };
+}
+
+// ─── Comparison ────────────────────────────────────────────────────
+
+const signatureKey = (snapshot) =>
+  [...new Set(snapshot.locations?.map((location) => location.signature))].sort().join('\n');
+
+const deprecationNote = (snapshot) =>
+  snapshot.locations?.find((location) => location.deprecated)?.deprecated;
+
+const TRANSITIONS = {
+  introduced: (before, after) => !before.exists && after.exists,
+  deprecated: (before, after) =>
+    after.exists && !deprecationNote(before) && deprecationNote(after) !== undefined,
+  removed: (before, after) => before.exists && !after.exists,
+};
+
+// What holds from a transition on, for bisecting it
+const STATES = {
+  introduced: (snapshot) => snapshot.exists,
+  deprecated: (snapshot) => deprecationNote(snapshot) !== undefined,
+  removed: (snapshot) => !snapshot.exists,
+};
+
+function workingTreeVersion(root) {
+  try {
+    return parseVersion(JSON.parse(fs.readFileSync(path.join(root, 'package.json'))).version);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compares an API across versions (release numbers, tags, branches or
+ * commits) and, unless left out, the working tree of the checkout. The
+ * working tree is a KibanaTree whose source files were listed already, so
+ * its `@kbn/*` ids resolve.
+ */
+export function diffApiVersions(
+  workingTree,
+  { symbol, importPath, versions = [], includeWorkingTree = true, bisect = true }
+) {
+  const { root } = workingTree;
+  if (!symbol && !importPath) throw new GitError('Pass a symbol, an import path or both');
+  if (importPath && !importPath.startsWith('@kbn/')) {
+    throw new GitError(`[importPath] must be an @kbn/* import, got [${importPath}]`);
+  }
+
+  const points = versions.map((label) => {
+    const resolved = resolveRef(root, label);
+    if (!resolved) throw new GitError(`Unknown version or git ref [${label}] in ${root}`);
+    return { label, ...resolved, version: parseVersion(resolved.ref) ?? parseVersion(label) };
+  });
+  // Release versions in order, then other refs as given
+  points.sort((a, b) =>
+    a.version && b.version
+      ? compareVersions(a.version, b.version)
+      : a.version
+        ? -1
+        : b.version
+          ? 1
+          : 0
+  );
+  if (includeWorkingTree) {
+    points.push({ label: WORKING_TREE, commit: null, version: workingTreeVersion(root) });
+  }
+  if (!points.length) throw new GitError('Pass at least one version, or include the working tree');
+
+  const snapshots = new Map();
+  const inspect = (point) => {
+    const key = point.commit ?? WORKING_TREE;
+    if (!snapshots.has(key)) {
+      const tree = point.commit ? new GitTree(root, point.commit) : workingTree;
+      snapshots.set(key, inspectApi(tree, { symbol, importPath, commit: point.commit }));
+    }
+    return snapshots.get(key);
+  };
+  const checked = points.map((point) => ({ point, snapshot: inspect(point) }));
+  const checkedCount = snapshots.size;
+
+  let tags;
+  const bisection = bisect && {
+    tags: () => (tags ??= releaseTags(root)),
+    inspectTag: (tag) => inspect({ label: tag, ...resolveRef(root, tag) }),
+  };
+  const summary = {};
+  for (const [name, transition] of Object.entries(TRANSITIONS)) {
+    summary[name] = findTransition(checked, name, transition, bisection);
+  }
+
+  return {
+    ...(symbol && { symbol }),
+    ...(importPath && { importPath }),
+    versions: checked.map(({ point, snapshot }) => ({
+      version: point.label,
+      ...(point.ref && point.ref !== point.label && { ref: point.ref }),
+      commit: point.commit?.slice(0, 12) ?? null,
+      ...snapshot,
+      ...(snapshot.exports && { exports: snapshot.exports.length }),
+    })),
+    ...summary,
+    ...(symbol
+      ? { signatureChanges: signatureChanges(checked) }
+      : { exportChanges: exportChanges(checked) }),
+    bisectedVersions: snapshots.size - checkedCount,
+  };
+}
+
+function findTransition(checked, name, transition, bisection) {
+  const [first] = checked;
+  if (name !== 'removed' && STATES[name](first.snapshot)) {
+    // Nothing older was checked
+    return {
+      atOrBefore: first.point.label,
+      ...(name === 'deprecated' && { note: deprecationNote(first.snapshot) }),
+    };
+  }
+  for (let i = 1; i < checked.length; i++) {
+    const [before, after] = [checked[i - 1], checked[i]];
+    if (!transition(before.snapshot, after.snapshot)) continue;
+    const found = { at: after.point.label, after: before.point.label };
+    const refined =
+      bisection && bisectTransition(before.point, after.point, STATES[name], bisection);
+    if (refined) Object.assign(found, refined.found, { bisected: true });
+    const snapshot = refined?.snapshot ?? after.snapshot;
+    if (name === 'deprecated') found.note = deprecationNote(snapshot);
+    return found;
+  }
+  return null;
+}
+
+// The first release between two versions where the state holds, by bisection
+function bisectTransition(before, after, holds, { tags, inspectTag }) {
+  if (!before.version || !after.version) return null;
+  const between = tags().filter(
+    ({ version }) =>
+      compareVersions(version, before.version) > 0 && compareVersions(version, after.version) < 0
+  );
+  if (!between.length) return null;
+  let low = -1;
+  let high = between.length;
+  let snapshot;
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    const candidate = inspectTag(between[middle].tag);
+    if (holds(candidate)) {
+      high = middle;
+      snapshot = candidate;
+    } else {
+      low = middle;
+    }
+  }
+  return {
+    found: {
+      ...(high < between.length && { at: between[high].tag }),
+      ...(low >= 0 && { after: between[low].tag }),
+    },
+    snapshot,
+  };
+}
+
+function signatureChanges(checked) {
+  const changes = [];
+  for (let i = 1; i < checked.length; i++) {
+    const [before, after] = [checked[i - 1], checked[i]];
+    if (!before.snapshot.exists || !after.snapshot.exists) continue;
+    if (signatureKey(before.snapshot) === signatureKey(after.snapshot)) continue;
+    changes.push({
+      from: before.point.label,
+      to: after.point.label,
+      before: signatureKey(before.snapshot).split('\n'),
+      after: signatureKey(after.snapshot).split('\n'),
+    });
+  }
+  return changes;
+}
+
+function exportChanges(checked) {
+  const changes = [];
+  for (let i = 1; i < checked.length; i++) {
+    const [before, after] = [checked[i - 1], checked[i]];
+    if (!before.snapshot.exists || !after.snapshot.exists) continue;
+    const [old, current] = [new Set(before.snapshot.exports), new Set(after.snapshot.exports)];
+    const added = [...current].filter((name) => !old.has(name));
+    const removed = [...old].filter((name) => !current.has(name));
+    if (added.length || removed.length) {
+      changes.push({ from: before.point.label, to: after.point.label, added, removed });
+    }
+  }
+  return changes;
+}
@@ -0,0 +1,747 @@
+/**
+ * Codemods
+ *
+ * Named, version-tagged transforms for the breaking changes the deprecation
+ * scan finds, run over the TypeScript sources of a plugin:
+ * - `await-context-core`: awaits `context.core` once per route handler
+ * - `kibana-jsonc-manifest`: moves `kibana.json` to `kibana.jsonc` with a
+ *   `plugin` block
+ * - `kbn-import-paths`: moves imports from removed packages to their
+ *   `@kbn/*` successors
+ * - `react-embeddable-factory`: turns legacy embeddable factories into
+ *   `ReactEmbeddableFactory` skeletons and registers them lazily
+ *
+ * A codemod returns the new text of every file it changes (null deletes the
+ * file) and what it left for a person to finish. Nothing is written unless
+ * the changes are applied, so a dry run shows them as unified diffs.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import ts from 'typescript';
+import { importedNames, isSyncContextCore } from './deprecation-scan.mjs';
+import { compareVersions, parseVersion } from './git-tree.mjs';
+import { KibanaTree, parseJsonc } from './kibana-tree.mjs';
+import { collectBindings, lineOf, parseSource } from './ts-ast.mjs';
+import { unifiedDiff } from './unified-diff.mjs';
+
+export class CodemodError extends Error {}
+
+const CORE_CONTEXT = 'coreContext';
+
+const appliesTo = (since, targetVersion) => {
+  const target = parseVersion(targetVersion);
+  return !target || compareVersions(parseVersion(since), target) <= 0;
+};
+
+// Text edits `{ start, end, text }`, applied back to front so offsets hold
+function applyEdits(text, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce(
+      (result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+      text
+    );
+}
+
+function indentAt(text, position) {
+  const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+  return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+const isAsync = (fn) =>
+  fn.modifiers?.some((modifier) => modifier.kind === ts.SyntaxKind.AsyncKeyword) ?? false;
+
+function containsIdentifier(node, name) {
+  if (ts.isIdentifier(node)) return node.text === name;
+  return ts.forEachChild(node, (child) => containsIdentifier(child, name) || undefined) ?? false;
+}
+
+const snakeCase = (name) =>
+  name
+    .replace(/([a-z\d])([A-Z])/g, '$1_$2')
+    .replace(/[-\s]+/g, '_')
+    .toLowerCase();
+
+const lowerFirst = (name) => name.charAt(0).toLowerCase() + name.slice(1);
+
+// An import specifier from one plugin file to another, without the extension
+function relativeSpecifier(fromFile, toFile) {
+  const specifier = path.posix
+    .relative(path.posix.dirname(fromFile), toFile)
+    .replace(/\.tsx?$/, '')
+    .replace(/\/index$/, '');
+  return specifier.startsWith('.') ? specifier : `./${specifier}`;
+}
+
+// ─── await-context-core ────────────────────────────────────────────
+
+// The nearest function that takes the context as a parameter
+function declaringFunction(node, name) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (
+      ts.isFunctionLike(parent) &&
+      parent.parameters?.some(
+        (parameter) => ts.isIdentifier(parameter.name) && parameter.name.text === name
+      )
+    ) {
+      return parent;
+    }
+  }
+  return null;
+}
+
+// `const coreContext = await context.core;` among the first statements
+function awaitedCoreContext(body, name) {
+  for (const statement of body.statements) {
+    if (!ts.isVariableStatement(statement)) continue;
+    for (const declaration of statement.declarationList.declarations) {
+      const init = declaration.initializer;
+      if (
+        ts.isIdentifier(declaration.name) &&
+        declaration.name.text === CORE_CONTEXT &&
+        init &&
+        ts.isAwaitExpression(init) &&
+        init.expression.getText() === `${name}.core`
+      ) {
+        return statement;
+      }
+    }
+  }
+  return null;
+}
+
+function awaitContextCore({ sources }) {
+  const changes = new Map();
+  const manual = [];
+  for (const { file, text, sourceFile } of sources) {
+    const uses = new Map();
+    const visit = (node) => {
+      if (isSyncContextCore(node)) {
+        const name = node.expression.text;
+        const fn = declaringFunction(node, name);
+        if (fn) {
+          if (!uses.has(fn)) uses.set(fn, { name, nodes: [] });
+          uses.get(fn).nodes.push(node);
+        } else {
+          manual.push({
+            file,
+            line: lineOf(node),
+            reason: `${name} is not a parameter of the enclosing function; await ${name}.core where it comes from`,
+          });
+        }
+      }
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+
+    const edits = [];
+    for (const [fn, { name, nodes }] of uses) {
+      const body = fn.body && ts.isBlock(fn.body) ? fn.body : null;
+      const existing = body && awaitedCoreContext(body, name);
+      let problem = null;
+      if (!body) problem = 'has no block body';
+      else if (!isAsync(fn)) problem = 'is not async';
+      else if (existing && existing.getStart() > nodes[0].getStart()) {
+        problem = `declares ${CORE_CONTEXT} after using ${name}.core`;
+      } else if (!existing && containsIdentifier(body, CORE_CONTEXT)) {
+        problem = `already has a ${CORE_CONTEXT}`;
+      }
+      if (problem) {
+        manual.push({
+          file,
+          line: lineOf(fn),
+          reason: `The function using ${name}.core ${problem}; await it by hand`,
+        });
+        continue;
+      }
+      if (!existing) {
+        const [first] = body.statements;
+        const indent = first
+          ? indentAt(text, first.getStart())
+          : `${indentAt(text, body.getStart())}  `;
+        const position = body.getStart() + 1;
+        edits.push({
+          start: position,
+          end: position,
+          text: `\n${indent}const ${CORE_CONTEXT} = await ${name}.core;`,
+        });
+      }
+      for (const node of nodes) {
+        edits.push({ start: node.getStart(), end: node.getEnd(), text: CORE_CONTEXT });
+      }
+    }
+    if (edits.length) changes.set(file, applyEdits(text, edits));
+  }
+  return { changes, manual };
+}
+
+// ─── kibana-jsonc-manifest ─────────────────────────────────────────
+
+// Legacy manifest keys that move into the `plugin` block, in their new order
+const PLUGIN_KEYS = [
+  'id',
+  'type',
+  'server',
+  'browser',
+  'configPath',
+  'requiredPlugins',
+  'optionalPlugins',
+  'requiredBundles',
+  'extraPublicDirs',
+  'enabledOnAnonymousPages',
+];
+const DROPPED_KEYS = ['version', 'kibanaVersion'];
+
+function kibanaJsoncManifest({ read }) {
+  const changes = new Map();
+  const manual = [];
+  const text = read('kibana.json');
+  if (text === null) return { changes, manual };
+  if (read('kibana.jsonc') !== null) {
+    manual.push({
+      file: 'kibana.json',
+      reason: 'kibana.jsonc exists already; merge what kibana.json adds by hand and delete it',
+    });
+    return { changes, manual };
+  }
+
+  let legacy;
+  try {
+    legacy = parseJsonc('kibana.json', text);
+  } catch (error) {
+    manual.push({ file: 'kibana.json', reason: `Not valid JSON: ${error.message}` });
+    return { changes, manual };
+  }
+
+  const { ui, owner, description, ...rest } = legacy;
+  const fields = { ...rest, ...(ui !== undefined && { browser: ui }) };
+  const plugin = {};
+  for (const key of PLUGIN_KEYS) {
+    if (fields[key] !== undefined) plugin[key] = fields[key];
+  }
+  // Legacy plugins were all standard ones
+  if (plugin.type === 'standard') delete plugin.type;
+
+  const packageName = snakeCase(String(legacy.id ?? 'plugin'))
+    .replace(/_/g, '-')
+    .replace(/-plugin$/, '');
+  const manifest = {
+    type: 'plugin',
+    id: `@kbn/${packageName}-plugin`,
+    ...(owner && {
+      owner: owner.githubTeam ? `@elastic/${owner.githubTeam}` : (owner.name ?? owner),
+    }),
+    ...(description && { description }),
+    plugin,
+  };
+
+  changes.set('kibana.json', null);
+  changes.set('kibana.jsonc', `${JSON.stringify(manifest, null, 2)}\n`);
+  if (!owner) {
+    manual.push({
+      file: 'kibana.jsonc',
+      reason: 'Add the `owner`, the GitHub team that owns the plugin (e.g. "@elastic/kibana-core")',
+    });
+  }
+  const dropped = DROPPED_KEYS.filter((key) => legacy[key] !== undefined);
+  if (dropped.length) {
+    manual.push({
+      file: 'kibana.jsonc',
+      reason: `${dropped.join(' and ')} are not part of kibana.jsonc; the plugin version lives in package.json`,
+    });
+  }
+  const unknown = Object.keys(fields).filter(
+    (key) => !PLUGIN_KEYS.includes(key) && !DROPPED_KEYS.includes(key)
+  );
+  if (unknown.length) {
+    manual.push({
+      file: 'kibana.jsonc',
+      reason: `Not carried over from kibana.json: ${unknown.join(', ')}`,
+    });
+  }
+  return { changes, manual };
+}
+
+// ─── kbn-import-paths ──────────────────────────────────────────────
+
+const KIBANA_REACT = /^@kbn\/kibana-react-plugin\/public$|\/kibana_react\/public$/;
+
+export const IMPORT_MOVES = [
+  {
+    from: KIBANA_REACT,
+    name: 'RedirectAppLinks',
+    to: '@kbn/shared-ux-link-redirect-app',
+    since: '8.8.0',
+    followUp:
+      'RedirectAppLinks from @kbn/shared-ux-link-redirect-app takes `coreStart` instead of `application`',
+  },
+  {
+    from: KIBANA_REACT,
+    name: 'toMountPoint',
+    to: '@kbn/react-kibana-mount',
+    since: '8.11.0',
+    followUp:
+      'toMountPoint from @kbn/react-kibana-mount takes the core start services (`{ analytics, i18n, theme }`) as its second argument',
+  },
+  {
+    from: KIBANA_REACT,
+    name: 'KibanaThemeProvider',
+    to: '@kbn/react-kibana-context-theme',
+    since: '8.11.0',
+    followUp:
+      'KibanaThemeProvider from @kbn/react-kibana-context-theme takes `theme` (core.theme) instead of `theme$`',
+  },
+];
+
+function kbnImportPaths({ sources, targetVersion }) {
+  const moves = IMPORT_MOVES.filter((move) => appliesTo(move.since, targetVersion));
+  const changes = new Map();
+  const manual = [];
+  for (const { file, text, sourceFile } of sources) {
+    const imports = sourceFile.statements.filter(
+      (statement) =>
+        ts.isImportDeclaration(statement) && ts.isStringLiteral(statement.moduleSpecifier)
+    );
+    // New specifier → the moved elements and the declaration they came from first
+    const targets = new Map();
+    const emptied = new Set();
+    const edits = [];
+
+    for (const declaration of imports) {
+      const specifier = declaration.moduleSpecifier.text;
+      const clause = declaration.importClause;
+      const bindings = clause?.namedBindings;
+      if (!bindings || !ts.isNamedImports(bindings)) continue;
+      const kept = [];
+      for (const element of bindings.elements) {
+        const name = (element.propertyName ?? element.name).text;
+        const move = moves.find(
+          (candidate) => candidate.name === name && candidate.from.test(specifier)
+        );
+        if (!move) {
+          kept.push(element.getText());
+          continue;
+        }
+        if (!targets.has(move.to)) {
+          const quote = declaration.moduleSpecifier.getText().charAt(0);
+          targets.set(move.to, { elements: [], anchor: declaration, quote });
+        }
+        targets
+          .get(move.to)
+          .elements.push(clause.isTypeOnly ? `type ${element.getText()}` : element.getText());
+        manual.push({ file, line: lineOf(element), reason: move.followUp });
+      }
+      if (kept.length === bindings.elements.length) continue;
+      if (kept.length) {
+        edits.push({
+          start: bindings.getStart(),
+          end: bindings.getEnd(),
+          text: `{ ${kept.join(', ')} }`,
+        });
+      } else if (clause.name) {
+        // `import Default, { moved }`: only the default stays
+        edits.push({ start: clause.name.getEnd(), end: bindings.getEnd(), text: '' });
+      } else {
+        emptied.add(declaration);
+      }
+    }
+    if (!targets.size) continue;
+
+    // New declarations go where the first moved import was
+    const added = new Map();
+    for (const [to, { elements, anchor, quote }] of targets) {
+      const existing = imports.find(
+        (declaration) =>
+          declaration.moduleSpecifier.text === to &&
+          !declaration.importClause?.isTypeOnly &&
+          declaration.importClause?.namedBindings &&
+          ts.isNamedImports(declaration.importClause.namedBindings)
+      );
+      if (existing) {
+        const bindings = existing.importClause.namedBindings;
+        const names = [
+          ...new Set([...bindings.elements.map((element) => element.getText()), ...elements]),
+        ];
+        edits.push({
+          start: bindings.getStart(),
+          end: bindings.getEnd(),
+          text: `{ ${names.join(', ')} }`,
+        });
+        continue;
+      }
+      if (!added.has(anchor)) added.set(anchor, []);
+      added.get(anchor).push(`import { ${elements.join(', ')} } from ${quote}${to}${quote};`);
+    }
+    for (const declaration of emptied) {
+      if (added.has(declaration)) continue;
+      const end =
+        text.charAt(declaration.getEnd()) === '\n'
+          ? declaration.getEnd() + 1
+          : declaration.getEnd();
+      edits.push({ start: declaration.getStart(), end, text: '' });
+    }
+    for (const [anchor, statements] of added) {
+      if (emptied.has(anchor)) {
+        edits.push({ start: anchor.getStart(), end: anchor.getEnd(), text: statements.join('\n') });
+      } else {
+        edits.push({
+          start: anchor.getEnd(),
+          end: anchor.getEnd(),
+          text: `\n${statements.join('\n')}`,
+        });
+      }
+    }
+    changes.set(file, applyEdits(text, edits));
+  }
+  return { changes, manual };
+}
+
+// ─── react-embeddable-factory ──────────────────────────────────────
+
+const LEGACY_FACTORY = /EmbeddableFactory(Definition)?$/;
+
+function isLegacyFactory(node) {
+  return (
+    ts.isClassDeclaration(node) &&
+    node.name &&
+    node.heritageClauses?.some((clause) =>
+      clause.types.some((type) => LEGACY_FACTORY.test(type.expression.getText().split('.').pop()))
+    )
+  );
+}
+
+// The imports the expression of the factory's `type` needs in the new file, next to it
+function typeImports(source, file, expression) {
+  const names = new Set();
+  const collect = (node) => {
+    // In `a.b`, only `a` is a reference
+    if (ts.isIdentifier(node)) names.add(node.text);
+    else if (ts.isPropertyAccessExpression(node)) collect(node.expression);
+    else ts.forEachChild(node, collect);
+  };
+  collect(expression);
+  const { exports } = collectBindings(source.sourceFile);
+
+  const imports = [];
+  const missing = [];
+  for (const name of names) {
+    const declaration = source.sourceFile.statements.find(
+      (statement) =>
+        ts.isImportDeclaration(statement) &&
+        importedNames(statement).some(
+          ({ node }) => ts.isImportSpecifier(node) && node.name.text === name
+        )
+    );
+    if (declaration) {
+      imports.push(`import { ${name} } from ${declaration.moduleSpecifier.getText()};`);
+    } else if (exports.has(name)) {
+      imports.push(`import { ${name} } from '${relativeSpecifier(file, source.file)}';`);
+    } else {
+      missing.push(name);
+    }
+  }
+  return { imports, missing };
+}
+
+function factorySkeleton({ className, factoryName, stateType, typeText, imports }) {
+  return [
+    "import type { ReactEmbeddableFactory } from '@kbn/embeddable-plugin/public';",
+    ...imports,
+    '',
+    '// TODO: the serialized state, from the input of the legacy embeddable',
+    `export type ${stateType} = Record<string, unknown>;`,
+    '',
+    '/**',
+    ` * Replaces ${className}; generated by the react-embeddable-factory codemod.`,
+    ' */',
+    `export const ${factoryName}: ReactEmbeddableFactory<${stateType}> = {`,
+    `  type: ${typeText},`,
+    '  deserializeState: (state) => state.rawState,',
+    '  buildEmbeddable: async (state, buildApi) => {',
+    '    const api = buildApi(',
+    '      {',
+    '        serializeState: () => ({ rawState: state }),',
+    '      },',
+    '      {',
+    '        // TODO: comparators for state diffing',
+    '      }',
+    '    );',
+    '    return {',
+    '      api,',
+    `      // TODO: port the rendering of the embeddable ${className} creates`,
+    '      Component: () => null,',
+    '    };',
+    '  },',
+    '};',
+    '',
+  ].join('\n');
+}
+
+// The factory class a `registerEmbeddableFactory()` argument creates
+function factoryClassOf(argument, sourceFile) {
+  if (!argument) return null;
+  if (ts.isNewExpression(argument)) return argument.expression.getText();
+  if (!ts.isIdentifier(argument)) return null;
+  let found = null;
+  const visit = (node) => {
+    if (
+      ts.isVariableDeclaration(node) &&
+      ts.isIdentifier(node.name) &&
+      node.name.text === argument.text &&
+      node.initializer &&
+      ts.isNewExpression(node.initializer)
+    ) {
+      found = node.initializer.expression.getText();
+    }
+    if (!found) ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return found;
+}
+
+function reactEmbeddableFactory({ sources, read }) {
+  const changes = new Map();
+  const manual = [];
+  const generated = new Map();
+
+  for (const source of sources) {
+    for (const node of source.sourceFile.statements.filter(isLegacyFactory)) {
+      const className = node.name.text;
+      const base = className.replace(/(Embeddable)?Factory(Definition)?$/, '') || className;
+      const file = path.posix.join(
+        path.posix.dirname(source.file),
+        `${snakeCase(base)}_react_embeddable_factory.tsx`
+      );
+      if (read(file) !== null) {
+        manual.push({ file, reason: `Exists already; port ${className} into it by hand` });
+        continue;
+      }
+
+      const typeMember = node.members.find(
+        (member) =>
+          ts.isPropertyDeclaration(member) && member.name.getText() === 'type' && member.initializer
+      );
+      let typeText = `'${snakeCase(base)}'`;
+      let imports = [];
+      if (typeMember) {
+        const needed = typeImports(source, file, typeMember.initializer);
+        if (needed.missing.length) {
+          manual.push({
+            file,
+            reason: `Import ${needed.missing.join(', ')} for the embeddable type`,
+          });
+        }
+        typeText = typeMember.initializer.getText();
+        imports = needed.imports;
+      } else {
+        manual.push({
+          file,
+          reason: `Check the embeddable type; ${className} has no \`type\` property`,
+        });
+      }
+
+      const factoryName = `${lowerFirst(base)}ReactEmbeddableFactory`;
+      changes.set(
+        file,
+        factorySkeleton({
+          className,
+          factoryName,
+          stateType: `${base}EmbeddableState`,
+          typeText,
+          imports,
+        })
+      );
+      generated.set(className, {
+        file,
+        factoryName,
+        typeText,
+        literalType: !typeMember || ts.isStringLiteral(typeMember.initializer),
+      });
+      manual.push({
+        file,
+        reason: `Port the state, comparators and rendering of the embeddable ${className} creates`,
+      });
+      manual.push({
+        file: source.file,
+        line: lineOf(node),
+        reason: `Remove ${className} and its embeddable once nothing uses them`,
+      });
+      if (node.members.some((member) => member.name?.getText() === 'getExplicitInput')) {
+        manual.push({
+          file: source.file,
+          line: lineOf(node),
+          reason: 'Move the creation flow of getExplicitInput() to an action on ADD_PANEL_TRIGGER',
+        });
+      }
+    }
+  }
+
+  for (const { file, text, sourceFile } of sources) {
+    const edits = [];
+    const visit = (node) => {
+      if (
+        ts.isCallExpression(node) &&
+        ts.isPropertyAccessExpression(node.expression) &&
+        node.expression.name.text === 'registerEmbeddableFactory'
+      ) {
+        const [first, second] = node.arguments;
+        const factory = generated.get(factoryClassOf(second ?? first, sourceFile));
+        if (!factory) {
+          manual.push({
+            file,
+            line: lineOf(node),
+            reason:
+              'Register the React embeddable factory here with registerReactEmbeddableFactory()',
+          });
+        } else {
+          const indent = indentAt(text, node.getStart());
+          const specifier = relativeSpecifier(file, factory.file);
+          // Two arguments: the type is already in scope here
+          const typeText = second ? first.getText() : factory.typeText;
+          edits.push({
+            start: node.getStart(),
+            end: node.getEnd(),
+            text: [
+              `${node.expression.expression.getText()}.registerReactEmbeddableFactory(${typeText}, async () => {`,
+              `${indent}  const { ${factory.factoryName} } = await import('${specifier}');`,
+              `${indent}  return ${factory.factoryName};`,
+              `${indent}})`,
+            ].join('\n'),
+          });
+          if (!second && !factory.literalType) {
+            manual.push({
+              file,
+              line: lineOf(node),
+              reason: `Import ${typeText} for the registration`,
+            });
+          }
+        }
+      }
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+    if (edits.length) changes.set(file, applyEdits(text, edits));
+  }
+  return { changes, manual };
+}
+
+// ─── Library ───────────────────────────────────────────────────────
+
+export const CODEMODS = [
+  {
+    name: 'await-context-core',
+    since: '8.1.0',
+    description:
+      'Adds `const coreContext = await context.core;` to route handlers that use context.core synchronously, and uses coreContext instead',
+    fixes: ['sync-context-core'],
+    run: awaitContextCore,
+  },
+  {
+    name: 'kibana-jsonc-manifest',
+    since: '8.0.0',
+    description: 'Replaces kibana.json with a kibana.jsonc that has a `plugin` block',
+    fixes: ['legacy-manifest'],
+    run: kibanaJsoncManifest,
+  },
+  {
+    name: 'kbn-import-paths',
+    since: '8.8.0',
+    description: `Moves imports from removed packages to their @kbn/* successors: ${IMPORT_MOVES.map(
+      (move) => `${move.name} → ${move.to} (${move.since})`
+    ).join(', ')}`,
+    fixes: ['kibana-react-mount'],
+    run: kbnImportPaths,
+  },
+  {
+    name: 'react-embeddable-factory',
+    since: '8.8.0',
+    description:
+      'Generates a ReactEmbeddableFactory skeleton for each legacy embeddable factory class and registers it lazily with registerReactEmbeddableFactory()',
+    fixes: ['legacy-embeddable-factory'],
+    run: reactEmbeddableFactory,
+  },
+];
+
+export const listCodemods = () =>
+  CODEMODS.map(({ name, since, description, fixes }) => ({ name, since, description, fixes }));
+
+// ─── Running ───────────────────────────────────────────────────────
+
+/**
+ * Runs a codemod over a plugin. A dry run (the default) only reports the
+ * changes as diffs; `apply` writes them. `files` limits the sources it
+ * reads, `targetVersion` leaves out changes from later Kibana versions.
+ */
+export async function applyCodemod(pluginRoot, name, { apply = false, files, targetVersion } = {}) {
+  const codemod = CODEMODS.find((candidate) => candidate.name === name);
+  if (!codemod) {
+    throw new CodemodError(
+      `Unknown codemod [${name}], expected one of ${CODEMODS.map(({ name }) => name).join(', ')}`
+    );
+  }
+  if (!appliesTo(codemod.since, targetVersion)) {
+    throw new CodemodError(`${name} applies from Kibana ${codemod.since}, not ${targetVersion}`);
+  }
+  const root = path.resolve(pluginRoot);
+  if (!fs.existsSync(root)) throw new CodemodError(`Plugin directory ${root} does not exist`);
+
+  const toRelative = (file) =>
+    path.relative(root, path.resolve(root, file)).split(path.sep).join('/');
+  const only = files?.length ? new Set(files.map(toRelative)) : null;
+  const listed = await new KibanaTree(root).sourceFiles({ dirs: ['.'] });
+  const sources = [...listed.keys()]
+    .map((file) => toRelative(file))
+    .filter((file) => !only || only.has(file))
+    .sort()
+    .map((file) => {
+      const text = fs.readFileSync(path.join(root, file), 'utf-8');
+      return { file, text, sourceFile: parseSource(path.join(root, file), text) };
+    });
+  const read = (file) => {
+    try {
+      return fs.readFileSync(path.join(root, file), 'utf-8');
+    } catch {
+      return null;
+    }
+  };
+
+  const { changes, manual } = codemod.run({ root, sources, read, targetVersion });
+  const changed = [];
+  for (const [file, after] of [...changes].sort(([a], [b]) => a.localeCompare(b))) {
+    if (toRelative(file).startsWith('..')) {
+      throw new CodemodError(`${name} tried to write ${file}, outside the plugin`);
+    }
+    const before = read(file);
+    if (before === after) continue;
+    changed.push({ file, before, after });
+  }
+
+  if (apply) {
+    for (const { file, after } of changed) {
+      const full = path.join(root, file);
+      if (after === null) {
+        fs.unlinkSync(full);
+      } else {
+        fs.mkdirSync(path.dirname(full), { recursive: true });
+        fs.writeFileSync(full, after);
+      }
+    }
+  }
+
+  return {
+    codemod: name,
+    since: codemod.since,
+    pluginRoot: root,
+    mode: apply ? 'apply' : 'dry-run',
+    scannedFiles: sources.length,
+    changes: changed.map(({ file, before, after }) => ({
+      file,
+      action: before === null ? 'create' : after === null ? 'delete' : 'modify',
+      diff: unifiedDiff(file, before, after),
+    })),
+    manualFollowUp: manual.sort(
+      (a, b) => a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0)
+    ),
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Deprecation Rules
+ *
+ * The breaking changes and deprecations of the migration agent's version
+ * guides, as rules `scan_plugin_deprecations` can check without a Kibana
+ * checkout. Each rule has:
+ * - `id`, `title`, `severity` (`error` for removed APIs, `warning` for
+ *   deprecated ones) and `since`, the Kibana version the change landed in
+ * - `replacement`: what to use instead, and `codemod`, the `apply_codemod`
+ *   transform that makes the change where there is one
+ * - `match`: what to look for in the plugin, one of
+ *   - `{ type: 'manifest', file }`: a manifest file exists
+ *   - `{ type: 'module', from }`: an import from a matching specifier
+ *   - `{ type: 'import', from, names }`: those names imported from it
+ *   - `{ type: 'call', names, receiver? }`: a method call, optionally on a
+ *     receiver whose name matches
+ *   - `{ type: 'property', names }`: a property access
+ *   - `{ type: 'sync-context' }`: `context.core` used without `await`
+ *
+ * Findings from the `@deprecated` annotations of the Kibana tree itself use
+ * the `kibana/*` rules of KIBANA_RULES.
+ */
+
+export const DEPRECATION_RULES = [
+  // ─── 7.x → 8.0 ───────────────────────────────────────────────────
+  {
+    id: 'legacy-manifest',
+    title: 'Legacy kibana.json manifest',
+    severity: 'error',
+    since: '8.0.0',
+    replacement: 'kibana.jsonc with `type: "plugin"` and a `plugin` block',
+    codemod: 'kibana-jsonc-manifest',
+    match: { type: 'manifest', file: 'kibana.json' },
+  },
+  {
+    id: 'legacy-ui-import',
+    title: 'Import from the legacy `ui/*` modules',
+    severity: 'error',
+    since: '8.0.0',
+    replacement:
+      'The CoreStart services: `core.chrome`, `core.notifications.toasts`, `core.application`',
+    match: { type: 'module', from: /^ui\// },
+  },
+  {
+    id: 'hapi-server',
+    title: 'Hapi server API',
+    severity: 'error',
+    since: '8.0.0',
+    replacement: '`core.http.createRouter()` and its `router.get()` / `router.post()` methods',
+    match: { type: 'call', names: ['route', 'ext', 'decorate'], receiver: /^server$/ },
+  },
+  {
+    id: 'legacy-es-cluster',
+    title: 'Legacy Elasticsearch cluster client',
+    severity: 'error',
+    since: '8.0.0',
+    replacement: '`(await context.core).elasticsearch.client.asCurrentUser` / `asInternalUser`',
+    match: { type: 'call', names: ['getCluster', 'callWithRequest', 'callWithInternalUser'] },
+  },
+  {
+    id: 'legacy-saved-objects-client-factory',
+    title: 'Legacy saved objects client factory',
+    severity: 'error',
+    since: '8.0.0',
+    replacement:
+      '`core.savedObjects.registerType()`, and `(await context.core).savedObjects.client` in routes',
+    match: { type: 'call', names: ['setScopedSavedObjectsClientFactory'] },
+  },
+  {
+    id: 'request-base-path',
+    title: '`request.getBasePath()`',
+    severity: 'error',
+    since: '8.0.0',
+    replacement: '`core.http.basePath.get(request)`',
+    match: { type: 'call', names: ['getBasePath'], receiver: /^(req|request)$/ },
+  },
+
+  // ─── 8.0 → 8.7 ───────────────────────────────────────────────────
+  {
+    id: 'sync-context-core',
+    title: '`context.core` used without `await`',
+    severity: 'error',
+    since: '8.1.0',
+    replacement: '`const coreContext = await context.core;`, then `coreContext.<service>`',
+    codemod: 'await-context-core',
+    match: { type: 'sync-context' },
+  },
+  {
+    id: 'request-aborted',
+    title: '`request.events.aborted$`',
+    severity: 'warning',
+    since: '8.2.0',
+    replacement: '`request.events.completed$`',
+    match: { type: 'property', names: ['aborted$'] },
+  },
+  {
+    id: 'observable-to-promise',
+    title: '`Observable.toPromise()`',
+    severity: 'warning',
+    since: '8.6.0',
+    replacement: '`lastValueFrom()` or `firstValueFrom()` from rxjs',
+    match: { type: 'call', names: ['toPromise'] },
+  },
+
+  // ─── 8.7 → 8.12 ──────────────────────────────────────────────────
+  {
+    id: 'legacy-embeddable-factory',
+    title: 'Legacy embeddable factory registration',
+    severity: 'warning',
+    since: '8.8.0',
+    replacement: '`registerReactEmbeddableFactory()` with a `ReactEmbeddableFactory`',
+    codemod: 'react-embeddable-factory',
+    match: { type: 'call', names: ['registerEmbeddableFactory'] },
+  },
+  {
+    id: 'kibana-react-mount',
+    title: '`toMountPoint` from `@kbn/kibana-react-plugin`',
+    severity: 'warning',
+    since: '8.11.0',
+    replacement: "`import { toMountPoint } from '@kbn/react-kibana-mount'`",
+    codemod: 'kbn-import-paths',
+    match: {
+      type: 'import',
+      from: /^@kbn\/kibana-react-plugin\/public$|\/kibana_react\/public$/,
+      names: ['toMountPoint'],
+    },
+  },
+];
+
+// Findings from the Kibana tree rather than from a bundled rule
+export const KIBANA_RULES = [
+  {
+    id: 'kibana/deprecated-api',
+    title: 'Import of an API marked `@deprecated` in the Kibana source',
+    severity: 'warning',
+  },
+  {
+    id: 'kibana/missing-export',
+    title: 'Import of a name the Kibana module does not export',
+    severity: 'error',
+  },
+  {
+    id: 'kibana/missing-module',
+    title: 'Import of a `@kbn/*` module that does not exist in the Kibana source',
+    severity: 'error',
+  },
+];
@@ -0,0 +1,352 @@
+/**
+ * Deprecation Scan
+ *
+ * Checks the TypeScript sources of a plugin for APIs that are deprecated or
+ * gone in the Kibana version it targets, two ways:
+ * - the bundled rules (see deprecation-rules.mjs), matched on the AST
+ * - every import from Kibana (`@kbn/*`, or a relative path into the Kibana
+ *   tree) followed to its declaration, which may carry a `@deprecated` tag
+ *   or not exist at all
+ *
+ * Findings come as plain records, or as a SARIF 2.1.0 log for code scanning.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import ts from 'typescript';
+import { DEPRECATION_RULES, KIBANA_RULES } from './deprecation-rules.mjs';
+import { compareVersions, parseVersion } from './git-tree.mjs';
+import { KibanaTree } from './kibana-tree.mjs';
+import { ModuleGraph, deprecationOf, parseSource } from './ts-ast.mjs';
+
+const SEVERITIES = ['error', 'warning', 'note'];
+const KIBANA_RULE = Object.fromEntries(KIBANA_RULES.map((rule) => [rule.id, rule]));
+
+function positionOf(node) {
+  const sourceFile = node.getSourceFile();
+  const { line, character } = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+  return { line: line + 1, column: character + 1 };
+}
+
+// The rules that apply up to a Kibana version; all of them without one
+export function rulesFor(targetVersion, rules = DEPRECATION_RULES) {
+  const target = parseVersion(targetVersion);
+  return target
+    ? rules.filter((rule) => compareVersions(parseVersion(rule.since), target) <= 0)
+    : rules;
+}
+
+// ─── Bundled Rules ─────────────────────────────────────────────────
+
+// The name a call's receiver goes by: `server` in `server.route()` and `this.server.route()`
+function receiverName(expression) {
+  if (ts.isIdentifier(expression)) return expression.text;
+  if (ts.isPropertyAccessExpression(expression)) return expression.name.text;
+  return undefined;
+}
+
+// `context.core.elasticsearch`, or destructuring `context.core`: both use the promise
+export function isSyncContextCore(node) {
+  if (!ts.isPropertyAccessExpression(node) || node.name.text !== 'core') return false;
+  if (!ts.isIdentifier(node.expression) || !/^ctx$|context$/i.test(node.expression.text)) {
+    return false;
+  }
+  const { parent } = node;
+  return (
+    (ts.isPropertyAccessExpression(parent) && parent.expression === node) ||
+    (ts.isVariableDeclaration(parent) && ts.isObjectBindingPattern(parent.name))
+  );
+}
+
+/** The names an import declaration imports by name, `default` included. */
+export function importedNames(declaration) {
+  const clause = declaration.importClause;
+  const names = [];
+  if (clause?.name) names.push({ name: 'default', node: clause.name });
+  const bindings = clause?.namedBindings;
+  if (bindings && ts.isNamedImports(bindings)) {
+    for (const element of bindings.elements) {
+      names.push({ name: (element.propertyName ?? element.name).text, node: element });
+    }
+  }
+  return names;
+}
+
+function matchRules(sourceFile, rules, report) {
+  const byType = (type) => rules.filter((rule) => rule.match.type === type);
+  const [modules, imports, calls, properties, syncContext] = [
+    byType('module'),
+    byType('import'),
+    byType('call'),
+    byType('property'),
+    byType('sync-context'),
+  ];
+
+  const visit = (node) => {
+    if (ts.isImportDeclaration(node) && ts.isStringLiteral(node.moduleSpecifier)) {
+      const specifier = node.moduleSpecifier.text;
+      for (const rule of modules) {
+        if (rule.match.from.test(specifier)) report(rule, node.moduleSpecifier);
+      }
+      for (const rule of imports.filter((rule) => rule.match.from.test(specifier))) {
+        for (const { name, node: element } of importedNames(node)) {
+          if (rule.match.names.includes(name)) report(rule, element);
+        }
+      }
+    } else if (ts.isCallExpression(node)) {
+      const callee = node.expression;
+      const name = ts.isPropertyAccessExpression(callee)
+        ? callee.name.text
+        : ts.isIdentifier(callee) && callee.text;
+      for (const rule of calls.filter((rule) => rule.match.names.includes(name))) {
+        const { receiver } = rule.match;
+        if (!receiver) {
+          report(rule, ts.isPropertyAccessExpression(callee) ? callee.name : callee);
+        } else if (
+          ts.isPropertyAccessExpression(callee) &&
+          receiver.test(receiverName(callee.expression) ?? '')
+        ) {
+          report(rule, callee.name);
+        }
+      }
+    } else if (ts.isPropertyAccessExpression(node)) {
+      for (const rule of properties) {
+        if (rule.match.names.includes(node.name.text)) report(rule, node.name);
+      }
+      for (const rule of syncContext) {
+        if (isSyncContextCore(node)) report(rule, node);
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+}
+
+// ─── Kibana Imports ────────────────────────────────────────────────
+
+// Whether a module re-exports from somewhere the graph can't follow (npm packages)
+function hasOpaqueStars(graph, module, seen = new Set()) {
+  if (seen.has(module.file)) return false;
+  seen.add(module.file);
+  return module.stars.some((specifier) => {
+    const target = graph.imported(module, specifier);
+    return !target || hasOpaqueStars(graph, target, seen);
+  });
+}
+
+function checkKibanaImports(context, file, sourceFile, report) {
+  const { tree, graph, pluginRoot } = context;
+  const isKibanaFile = (resolved) =>
+    !path.relative(tree.root, resolved).startsWith('..') &&
+    path.relative(pluginRoot, resolved).startsWith('..');
+
+  // Namespace imports: `ns.name` is checked like `import { name }`
+  const namespaces = new Map();
+
+  const checkName = (specifier, module, name, node) => {
+    const found = graph.findExport(module, name);
+    if (!found) {
+      if (module.sourceFile && !hasOpaqueStars(graph, module)) {
+        report(KIBANA_RULE['kibana/missing-export'], node, {
+          message: `${specifier} does not export ${name}`,
+          symbol: name,
+        });
+      }
+      return;
+    }
+    const deprecated = found.binding && deprecationOf(found.binding.node);
+    if (deprecated !== undefined) {
+      report(KIBANA_RULE['kibana/deprecated-api'], node, {
+        message: `${name} from ${specifier} is deprecated`,
+        symbol: name,
+        replacement: typeof deprecated === 'string' ? deprecated : null,
+        declaredIn: tree.relative(found.module.file),
+      });
+    }
+  };
+
+  for (const statement of sourceFile.statements) {
+    if (!ts.isImportDeclaration(statement) || !ts.isStringLiteral(statement.moduleSpecifier)) {
+      continue;
+    }
+    const specifier = statement.moduleSpecifier.text;
+    let entry;
+    if (specifier.startsWith('@kbn/')) {
+      entry = tree.resolveModule(tree.root, specifier);
+      if (!entry) {
+        report(KIBANA_RULE['kibana/missing-module'], statement.moduleSpecifier, {
+          message: `${specifier} does not exist in Kibana ${context.kibanaVersion ?? ''}`.trim(),
+        });
+        continue;
+      }
+    } else if (specifier.startsWith('.')) {
+      entry = tree.resolveModule(file, specifier);
+      if (!entry || !isKibanaFile(entry)) continue;
+    } else {
+      continue;
+    }
+
+    const module = graph.module(entry);
+    for (const { name, node } of importedNames(statement)) {
+      checkName(specifier, module, name, node);
+    }
+    const bindings = statement.importClause?.namedBindings;
+    if (bindings && ts.isNamespaceImport(bindings)) {
+      namespaces.set(bindings.name.text, { specifier, module });
+    }
+  }
+
+  if (!namespaces.size) return;
+  const visit = (node) => {
+    if (
+      ts.isPropertyAccessExpression(node) &&
+      ts.isIdentifier(node.expression) &&
+      namespaces.has(node.expression.text)
+    ) {
+      const { specifier, module } = namespaces.get(node.expression.text);
+      checkName(specifier, module, node.name.text, node.name);
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+}
+
+// ─── Scanning ──────────────────────────────────────────────────────
+
+/**
+ * Scans a plugin. Without a `kibanaTree` (a KibanaTree whose source files
+ * were listed already, so `@kbn/*` ids resolve) only the bundled rules run.
+ * `targetVersion` leaves out the rules for later Kibana versions.
+ */
+export async function scanPluginDeprecations(
+  pluginRoot,
+  { kibanaTree = null, kibanaVersion = null, targetVersion = kibanaVersion } = {}
+) {
+  const root = path.resolve(pluginRoot);
+  if (!fs.existsSync(root)) throw new Error(`Plugin directory ${root} does not exist`);
+  const rules = rulesFor(targetVersion);
+  const context = kibanaTree && {
+    tree: kibanaTree,
+    graph: new ModuleGraph(kibanaTree),
+    pluginRoot: root,
+    kibanaVersion,
+  };
+
+  const findings = [];
+  const seen = new Set();
+  const add = (finding) => {
+    const key = `${finding.ruleId}\0${finding.file}:${finding.line}:${finding.column}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    findings.push(finding);
+  };
+
+  for (const rule of rules.filter((rule) => rule.match.type === 'manifest')) {
+    if (fs.existsSync(path.join(root, rule.match.file))) {
+      add({
+        ruleId: rule.id,
+        severity: rule.severity,
+        file: rule.match.file,
+        line: 1,
+        column: 1,
+        message: rule.title,
+        replacement: rule.replacement,
+        targetVersion: rule.since,
+        ...(rule.codemod && { codemod: rule.codemod }),
+      });
+    }
+  }
+
+  const files = await new KibanaTree(root).sourceFiles({ dirs: ['.'] });
+  for (const file of [...files.keys()].sort()) {
+    const relative = path.relative(root, file).split(path.sep).join('/');
+    const sourceFile = parseSource(file, fs.readFileSync(file, 'utf-8'));
+    const report = (rule, node, details = {}) =>
+      add({
+        ruleId: rule.id,
+        severity: rule.severity,
+        file: relative,
+        ...positionOf(node),
+        message: details.message ?? rule.title,
+        ...details,
+        replacement: details.replacement ?? rule.replacement ?? null,
+        targetVersion: rule.since ?? kibanaVersion,
+        ...(rule.codemod && { codemod: rule.codemod }),
+      });
+    matchRules(sourceFile, rules, report);
+    if (context) checkKibanaImports(context, file, sourceFile, report);
+  }
+
+  findings.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+  return {
+    pluginRoot: root,
+    kibanaRoot: kibanaTree?.root ?? null,
+    kibanaVersion,
+    targetVersion,
+    scannedFiles: files.size,
+    rules: rules.length,
+    summary: Object.fromEntries(
+      SEVERITIES.map((severity) => [
+        severity,
+        findings.filter((finding) => finding.severity === severity).length,
+      ])
+    ),
+    findings,
+  };
+}
+
+// ─── SARIF ─────────────────────────────────────────────────────────
+
+/** A scan report as a SARIF 2.1.0 log, with paths relative to PLUGIN_ROOT. */
+export function toSarif(report) {
+  const definitions = new Map(
+    [...DEPRECATION_RULES, ...KIBANA_RULES].map((rule) => [rule.id, rule])
+  );
+  const ruleIds = [...new Set(report.findings.map((finding) => finding.ruleId))];
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'kibana-plugin-dev',
+            rules: ruleIds.map((id) => {
+              const rule = definitions.get(id);
+              return {
+                id,
+                shortDescription: { text: rule.title },
+                defaultConfiguration: { level: rule.severity },
+                ...(rule.replacement && { help: { text: `Use ${rule.replacement}` } }),
+                ...(rule.since && { properties: { since: rule.since } }),
+              };
+            }),
+          },
+        },
+        originalUriBaseIds: {
+          PLUGIN_ROOT: { uri: pathToFileURL(`${report.pluginRoot}/`).href },
+        },
+        results: report.findings.map((finding) => ({
+          ruleId: finding.ruleId,
+          ruleIndex: ruleIds.indexOf(finding.ruleId),
+          level: finding.severity,
+          message: {
+            text: finding.replacement
+              ? `${finding.message}. Replacement: ${finding.replacement}`
+              : finding.message,
+          },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: finding.file, uriBaseId: 'PLUGIN_ROOT' },
+                region: { startLine: finding.line, startColumn: finding.column },
+              },
+            },
+          ],
+          ...(finding.targetVersion && { properties: { targetVersion: finding.targetVersion } }),
+        })),
+      },
+    ],
+  };
+}
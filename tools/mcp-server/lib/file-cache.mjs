@@ -0,0 +1,97 @@
+/**
+ * File Cache
+ *
+ * Per-file results that survive restarts of the MCP server. Each entry keeps
+ * the mtime of the file it was computed from and of the files it read on the
+ * way (imported constants, spread mappings), and is only reused while none
+ * of them changed. Entries of deleted files are pruned on save.
+ *
+ * Caches live in `KIBANA_MCP_CACHE_DIR`, or `~/.cache/kibana-plugin-dev-mcp`,
+ * one directory per Kibana checkout.
+ */
+
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+export function cacheDir(kibanaRoot) {
+  const base =
+    process.env.KIBANA_MCP_CACHE_DIR || path.join(os.homedir(), '.cache', 'kibana-plugin-dev-mcp');
+  const key = createHash('sha1').update(path.resolve(kibanaRoot)).digest('hex').slice(0, 12);
+  return path.join(base, key);
+}
+
+export class FileCache {
+  /**
+   * @param {string} file the JSON file the cache is stored in
+   * @param {number} version bump when the cached values change shape
+   */
+  constructor(file, version) {
+    this.file = file;
+    this.version = version;
+    this.entries = new Map();
+    this.loaded = false;
+    this.dirty = false;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      if (data.version === this.version) this.entries = new Map(Object.entries(data.entries));
+    } catch {
+      // No cache yet, or an unreadable one; it gets rebuilt
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.dirty = true;
+  }
+
+  /**
+   * The cached value for a file, if it and its dependencies still have the
+   * recorded mtimes. `mtimeOf` looks up the current mtime of a dependency.
+   */
+  get(key, mtimeMs, mtimeOf) {
+    const entry = this.entries.get(key);
+    const fresh =
+      entry?.mtimeMs === mtimeMs &&
+      Object.entries(entry.deps ?? {}).every(([dep, depMtime]) => mtimeOf(dep) === depMtime);
+    this.stats[fresh ? 'hits' : 'misses']++;
+    return fresh ? entry.value : undefined;
+  }
+
+  set(key, mtimeMs, value, deps = {}) {
+    this.entries.set(key, { mtimeMs, deps, value });
+    this.dirty = true;
+  }
+
+  /** Drops the entries of files that no longer exist. */
+  prune(keys) {
+    for (const key of this.entries.keys()) {
+      if (!keys.has(key)) {
+        this.entries.delete(key);
+        this.dirty = true;
+      }
+    }
+  }
+
+  save() {
+    if (!this.dirty) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    // Write and rename, so a crash never leaves half a cache behind
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    const data = { version: this.version, entries: Object.fromEntries(this.entries) };
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, this.file);
+    this.dirty = false;
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0 };
+  }
+}
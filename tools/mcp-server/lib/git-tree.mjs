@@ -0,0 +1,160 @@
+/**
+ * Git Tree
+ *
+ * A Kibana tree as of a git ref of the KIBANA_ROOT checkout, read straight
+ * from the object database: no worktree, no checkout. It resolves modules
+ * and owners like KibanaTree does, so the AST tools work on any version.
+ *
+ * Git runs through execFile with argument lists, never a shell; refs that
+ * look like options are refused.
+ */
+
+import { execFileSync } from 'child_process';
+import * as path from 'path';
+import { KibanaTree, isSkippedPath, parseJsonc } from './kibana-tree.mjs';
+
+const MAX_BUFFER = 512 * 1024 * 1024;
+const SOURCE_PATHSPECS = ['*.ts', '*.tsx'];
+
+export class GitError extends Error {}
+
+export function git(root, args, options = {}) {
+  try {
+    return execFileSync('git', ['-C', root, ...args], {
+      encoding: 'utf-8',
+      maxBuffer: MAX_BUFFER,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      ...options,
+    });
+  } catch (error) {
+    // git grep exits with 1 when nothing matches
+    if (error.status === 1 && args[0] === 'grep') return '';
+    throw new GitError(String(error.stderr || error.message).trim());
+  }
+}
+
+/**
+ * The commit a version or ref points at: `8.15.0` tries the `v8.15.0` tag
+ * first, anything else is taken as a ref. Null when nothing matches.
+ */
+export function resolveRef(root, ref) {
+  if (!ref || ref.startsWith('-') || /\s/.test(ref)) {
+    throw new GitError(`Invalid git ref [${ref}]`);
+  }
+  const candidates = /^\d+\.\d+(\.\d+)?$/.test(ref) ? [`v${ref}`, ref] : [ref];
+  for (const candidate of candidates) {
+    try {
+      const commit = git(root, [
+        'rev-parse',
+        '--verify',
+        '--quiet',
+        `${candidate}^{commit}`,
+      ]).trim();
+      if (commit) return { ref: candidate, commit };
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/** Release tags (`v8.15.0`) sorted by version; prereleases are left out. */
+export function releaseTags(root) {
+  return git(root, ['tag', '--list', 'v[0-9]*'])
+    .split('\n')
+    .map((tag) => ({ tag, version: parseVersion(tag) }))
+    .filter(({ version }) => version)
+    .sort((a, b) => compareVersions(a.version, b.version));
+}
+
+export function parseVersion(text) {
+  const match = /^v?(\d+)\.(\d+)\.(\d+)$/.exec(String(text ?? '').trim());
+  return match ? match.slice(1).map(Number) : null;
+}
+
+export const compareVersions = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+/**
+ * The source files containing a word, at a commit or (without one) in the
+ * working tree. The word is passed to git as a fixed string.
+ */
+export function grepFiles(root, word, commit) {
+  const output = git(root, [
+    'grep',
+    '-l',
+    '-w',
+    '-F',
+    '-e',
+    word,
+    // Without a commit, new files that aren't committed yet count too
+    ...(commit ? [commit] : ['--untracked']),
+    '--',
+    ...SOURCE_PATHSPECS,
+  ]);
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => (commit ? line.slice(commit.length + 1) : line))
+    .filter((relative) => !isSkippedPath(relative));
+}
+
+export class GitTree extends KibanaTree {
+  constructor(root, commit) {
+    super(root);
+    this.commit = commit;
+    this.contents = new Map();
+    this.files = new Set(
+      git(this.root, ['ls-tree', '-r', '--name-only', '-z', commit]).split('\0').filter(Boolean)
+    );
+    this.loadManifests();
+  }
+
+  isFile(file) {
+    return this.files.has(this.relative(file));
+  }
+
+  readFile(file) {
+    const relative = this.relative(file);
+    if (!this.contents.has(relative)) this.prefetch([relative]);
+    const text = this.contents.get(relative);
+    if (text === undefined) throw new GitError(`${relative} does not exist at ${this.commit}`);
+    return text;
+  }
+
+  /** Reads many files with one `git cat-file --batch`. */
+  prefetch(relatives) {
+    const wanted = relatives.filter((relative) => this.files.has(relative));
+    if (!wanted.length) return;
+    const output = execFileSync('git', ['-C', this.root, 'cat-file', '--batch'], {
+      input: wanted.map((relative) => `${this.commit}:${relative}`).join('\n') + '\n',
+      maxBuffer: MAX_BUFFER,
+    });
+    let offset = 0;
+    for (const relative of wanted) {
+      const headerEnd = output.indexOf(10, offset);
+      const header = output.toString('utf-8', offset, headerEnd);
+      const [, type, size] = header.split(' ');
+      offset = headerEnd + 1;
+      if (type !== 'blob') continue;
+      this.contents.set(relative, output.toString('utf-8', offset, offset + Number(size)));
+      offset += Number(size) + 1;
+    }
+  }
+
+  // `@kbn/*` ids for resolution, from every kibana.jsonc at the commit
+  loadManifests() {
+    const manifests = [...this.files].filter(
+      (relative) => path.posix.basename(relative) === 'kibana.jsonc' && !isSkippedPath(relative)
+    );
+    this.prefetch(manifests);
+    for (const relative of manifests) {
+      try {
+        const { id } = parseJsonc(relative, this.contents.get(relative));
+        if (id) this.packageDirs.set(id, path.join(this.root, path.posix.dirname(relative)));
+      } catch {
+        // Same as in the working tree: only the fallback is lost
+      }
+      this.contents.delete(relative);
+    }
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * Kibana Tree
+ *
+ * Walks the TypeScript sources of a Kibana checkout and answers the questions
+ * the source tools keep asking about a file:
+ * - which plugin or package owns it (nearest `kibana.jsonc` or `kibana.json`)
+ * - what an import specifier points at, relative or `@kbn/*` (through the
+ *   `paths` of `tsconfig.base.json`, then the ids of the `kibana.jsonc`
+ *   manifests found while walking)
+ *
+ * Tests, fixtures, mocks, stories, declaration files and build output are
+ * skipped; they register types and export symbols that don't ship.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import ts from 'typescript';
+
+export const SOURCE_DIRS = ['src', 'x-pack', 'packages', 'examples'];
+
+const SKIP_DIRS = new Set([
+  '.git',
+  '__fixtures__',
+  '__mocks__',
+  '__snapshots__',
+  '__stories__',
+  'build',
+  'cypress',
+  'fixtures',
+  'ftr_e2e',
+  'node_modules',
+  'target',
+  'test',
+]);
+const SKIP_FILES = /\.(test|mock|mocks|stories)\.tsx?$|\.d\.ts$/;
+const SOURCE_EXTENSIONS = ['.ts', '.tsx'];
+const RESOLVE_EXTENSIONS = [
+  '',
+  '.ts',
+  '.tsx',
+  '.js',
+  '.mjs',
+  '/index.ts',
+  '/index.tsx',
+  '/index.js',
+];
+const MANIFESTS = ['kibana.jsonc', 'kibana.json'];
+
+/** Whether a path relative to the tree is in a directory or file the walk skips. */
+export function isSkippedPath(relative) {
+  const segments = relative.split('/');
+  return SKIP_FILES.test(segments.pop()) || segments.some((segment) => SKIP_DIRS.has(segment));
+}
+
+/** Parses JSON with comments and trailing commas, like Kibana's manifests. */
+export function parseJsonc(file, text) {
+  const { config, error } = ts.parseConfigFileTextToJson(file, text);
+  if (error)
+    throw new Error(`${file}: ${ts.flattenDiagnosticMessageText(error.messageText, '\n')}`);
+  return config;
+}
+
+/** Runs an async function over items, a few at a time. */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export class KibanaTree {
+  constructor(root) {
+    this.root = path.resolve(root);
+    this.owners = new Map();
+    this.packageDirs = new Map();
+    this.paths = null;
+  }
+
+  relative(file) {
+    return path.relative(this.root, file).split(path.sep).join('/');
+  }
+
+  // File access goes through these, so other trees (a git ref) can be read too
+
+  readFile(file) {
+    return fs.readFileSync(file, 'utf-8');
+  }
+
+  isFile(file) {
+    try {
+      return fs.statSync(file).isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  readJsonc(file) {
+    return parseJsonc(file, this.readFile(file));
+  }
+
+  // ─── Walking ─────────────────────────────────────────────────────
+
+  /**
+   * Every TypeScript source file with its mtime, as a Map of absolute path →
+   * mtimeMs. Package manifests found on the way feed `@kbn/*` resolution.
+   */
+  async sourceFiles({ dirs = SOURCE_DIRS } = {}) {
+    const files = new Map();
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      const sources = [];
+      for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!SKIP_DIRS.has(entry.name)) await walk(full);
+        } else if (entry.name === 'kibana.jsonc') {
+          this.registerManifest(full);
+        } else if (
+          SOURCE_EXTENSIONS.includes(path.extname(entry.name)) &&
+          !SKIP_FILES.test(entry.name)
+        ) {
+          sources.push(full);
+        }
+      }
+      await mapConcurrent(sources, 32, async (file) => {
+        const stat = await fs.promises.stat(file);
+        files.set(file, stat.mtimeMs);
+      });
+    };
+    for (const dir of dirs) await walk(path.join(this.root, dir));
+    return files;
+  }
+
+  registerManifest(file) {
+    try {
+      const { id } = this.readJsonc(file);
+      if (id) this.packageDirs.set(id, path.dirname(file));
+    } catch {
+      // A broken manifest only costs us a resolution fallback
+    }
+  }
+
+  // ─── Ownership ───────────────────────────────────────────────────
+
+  /**
+   * The plugin or package a file belongs to: `{ id, package, dir }`, where
+   * `id` is the plugin id for plugins and the package id otherwise.
+   */
+  ownerOf(file) {
+    let dir = path.dirname(path.resolve(file));
+    const visited = [];
+    let owner = null;
+    while (dir.startsWith(this.root)) {
+      if (this.owners.has(dir)) {
+        owner = this.owners.get(dir);
+        break;
+      }
+      visited.push(dir);
+      owner = this.readOwner(dir);
+      if (owner || dir === this.root) break;
+      dir = path.dirname(dir);
+    }
+    for (const visitedDir of visited) this.owners.set(visitedDir, owner);
+    return owner;
+  }
+
+  readOwner(dir) {
+    for (const name of MANIFESTS) {
+      const file = path.join(dir, name);
+      if (!this.isFile(file)) continue;
+      try {
+        const manifest = this.readJsonc(file);
+        // kibana.json (legacy) only has the plugin id
+        return {
+          id: manifest.plugin?.id ?? manifest.id,
+          package: name === 'kibana.jsonc' ? manifest.id : undefined,
+          dir: this.relative(dir),
+        };
+      } catch {
+        return { id: this.relative(dir), dir: this.relative(dir) };
+      }
+    }
+    return null;
+  }
+
+  // ─── Module Resolution ───────────────────────────────────────────
+
+  /** The file an import specifier resolves to, or null (node_modules, assets). */
+  resolveModule(fromFile, specifier) {
+    if (specifier.startsWith('.')) {
+      return this.resolveFile(path.resolve(path.dirname(fromFile), specifier));
+    }
+    if (!specifier.startsWith('@kbn/')) return null;
+    for (const target of this.pathTargets(specifier)) {
+      const resolved = this.resolveFile(path.join(this.root, target));
+      if (resolved) return resolved;
+    }
+    const [scope, name, ...rest] = specifier.split('/');
+    const dir = this.packageDirs.get(`${scope}/${name}`);
+    return dir ? this.resolveFile(path.join(dir, ...rest)) : null;
+  }
+
+  resolveFile(base) {
+    for (const extension of RESOLVE_EXTENSIONS) {
+      if (this.isFile(base + extension)) return base + extension;
+    }
+    return null;
+  }
+
+  // `compilerOptions.paths` of tsconfig.base.json, with `*` patterns expanded
+  pathTargets(specifier) {
+    if (!this.paths) {
+      try {
+        const tsconfig = this.readJsonc(path.join(this.root, 'tsconfig.base.json'));
+        this.paths = tsconfig.compilerOptions?.paths;
+      } catch {
+        // Older and newer checkouts don't always have it
+      }
+      this.paths ??= {};
+    }
+    if (this.paths[specifier]) return this.paths[specifier];
+    for (const [pattern, targets] of Object.entries(this.paths)) {
+      if (!pattern.endsWith('/*') || !specifier.startsWith(pattern.slice(0, -1))) continue;
+      const rest = specifier.slice(pattern.length - 1);
+      return targets.map((target) => target.replace('*', rest));
+    }
+    return [];
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Saved Object Types
+ *
+ * Finds the saved object types defined in a Kibana tree: object literals with
+ * the `name`, `namespaceType` and `mappings` a `SavedObjectsType` needs,
+ * wherever they are (inline in `registerType()`, exported constants, factory
+ * functions). Their properties are evaluated statically, so names from
+ * shared constants and mappings from helpers come out as real values.
+ *
+ * Results are cached per file and reused until the file or anything it
+ * imported for the evaluation changes.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import ts from 'typescript';
+import { FileCache, cacheDir } from './file-cache.mjs';
+import { mapConcurrent } from './kibana-tree.mjs';
+import {
+  FunctionValue,
+  ModuleGraph,
+  PARTIAL,
+  lineOf,
+  propertyName,
+  toPlainValue,
+} from './ts-ast.mjs';
+
+// Bump when the shape of a type record changes
+const CACHE_VERSION = 1;
+const REQUIRED_PROPERTIES = ['name', 'namespaceType', 'mappings'];
+
+export function createTypeCache(kibanaRoot) {
+  return new FileCache(path.join(cacheDir(kibanaRoot), 'saved-object-types.json'), CACHE_VERSION);
+}
+
+// ─── Extraction ────────────────────────────────────────────────────
+
+function findCandidates(sourceFile) {
+  const candidates = [];
+  const visit = (node) => {
+    if (ts.isObjectLiteralExpression(node)) {
+      const names = new Map(
+        node.properties
+          .filter((property) => !ts.isSpreadAssignment(property))
+          .map((property) => [propertyName(property.name), property])
+      );
+      if (REQUIRED_PROPERTIES.every((name) => names.has(name))) {
+        candidates.push({ node, nameProperty: names.get('name') });
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return candidates;
+}
+
+// Mapping properties as a flat list of `{ field, type }`, multi-fields included
+function flattenMappings(mappings) {
+  if (!mappings || typeof mappings !== 'object') return null;
+  const fields = [];
+  let partial = Boolean(mappings[PARTIAL]);
+  const walk = (properties, prefix) => {
+    if (!properties || typeof properties !== 'object') {
+      partial = true;
+      return;
+    }
+    if (properties[PARTIAL]) partial = true;
+    for (const [key, definition] of Object.entries(properties)) {
+      const field = `${prefix}${key}`;
+      if (!definition || typeof definition !== 'object') {
+        fields.push({ field, type: '[unresolved]' });
+        continue;
+      }
+      const type = definition.type ?? (definition.properties ? 'object' : undefined);
+      fields.push({ field, type: toPlainValue(type) });
+      if (definition.properties) walk(definition.properties, `${field}.`);
+      for (const [name, multiField] of Object.entries(definition.fields ?? {})) {
+        fields.push({ field: `${field}.${name}`, type: toPlainValue(multiField?.type) });
+      }
+    }
+  };
+  walk(mappings.properties, '');
+  return {
+    dynamic: toPlainValue(mappings.dynamic),
+    fields,
+    // Some fields come from spreads or helpers that couldn't be evaluated
+    ...(partial && { partial: true }),
+  };
+}
+
+function countModelVersions(graph, modelVersions) {
+  if (modelVersions === undefined) return 0;
+  // A SavedObjectsModelVersionMapProvider
+  const map = modelVersions instanceof FunctionValue ? graph.invoke(modelVersions) : modelVersions;
+  return map && typeof map === 'object' && !map[PARTIAL] ? Object.keys(map).length : null;
+}
+
+function describeType(graph, tree, file, { node, nameProperty }, module) {
+  const value = graph.evaluate(node, module);
+  const owner = tree.ownerOf(file);
+  const name = value.name;
+  return {
+    name: typeof name === 'string' ? name : null,
+    // The expression, when the name is only known at runtime
+    ...(typeof name !== 'string' &&
+      ts.isPropertyAssignment(nameProperty) && {
+        nameExpression: nameProperty.initializer.getText(),
+      }),
+    plugin: owner?.id ?? null,
+    file: tree.relative(file),
+    line: lineOf(nameProperty),
+    hidden: value.hidden === undefined ? false : toPlainValue(value.hidden),
+    namespaceType: toPlainValue(value.namespaceType),
+    ...(value.indexPattern !== undefined && { indexPattern: toPlainValue(value.indexPattern) }),
+    management: value.management === undefined ? null : toPlainValue(value.management),
+    mappings: flattenMappings(value.mappings),
+    modelVersions: countModelVersions(graph, value.modelVersions),
+  };
+}
+
+function extractTypes(graph, tree, file, text) {
+  // Most files can't define a type; skip parsing them
+  if (!text.includes('namespaceType')) return { types: [], deps: {} };
+  graph.track();
+  const module = graph.module(file, text);
+  const types = module.sourceFile
+    ? findCandidates(module.sourceFile).map((candidate) =>
+        describeType(graph, tree, file, candidate, module)
+      )
+    : [];
+  const deps = {};
+  for (const dep of graph.track()) {
+    if (dep === file) continue;
+    try {
+      deps[tree.relative(dep)] = fs.statSync(dep).mtimeMs;
+    } catch {
+      // Gone already; the next scan misses the cache anyway
+    }
+  }
+  return { types, deps };
+}
+
+// ─── Scanning ──────────────────────────────────────────────────────
+
+/**
+ * All saved object types in the tree, sorted by name. `refresh` ignores the
+ * cache; `cache` reports how many files were reused.
+ */
+export async function scanSavedObjectTypes(tree, cache, { refresh = false } = {}) {
+  cache.load();
+  if (refresh) cache.clear();
+  cache.resetStats();
+
+  const files = await tree.sourceFiles();
+  const mtimes = new Map([...files].map(([file, mtimeMs]) => [tree.relative(file), mtimeMs]));
+  const mtimeOf = (relative) => {
+    if (mtimes.has(relative)) return mtimes.get(relative);
+    try {
+      return fs.statSync(path.join(tree.root, relative)).mtimeMs;
+    } catch {
+      return null;
+    }
+  };
+
+  const results = new Map();
+  const stale = [];
+  for (const [file, mtimeMs] of files) {
+    const cached = cache.get(tree.relative(file), mtimeMs, mtimeOf);
+    if (cached) results.set(file, cached);
+    else stale.push(file);
+  }
+
+  const graph = new ModuleGraph(tree);
+  await mapConcurrent(stale, 16, async (file) => {
+    const text = await fs.promises.readFile(file, 'utf-8');
+    const { types, deps } = extractTypes(graph, tree, file, text);
+    cache.set(tree.relative(file), files.get(file), types, deps);
+    results.set(file, types);
+  });
+
+  cache.prune(new Set(mtimes.keys()));
+  cache.save();
+
+  const types = [...results.values()]
+    .flat()
+    .sort((a, b) => (a.name ?? '').localeCompare(b.name ?? '') || a.file.localeCompare(b.file));
+  return { types, scannedFiles: files.size, cache: { ...cache.stats } };
+}
@@ -0,0 +1,495 @@
+/**
+ * Source Index
+ *
+ * A persistent index of a Kibana tree, built on first use and refreshed
+ * incrementally by file mtime. For every TypeScript source it keeps:
+ * - the exported symbols with their kind, line and `@deprecated` note
+ * - re-exports and `export *`, so `@kbn/*` entry points can be expanded into
+ *   the symbols they make public
+ * - the import specifiers, which make up the import graph
+ * - the identifiers in the file, an inverted index that narrows content
+ *   searches down to the files that can match before any file is read
+ *
+ * Nothing shells out: queries are matched in process, and regular
+ * expressions only ever run against file lines.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import ts from 'typescript';
+import { FileCache, cacheDir } from './file-cache.mjs';
+import { mapConcurrent } from './kibana-tree.mjs';
+import { collectBindings, deprecationOf, lineOf, parseSource, symbolKind } from './ts-ast.mjs';
+
+// Bump when the shape of a file record changes
+const CACHE_VERSION = 1;
+// Walk the tree again at most this often; in between the index is reused
+const REFRESH_INTERVAL = 30_000;
+// Generated bundles and fixtures aren't worth indexing
+const MAX_FILE_SIZE = 1024 * 1024;
+const TOKEN_PATTERN = /[\w$]{3,}/g;
+// Entry points of a package or plugin, relative to its directory
+const ENTRY_POINTS = ['', 'server', 'public', 'common'];
+
+export const SYMBOL_KINDS = [
+  'function',
+  'class',
+  'interface',
+  'type',
+  'enum',
+  'variable',
+  'namespace',
+];
+
+export class SourceIndexError extends Error {}
+
+export function createSourceIndex(tree) {
+  const cache = new FileCache(path.join(cacheDir(tree.root), 'source-index.json'), CACHE_VERSION);
+  return new SourceIndex(tree, cache);
+}
+
+// ─── File Records ──────────────────────────────────────────────────
+
+/**
+ * What the index keeps of a file: `{ plugin, exports, reexports, stars,
+ * imports, tokens }`. Exports are the symbols declared in the file; the
+ * ones passed through from other modules are reexports.
+ */
+export function indexFile(file, text, owner) {
+  const record = {
+    plugin: owner?.id ?? null,
+    ...(owner?.package && owner.package !== owner.id && { package: owner.package }),
+    exports: [],
+    reexports: [],
+    stars: [],
+    imports: [],
+    tokens: [...new Set(text.match(TOKEN_PATTERN))].join(' '),
+  };
+  if (!/\b(import|export)\b/.test(text)) return record;
+
+  const sourceFile = parseSource(file, text);
+  const { locals, exports, stars } = collectBindings(sourceFile);
+  record.stars = stars;
+  for (const [name, exported] of exports) {
+    if (exported.kind === 'expr') {
+      record.exports.push({ name, kind: 'variable', line: lineOf(exported.node) });
+      continue;
+    }
+    const binding = exported.kind === 'import' ? exported : locals.get(exported.name);
+    if (!binding) continue;
+    if (binding.kind === 'import') {
+      record.reexports.push({ name, from: binding.specifier, imported: binding.name });
+      continue;
+    }
+    const deprecated = deprecationOf(binding.node);
+    record.exports.push({
+      name,
+      kind: symbolKind(binding),
+      line: lineOf(binding.node),
+      ...(deprecated !== undefined && { deprecated }),
+    });
+  }
+
+  const imports = new Set();
+  for (const statement of sourceFile.statements) {
+    const specifier = statement.moduleSpecifier;
+    if (specifier && ts.isStringLiteral(specifier)) imports.add(specifier.text);
+  }
+  // Lazy `import('...')` calls
+  for (const match of text.matchAll(/\bimport\(\s*['"]([^'"]+)['"]\s*\)/g)) imports.add(match[1]);
+  record.imports = [...imports];
+  return record;
+}
+
+// ─── Queries ───────────────────────────────────────────────────────
+
+function compileQuery(query, { regex = false, caseSensitive = true } = {}) {
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try {
+    return new RegExp(source, caseSensitive ? '' : 'i');
+  } catch (error) {
+    throw new SourceIndexError(error.message);
+  }
+}
+
+// `*` matches within a path segment, `**` across them; patterns without a
+// `/` match the file name
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/?|\*|\?/g, (token) =>
+      token === '?' ? '[^/]' : token === '*' ? '[^/]*' : '(.*/)?'
+    );
+  return new RegExp(`${glob.includes('/') ? '^' : '(^|/)'}${source}$`);
+}
+
+const splitTopLevel = (source) => {
+  const branches = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') i++;
+    else if (char === '[') i = closingBracket(source, i);
+    else if (char === '(') depth++;
+    else if (char === ')') depth--;
+    else if (char === '|' && depth === 0) {
+      branches.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+  return [...branches, source.slice(start)];
+};
+
+function closingBracket(source, open) {
+  for (let i = open + 1; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === ']') return i;
+  }
+  return source.length;
+}
+
+function closingBrace(source, open) {
+  const close = source.indexOf('}', open);
+  return close === -1 ? source.length : close;
+}
+
+function closingParen(source, open) {
+  let depth = 0;
+  for (let i = open; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === '[') i = closingBracket(source, i);
+    else if (source[i] === '(') depth++;
+    else if (source[i] === ')' && --depth === 0) return i;
+  }
+  return source.length;
+}
+
+/**
+ * The identifier fragments every match of a regular expression contains,
+ * as `[[...]]`: one list per top-level alternative. An alternative without
+ * fragments yields null, since then any file can match.
+ */
+function requiredFragments(source) {
+  const branches = splitTopLevel(source).map((branch) => {
+    const fragments = [];
+    let literal = '';
+    const flush = () => {
+      fragments.push(...(literal.match(TOKEN_PATTERN) ?? []));
+      literal = '';
+    };
+    for (let i = 0; i < branch.length; i++) {
+      const char = branch[i];
+      const next = branch[i + 1];
+      if (char === '\\') {
+        // `\d`, `\b`, `\1` and friends aren't literal
+        if (/[A-Za-z0-9]/.test(next ?? 'a')) flush();
+        else literal += next;
+        i++;
+      } else if (char === '[') {
+        flush();
+        i = closingBracket(branch, i);
+      } else if (char === '(') {
+        flush();
+        const close = closingParen(branch, i);
+        const inner = branch.slice(i + 1, close).replace(/^\?(:|<(?![=!])[^>]*>)/, '');
+        const optional = /^[?*]|^\{0/.test(branch.slice(close + 1));
+        const group = !optional && !inner.startsWith('?') && requiredFragments(inner);
+        if (group?.length === 1) fragments.push(...group[0]);
+        i = close;
+      } else if (char === '?' || char === '*' || (char === '{' && next === '0')) {
+        // The previous character is optional
+        literal = literal.slice(0, -1);
+        flush();
+        if (char === '{') i = closingBrace(branch, i);
+      } else if ('+.^${}'.includes(char)) {
+        flush();
+        if (char === '{') i = closingBrace(branch, i);
+      } else {
+        literal += char;
+      }
+    }
+    flush();
+    return fragments;
+  });
+  return branches.some((fragments) => !fragments.length) ? null : branches;
+}
+
+// ─── Index ─────────────────────────────────────────────────────────
+
+export class SourceIndex {
+  constructor(tree, cache) {
+    this.tree = tree;
+    this.cache = cache;
+    this.records = new Map();
+    this.refreshedAt = 0;
+    this.built = false;
+  }
+
+  /**
+   * Brings the index up to date: walks the tree and re-indexes the files
+   * whose mtime changed. Skipped while the last walk is recent, unless forced.
+   */
+  async update({ force = false, rebuild = false } = {}) {
+    if (!force && !rebuild && Date.now() - this.refreshedAt < REFRESH_INTERVAL) return;
+    this.cache.load();
+    if (rebuild) this.cache.clear();
+    this.cache.resetStats();
+
+    const files = await this.tree.sourceFiles();
+    const stale = [];
+    const records = new Map();
+    for (const [file, mtimeMs] of files) {
+      const relative = this.tree.relative(file);
+      const record = this.cache.get(relative, mtimeMs, () => null);
+      if (record) records.set(relative, record);
+      else stale.push(file);
+    }
+
+    await mapConcurrent(stale, 16, async (file) => {
+      const relative = this.tree.relative(file);
+      const stat = await fs.promises.stat(file);
+      const text = stat.size > MAX_FILE_SIZE ? '' : await fs.promises.readFile(file, 'utf-8');
+      const record = indexFile(file, text, this.tree.ownerOf(file));
+      this.cache.set(relative, files.get(file), record);
+      records.set(relative, record);
+    });
+
+    const removed = [...this.records.keys()].some((relative) => !records.has(relative));
+    this.cache.prune(new Set(records.keys()));
+    this.cache.save();
+    this.refreshedAt = Date.now();
+    if (stale.length || removed || !this.built) {
+      this.records = records;
+      this.build();
+    }
+  }
+
+  stats() {
+    return { files: this.records.size, ...this.cache.stats };
+  }
+
+  // In-memory lookups derived from the records
+  build() {
+    this.files = [...this.records.keys()];
+    this.postings = new Map();
+    this.symbols = [];
+    this.importers = new Map();
+    this.files.forEach((relative, fileId) => {
+      const record = this.records.get(relative);
+      for (const token of record.tokens ? record.tokens.split(' ') : []) {
+        let posting = this.postings.get(token);
+        if (!posting) this.postings.set(token, (posting = []));
+        posting.push(fileId);
+      }
+      for (const symbol of record.exports) {
+        this.symbols.push({ ...symbol, file: relative, plugin: record.plugin });
+      }
+      for (const specifier of record.imports) {
+        if (!this.importers.has(specifier)) this.importers.set(specifier, []);
+        this.importers.get(specifier).push(relative);
+      }
+    });
+    this.terms = [...this.postings.keys()];
+    this.exportMaps = new Map();
+    this.publicPaths = null;
+    this.built = true;
+  }
+
+  inScope(relative, { plugin, filePattern } = {}) {
+    const record = this.records.get(relative);
+    if (plugin && record.plugin !== plugin && record.package !== plugin) return false;
+    return !filePattern || globToRegExp(filePattern).test(relative);
+  }
+
+  // ─── Exports ─────────────────────────────────────────────────────
+
+  /**
+   * Everything a file exports, re-exports followed: a Map of exported name →
+   * `{ file, name, symbol }` where the symbol is declared. Namespace re-exports
+   * (`export * as ns`) point at the module with `name: '*'`.
+   */
+  exportsOf(relative, seen = new Set()) {
+    if (this.exportMaps.has(relative)) return this.exportMaps.get(relative);
+    const exported = new Map();
+    const record = this.records.get(relative);
+    if (!record || seen.has(relative)) return exported;
+    seen.add(relative);
+
+    const resolve = (specifier) => {
+      const file = this.tree.resolveModule(path.join(this.tree.root, relative), specifier);
+      return file && this.tree.relative(file);
+    };
+    for (const specifier of record.stars) {
+      const target = resolve(specifier);
+      if (!target) continue;
+      for (const [name, origin] of this.exportsOf(target, seen)) {
+        if (name !== 'default') exported.set(name, origin);
+      }
+    }
+    for (const { name, from, imported } of record.reexports) {
+      const target = resolve(from);
+      if (!target) continue;
+      const origin =
+        imported === '*' ? { file: target, name: '*' } : this.exportsOf(target, seen).get(imported);
+      if (origin) exported.set(name, origin);
+    }
+    for (const symbol of record.exports) {
+      exported.set(symbol.name, { file: relative, name: symbol.name, symbol });
+    }
+    seen.delete(relative);
+    this.exportMaps.set(relative, exported);
+    return exported;
+  }
+
+  /**
+   * The `@kbn/*` entry points of the tree: id, directory and entry files,
+   * e.g. `@kbn/dashboard-plugin/public` → `src/plugins/dashboard/public/index.ts`.
+   */
+  packageEntries() {
+    const entries = [];
+    for (const [id, dir] of this.tree.packageDirs) {
+      for (const entry of ENTRY_POINTS) {
+        const file = this.tree.resolveFile(path.join(dir, entry, 'index'));
+        if (file)
+          entries.push({
+            importPath: entry ? `${id}/${entry}` : id,
+            file: this.tree.relative(file),
+          });
+      }
+    }
+    return entries;
+  }
+
+  /** The import paths a symbol is public under, as `{ from, name }`. */
+  publicPathsOf(relative, name) {
+    if (!this.publicPaths) {
+      this.publicPaths = new Map();
+      for (const { importPath, file } of this.packageEntries()) {
+        for (const [exportedName, origin] of this.exportsOf(file)) {
+          const key = `${origin.file}\0${origin.name}`;
+          if (!this.publicPaths.has(key)) this.publicPaths.set(key, []);
+          this.publicPaths.get(key).push({ from: importPath, name: exportedName });
+        }
+      }
+    }
+    return this.publicPaths.get(`${relative}\0${name}`) ?? [];
+  }
+
+  /** The files importing a specifier, or anything below it (`@kbn/x/server`). */
+  importersOf(specifier) {
+    const files = [];
+    for (const [imported, importers] of this.importers) {
+      if (imported === specifier || imported.startsWith(`${specifier}/`)) files.push(...importers);
+    }
+    return [...new Set(files)];
+  }
+
+  // ─── Search ──────────────────────────────────────────────────────
+
+  /**
+   * Exported symbols whose name matches the query (a substring, or a regular
+   * expression), exact matches first. Filters: `kinds`, `plugin`,
+   * `deprecated`, `filePattern`.
+   */
+  searchSymbols(
+    query,
+    { regex = false, kinds, plugin, filePattern, deprecated, offset = 0, limit = 20 } = {}
+  ) {
+    const pattern = compileQuery(query, { regex, caseSensitive: false });
+    const unknown = (kinds ?? []).filter((kind) => !SYMBOL_KINDS.includes(kind));
+    if (unknown.length) {
+      throw new SourceIndexError(
+        `Unknown symbol kind [${unknown}], expected one of [${SYMBOL_KINDS}]`
+      );
+    }
+    const rank = (symbol) =>
+      symbol.name === query ? 0 : symbol.name.toLowerCase() === query.toLowerCase() ? 1 : 2;
+    const matches = this.symbols
+      .filter(
+        (symbol) =>
+          pattern.test(symbol.name) &&
+          (!kinds?.length || kinds.includes(symbol.kind)) &&
+          (deprecated === undefined || Boolean(symbol.deprecated) === deprecated) &&
+          this.inScope(symbol.file, { plugin, filePattern })
+      )
+      .sort(
+        (a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name) || a.file.localeCompare(b.file)
+      );
+    return {
+      total: matches.length,
+      symbols: matches.slice(offset, offset + limit).map((symbol) => ({
+        ...symbol,
+        importPaths: this.publicPathsOf(symbol.file, symbol.name),
+      })),
+    };
+  }
+
+  // The ids of the files that can match, or null when any can
+  candidateFiles(query, { regex, caseSensitive }) {
+    const branches = regex
+      ? requiredFragments(query)
+      : [query.match(TOKEN_PATTERN) ?? []].filter((fragments) => fragments.length);
+    if (!branches?.length) return null;
+    const candidates = new Set();
+    for (const fragments of branches) {
+      let files = null;
+      for (const fragment of fragments) {
+        const needle = caseSensitive ? fragment : fragment.toLowerCase();
+        const matching = new Set();
+        for (const term of this.terms) {
+          if ((caseSensitive ? term : term.toLowerCase()).includes(needle)) {
+            for (const fileId of this.postings.get(term)) matching.add(fileId);
+          }
+        }
+        files = files ? new Set([...files].filter((fileId) => matching.has(fileId))) : matching;
+        if (!files.size) break;
+      }
+      for (const fileId of files) candidates.add(fileId);
+    }
+    return [...candidates].sort((a, b) => a - b);
+  }
+
+  /**
+   * Lines matching a query (literal text or a regular expression), in file
+   * order. Stops reading once the requested page is complete.
+   */
+  async searchContent(
+    query,
+    { regex = false, caseSensitive = true, plugin, filePattern, offset = 0, limit = 10 } = {}
+  ) {
+    const pattern = compileQuery(query, { regex, caseSensitive });
+    const candidates = this.candidateFiles(query, { regex, caseSensitive });
+    const fileIds = candidates ?? this.files.map((_, fileId) => fileId);
+    const scoped = fileIds.filter((fileId) =>
+      this.inScope(this.files[fileId], { plugin, filePattern })
+    );
+
+    const matches = [];
+    let filesRead = 0;
+    for (const fileId of scoped) {
+      if (matches.length > offset + limit) break;
+      const relative = this.files[fileId];
+      let text;
+      try {
+        text = await fs.promises.readFile(path.join(this.tree.root, relative), 'utf-8');
+      } catch {
+        continue;
+      }
+      filesRead++;
+      text.split('\n').forEach((line, index) => {
+        if (pattern.test(line)) {
+          matches.push({ file: relative, line: index + 1, content: line.trim().slice(0, 300) });
+        }
+      });
+    }
+    const hasMore = matches.length > offset + limit;
+    return {
+      matches: matches.slice(offset, offset + limit),
+      hasMore,
+      ...(hasMore && { nextOffset: offset + limit }),
+      candidateFiles: scoped.length,
+      filesRead,
+    };
+  }
+}
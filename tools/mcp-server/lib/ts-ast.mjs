@@ -0,0 +1,635 @@
+/**
+ * TypeScript AST
+ *
+ * Parses Kibana sources with the TypeScript compiler (no type checking) and
+ * evaluates the constant parts of them, following imports across the tree:
+ *
+ *   import { DASHBOARD_TYPE } from '../../common/constants';
+ *   export const type = { name: DASHBOARD_TYPE, mappings: getMappings() };
+ *
+ * evaluates to `{ name: 'dashboard', mappings: { ... } }`. Literals, template
+ * strings, `+`, enums, object and array spreads, property access, `as` and
+ * `satisfies`, and calls of functions that only compute a return value are
+ * followed. Anything else (runtime values, classes, loops) evaluates to
+ * UNRESOLVED, and functions that aren't called to a FunctionValue.
+ */
+
+import ts from 'typescript';
+
+const SK = ts.SyntaxKind;
+const MAX_DEPTH = 100;
+const EMPTY_SCOPE = new Map();
+
+const isScript = (file) => /\.(ts|tsx|js|mjs)$/.test(file);
+
+export const UNRESOLVED = Symbol('unresolved');
+// Set on objects and arrays with spreads or keys that couldn't be evaluated
+export const PARTIAL = Symbol('partial');
+
+export class FunctionValue {
+  constructor(node, module, scope) {
+    this.node = node;
+    this.module = module;
+    this.scope = scope;
+  }
+}
+
+class Namespace {
+  constructor(module) {
+    this.module = module;
+  }
+}
+
+// ─── Parsing ───────────────────────────────────────────────────────
+
+export function parseSource(file, text) {
+  const kind = file.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
+  return ts.createSourceFile(file, text, ts.ScriptTarget.Latest, true, kind);
+}
+
+/** The 1-based line a node starts on. */
+export function lineOf(node) {
+  const sourceFile = node.getSourceFile();
+  return sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1;
+}
+
+/** The static name of a property, or undefined for computed names. */
+export function propertyName(name) {
+  if (!name) return undefined;
+  if (ts.isIdentifier(name) || ts.isPrivateIdentifier(name)) return name.text;
+  if (ts.isStringLiteralLike(name) || ts.isNumericLiteral(name)) return name.text;
+  return undefined;
+}
+
+/** The note of a `@deprecated` JSDoc tag, true for a bare tag, or undefined. */
+export function deprecationOf(node) {
+  const tag = ts.getJSDocDeprecatedTag(node);
+  return tag ? (ts.getTextOfJSDocComment(tag.comment)?.trim() ?? true) : undefined;
+}
+
+/** The kind of a declared binding; `const` arrow functions count as functions. */
+export function symbolKind(binding) {
+  if (!['const', 'let', 'var'].includes(binding.kind)) return binding.kind;
+  let init = binding.init;
+  while (init && (ts.isAsExpression(init) || ts.isParenthesizedExpression(init))) {
+    init = init.expression;
+  }
+  return init && (ts.isArrowFunction(init) || ts.isFunctionExpression(init))
+    ? 'function'
+    : 'variable';
+}
+
+const hasModifier = (node, kind) => node.modifiers?.some((modifier) => modifier.kind === kind);
+
+const DECLARATION_KINDS = {
+  [SK.FunctionDeclaration]: 'function',
+  [SK.ClassDeclaration]: 'class',
+  [SK.EnumDeclaration]: 'enum',
+  [SK.InterfaceDeclaration]: 'interface',
+  [SK.TypeAliasDeclaration]: 'type',
+  [SK.ModuleDeclaration]: 'namespace',
+};
+
+/**
+ * The top-level bindings of a source file:
+ * - `locals`: name → `{ kind, node, init }`, or `{ kind: 'import', specifier, name }`
+ * - `exports`: name → `{ kind: 'local', name }`, `{ kind: 'import', specifier, name }`
+ *   or `{ kind: 'expr', node }` for `export default <expression>`
+ * - `stars`: the specifiers of `export * from`
+ */
+export function collectBindings(sourceFile) {
+  const locals = new Map();
+  const exports = new Map();
+  const stars = [];
+
+  const declare = (name, binding, statement) => {
+    locals.set(name, binding);
+    if (!hasModifier(statement, SK.ExportKeyword)) return;
+    const exported = hasModifier(statement, SK.DefaultKeyword) ? 'default' : name;
+    exports.set(exported, { kind: 'local', name });
+  };
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isImportDeclaration(statement)) {
+      const clause = statement.importClause;
+      if (!clause || !ts.isStringLiteral(statement.moduleSpecifier)) continue;
+      const specifier = statement.moduleSpecifier.text;
+      if (clause.name) locals.set(clause.name.text, { kind: 'import', specifier, name: 'default' });
+      const bindings = clause.namedBindings;
+      if (bindings && ts.isNamespaceImport(bindings)) {
+        locals.set(bindings.name.text, { kind: 'import', specifier, name: '*' });
+      } else if (bindings) {
+        for (const element of bindings.elements) {
+          const name = (element.propertyName ?? element.name).text;
+          locals.set(element.name.text, { kind: 'import', specifier, name });
+        }
+      }
+    } else if (ts.isExportDeclaration(statement)) {
+      const specifier =
+        statement.moduleSpecifier && ts.isStringLiteral(statement.moduleSpecifier)
+          ? statement.moduleSpecifier.text
+          : undefined;
+      const clause = statement.exportClause;
+      if (!clause) {
+        if (specifier) stars.push(specifier);
+      } else if (ts.isNamespaceExport(clause)) {
+        exports.set(clause.name.text, { kind: 'import', specifier, name: '*' });
+      } else {
+        for (const element of clause.elements) {
+          const name = (element.propertyName ?? element.name).text;
+          exports.set(
+            element.name.text,
+            specifier ? { kind: 'import', specifier, name } : { kind: 'local', name }
+          );
+        }
+      }
+    } else if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+      exports.set('default', { kind: 'expr', node: statement.expression });
+    } else if (ts.isVariableStatement(statement)) {
+      const flags = statement.declarationList.flags;
+      const kind = flags & ts.NodeFlags.Const ? 'const' : flags & ts.NodeFlags.Let ? 'let' : 'var';
+      for (const declaration of statement.declarationList.declarations) {
+        if (!ts.isIdentifier(declaration.name)) continue;
+        declare(
+          declaration.name.text,
+          { kind, node: declaration, init: declaration.initializer },
+          statement
+        );
+      }
+    } else if (DECLARATION_KINDS[statement.kind] && statement.name) {
+      const name = statement.name.text;
+      // Overloads and merged declarations keep the first one
+      if (!locals.has(name)) {
+        declare(name, { kind: DECLARATION_KINDS[statement.kind], node: statement }, statement);
+      }
+    }
+  }
+  return { locals, exports, stars };
+}
+
+// ─── Signatures ────────────────────────────────────────────────────
+
+const printer = ts.createPrinter({ removeComments: true });
+
+const unwrap = (node) =>
+  node &&
+  (ts.isParenthesizedExpression(node) || ts.isAsExpression(node) || ts.isSatisfiesExpression(node))
+    ? unwrap(node.expression)
+    : node;
+
+const isPublicMember = (member) =>
+  !(member.name && ts.isPrivateIdentifier(member.name)) && !hasModifier(member, SK.PrivateKeyword);
+
+// Class members as declarations: no bodies, no initializers
+function memberSignature(member) {
+  const f = ts.factory;
+  if (ts.isMethodDeclaration(member)) {
+    return f.updateMethodDeclaration(
+      member,
+      member.modifiers,
+      member.asteriskToken,
+      member.name,
+      member.questionToken,
+      member.typeParameters,
+      member.parameters,
+      member.type,
+      undefined
+    );
+  }
+  if (ts.isConstructorDeclaration(member)) {
+    return f.updateConstructorDeclaration(member, member.modifiers, member.parameters, undefined);
+  }
+  if (ts.isGetAccessorDeclaration(member)) {
+    return f.updateGetAccessorDeclaration(
+      member,
+      member.modifiers,
+      member.name,
+      member.parameters,
+      member.type,
+      undefined
+    );
+  }
+  if (ts.isSetAccessorDeclaration(member)) {
+    return f.updateSetAccessorDeclaration(
+      member,
+      member.modifiers,
+      member.name,
+      member.parameters,
+      undefined
+    );
+  }
+  if (ts.isPropertyDeclaration(member)) {
+    return f.updatePropertyDeclaration(
+      member,
+      member.modifiers,
+      member.name,
+      member.questionToken ?? member.exclamationToken,
+      member.type,
+      undefined
+    );
+  }
+  return member;
+}
+
+/**
+ * The public shape of a declared binding on one line, without comments,
+ * bodies or `export`: parameters and return types of functions, members of
+ * classes, the full text of interfaces, types and enums. Variables without a
+ * type annotation only give their name, their type being inferred.
+ */
+export function signatureOf(binding) {
+  const f = ts.factory;
+  const { node } = binding;
+  let signature;
+  if (binding.kind === 'function') {
+    signature = f.updateFunctionDeclaration(
+      node,
+      node.modifiers,
+      node.asteriskToken,
+      node.name,
+      node.typeParameters,
+      node.parameters,
+      node.type,
+      undefined
+    );
+  } else if (binding.kind === 'class') {
+    signature = f.updateClassDeclaration(
+      node,
+      node.modifiers,
+      node.name,
+      node.typeParameters,
+      node.heritageClauses,
+      node.members.filter(isPublicMember).map(memberSignature)
+    );
+  } else if (['interface', 'type', 'enum'].includes(binding.kind)) {
+    signature = node;
+  } else if (binding.kind === 'namespace') {
+    return `namespace ${node.name.text}`;
+  } else {
+    const init = unwrap(binding.init);
+    if (init && (ts.isArrowFunction(init) || ts.isFunctionExpression(init))) {
+      const modifiers = init.modifiers?.filter((modifier) => modifier.kind === SK.AsyncKeyword);
+      signature = f.createFunctionDeclaration(
+        modifiers,
+        init.asteriskToken,
+        node.name.text,
+        init.typeParameters,
+        init.parameters,
+        init.type,
+        undefined
+      );
+    } else if (node.type) {
+      const type = printer.printNode(ts.EmitHint.Unspecified, node.type, node.getSourceFile());
+      return `${binding.kind} ${node.name.text}: ${type.replace(/\s+/g, ' ')}`;
+    } else {
+      return `${binding.kind} ${node.name.text}`;
+    }
+  }
+  return printer
+    .printNode(ts.EmitHint.Unspecified, signature, node.getSourceFile())
+    .replace(/\s+/g, ' ')
+    .replace(/^(export )?(default )?(declare )?/, '')
+    .trim();
+}
+
+// ─── Module Graph ──────────────────────────────────────────────────
+
+/**
+ * Parsed modules of a Kibana tree, evaluated on demand. `touched` collects
+ * every file read, so callers can record what a result depended on.
+ */
+export class ModuleGraph {
+  constructor(tree) {
+    this.tree = tree;
+    this.modules = new Map();
+    this.values = new Map();
+    this.active = new Set();
+    this.touched = new Set();
+    this.depth = 0;
+  }
+
+  module(file, text) {
+    this.touched.add(file);
+    if (!this.modules.has(file)) {
+      let sourceFile = null;
+      try {
+        sourceFile = parseSource(file, text ?? this.tree.readFile(file));
+      } catch {
+        // Unreadable imports resolve to nothing
+      }
+      const bindings = sourceFile
+        ? collectBindings(sourceFile)
+        : { locals: new Map(), exports: new Map(), stars: [] };
+      this.modules.set(file, { file, sourceFile, ...bindings });
+    }
+    return this.modules.get(file);
+  }
+
+  imported(module, specifier) {
+    const file = this.tree.resolveModule(module.file, specifier);
+    return file && isScript(file) ? this.module(file) : null;
+  }
+
+  /** Starts recording the files read from here on. */
+  track() {
+    const touched = this.touched;
+    this.touched = new Set();
+    return touched;
+  }
+
+  // ─── Exports ─────────────────────────────────────────────────────
+
+  /**
+   * Follows an export through re-exports to where it's declared:
+   * `{ module, name, binding }`, `{ module, node }` for default expressions,
+   * `{ module, namespace: true }` for `export * as`, or null.
+   */
+  findExport(module, name, seen = new Set()) {
+    const key = `${module.file}\0${name}`;
+    if (seen.has(key)) return null;
+    seen.add(key);
+
+    const exported = module.exports.get(name);
+    if (exported?.kind === 'expr') return { module, node: exported.node };
+    if (exported?.kind === 'local') {
+      const binding = module.locals.get(exported.name);
+      if (binding?.kind === 'import') return this.followImport(module, binding, seen);
+      return binding ? { module, name: exported.name, binding } : null;
+    }
+    if (exported?.kind === 'import') return this.followImport(module, exported, seen);
+    if (name === 'default') return null;
+    for (const specifier of module.stars) {
+      const target = this.imported(module, specifier);
+      const found = target && this.findExport(target, name, seen);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  followImport(module, { specifier, name }, seen) {
+    const target = this.imported(module, specifier);
+    if (!target) return null;
+    return name === '*' ? { module: target, namespace: true } : this.findExport(target, name, seen);
+  }
+
+  /** The names a module exports, `export *` included. */
+  exportNames(module, seen = new Set()) {
+    if (seen.has(module.file)) return new Set();
+    seen.add(module.file);
+    const names = new Set(module.exports.keys());
+    for (const specifier of module.stars) {
+      const target = this.imported(module, specifier);
+      if (!target) continue;
+      for (const name of this.exportNames(target, seen)) {
+        if (name !== 'default') names.add(name);
+      }
+    }
+    return names;
+  }
+
+  exportedValue(module, name) {
+    const found = this.findExport(module, name);
+    if (!found) return UNRESOLVED;
+    if (found.namespace) return new Namespace(found.module);
+    if (found.node) return this.evaluate(found.node, found.module);
+    return this.bindingValue(found.binding, found.module);
+  }
+
+  // ─── Evaluation ──────────────────────────────────────────────────
+
+  bindingValue(binding, module) {
+    if (binding.kind === 'import') {
+      const target = this.imported(module, binding.specifier);
+      if (!target) return UNRESOLVED;
+      return binding.name === '*'
+        ? new Namespace(target)
+        : this.exportedValue(target, binding.name);
+    }
+    if (this.values.has(binding)) return this.values.get(binding);
+    if (this.active.has(binding)) return UNRESOLVED;
+    this.active.add(binding);
+    let value = UNRESOLVED;
+    try {
+      if (binding.kind === 'const' && binding.init) value = this.evaluate(binding.init, module);
+      else if (binding.kind === 'function')
+        value = new FunctionValue(binding.node, module, EMPTY_SCOPE);
+      else if (binding.kind === 'enum') value = this.enumValue(binding.node, module);
+    } finally {
+      this.active.delete(binding);
+    }
+    this.values.set(binding, value);
+    return value;
+  }
+
+  lookup(name, module, scope) {
+    if (scope.has(name)) return scope.get(name);
+    if (name === 'undefined') return undefined;
+    const binding = module.locals.get(name);
+    return binding ? this.bindingValue(binding, module) : UNRESOLVED;
+  }
+
+  evaluate(node, module, scope = EMPTY_SCOPE) {
+    if (!node || this.depth >= MAX_DEPTH) return UNRESOLVED;
+    this.depth++;
+    try {
+      return this.evaluateNode(node, module, scope);
+    } finally {
+      this.depth--;
+    }
+  }
+
+  evaluateNode(node, module, scope) {
+    const evaluate = (child, childScope = scope) => this.evaluate(child, module, childScope);
+    switch (node.kind) {
+      case SK.StringLiteral:
+      case SK.NoSubstitutionTemplateLiteral:
+        return node.text;
+      case SK.NumericLiteral:
+        return Number(node.text);
+      case SK.TrueKeyword:
+        return true;
+      case SK.FalseKeyword:
+        return false;
+      case SK.NullKeyword:
+        return null;
+      case SK.ParenthesizedExpression:
+      case SK.AsExpression:
+      case SK.SatisfiesExpression:
+      case SK.TypeAssertionExpression:
+      case SK.NonNullExpression:
+        return evaluate(node.expression);
+      case SK.PrefixUnaryExpression: {
+        const value = evaluate(node.operand);
+        if (value === UNRESOLVED) return UNRESOLVED;
+        if (node.operator === SK.MinusToken) return -value;
+        if (node.operator === SK.PlusToken) return +value;
+        if (node.operator === SK.ExclamationToken) return !value;
+        return UNRESOLVED;
+      }
+      case SK.TemplateExpression: {
+        let text = node.head.text;
+        for (const span of node.templateSpans) {
+          const value = evaluate(span.expression);
+          if (!isPrimitive(value)) return UNRESOLVED;
+          text += String(value) + span.literal.text;
+        }
+        return text;
+      }
+      case SK.BinaryExpression: {
+        if (node.operatorToken.kind !== SK.PlusToken) return UNRESOLVED;
+        const [left, right] = [evaluate(node.left), evaluate(node.right)];
+        return isPrimitive(left) && isPrimitive(right) ? left + right : UNRESOLVED;
+      }
+      case SK.Identifier:
+        return this.lookup(node.text, module, scope);
+      case SK.PropertyAccessExpression:
+        return this.member(evaluate(node.expression), node.name.text);
+      case SK.ElementAccessExpression:
+        return this.member(evaluate(node.expression), evaluate(node.argumentExpression));
+      case SK.ObjectLiteralExpression:
+        return this.objectValue(node, module, scope);
+      case SK.ArrayLiteralExpression:
+        return this.arrayValue(node, module, scope);
+      case SK.ArrowFunction:
+      case SK.FunctionExpression:
+        return new FunctionValue(node, module, scope);
+      case SK.CallExpression:
+        return this.callValue(node, module, scope);
+      default:
+        return UNRESOLVED;
+    }
+  }
+
+  member(object, key) {
+    if (object instanceof Namespace) {
+      return typeof key === 'string' ? this.exportedValue(object.module, key) : UNRESOLVED;
+    }
+    if (!isPrimitive(key) || object === null || typeof object !== 'object') return UNRESOLVED;
+    if (Object.prototype.hasOwnProperty.call(object, key)) return object[key];
+    return object[PARTIAL] ? UNRESOLVED : undefined;
+  }
+
+  objectValue(node, module, scope) {
+    const object = {};
+    for (const property of node.properties) {
+      if (ts.isSpreadAssignment(property)) {
+        const spread = this.evaluate(property.expression, module, scope);
+        if (spread && typeof spread === 'object' && !(spread instanceof Namespace)) {
+          Object.assign(object, spread);
+        } else if (spread !== undefined && spread !== null) {
+          object[PARTIAL] = true;
+        }
+        continue;
+      }
+      const key = this.propertyKey(property.name, module, scope);
+      if (!isPrimitive(key)) {
+        object[PARTIAL] = true;
+      } else if (ts.isPropertyAssignment(property)) {
+        object[key] = this.evaluate(property.initializer, module, scope);
+      } else if (ts.isShorthandPropertyAssignment(property)) {
+        object[key] = this.lookup(property.name.text, module, scope);
+      } else {
+        // Methods and accessors
+        object[key] = new FunctionValue(property, module, scope);
+      }
+    }
+    return object;
+  }
+
+  propertyKey(name, module, scope) {
+    const key = propertyName(name);
+    if (key !== undefined) return key;
+    return ts.isComputedPropertyName(name)
+      ? this.evaluate(name.expression, module, scope)
+      : UNRESOLVED;
+  }
+
+  arrayValue(node, module, scope) {
+    const array = [];
+    for (const element of node.elements) {
+      if (ts.isSpreadElement(element)) {
+        const spread = this.evaluate(element.expression, module, scope);
+        if (Array.isArray(spread)) array.push(...spread);
+        else array[PARTIAL] = true;
+      } else {
+        array.push(this.evaluate(element, module, scope));
+      }
+    }
+    return array;
+  }
+
+  enumValue(node, module) {
+    const members = {};
+    let next = 0;
+    for (const member of node.members) {
+      const key = propertyName(member.name);
+      const value = member.initializer
+        ? this.evaluate(member.initializer, module, new Map(Object.entries(members)))
+        : next;
+      members[key] = value;
+      if (typeof value === 'number') next = value + 1;
+    }
+    return members;
+  }
+
+  // Calls of functions whose body is an expression or `const ...; return ...`
+  callValue(node, module, scope) {
+    const callee = node.expression;
+    const args = node.arguments.map((arg) => this.evaluate(arg, module, scope));
+    // Freezing doesn't change the value
+    const calleeText = callee.getText();
+    if (calleeText === 'Object.freeze' || calleeText === 'deepFreeze') return args[0] ?? UNRESOLVED;
+
+    return this.invoke(this.evaluate(callee, module, scope), args);
+  }
+
+  /** The return value of calling an evaluated function with evaluated arguments. */
+  invoke(fn, args = []) {
+    if (!(fn instanceof FunctionValue)) return UNRESOLVED;
+    const { node: declaration, module: fnModule } = fn;
+    const fnScope = new Map(fn.scope);
+    declaration.parameters?.forEach((parameter, index) => {
+      if (!ts.isIdentifier(parameter.name)) return;
+      const value =
+        args[index] === undefined && parameter.initializer
+          ? this.evaluate(parameter.initializer, fnModule, fnScope)
+          : (args[index] ?? UNRESOLVED);
+      fnScope.set(parameter.name.text, value);
+    });
+    const body = declaration.body;
+    if (!body) return UNRESOLVED;
+    if (!ts.isBlock(body)) return this.evaluate(body, fnModule, fnScope);
+    for (const statement of body.statements) {
+      if (ts.isReturnStatement(statement)) {
+        return this.evaluate(statement.expression, fnModule, fnScope);
+      }
+      if (!ts.isVariableStatement(statement)) return UNRESOLVED;
+      for (const declared of statement.declarationList.declarations) {
+        if (!ts.isIdentifier(declared.name)) return UNRESOLVED;
+        fnScope.set(declared.name.text, this.evaluate(declared.initializer, fnModule, fnScope));
+      }
+    }
+    return UNRESOLVED;
+  }
+}
+
+const isPrimitive = (value) =>
+  value !== UNRESOLVED &&
+  (value === null || typeof value !== 'object') &&
+  typeof value !== 'symbol';
+
+/**
+ * An evaluated value as JSON: functions become `'[function]'` and whatever
+ * couldn't be evaluated `'[unresolved]'`.
+ */
+export function toPlainValue(value) {
+  if (value === UNRESOLVED || value instanceof Namespace) return '[unresolved]';
+  if (value instanceof FunctionValue) return '[function]';
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toPlainValue(item)])
+    );
+  }
+  return value;
+}
@@ -0,0 +1,114 @@
+/**
+ * Unified Diff
+ *
+ * Line diffs in the format of `git diff`, for showing what a codemod would
+ * change before it writes anything. Common leading and trailing lines are
+ * set aside first, so the LCS table only covers the part that changed.
+ */
+
+const CONTEXT_LINES = 3;
+// Beyond this many table cells, the changed part is shown as removed then added
+const MAX_TABLE_SIZE = 4_000_000;
+
+function splitLines(text) {
+  if (text === null) return [];
+  const lines = text.split('\n');
+  if (lines.at(-1) === '') lines.pop();
+  return lines;
+}
+
+// Edit operations `[' ' | '-' | '+', line]` turning a into b
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map((line) => [' ', line]);
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_TABLE_SIZE) {
+    ops.push(...a.slice(start, endA).map((line) => ['-', line]));
+    ops.push(...b.slice(start, endB).map((line) => ['+', line]));
+  } else {
+    // lengths[i * (m + 1) + j]: LCS of a[start + i..] and b[start + j..]
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] =
+          a[start + i] === b[start + j]
+            ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+            : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        ops.push([' ', a[start + i]]);
+        i++;
+        j++;
+      } else if (
+        i < n &&
+        (j === m || lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1])
+      ) {
+        // Removed lines go first, like git shows them
+        ops.push(['-', a[start + i++]]);
+      } else {
+        ops.push(['+', b[start + j++]]);
+      }
+    }
+  }
+  ops.push(...a.slice(endA).map((line) => [' ', line]));
+  return ops;
+}
+
+/**
+ * The unified diff between two versions of a file; `null` stands for a file
+ * that doesn't exist (created or deleted). Empty when nothing changed.
+ */
+export function unifiedDiff(file, before, after) {
+  const ops = diffLines(splitLines(before), splitLines(after));
+  const changed = ops.flatMap(([type], index) => (type === ' ' ? [] : [index]));
+  if (!changed.length) return '';
+
+  // Changes closer than twice the context share a hunk
+  const ranges = [];
+  for (const index of changed) {
+    const last = ranges.at(-1);
+    if (last && index - last[1] <= CONTEXT_LINES * 2 + 1) last[1] = index;
+    else ranges.push([index, index]);
+  }
+
+  const lines = [
+    before === null ? '--- /dev/null' : `--- a/${file}`,
+    after === null ? '+++ /dev/null' : `+++ b/${file}`,
+  ];
+  // Line numbers in a and b at each operation
+  const positions = [];
+  let lineA = 1;
+  let lineB = 1;
+  for (const [type] of ops) {
+    positions.push([lineA, lineB]);
+    if (type !== '+') lineA++;
+    if (type !== '-') lineB++;
+  }
+  for (const [first, last] of ranges) {
+    const from = Math.max(0, first - CONTEXT_LINES);
+    const to = Math.min(ops.length - 1, last + CONTEXT_LINES);
+    const hunk = ops.slice(from, to + 1);
+    const countA = hunk.filter(([type]) => type !== '+').length;
+    const countB = hunk.filter(([type]) => type !== '-').length;
+    const [startA, startB] = positions[from];
+    // An empty side starts at the line before, like git does
+    lines.push(
+      `@@ -${countA ? startA : startA - 1},${countA} +${countB ? startB : startB - 1},${countB} @@`
+    );
+    lines.push(...hunk.map(([type, line]) => `${type}${line}`));
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,331 @@
+/**
+ * Browser Companion
+ *
+ * Bundles the plugin's `public/index.ts` with esbuild and serves it in an HTML
+ * shell whose mock `CoreSetup`/`CoreStart` (./browser/core.mjs) talks to the
+ * mock server's routes:
+ * - React, EUI and friends are built once into a shared deps bundle and
+ *   exposed on `window.__kbnSharedDeps__`, like Kibana's ui-shared-deps, so
+ *   plugin rebuilds after an edit only cover the plugin's own code
+ * - `@kbn/*` browser imports map to the shims in ./shims
+ * - CSS is bundled, Sass compiled when the plugin can resolve `sass`,
+ *   images and fonts are inlined
+ * - build errors are shown in the page instead of the app
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { build, context } from 'esbuild';
+
+const LIB_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SHIMS_DIR = path.join(LIB_DIR, 'shims');
+const MOCK_NODE_MODULES = path.join(LIB_DIR, '..', 'node_modules');
+
+// Shared between the plugin and the mock core, loaded once per page
+const SHARED_DEPS = [
+  'react',
+  'react/jsx-runtime',
+  'react-dom',
+  'react-dom/client',
+  'react-router-dom',
+  '@elastic/eui',
+  '@emotion/react',
+  '@emotion/cache',
+  'rxjs',
+  'lodash',
+  'moment',
+];
+
+// Browser `@kbn/*` imports → shim file. `preferReal` shims are only used when
+// the plugin can't resolve the real package.
+const BROWSER_SHIMS = {
+  '@kbn/core/public': { file: 'kbn-core-public.mjs' },
+  '@kbn/i18n': { file: 'kbn-i18n.mjs', preferReal: true },
+  '@kbn/i18n-react': { file: 'kbn-i18n-react.mjs', preferReal: true },
+  '@kbn/react-kibana-mount': { file: 'kbn-react-kibana-mount.mjs' },
+  '@kbn/kibana-react-plugin/public': { file: 'kbn-kibana-react.mjs' },
+  '@kbn/config-schema': { file: 'kbn-config-schema.mjs', preferReal: true },
+};
+
+const EUI_THEME_CSS = '@elastic/eui/dist/eui_theme_light.css';
+
+const ASSET_LOADERS = Object.fromEntries(
+  ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.woff', '.woff2', '.ttf', '.eot'].map((ext) => [
+    ext,
+    'dataurl',
+  ])
+);
+
+function createResolver(pluginPath) {
+  const fromPlugin = createRequire(path.join(pluginPath, 'package.json'));
+  const fromMock = createRequire(import.meta.url);
+  return (specifier, { fallback = true } = {}) => {
+    for (const require of fallback ? [fromPlugin, fromMock] : [fromPlugin]) {
+      try {
+        return require.resolve(specifier);
+      } catch {
+        // Not resolvable from here
+      }
+    }
+    return null;
+  };
+}
+
+const toScript = (error) =>
+  `document.getElementById('kbnMockApp').innerHTML = ${JSON.stringify(
+    `<pre class="kbnMockBuildError">${escapeHtml(error)}</pre>`
+  )};\nconsole.error(${JSON.stringify(error)});\n`;
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"]/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]
+  );
+
+function formatBuildError(error) {
+  const messages = error.errors || [{ text: error.message }];
+  return messages
+    .map(({ text, location }) =>
+      location ? `${location.file}:${location.line}:${location.column}: ${text}` : text
+    )
+    .join('\n');
+}
+
+// ─── esbuild Plugins ───────────────────────────────────────────────
+
+/** Resolves shared deps to the globals of the shared deps bundle. */
+function sharedDepsPlugin(sharedDeps) {
+  const filter = new RegExp(
+    `^(${sharedDeps.map((name) => name.replace(/[/.]/g, '\\$&')).join('|')})$`
+  );
+  return {
+    name: 'kbn-shared-deps',
+    setup(builder) {
+      builder.onResolve({ filter }, (args) => ({ path: args.path, namespace: 'kbn-shared-deps' }));
+      builder.onLoad({ filter: /.*/, namespace: 'kbn-shared-deps' }, (args) => ({
+        contents: `module.exports = window.__kbnSharedDeps__[${JSON.stringify(args.path)}];`,
+        loader: 'js',
+      }));
+    },
+  };
+}
+
+function kbnShimsPlugin(resolveModule) {
+  return {
+    name: 'kbn-shims',
+    setup(builder) {
+      builder.onResolve({ filter: /^@kbn\// }, (args) => {
+        const shim = BROWSER_SHIMS[args.path];
+        if (shim && !(shim.preferReal && resolveModule(args.path, { fallback: false }))) {
+          return { path: path.join(SHIMS_DIR, shim.file) };
+        }
+        if (!shim && !resolveModule(args.path, { fallback: false })) {
+          return {
+            errors: [
+              {
+                text:
+                  `The mock server has no browser shim for "${args.path}". ` +
+                  'Import types with `import type` or run inside a Kibana checkout.',
+              },
+            ],
+          };
+        }
+        return undefined;
+      });
+    },
+  };
+}
+
+/** Compiles Sass with the plugin's own `sass` package, or skips it. */
+function sassPlugin(pluginPath, resolveModule) {
+  let warned = false;
+  return {
+    name: 'sass',
+    setup(builder) {
+      builder.onLoad({ filter: /\.s[ac]ss$/ }, async (args) => {
+        const compiler = resolveModule('sass', { fallback: false });
+        if (!compiler) {
+          if (!warned) console.warn('⚠️  Install `sass` in the plugin to compile .scss files');
+          warned = true;
+          return { contents: '', loader: 'css' };
+        }
+        const sass = await import(pathToFileURL(compiler).href);
+        const { css } = (sass.default || sass).compile(args.path, {
+          loadPaths: [pluginPath, path.join(pluginPath, 'node_modules')],
+        });
+        return { contents: css, loader: 'css' };
+      });
+    },
+  };
+}
+
+// ─── Bundles ───────────────────────────────────────────────────────
+
+/**
+ * Creates the browser companion for the plugin at `pluginPath`. Bundles are
+ * built on first request; `invalidate()` drops the plugin bundle after an
+ * edit and notifies `onChange` listeners (the live reload stream).
+ */
+export function createBrowserApp({ pluginPath }) {
+  const resolveModule = createResolver(pluginPath);
+  const entry = ['index.ts', 'index.tsx', 'index.js']
+    .map((file) => path.join(pluginPath, 'public', file))
+    .find((file) => fs.existsSync(file));
+  const listeners = new Set();
+  let sharedDeps;
+  let pluginBundle;
+  let pluginContext;
+
+  const availableDeps = () => SHARED_DEPS.filter((name) => resolveModule(name));
+
+  function buildSharedDeps() {
+    const names = availableDeps();
+    const euiCss = resolveModule(EUI_THEME_CSS, { fallback: false });
+    const contents = [
+      ...(euiCss ? [`import ${JSON.stringify(euiCss)};`] : []),
+      'window.__kbnSharedDeps__ = {',
+      ...names.map((name) => `  ${JSON.stringify(name)}: require(${JSON.stringify(name)}),`),
+      '};',
+    ].join('\n');
+
+    console.log(`📦 Bundling shared deps: ${names.join(', ')}`);
+    return build({
+      stdin: { contents, resolveDir: pluginPath, sourcefile: 'shared-deps.js' },
+      absWorkingDir: pluginPath,
+      bundle: true,
+      write: false,
+      outdir: '/shared-deps',
+      format: 'iife',
+      platform: 'browser',
+      nodePaths: [MOCK_NODE_MODULES],
+      loader: ASSET_LOADERS,
+      define: { 'process.env.NODE_ENV': '"development"', global: 'window' },
+      logLevel: 'silent',
+    }).then(toFiles);
+  }
+
+  async function buildPlugin() {
+    if (!entry) {
+      return { js: toScript(`No public/index.ts found in ${pluginPath}`), css: '' };
+    }
+    try {
+      pluginContext ??= await context({
+        stdin: {
+          contents: [
+            `import * as pluginModule from ${JSON.stringify(entry)};`,
+            `import { bootstrap } from ${JSON.stringify(path.join(LIB_DIR, 'browser', 'core.mjs'))};`,
+            'bootstrap(pluginModule);',
+          ].join('\n'),
+          resolveDir: pluginPath,
+          sourcefile: 'kibana-mock-entry.js',
+        },
+        // Build errors name files relative to the plugin
+        absWorkingDir: pluginPath,
+        bundle: true,
+        write: false,
+        outdir: '/plugin',
+        format: 'iife',
+        platform: 'browser',
+        target: 'es2020',
+        sourcemap: 'inline',
+        nodePaths: [MOCK_NODE_MODULES],
+        loader: ASSET_LOADERS,
+        ...(!readJsxSetting(pluginPath) && { jsx: 'automatic' }),
+        define: { 'process.env.NODE_ENV': '"development"', global: 'window' },
+        plugins: [
+          sharedDepsPlugin(availableDeps()),
+          kbnShimsPlugin(resolveModule),
+          sassPlugin(pluginPath, resolveModule),
+        ],
+        logLevel: 'silent',
+      });
+      const files = toFiles(await pluginContext.rebuild());
+      console.log(`🌐 Bundled ${path.relative(pluginPath, entry)}`);
+      return files;
+    } catch (error) {
+      const message = formatBuildError(error);
+      console.error(`❌ Failed to bundle the plugin's public code:\n${message}`);
+      return { js: toScript(message), css: '' };
+    }
+  }
+
+  return {
+    hasPublicEntry: () => Boolean(entry),
+
+    async getSharedDeps() {
+      sharedDeps ??= buildSharedDeps().catch((error) => {
+        sharedDeps = null;
+        const message = formatBuildError(error);
+        console.error(`❌ Failed to bundle shared deps:\n${message}`);
+        return { js: toScript(message), css: '' };
+      });
+      return sharedDeps;
+    },
+
+    async getPlugin() {
+      pluginBundle ??= buildPlugin();
+      return pluginBundle;
+    },
+
+    invalidate() {
+      pluginBundle = null;
+      listeners.forEach((listener) => listener());
+    },
+
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    async dispose() {
+      await pluginContext?.dispose();
+      pluginContext = null;
+    },
+  };
+}
+
+function toFiles(result) {
+  const file = (ext) => result.outputFiles.find((output) => output.path.endsWith(ext))?.text || '';
+  return { js: file('.js'), css: file('.css') };
+}
+
+// Plugins that configure JSX in their tsconfig keep their setting
+function readJsxSetting(pluginPath) {
+  try {
+    const tsconfig = fs.readFileSync(path.join(pluginPath, 'tsconfig.json'), 'utf-8');
+    return /"jsx"\s*:/.test(tsconfig);
+  } catch {
+    return false;
+  }
+}
+
+// ─── HTML Shell ────────────────────────────────────────────────────
+
+/**
+ * The page the plugin's apps are mounted in. `metadata` is handed to the mock
+ * core as `window.__kbnMock__`.
+ */
+export function renderShell({ title, assetsUrl, metadata }) {
+  // Keep `</script>` in injected values from closing the script tag
+  const injected = JSON.stringify(metadata).replace(/</g, '\\u003c');
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" href="${assetsUrl}/shared-deps.css" />
+    <link rel="stylesheet" href="${assetsUrl}/plugin.css" />
+  </head>
+  <body>
+    <div id="kbnMockChrome"></div>
+    <div id="kbnMockApp"></div>
+    <script>window.__kbnMock__ = ${injected};</script>
+    <script src="${assetsUrl}/shared-deps.js"></script>
+    <script src="${assetsUrl}/plugin.js"></script>
+  </body>
+</html>
+`;
+}
@@ -0,0 +1,389 @@
+/**
+ * Mock Browser Core
+ *
+ * Runs the plugin's `public/index.ts` the way Kibana's browser core does:
+ * `plugin(initializerContext)`, `setup(core, plugins)`, `start(core, plugins)`,
+ * then mounts the app the URL points at (`/app/{appId}/...`, or the first
+ * registered app). The mock `CoreSetup`/`CoreStart` cover `http`,
+ * `notifications`, `application`, `chrome`, `uiSettings`, `overlays` and the
+ * smaller services plugins commonly touch.
+ *
+ * Server-side state comes from `window.__kbnMock__`, injected by the shell.
+ */
+
+import { BehaviorSubject, Observable, Subject, map } from 'rxjs';
+import { createHttpService } from './http.mjs';
+import { createScopedHistory } from './history.mjs';
+import { createChrome, createOverlays, createToasts, injectStyles } from './ui.mjs';
+
+const metadata = window.__kbnMock__;
+
+// ─── Application ───────────────────────────────────────────────────
+
+function createApplication({ basePath, theme$ }) {
+  const apps = new Map();
+  const applications$ = new BehaviorSubject(new Map());
+  const currentAppId$ = new BehaviorSubject(undefined);
+  const container = document.getElementById('kbnMockApp');
+  let mounted = null;
+  let chrome = null;
+
+  const appBasePath = (appId) => `${basePath}/app/${appId}`;
+
+  // `/s/{space}/app/{appId}/rest` → { appId, path: '/rest' }
+  const parseLocation = (pathname = window.location.pathname) => {
+    const match = pathname.slice(basePath.length).match(/^\/app\/([^/]+)(\/.*)?$/);
+    return match ? { appId: match[1], path: match[2] || '' } : { appId: undefined, path: '' };
+  };
+
+  async function unmountApp() {
+    if (!mounted) return;
+    const { unmount, history } = mounted;
+    mounted = null;
+    await unmount?.();
+    history.dispose();
+    container.replaceChildren();
+  }
+
+  async function mountApp(appId) {
+    const app = apps.get(appId);
+    if (!app) {
+      container.textContent = `Application Not Found: no app "${appId}" is registered.`;
+      return;
+    }
+    await unmountApp();
+    const element = document.createElement('div');
+    container.appendChild(element);
+    const history = createScopedHistory(appBasePath(appId));
+    currentAppId$.next(appId);
+    chrome?.render();
+    mounted = { appId, history };
+    try {
+      mounted.unmount = await app.mount({
+        appBasePath: appBasePath(appId),
+        element,
+        history,
+        theme$,
+        onAppLeave: () => {},
+        setHeaderActionMenu: () => {},
+      });
+    } catch (error) {
+      console.error(`Failed to mount app "${appId}":`, error);
+      element.innerHTML = '';
+      element.append(
+        Object.assign(document.createElement('pre'), {
+          className: 'kbnMockBuildError',
+          textContent: error.stack || error.message,
+        })
+      );
+    }
+  }
+
+  async function navigateToApp(appId, { path = '', replace = false, state } = {}) {
+    const normalizedPath =
+      path && !path.startsWith('/') && !path.startsWith('#') && !path.startsWith('?')
+        ? `/${path}`
+        : path;
+    const url = appBasePath(appId) + normalizedPath;
+    window.history[replace ? 'replaceState' : 'pushState']({ usr: state }, '', url);
+    if (mounted?.appId === appId) {
+      // Same app: let its router pick up the new location
+      window.dispatchEvent(new PopStateEvent('popstate', { state: { usr: state } }));
+    } else {
+      await mountApp(appId);
+    }
+  }
+
+  // Back and forward across apps remount the app the URL points at
+  window.addEventListener('popstate', () => {
+    const { appId } = parseLocation();
+    if (appId && appId !== mounted?.appId) mountApp(appId);
+  });
+
+  return {
+    setChrome: (value) => (chrome = value),
+    getApps: () => [...apps.values()].filter((app) => app.visibleIn?.length !== 0),
+    getCurrentAppId: () => currentAppId$.getValue(),
+    applications$,
+    setup: {
+      register(app) {
+        if (apps.has(app.id)) {
+          throw new Error(`An application is already registered with the id "${app.id}"`);
+        }
+        apps.set(app.id, app);
+        applications$.next(new Map(apps));
+      },
+      registerAppUpdater: () => {},
+    },
+    start: {
+      applications$: applications$.asObservable(),
+      currentAppId$: currentAppId$.asObservable(),
+      currentLocation$: currentAppId$.pipe(map(() => window.location.pathname)),
+      capabilities: metadata.capabilities,
+      navigateToApp,
+      navigateToUrl: async (url) => {
+        const target = new URL(url, window.location.href);
+        const { appId, path } = parseLocation(target.pathname);
+        if (target.origin === window.location.origin && apps.has(appId)) {
+          return navigateToApp(appId, { path: path + target.search + target.hash });
+        }
+        window.location.assign(target.href);
+      },
+      getUrlForApp: (appId, { path = '', absolute = false } = {}) => {
+        const url = appBasePath(appId) + (path && !path.startsWith('/') ? `/${path}` : path);
+        return absolute ? new URL(url, window.location.origin).href : url;
+      },
+      isAppRegistered: (appId) => apps.has(appId),
+    },
+    /** Mounts the app the URL points at, or the first registered one. */
+    async mountInitialApp() {
+      const { appId } = parseLocation();
+      const initial = appId || this.getApps()[0]?.id;
+      if (!initial) {
+        container.textContent =
+          'The plugin registered no application with core.application.register().';
+        return;
+      }
+      if (!appId) window.history.replaceState(null, '', appBasePath(initial));
+      await mountApp(initial);
+    },
+  };
+}
+
+// ─── uiSettings ────────────────────────────────────────────────────
+
+/**
+ * `core.uiSettings`: starts from the settings the server injected and saves
+ * changes through Kibana's `/internal/kibana/settings` API.
+ */
+const copySettings = (settings) =>
+  Object.fromEntries(Object.entries(settings).map(([key, setting]) => [key, { ...setting }]));
+
+function createUiSettings({ settings: initialSettings, http }) {
+  const settings = copySettings(initialSettings);
+  const update$ = new Subject();
+  const updateErrors$ = new Subject();
+
+  const hasUserValue = (key) => settings[key] && 'userValue' in settings[key];
+  const rawValue = (key) => (hasUserValue(key) ? settings[key].userValue : settings[key]?.value);
+
+  const get = (key, defaultOverride) => {
+    if (!(key in settings) && defaultOverride === undefined) {
+      throw new Error(
+        `Unexpected \`IUiSettingsClient.get("${key}")\` call on unrecognized configuration setting "${key}".`
+      );
+    }
+    const value = hasUserValue(key)
+      ? settings[key].userValue
+      : (defaultOverride ?? settings[key]?.value);
+    return settings[key]?.type === 'json' && typeof value === 'string' ? JSON.parse(value) : value;
+  };
+
+  const setLocally = (key, value) => {
+    if (value === null || value === undefined) {
+      if (settings[key] && 'value' in settings[key]) delete settings[key].userValue;
+      else delete settings[key];
+    } else {
+      settings[key] = { ...settings[key], userValue: value };
+    }
+  };
+
+  const set = async (key, value) => {
+    if (settings[key]?.isOverridden) {
+      throw new Error(
+        `Unable to update "${key}" because its value is overridden by the Kibana server`
+      );
+    }
+    const oldValue = rawValue(key);
+    setLocally(key, value);
+    update$.next({ key, newValue: value, oldValue });
+    try {
+      await http.post('/internal/kibana/settings', {
+        body: JSON.stringify({ changes: { [key]: value } }),
+      });
+      return true;
+    } catch (error) {
+      setLocally(key, oldValue);
+      update$.next({ key, newValue: oldValue, oldValue: value });
+      updateErrors$.next(error);
+      return false;
+    }
+  };
+
+  return {
+    get,
+    get$: (key, defaultOverride) =>
+      new Observable((subscriber) => {
+        subscriber.next(get(key, defaultOverride));
+        const subscription = update$.subscribe((update) => {
+          if (update.key === key) subscriber.next(get(key, defaultOverride));
+        });
+        return () => subscription.unsubscribe();
+      }),
+    getAll: () => copySettings(settings),
+    set,
+    remove: (key) => set(key, null),
+    isDeclared: (key) => key in settings,
+    isDefault: (key) => !hasUserValue(key),
+    isCustom: (key) => key in settings && !('value' in settings[key]),
+    isOverridden: (key) => Boolean(settings[key]?.isOverridden),
+    getUpdate$: () => update$.asObservable(),
+    getUpdateErrors$: () => updateErrors$.asObservable(),
+  };
+}
+
+// ─── Core ──────────────────────────────────────────────────────────
+
+function createInitializerContext() {
+  return {
+    opaqueId: Symbol(metadata.pluginId),
+    env: {
+      mode: { dev: true, prod: false, name: 'development' },
+      packageInfo: {
+        version: metadata.version,
+        branch: 'main',
+        buildNum: 9007199254740991,
+        buildSha: 'mock',
+        buildShaShort: 'mock',
+        buildFlavor: 'traditional',
+        dist: false,
+      },
+    },
+    config: { get: () => metadata.config },
+  };
+}
+
+function createCore() {
+  const http = createHttpService({ basePath: metadata.basePath });
+  const uiSettings = createUiSettings({ settings: metadata.uiSettings, http });
+  const darkMode = uiSettings.get('theme:darkMode');
+  const theme$ = new BehaviorSubject({ darkMode, name: 'amsterdam' });
+  const application = createApplication({ basePath: metadata.basePath, theme$ });
+  const toasts = createToasts();
+  const chrome = createChrome({ application, pluginId: metadata.pluginId });
+  application.setChrome(chrome);
+  const fatalErrors = {
+    add: (error, source) => {
+      console.error(`Fatal error${source ? ` in ${source}` : ''}:`, error);
+      toasts.addDanger({
+        title: 'Fatal error',
+        text: String(error?.message || error),
+        toastLifeTimeMs: 600000,
+      });
+    },
+    get$: () => new Subject().asObservable(),
+  };
+  const theme = { theme$: theme$.asObservable(), getTheme: () => theme$.getValue() };
+  const executionContext = createExecutionContext();
+  const analytics = {
+    reportEvent: () => {},
+    registerEventType: () => {},
+    registerContextProvider: () => {},
+    registerShipper: () => {},
+    optIn: () => {},
+    telemetryCounter$: new Subject().asObservable(),
+  };
+
+  const shared = {
+    http,
+    uiSettings,
+    notifications: { toasts },
+    fatalErrors,
+    theme,
+    executionContext,
+    analytics,
+    i18n: { Context: ({ children }) => children },
+  };
+
+  let resolveStart;
+  const startServices = new Promise((resolve) => (resolveStart = resolve));
+
+  const setup = {
+    ...shared,
+    application: application.setup,
+    getStartServices: () => startServices,
+  };
+
+  const start = {
+    ...shared,
+    application: application.start,
+    chrome,
+    overlays: createOverlays(),
+    docLinks: {
+      ELASTIC_WEBSITE_URL: 'https://www.elastic.co/',
+      DOC_LINK_VERSION: 'current',
+      links: new Proxy({}, { get: () => 'https://www.elastic.co/guide/index.html' }),
+    },
+    deprecations: {
+      getAllDeprecations: async () => [],
+      getDeprecations: async () => [],
+      isDeprecationResolvable: () => false,
+      resolveDeprecation: async () => ({ status: 'ok' }),
+    },
+    customBranding: {
+      customBranding$: new BehaviorSubject({}).asObservable(),
+      hasCustomBranding$: new BehaviorSubject(false).asObservable(),
+    },
+  };
+
+  return { setup, start, application, chrome, resolveStart };
+}
+
+function createExecutionContext() {
+  const context$ = new BehaviorSubject({});
+  return {
+    context$: context$.asObservable(),
+    get: () => context$.getValue(),
+    set: (context) => context$.next({ ...context$.getValue(), ...context }),
+    clear: () => context$.next({}),
+    getAsLabels: () => ({}),
+    withGlobalContext: (context) => ({ ...context$.getValue(), ...context }),
+  };
+}
+
+/**
+ * Kibana renders its chrome inside `EuiProvider`, which injects EUI's global
+ * styles. Apps rely on them, so an empty provider is rendered when the plugin
+ * uses EUI.
+ */
+function renderEuiGlobalStyles({ darkMode }) {
+  const { react, 'react-dom/client': client, '@elastic/eui': eui } = window.__kbnSharedDeps__;
+  if (!react || !client?.createRoot || !eui?.EuiProvider) return;
+  const root = document.createElement('div');
+  document.body.appendChild(root);
+  client
+    .createRoot(root)
+    .render(react.createElement(eui.EuiProvider, { colorMode: darkMode ? 'dark' : 'light' }));
+}
+
+// ─── Boot ──────────────────────────────────────────────────────────
+
+/** Runs the plugin's browser lifecycle and mounts its app. */
+export async function bootstrap(pluginModule) {
+  injectStyles();
+  if (metadata.liveReload) {
+    new EventSource(metadata.liveReload).addEventListener('reload', () => window.location.reload());
+  }
+
+  if (typeof pluginModule.plugin !== 'function') {
+    throw new Error('public/index.ts must export a `plugin` initializer function');
+  }
+  const core = createCore();
+  const plugin = await pluginModule.plugin(createInitializerContext());
+  const pluginsSetup = {};
+  const pluginsStart = {};
+  if (metadata.dependencies.length) {
+    console.warn(
+      `[kibana-mock] Plugin dependencies are not mocked in the browser: ${metadata.dependencies.join(', ')}`
+    );
+  }
+
+  await plugin.setup?.(core.setup, pluginsSetup);
+  const startContract = await plugin.start?.(core.start, pluginsStart);
+  core.resolveStart([core.start, pluginsStart, startContract]);
+
+  core.chrome.render();
+  renderEuiGlobalStyles(core.start.theme.getTheme());
+  await core.application.mountInitialApp();
+  window.addEventListener('beforeunload', () => plugin.stop?.());
+}
@@ -0,0 +1,92 @@
+/**
+ * Scoped History
+ *
+ * The `history` an app receives in its mount parameters: a `history` v4
+ * compatible object (what `react-router` v5/v6 compat expects) scoped to the
+ * app's base path, e.g. `/app/my_plugin`. Locations are relative to the base
+ * path; `createHref` adds it back.
+ */
+
+const prefixed = (value, prefix) =>
+  value && !value.startsWith(prefix) ? prefix + value : value || '';
+
+const createPath = ({ pathname = '/', search, hash }) =>
+  pathname + prefixed(search, '?') + prefixed(hash, '#');
+
+let keyCounter = 0;
+
+export function createScopedHistory(basePath) {
+  const listeners = new Set();
+  let action = 'POP';
+
+  const toLocation = () => {
+    const { pathname, search, hash } = window.location;
+    const state = window.history.state || {};
+    return {
+      pathname: pathname.startsWith(basePath) ? pathname.slice(basePath.length) || '/' : pathname,
+      search,
+      hash,
+      state: state.usr,
+      key: state.key || 'default',
+    };
+  };
+
+  // Strings resolve like links: relative to the current location
+  const resolveLocation = (to) => {
+    if (typeof to !== 'string') return { ...to };
+    const { pathname, search } = toLocation();
+    const url = new URL(to, `http://localhost${pathname}${search}`);
+    return { pathname: url.pathname, search: url.search, hash: url.hash };
+  };
+
+  const notify = () => {
+    const location = toLocation();
+    listeners.forEach((listener) => listener(location, action));
+  };
+
+  const navigate = (nextAction, to, state) => {
+    const location = resolveLocation(to);
+    const historyState = { usr: state ?? location.state, key: (++keyCounter).toString(36) };
+    const url = basePath + createPath(location);
+    if (nextAction === 'PUSH') window.history.pushState(historyState, '', url);
+    else window.history.replaceState(historyState, '', url);
+    action = nextAction;
+    notify();
+  };
+
+  const onPopState = () => {
+    if (!window.location.pathname.startsWith(basePath)) return;
+    action = 'POP';
+    notify();
+  };
+  window.addEventListener('popstate', onPopState);
+
+  return {
+    get length() {
+      return window.history.length;
+    },
+    get action() {
+      return action;
+    },
+    get location() {
+      return toLocation();
+    },
+    createHref: (location) => basePath + createPath(location),
+    createSubHistory: (subPath) => createScopedHistory(basePath + subPath),
+    push: (to, state) => navigate('PUSH', to, state),
+    replace: (to, state) => navigate('REPLACE', to, state),
+    go: (n) => window.history.go(n),
+    goBack: () => window.history.back(),
+    goForward: () => window.history.forward(),
+    // Apps use `onAppLeave` to confirm leaving; blocking is not emulated
+    block: () => () => {},
+    listen(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    dispose() {
+      listeners.clear();
+      window.removeEventListener('popstate', onPopState);
+    },
+  };
+}
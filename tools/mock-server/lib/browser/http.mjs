@@ -0,0 +1,170 @@
+/**
+ * Browser HTTP Service
+ *
+ * `core.http` for the browser companion: `fetch` and the per-method helpers
+ * call the mock server with Kibana's conventions:
+ * - paths are prefixed with the space's base path unless `prependBasePath: false`
+ * - `kbn-xsrf` is always sent, `elastic-api-version` from `options.version`
+ * - JSON bodies are parsed, NDJSON and text returned as strings, anything
+ *   else as a Blob; `asResponse` returns `{ fetchOptions, request, response, body }`
+ * - non-2xx responses reject with an `HttpFetchError`
+ * - interceptors registered with `intercept()` can rewrite requests and
+ *   responses, or recover from errors
+ */
+
+import { BehaviorSubject } from 'rxjs';
+
+export class HttpFetchError extends Error {
+  constructor(message, name, request, response, body) {
+    super(message);
+    this.name = name;
+    this.req = this.request = request;
+    this.res = this.response = response;
+    this.body = body;
+  }
+}
+
+function createBasePath(basePath, serverBasePath) {
+  return {
+    serverBasePath,
+    get: () => basePath,
+    prepend: (path) =>
+      path.startsWith('/') && !path.startsWith(basePath + '/') ? basePath + path : path,
+    remove: (path) => (path.startsWith(basePath) ? path.slice(basePath.length) || '/' : path),
+  };
+}
+
+async function readBody(response) {
+  if (response.status === 204) return null;
+  const contentType = response.headers.get('content-type') || '';
+  if (/ndjson|^text\//.test(contentType)) return response.text();
+  if (/json/.test(contentType)) {
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+  return response.blob();
+}
+
+export function createHttpService({ basePath = '', serverBasePath = '' } = {}) {
+  const interceptors = new Set();
+  const loadingCount$ = new BehaviorSubject(0);
+  const anonymousPaths = new Set();
+  const base = createBasePath(basePath, serverBasePath);
+
+  const runInterceptors = async (hook, value, merge) => {
+    for (const interceptor of interceptors) {
+      if (!interceptor[hook]) continue;
+      const result = await interceptor[hook](value, { halt: () => {} });
+      if (result) value = merge(value, result);
+    }
+    return value;
+  };
+
+  async function fetch(pathOrOptions, options = {}) {
+    let fetchOptions =
+      typeof pathOrOptions === 'string'
+        ? { ...options, path: pathOrOptions }
+        : { ...pathOrOptions };
+    fetchOptions = await runInterceptors('request', fetchOptions, (a, b) => ({ ...a, ...b }));
+
+    const {
+      path,
+      query,
+      prependBasePath = true,
+      version,
+      asResponse,
+      body,
+      headers,
+    } = fetchOptions;
+    const url = new URL(prependBasePath ? base.prepend(path) : path, window.location.origin);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value === undefined) continue;
+      [value].flat().forEach((item) => url.searchParams.append(key, String(item)));
+    }
+    const request = new Request(url, {
+      method: fetchOptions.method || 'GET',
+      credentials: 'same-origin',
+      signal: fetchOptions.signal,
+      body,
+      // `{ 'Content-Type': undefined }` lets the browser set it, e.g. for FormData
+      headers: Object.fromEntries(
+        Object.entries({
+          'Content-Type': 'application/json',
+          'kbn-xsrf': 'kibana',
+          ...(version && { 'elastic-api-version': version }),
+          ...headers,
+        }).filter(([, value]) => value !== undefined)
+      ),
+    });
+
+    loadingCount$.next(loadingCount$.getValue() + 1);
+    try {
+      let response;
+      try {
+        response = await window.fetch(request);
+      } catch (error) {
+        throw new HttpFetchError(error.message, error.name ?? 'Error', request);
+      }
+      const responseBody = await readBody(response).catch(() => null);
+      if (!response.ok) {
+        const message = responseBody?.message || response.statusText;
+        throw new HttpFetchError(message, 'Error', request, response, responseBody);
+      }
+      const result = await runInterceptors(
+        'response',
+        { fetchOptions, request, response, body: responseBody },
+        (a, b) => ({ ...a, ...b })
+      );
+      return asResponse ? result : result.body;
+    } catch (error) {
+      if (!(error instanceof HttpFetchError)) throw error;
+      for (const interceptor of interceptors) {
+        const recovered = await interceptor.responseError?.(
+          {
+            fetchOptions,
+            request: error.request,
+            response: error.response,
+            error,
+            body: error.body,
+          },
+          { halt: () => {} }
+        );
+        if (recovered) return asResponse ? recovered : recovered.body;
+      }
+      throw error;
+    } finally {
+      loadingCount$.next(loadingCount$.getValue() - 1);
+    }
+  }
+
+  const shorthand = (method) => (pathOrOptions, options) =>
+    typeof pathOrOptions === 'string'
+      ? fetch(pathOrOptions, { ...options, method })
+      : fetch({ ...pathOrOptions, method });
+
+  return {
+    fetch,
+    get: shorthand('GET'),
+    head: shorthand('HEAD'),
+    post: shorthand('POST'),
+    put: shorthand('PUT'),
+    patch: shorthand('PATCH'),
+    delete: shorthand('DELETE'),
+    options: shorthand('OPTIONS'),
+    basePath: base,
+    anonymousPaths: {
+      register: (path) => anonymousPaths.add(path),
+      isAnonymous: (path) => anonymousPaths.has(base.remove(path)),
+    },
+    externalUrl: {
+      isInternalUrl: (url) => new URL(url, window.location.href).origin === window.location.origin,
+      validateUrl: (url) => new URL(url, window.location.href),
+    },
+    intercept(interceptor) {
+      interceptors.add(interceptor);
+      return () => interceptors.delete(interceptor);
+    },
+    addLoadingCountSource: (count$) => count$.subscribe(),
+    getLoadingCount$: () => loadingCount$.asObservable(),
+  };
+}
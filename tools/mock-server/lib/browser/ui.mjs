@@ -0,0 +1,381 @@
+/**
+ * Browser UI Services
+ *
+ * The parts of the mock core that render outside the app: `chrome` (a header
+ * with the app links, breadcrumbs and nav controls), `notifications.toasts`
+ * and `overlays`. They are plain DOM so the core works with or without React.
+ * Content passed as a Kibana `MountPoint` (`(element) => unmount`) is mounted
+ * as is; strings are rendered as text.
+ */
+
+import { BehaviorSubject } from 'rxjs';
+
+const STYLES = `
+  body { margin: 0; font-family: Inter, -apple-system, BlinkMacSystemFont, sans-serif; }
+  #kbnMockApp { min-height: calc(100vh - 48px); }
+  .kbnMockHeader { display: flex; align-items: center; gap: 16px; height: 48px; padding: 0 16px;
+    background: #25282f; color: #fff; font-size: 14px; }
+  .kbnMockHeader a { color: #fff; text-decoration: none; }
+  .kbnMockHeader__apps { display: flex; gap: 12px; }
+  .kbnMockHeader__apps a[aria-current] { text-decoration: underline; }
+  .kbnMockHeader__crumbs { flex: 1; opacity: 0.8; }
+  .kbnMockHeader__crumbs span + span::before { content: ' / '; }
+  .kbnMockHeader__controls { display: flex; gap: 8px; align-items: center; }
+  .kbnMockToasts { position: fixed; right: 16px; bottom: 16px; z-index: 9000; width: 320px; }
+  .kbnMockToast { margin-top: 8px; padding: 12px; background: #fff; border-radius: 6px;
+    border-top: 3px solid var(--color); box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2); }
+  .kbnMockToast strong { display: block; margin-bottom: 4px; }
+  .kbnMockToast button { float: right; border: 0; background: none; cursor: pointer; }
+  .kbnMockOverlay { position: fixed; inset: 0; z-index: 8000; background: rgba(0, 0, 0, 0.4);
+    display: flex; align-items: center; justify-content: center; }
+  .kbnMockOverlay--flyout { justify-content: flex-end; align-items: stretch; }
+  .kbnMockOverlay__panel { background: #fff; border-radius: 6px; padding: 16px; min-width: 400px;
+    max-height: 90vh; overflow: auto; }
+  .kbnMockOverlay--flyout .kbnMockOverlay__panel { border-radius: 0; max-height: none; width: 40vw; }
+  .kbnMockOverlay__actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px; }
+  .kbnMockBanner { padding: 8px 16px; background: #fef6e5; }
+  .kbnMockBuildError { margin: 16px; padding: 16px; background: #f8e9e9; color: #a8232b;
+    white-space: pre-wrap; }
+`;
+
+const TOAST_COLORS = {
+  success: '#00bfb3',
+  warning: '#fec514',
+  danger: '#bd271e',
+  primary: '#0077cc',
+};
+
+export function injectStyles() {
+  const style = document.createElement('style');
+  style.textContent = STYLES;
+  document.head.appendChild(style);
+}
+
+function element(tag, { className, text, ...attributes } = {}, children = []) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  for (const [name, value] of Object.entries(attributes)) {
+    if (name.startsWith('on')) node.addEventListener(name.slice(2).toLowerCase(), value);
+    else if (value !== undefined && value !== false) node.setAttribute(name, value);
+  }
+  node.append(...children);
+  return node;
+}
+
+/** Renders a MountPoint or a string into `container`, returning the unmount. */
+function mountContent(container, content) {
+  if (typeof content === 'function') return content(container) || (() => {});
+  if (content !== undefined && content !== null) container.append(String(content));
+  return () => {};
+}
+
+// ─── Toasts ────────────────────────────────────────────────────────
+
+export function createToasts() {
+  const toasts$ = new BehaviorSubject([]);
+  const container = element('div', { className: 'kbnMockToasts', role: 'log' });
+  document.body.appendChild(container);
+  const unmounts = new Map();
+  let counter = 0;
+
+  const remove = (toastOrId) => {
+    const id = typeof toastOrId === 'string' ? toastOrId : toastOrId?.id;
+    unmounts.get(id)?.();
+    unmounts.delete(id);
+    container.querySelector(`[data-toast-id="${id}"]`)?.remove();
+    toasts$.next(toasts$.getValue().filter((toast) => toast.id !== id));
+  };
+
+  const add = (toastOrTitle) => {
+    const toast = {
+      id: String(counter++),
+      ...(typeof toastOrTitle === 'string' ? { title: toastOrTitle } : toastOrTitle),
+    };
+    const title = element('strong');
+    const body = element('div');
+    const node = element(
+      'div',
+      {
+        className: 'kbnMockToast',
+        'data-toast-id': toast.id,
+        'data-test-subj': toast['data-test-subj'],
+      },
+      [
+        element('button', {
+          text: '×',
+          'aria-label': 'Dismiss toast',
+          onClick: () => remove(toast),
+        }),
+        title,
+        body,
+      ]
+    );
+    node.style.setProperty('--color', TOAST_COLORS[toast.color] || TOAST_COLORS.primary);
+    const unmountTitle = mountContent(title, toast.title);
+    const unmountText = mountContent(body, toast.text);
+    unmounts.set(toast.id, () => {
+      unmountTitle();
+      unmountText();
+    });
+    container.appendChild(node);
+    toasts$.next([...toasts$.getValue(), toast]);
+    setTimeout(() => remove(toast), toast.toastLifeTimeMs ?? 10000);
+    return toast;
+  };
+
+  const withColor = (color, iconType) => (toastOrTitle, options) =>
+    add({
+      color,
+      iconType,
+      ...(typeof toastOrTitle === 'string' ? { title: toastOrTitle } : toastOrTitle),
+      ...options,
+    });
+
+  return {
+    get$: () => toasts$.asObservable(),
+    add,
+    remove,
+    addInfo: withColor('primary', 'iInCircle'),
+    addSuccess: withColor('success', 'check'),
+    addWarning: withColor('warning', 'help'),
+    addDanger: withColor('danger', 'alert'),
+    addError: (error, { title, toastMessage, ...options } = {}) => {
+      console.error(error);
+      return add({
+        color: 'danger',
+        iconType: 'alert',
+        title,
+        text: toastMessage || error.message,
+        ...options,
+      });
+    },
+  };
+}
+
+// ─── Overlays ──────────────────────────────────────────────────────
+
+function openOverlay(content, { flyout = false, actions } = {}) {
+  let resolveClose;
+  const onClose = new Promise((resolve) => (resolveClose = resolve));
+  const panel = element('div', { className: 'kbnMockOverlay__panel', role: 'dialog' });
+  const overlay = element(
+    'div',
+    { className: `kbnMockOverlay${flyout ? ' kbnMockOverlay--flyout' : ''}` },
+    [panel]
+  );
+  const onKeyDown = (event) => event.key === 'Escape' && ref.close();
+  overlay.addEventListener('click', (event) => event.target === overlay && ref.close());
+  document.addEventListener('keydown', onKeyDown);
+  document.body.appendChild(overlay);
+
+  const body = element('div');
+  panel.append(body, ...(actions ? [actions] : []));
+  const unmount = mountContent(body, content);
+
+  const ref = {
+    onClose,
+    close: async () => {
+      if (!overlay.isConnected) return;
+      unmount();
+      overlay.remove();
+      document.removeEventListener('keydown', onKeyDown);
+      resolveClose();
+    },
+  };
+  return ref;
+}
+
+export function createOverlays() {
+  const banners = new Map();
+  const bannerContainer = element('div');
+  document.getElementById('kbnMockChrome').after(bannerContainer);
+  let bannerCounter = 0;
+
+  const addBanner = (mount, priority = 0, id = `banner-${bannerCounter++}`) => {
+    const node = element('div', { className: 'kbnMockBanner', 'data-banner-id': id });
+    banners.set(id, { node, priority, unmount: mountContent(node, mount) });
+    [...banners.values()]
+      .sort((a, b) => b.priority - a.priority)
+      .forEach((banner) => bannerContainer.appendChild(banner.node));
+    return id;
+  };
+
+  const removeBanner = (id) => {
+    const banner = banners.get(id);
+    if (!banner) return false;
+    banner.unmount();
+    banner.node.remove();
+    return banners.delete(id);
+  };
+
+  return {
+    openModal: (mount) => openOverlay(mount),
+    openFlyout: (mount) => openOverlay(mount, { flyout: true }),
+    openSystemFlyout: (mount) => openOverlay(mount, { flyout: true }),
+    openConfirm(
+      message,
+      { title, confirmButtonText = 'Confirm', cancelButtonText = 'Cancel' } = {}
+    ) {
+      return new Promise((resolve) => {
+        const answer = (confirmed) => () => {
+          resolve(confirmed);
+          ref.close();
+        };
+        const actions = element('div', { className: 'kbnMockOverlay__actions' }, [
+          element('button', { text: cancelButtonText, onClick: answer(false) }),
+          element('button', { text: confirmButtonText, onClick: answer(true) }),
+        ]);
+        const content = (container) => {
+          if (title) container.append(element('h2', { text: title }));
+          const body = element('div');
+          container.append(body);
+          return mountContent(body, message);
+        };
+        const ref = openOverlay(content, { actions });
+        ref.onClose.then(() => resolve(false));
+      });
+    },
+    banners: {
+      add: addBanner,
+      remove: removeBanner,
+      replace: (id, mount, priority) => {
+        removeBanner(id);
+        return addBanner(mount, priority);
+      },
+      getComponent: () => null,
+    },
+  };
+}
+
+// ─── Chrome ────────────────────────────────────────────────────────
+
+export function createChrome({ application, pluginId }) {
+  const breadcrumbs$ = new BehaviorSubject([]);
+  const isVisible$ = new BehaviorSubject(true);
+  const badge$ = new BehaviorSubject(undefined);
+  const helpExtension$ = new BehaviorSubject(undefined);
+  const recentlyAccessed$ = new BehaviorSubject([]);
+  const navControls = { left: [], center: [], right: [] };
+  const header = document.getElementById('kbnMockChrome');
+  const baseTitle = document.title;
+
+  function render() {
+    header.replaceChildren();
+    if (!isVisible$.getValue()) return;
+    const current = application.getCurrentAppId();
+    const apps = element(
+      'nav',
+      { className: 'kbnMockHeader__apps' },
+      application.getApps().map((app) =>
+        element('a', {
+          text: app.title,
+          href: application.start.getUrlForApp(app.id),
+          'aria-current': app.id === current && 'page',
+          onClick: (event) => {
+            event.preventDefault();
+            application.start.navigateToApp(app.id);
+          },
+        })
+      )
+    );
+    const crumbs = element(
+      'div',
+      { className: 'kbnMockHeader__crumbs' },
+      breadcrumbs$
+        .getValue()
+        .map(({ text, href, onClick }) =>
+          href || onClick
+            ? element('span', {}, [element('a', { text, href, onClick })])
+            : element('span', { text })
+        )
+    );
+    const controls = element('div', { className: 'kbnMockHeader__controls' });
+    [...navControls.left, ...navControls.center, ...navControls.right]
+      .sort((a, b) => (b.order ?? 0) - (a.order ?? 0))
+      .forEach(({ mount }) => {
+        const slot = element('span');
+        controls.appendChild(slot);
+        mountContent(slot, mount);
+      });
+    const badge = badge$.getValue();
+    header.append(
+      element('div', { className: 'kbnMockHeader' }, [
+        element('strong', { text: `${pluginId} (mock)` }),
+        apps,
+        crumbs,
+        ...(badge ? [element('span', { text: badge.text, title: badge.tooltip })] : []),
+        controls,
+      ])
+    );
+  }
+
+  const registerNavControl = (position) => (control) => {
+    navControls[position].push(control);
+    render();
+  };
+
+  return {
+    render,
+    navLinks: {
+      getAll: () =>
+        application
+          .getApps()
+          .map((app) => ({
+            id: app.id,
+            title: app.title,
+            url: application.start.getUrlForApp(app.id),
+          })),
+      get: (id) => application.getApps().find((app) => app.id === id),
+      has: (id) => application.getApps().some((app) => app.id === id),
+      getNavLinks$: () => application.applications$,
+    },
+    docTitle: {
+      change: (title) => {
+        document.title = [title].flat().concat(baseTitle).join(' - ');
+      },
+      reset: () => {
+        document.title = baseTitle;
+      },
+    },
+    setBreadcrumbs: (breadcrumbs = []) => {
+      breadcrumbs$.next(breadcrumbs);
+      render();
+    },
+    getBreadcrumbs$: () => breadcrumbs$.asObservable(),
+    setBreadcrumbsAppendExtension: () => {},
+    setIsVisible: (visible) => {
+      isVisible$.next(visible);
+      render();
+    },
+    getIsVisible$: () => isVisible$.asObservable(),
+    setBadge: (badge) => {
+      badge$.next(badge);
+      render();
+    },
+    getBadge$: () => badge$.asObservable(),
+    setHelpExtension: (extension) => helpExtension$.next(extension),
+    getHelpExtension$: () => helpExtension$.asObservable(),
+    setHelpSupportUrl: () => {},
+    setHeaderBanner: () => {},
+    hasHeaderBanner$: () => new BehaviorSubject(false).asObservable(),
+    getChromeStyle$: () => new BehaviorSubject('classic').asObservable(),
+    setChromeStyle: () => {},
+    navControls: {
+      registerLeft: registerNavControl('left'),
+      registerCenter: registerNavControl('center'),
+      registerRight: registerNavControl('right'),
+    },
+    recentlyAccessed: {
+      add: (link, label, id) =>
+        recentlyAccessed$.next(
+          [
+            { link, label, id },
+            ...recentlyAccessed$.getValue().filter((item) => item.id !== id),
+          ].slice(0, 20)
+        ),
+      get: () => recentlyAccessed$.getValue(),
+      get$: () => recentlyAccessed$.asObservable(),
+    },
+  };
+}
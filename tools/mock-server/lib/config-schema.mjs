@@ -0,0 +1,924 @@
+/**
+ * Bundled @kbn/config-schema compatible implementation
+ *
+ * Used by the mock server when the real `@kbn/config-schema` package cannot be
+ * resolved from the plugin directory. It mirrors the parts of the API that
+ * route validators rely on:
+ * - schema.string/number/boolean/literal/any/uri/ip/never/buffer/stream
+ * - schema.duration/byteSize, coerced to Duration / ByteSizeValue objects
+ * - schema.object/arrayOf/recordOf/mapOf/allOf
+ * - schema.maybe/nullable/oneOf
+ * - schema.conditional with schema.contextRef/siblingRef
+ * - schema.lazy, resolving the type declared with the same `meta.id`
+ * - defaultValue, validate callbacks, min/max/length options
+ * - query-string coercion ("5" → 5, "true" → true, JSON objects/arrays)
+ * - Kibana-style error messages with the failing key path
+ * - `toJsonSchema()` for OpenAPI generation, honouring `meta.description`
+ */
+
+import { createRequire } from 'module';
+import { isIP } from 'net';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+// ─── Errors ────────────────────────────────────────────────────────
+
+export class SchemaTypeError extends Error {
+  constructor(message, path = []) {
+    super(message);
+    this.path = path;
+  }
+}
+
+export class SchemaTypesError extends SchemaTypeError {
+  constructor(message, path, errors) {
+    super(message, path);
+    this.errors = errors;
+  }
+}
+
+export class ValidationError extends Error {
+  constructor(cause, namespace) {
+    super(ValidationError.extractMessage(cause, namespace));
+    this.cause = cause;
+  }
+
+  static extractMessage(error, namespace, level = 0) {
+    const path = typeof namespace === 'string' ? [namespace, ...error.path] : error.path;
+    let message = error.message;
+    if (error instanceof SchemaTypesError) {
+      const children = error.errors.map((child) =>
+        ValidationError.extractMessage(child, namespace, level + 1)
+      );
+      message = `${message}\n${children.map((c) => `${' '.repeat(level)}- ${c}`).join('\n')}`;
+    }
+    if (path.length === 0) return message;
+    return `[${path.join('.')}]: ${message}`;
+  }
+}
+
+// ─── Helpers ───────────────────────────────────────────────────────
+
+function typeDetect(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'Array';
+  if (value instanceof Map) return 'Map';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    !Array.isArray(value) &&
+    (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null)
+  );
+}
+
+function tryParseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+// The validated values of an object's other properties, for siblingRef
+const SIBLINGS = Symbol('siblings');
+
+// Types declared with a `meta.id`, for schema.lazy
+const typesById = new Map();
+
+// ─── Durations & Byte Sizes ────────────────────────────────────────
+
+// Months and years as moment counts them
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  M: 2_629_746_000,
+  Y: 31_556_952_000,
+};
+
+/**
+ * The subset of moment's Duration plugin code calls on config values:
+ * `asMilliseconds()` and friends, `toISOString()`.
+ */
+export class Duration {
+  constructor(milliseconds) {
+    this.milliseconds = milliseconds;
+  }
+
+  asMilliseconds() {
+    return this.milliseconds;
+  }
+
+  asSeconds() {
+    return this.milliseconds / DURATION_UNITS.s;
+  }
+
+  asMinutes() {
+    return this.milliseconds / DURATION_UNITS.m;
+  }
+
+  asHours() {
+    return this.milliseconds / DURATION_UNITS.h;
+  }
+
+  asDays() {
+    return this.milliseconds / DURATION_UNITS.d;
+  }
+
+  valueOf() {
+    return this.milliseconds;
+  }
+
+  toISOString() {
+    if (this.milliseconds === 0) return 'P0D';
+    let rest = this.milliseconds;
+    const take = (unit) => {
+      const count = Math.floor(rest / DURATION_UNITS[unit]);
+      rest -= count * DURATION_UNITS[unit];
+      return count;
+    };
+    const [days, hours, minutes] = [take('d'), take('h'), take('m')];
+    const seconds = rest / DURATION_UNITS.s;
+    const time = [hours && `${hours}H`, minutes && `${minutes}M`, seconds && `${seconds}S`].filter(
+      Boolean
+    );
+    return `P${days ? `${days}D` : ''}${time.length ? `T${time.join('')}` : ''}`;
+  }
+
+  toString() {
+    return this.toISOString();
+  }
+
+  toJSON() {
+    return this.toISOString();
+  }
+}
+
+const DURATION_FORMAT_ERROR =
+  'Failed to parse value as time value. Value must be a duration in milliseconds, or follow ' +
+  "the format <count>[ms|s|m|h|d|w|M|Y] (e.g. '70ms', '5s', '3d', '1Y'), where the duration " +
+  'is a safe positive integer.';
+
+/** A Duration from milliseconds or `<count><unit>` text; null if neither. */
+export function ensureDuration(value) {
+  if (value instanceof Duration) return value;
+  if (typeof value === 'string' && /^\d+$/.test(value)) value = Number(value);
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error('Value in milliseconds is expected to be a safe positive integer.');
+    }
+    return new Duration(value);
+  }
+  const match = typeof value === 'string' && /^(\d+)(ms|s|m|h|d|w|M|Y)$/.exec(value);
+  if (!match) return null;
+  return new Duration(Number(match[1]) * DURATION_UNITS[match[2]]);
+}
+
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/** Kibana's ByteSizeValue: a number of bytes, shown in the largest whole unit. */
+export class ByteSizeValue {
+  constructor(valueInBytes) {
+    this.valueInBytes = valueInBytes;
+  }
+
+  getValueInBytes() {
+    return this.valueInBytes;
+  }
+
+  isGreaterThan(other) {
+    return this.valueInBytes > other.getValueInBytes();
+  }
+
+  isLessThan(other) {
+    return this.valueInBytes < other.getValueInBytes();
+  }
+
+  isEqualTo(other) {
+    return this.valueInBytes === other.getValueInBytes();
+  }
+
+  valueOf() {
+    return this.valueInBytes;
+  }
+
+  toString(returnUnit) {
+    const render = (unit) => {
+      const count = this.valueInBytes / BYTE_UNITS[unit];
+      return Number.isInteger(count) ? count : count.toFixed(1);
+    };
+    let unit = 'b';
+    for (const next of ['kb', 'mb', 'gb']) {
+      if (unit === returnUnit || (!returnUnit && this.valueInBytes / BYTE_UNITS[next] < 1)) break;
+      unit = next;
+    }
+    return `${render(unit)}${unit}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+const BYTE_SIZE_FORMAT_ERROR =
+  'Failed to parse value as byte value. Value must be either number of bytes, or follow the ' +
+  "format <count>[b|kb|mb|gb] (e.g., '1024kb', '200mb', '1gb'), where the number is a safe " +
+  'positive integer.';
+
+/** A ByteSizeValue from bytes or `<count><unit>` text; null if neither. */
+export function ensureByteSizeValue(value) {
+  if (value instanceof ByteSizeValue) return value;
+  if (typeof value === 'string' && /^\d+$/.test(value)) value = Number(value);
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error('Value in bytes is expected to be a safe positive integer.');
+    }
+    return new ByteSizeValue(value);
+  }
+  const match = typeof value === 'string' && /^(\d+)(b|kb|mb|gb)$/i.exec(value);
+  if (!match) return null;
+  return new ByteSizeValue(Number(match[1]) * BYTE_UNITS[match[2].toLowerCase()]);
+}
+
+// ─── Base Type ─────────────────────────────────────────────────────
+
+export class Type {
+  constructor(options = {}) {
+    this.options = options;
+    if (options.meta?.id) typesById.set(options.meta.id, this);
+  }
+
+  /**
+   * Validates and coerces `value`. Throws a ValidationError whose message
+   * carries the failing key path, prefixed with `namespace` when given.
+   */
+  validate(value, context = {}, namespace) {
+    try {
+      return this.process(value, [], context);
+    } catch (error) {
+      if (error instanceof SchemaTypeError) {
+        throw new ValidationError(error, namespace);
+      }
+      throw error;
+    }
+  }
+
+  process(value, path, context) {
+    if (value === undefined && 'defaultValue' in this.options) {
+      const { defaultValue } = this.options;
+      value = typeof defaultValue === 'function' ? defaultValue(context) : defaultValue;
+    }
+    const result = this.handle(value, path, context);
+    if (typeof this.options.validate === 'function') {
+      const message = this.options.validate(result);
+      if (typeof message === 'string') {
+        throw new SchemaTypeError(message, path);
+      }
+    }
+    return result;
+  }
+
+  expected(type, value, path) {
+    return new SchemaTypeError(
+      `expected value of type [${type}] but got [${typeDetect(value)}]`,
+      path
+    );
+  }
+
+  handle(value) {
+    return value;
+  }
+
+  /** Whether an object property of this type may be left out. */
+  isOptional() {
+    return 'defaultValue' in this.options;
+  }
+
+  /** JSON schema (OpenAPI 3.0 dialect) of the values this type accepts. */
+  toJsonSchema() {
+    const jsonSchema = this.describe();
+    const { defaultValue, meta } = this.options;
+    if (defaultValue !== undefined && typeof defaultValue !== 'function') {
+      jsonSchema.default = defaultValue;
+    }
+    if (meta?.description) jsonSchema.description = meta.description;
+    if (meta?.deprecated) jsonSchema.deprecated = true;
+    return jsonSchema;
+  }
+
+  describe() {
+    return {};
+  }
+}
+
+class StringType extends Type {
+  handle(value, path) {
+    if (typeof value !== 'string') throw this.expected('string', value, path);
+    const { minLength, maxLength, hostname } = this.options;
+    if (minLength !== undefined && value.length < minLength) {
+      throw new SchemaTypeError(
+        `value has length [${value.length}] but it must have a minimum length of [${minLength}].`,
+        path
+      );
+    }
+    if (maxLength !== undefined && value.length > maxLength) {
+      throw new SchemaTypeError(
+        `value has length [${value.length}] but it must have a maximum length of [${maxLength}].`,
+        path
+      );
+    }
+    if (hostname && !/^[a-zA-Z0-9.-]+$/.test(value)) {
+      throw new SchemaTypeError('value must be a valid hostname (see RFC 1123).', path);
+    }
+    return value;
+  }
+
+  describe() {
+    const { minLength, maxLength, hostname } = this.options;
+    return {
+      type: 'string',
+      ...(minLength !== undefined && { minLength }),
+      ...(maxLength !== undefined && { maxLength }),
+      ...(hostname && { format: 'hostname' }),
+    };
+  }
+}
+
+class NumberType extends Type {
+  handle(value, path) {
+    let number = value;
+    if (typeof value === 'string' && value.trim() !== '') {
+      number = Number(value);
+    }
+    if (typeof number !== 'number' || Number.isNaN(number)) {
+      throw this.expected('number', value, path);
+    }
+    const { min, max, unsafe } = this.options;
+    if (!unsafe && !Number.isSafeInteger(Math.trunc(number))) {
+      throw new SchemaTypeError('value must be a safe number', path);
+    }
+    if (min !== undefined && number < min) {
+      throw new SchemaTypeError(`Value must be equal to or greater than [${min}].`, path);
+    }
+    if (max !== undefined && number > max) {
+      throw new SchemaTypeError(`Value must be equal to or lower than [${max}].`, path);
+    }
+    return number;
+  }
+
+  describe() {
+    const { min, max } = this.options;
+    return {
+      type: 'number',
+      ...(min !== undefined && { minimum: min }),
+      ...(max !== undefined && { maximum: max }),
+    };
+  }
+}
+
+class BooleanType extends Type {
+  handle(value, path) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (typeof value !== 'boolean') throw this.expected('boolean', value, path);
+    return value;
+  }
+
+  describe() {
+    return { type: 'boolean' };
+  }
+}
+
+class LiteralType extends Type {
+  constructor(literal, options) {
+    super(options);
+    this.literal = literal;
+  }
+
+  handle(value, path) {
+    if (value !== this.literal) {
+      throw new SchemaTypeError(`expected value to equal [${this.literal}]`, path);
+    }
+    return value;
+  }
+
+  describe() {
+    return { type: typeof this.literal, enum: [this.literal] };
+  }
+}
+
+class AnyType extends Type {
+  handle(value, path) {
+    if (value === undefined) throw this.expected('any', value, path);
+    return value;
+  }
+}
+
+// A property that must be left out, often one branch of a conditional
+class NeverType extends Type {
+  handle(value, path) {
+    if (value !== undefined) {
+      throw new SchemaTypeError("a value wasn't expected to be present", path);
+    }
+    return value;
+  }
+
+  isOptional() {
+    return true;
+  }
+
+  describe() {
+    return { not: {} };
+  }
+}
+
+const IP_VERSIONS = { ipv4: 4, ipv6: 6 };
+
+class IpType extends Type {
+  handle(value, path) {
+    if (typeof value !== 'string') throw this.expected('string', value, path);
+    const { versions = ['ipv4', 'ipv6'] } = this.options;
+    if (!versions.some((version) => isIP(value) === IP_VERSIONS[version])) {
+      throw new SchemaTypeError(`value must be a valid ${versions.join(' or ')} address`, path);
+    }
+    return value;
+  }
+
+  describe() {
+    const { versions = ['ipv4', 'ipv6'] } = this.options;
+    return versions.length === 1 ? { type: 'string', format: versions[0] } : { type: 'string' };
+  }
+}
+
+class BufferType extends Type {
+  handle(value, path) {
+    if (!Buffer.isBuffer(value)) throw this.expected('Buffer', value, path);
+    return value;
+  }
+
+  describe() {
+    return { type: 'string', format: 'binary' };
+  }
+}
+
+class StreamType extends Type {
+  handle(value, path) {
+    if (typeof value?.pipe !== 'function') throw this.expected('Stream', value, path);
+    return value;
+  }
+
+  describe() {
+    return { type: 'string', format: 'binary' };
+  }
+}
+
+class UriType extends Type {
+  handle(value, path) {
+    if (typeof value !== 'string') throw this.expected('string', value, path);
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new SchemaTypeError(`value must be a valid URI (see RFC 3986).`, path);
+    }
+    const { scheme } = this.options;
+    if (scheme) {
+      const schemes = Array.isArray(scheme) ? scheme : [scheme];
+      if (!schemes.includes(url.protocol.replace(/:$/, ''))) {
+        throw new SchemaTypeError(`expected URI with scheme [${schemes.join('|')}].`, path);
+      }
+    }
+    return value;
+  }
+
+  describe() {
+    return { type: 'string', format: 'uri' };
+  }
+}
+
+/**
+ * Coerces to a Duration or ByteSizeValue (see above), checked against the
+ * `min` / `max` options, which take the same forms.
+ */
+class MeasureType extends Type {
+  constructor(options, { typeName, ensure, formatError }) {
+    super(options);
+    this.typeName = typeName;
+    this.ensure = ensure;
+    this.formatError = formatError;
+  }
+
+  handle(value, path) {
+    let measure;
+    try {
+      measure = this.ensure(value);
+    } catch (error) {
+      throw new SchemaTypeError(error.message, path);
+    }
+    if (measure === null) {
+      if (typeof value === 'string') throw new SchemaTypeError(this.formatError, path);
+      throw this.expected(this.typeName, value, path);
+    }
+    const [min, max] = [this.options.min, this.options.max].map(
+      (bound) => bound !== undefined && this.ensure(bound)
+    );
+    if (min && measure.valueOf() < min.valueOf()) {
+      throw new SchemaTypeError(`Value must be equal to or greater than [${min}]`, path);
+    }
+    if (max && measure.valueOf() > max.valueOf()) {
+      throw new SchemaTypeError(`Value must be equal to or less than [${max}]`, path);
+    }
+    return measure;
+  }
+
+  describe() {
+    return { anyOf: [{ type: 'string' }, { type: 'number' }] };
+  }
+}
+
+class DurationType extends MeasureType {
+  constructor(options) {
+    super(options, {
+      typeName: 'moment.Duration',
+      ensure: ensureDuration,
+      formatError: DURATION_FORMAT_ERROR,
+    });
+  }
+}
+
+class ByteSizeType extends MeasureType {
+  constructor(options) {
+    super(options, {
+      typeName: 'ByteSize',
+      ensure: ensureByteSizeValue,
+      formatError: BYTE_SIZE_FORMAT_ERROR,
+    });
+  }
+}
+
+export class ObjectType extends Type {
+  constructor(props, options = {}) {
+    super(options);
+    this.props = props;
+  }
+
+  getPropSchemas() {
+    return this.props;
+  }
+
+  extends(newProps, options) {
+    const props = { ...this.props };
+    for (const [key, value] of Object.entries(newProps)) {
+      if (value === undefined) delete props[key];
+      else props[key] = value;
+    }
+    return new ObjectType(props, { ...this.options, ...options });
+  }
+
+  handle(value, path, context) {
+    if (value === undefined) value = {};
+    if (typeof value === 'string') value = tryParseJson(value);
+    if (!isPlainObject(value)) {
+      throw new SchemaTypeError(
+        `expected a plain object value, but found [${typeDetect(value)}] instead.`,
+        path
+      );
+    }
+
+    // Conditionals go last, so the siblings they refer to are validated first
+    const values = {};
+    const childContext = { ...context, [SIBLINGS]: values };
+    const entries = Object.entries(this.props);
+    for (const [key, type] of [
+      ...entries.filter(([, type]) => !(type instanceof ConditionalType)),
+      ...entries.filter(([, type]) => type instanceof ConditionalType),
+    ]) {
+      values[key] = type.process(value[key], [...path, key], childContext);
+    }
+    const result = {};
+    for (const [key] of entries) {
+      if (values[key] !== undefined) result[key] = values[key];
+    }
+
+    const unknowns = this.options.unknowns || 'forbid';
+    for (const key of Object.keys(value)) {
+      if (key in this.props) continue;
+      if (unknowns === 'forbid') {
+        throw new SchemaTypeError('definition for this key is missing', [...path, key]);
+      }
+      if (unknowns === 'allow') result[key] = value[key];
+    }
+    return result;
+  }
+
+  describe() {
+    const entries = Object.entries(this.props);
+    const required = entries.filter(([, type]) => !type.isOptional()).map(([key]) => key);
+    return {
+      type: 'object',
+      properties: Object.fromEntries(entries.map(([key, type]) => [key, type.toJsonSchema()])),
+      ...(required.length && { required }),
+      additionalProperties: this.options.unknowns === 'allow',
+    };
+  }
+}
+
+// schema.allOf: an object with the properties of every object type given
+class IntersectionType extends ObjectType {
+  constructor(types, options) {
+    super(Object.assign({}, ...types.map((type) => type.getPropSchemas())), options);
+  }
+}
+
+class ArrayType extends Type {
+  constructor(itemType, options) {
+    super(options);
+    this.itemType = itemType;
+  }
+
+  handle(value, path, context) {
+    if (typeof value === 'string') value = tryParseJson(value);
+    if (!Array.isArray(value)) throw this.expected('Array', value, path);
+    const { minSize, maxSize } = this.options;
+    if (minSize !== undefined && value.length < minSize) {
+      throw new SchemaTypeError(
+        `array size is [${value.length}], but cannot be smaller than [${minSize}]`,
+        path
+      );
+    }
+    if (maxSize !== undefined && value.length > maxSize) {
+      throw new SchemaTypeError(
+        `array size is [${value.length}], but cannot be greater than [${maxSize}]`,
+        path
+      );
+    }
+    return value.map((item, i) => this.itemType.process(item, [...path, i], context));
+  }
+
+  describe() {
+    const { minSize, maxSize } = this.options;
+    return {
+      type: 'array',
+      items: this.itemType.toJsonSchema(),
+      ...(minSize !== undefined && { minItems: minSize }),
+      ...(maxSize !== undefined && { maxItems: maxSize }),
+    };
+  }
+}
+
+class RecordType extends Type {
+  constructor(keyType, valueType, options) {
+    super(options);
+    this.keyType = keyType;
+    this.valueType = valueType;
+  }
+
+  handle(value, path, context) {
+    if (typeof value === 'string') value = tryParseJson(value);
+    if (!isPlainObject(value)) throw this.expected('object', value, path);
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      const validKey = this.wrapKey(() => this.keyType.process(key, [...path, key], context), key, path);
+      result[validKey] = this.valueType.process(entry, [...path, key], context);
+    }
+    return result;
+  }
+
+  wrapKey(fn, key, path) {
+    try {
+      return fn();
+    } catch (error) {
+      if (!(error instanceof SchemaTypeError)) throw error;
+      throw new SchemaTypeError(`[${key}]: ${error.message}`, path);
+    }
+  }
+
+  describe() {
+    return { type: 'object', additionalProperties: this.valueType.toJsonSchema() };
+  }
+}
+
+class MapType extends RecordType {
+  handle(value, path, context) {
+    const source = value instanceof Map ? Object.fromEntries(value) : value;
+    return new Map(Object.entries(super.handle(source, path, context)));
+  }
+}
+
+class MaybeType extends Type {
+  constructor(type) {
+    super();
+    this.type = type;
+  }
+
+  handle(value, path, context) {
+    if (value === undefined) return undefined;
+    return this.type.process(value, path, context);
+  }
+
+  isOptional() {
+    return true;
+  }
+
+  toJsonSchema() {
+    return this.type.toJsonSchema();
+  }
+}
+
+class NullableType extends Type {
+  constructor(type) {
+    super();
+    this.type = type;
+  }
+
+  handle(value, path, context) {
+    if (value === undefined || value === null) return null;
+    return this.type.process(value, path, context);
+  }
+
+  isOptional() {
+    return true;
+  }
+
+  toJsonSchema() {
+    return { ...this.type.toJsonSchema(), nullable: true };
+  }
+}
+
+class UnionType extends Type {
+  constructor(types, options) {
+    super(options);
+    this.types = types;
+  }
+
+  handle(value, path, context) {
+    const errors = [];
+    for (const [i, type] of this.types.entries()) {
+      try {
+        return type.process(value, path, context);
+      } catch (error) {
+        if (!(error instanceof SchemaTypeError)) throw error;
+        errors.push(new SchemaTypeError(error.message, [...path, i]));
+      }
+    }
+    throw new SchemaTypesError('types that failed validation:', path, errors);
+  }
+
+  describe() {
+    return { anyOf: this.types.map((type) => type.toJsonSchema()) };
+  }
+}
+
+// ─── References & Conditionals ─────────────────────────────────────
+
+export class Reference {
+  constructor(resolve) {
+    this.resolve = resolve;
+  }
+
+  static isReference(value) {
+    return value instanceof Reference;
+  }
+}
+
+class ContextReference extends Reference {
+  constructor(key) {
+    super((context) => context[key]);
+    this.key = key;
+  }
+}
+
+class SiblingReference extends Reference {
+  constructor(key) {
+    super((context) => context[SIBLINGS]?.[key]);
+    this.key = key;
+  }
+}
+
+/**
+ * `equalType` when the left operand matches the right one (a value, another
+ * reference, or a type the value must validate against), `notEqualType`
+ * otherwise.
+ */
+class ConditionalType extends Type {
+  constructor(leftOperand, rightOperand, equalType, notEqualType, options) {
+    super(options);
+    this.leftOperand = leftOperand;
+    this.rightOperand = rightOperand;
+    this.equalType = equalType;
+    this.notEqualType = notEqualType;
+  }
+
+  matches(context) {
+    const left = this.leftOperand.resolve(context);
+    if (this.rightOperand instanceof Type) {
+      try {
+        this.rightOperand.process(left, [], context);
+        return true;
+      } catch (error) {
+        if (error instanceof SchemaTypeError) return false;
+        throw error;
+      }
+    }
+    const right = Reference.isReference(this.rightOperand)
+      ? this.rightOperand.resolve(context)
+      : this.rightOperand;
+    return left === right;
+  }
+
+  handle(value, path, context) {
+    const type = this.matches(context) ? this.equalType : this.notEqualType;
+    return type.process(value, path, context);
+  }
+
+  isOptional() {
+    return super.isOptional() || (this.equalType.isOptional() && this.notEqualType.isOptional());
+  }
+
+  describe() {
+    return { anyOf: [this.equalType.toJsonSchema(), this.notEqualType.toJsonSchema()] };
+  }
+}
+
+/**
+ * The type declared with `meta: { id }`, looked up when validating so that
+ * schemas can refer to themselves. Values pass unchecked if there is none.
+ */
+class LazyType extends Type {
+  constructor(id) {
+    super();
+    this.id = id;
+  }
+
+  handle(value, path, context) {
+    const type = typesById.get(this.id);
+    return type ? type.process(value, path, context) : value;
+  }
+
+  isOptional() {
+    return typesById.get(this.id)?.isOptional() ?? true;
+  }
+
+  describe() {
+    return {};
+  }
+}
+
+// ─── Public API ────────────────────────────────────────────────────
+
+export const schema = {
+  allOf: (types, options) => new IntersectionType(types, options),
+  any: (options) => new AnyType(options),
+  arrayOf: (itemType, options) => new ArrayType(itemType, options),
+  boolean: (options) => new BooleanType(options),
+  buffer: (options) => new BufferType(options),
+  byteSize: (options) => new ByteSizeType(options),
+  conditional: (leftOperand, rightOperand, equalType, notEqualType, options) =>
+    new ConditionalType(leftOperand, rightOperand, equalType, notEqualType, options),
+  contextRef: (key) => new ContextReference(key),
+  duration: (options) => new DurationType(options),
+  ip: (options) => new IpType(options),
+  lazy: (id) => new LazyType(id),
+  literal: (value, options) => new LiteralType(value, options),
+  mapOf: (keyType, valueType, options) => new MapType(keyType, valueType, options),
+  maybe: (type) => new MaybeType(type),
+  never: () => new NeverType(),
+  nullable: (type) => new NullableType(type),
+  number: (options) => new NumberType(options),
+  object: (props, options) => new ObjectType(props, options),
+  oneOf: (types, options) => new UnionType(types, options),
+  recordOf: (keyType, valueType, options) => new RecordType(keyType, valueType, options),
+  siblingRef: (key) => new SiblingReference(key),
+  stream: (options) => new StreamType(options),
+  string: (options) => new StringType(options),
+  uri: (options) => new UriType(options),
+};
+
+export const bundled = true;
+
+/**
+ * Resolves `@kbn/config-schema` from the plugin directory (which, inside a
+ * Kibana checkout, finds the real package) and logs which one is used. Falls
+ * back to this module only when the package isn't there: errors importing the
+ * real one are thrown.
+ */
+export async function loadConfigSchema(pluginPath, logger = console) {
+  let resolved;
+  try {
+    resolved = createRequire(resolve(pluginPath, 'package.json')).resolve('@kbn/config-schema');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    logger.log('📐 @kbn/config-schema not found from the plugin, using the bundled implementation');
+    return import('./config-schema.mjs');
+  }
+  const configSchema = await import(pathToFileURL(resolved).href);
+  logger.log(`📐 Using @kbn/config-schema from ${resolved}`);
+  return configSchema;
+}
@@ -0,0 +1,1032 @@
+/**
+ * In-Memory Elasticsearch Emulator
+ *
+ * Backs the `MOCK_ES` client with a small document store that behaves like a
+ * single-node cluster with immediate refresh:
+ * - documents: index, create, get, exists, mget, update, delete, bulk, count,
+ *   deleteByQuery, with `_version`/`_seq_no` and `if_seq_no` conflicts
+ * - search: match_all, match, match_phrase, term, terms, ids, exists, prefix,
+ *   wildcard, range (with `now` date math) and bool queries; sort, from/size, `_source`
+ *   filtering; terms and date_histogram aggregations with metric sub-aggregations
+ * - indices: create, exists, delete, refresh, getMapping, putMapping, with
+ *   dynamic mapping of fields that aren't mapped yet
+ *
+ * Calls accept both the flattened v8 params and the legacy `body` param.
+ * Failures are thrown as the client's `ResponseError` with Elasticsearch's
+ * error bodies, so handler error paths can be exercised as well.
+ */
+
+import { randomUUID } from 'crypto';
+import { errors } from '@elastic/elasticsearch';
+
+// ─── Errors ────────────────────────────────────────────────────────
+
+function responseError(statusCode, type, reason, extra = {}) {
+  const error = { root_cause: [{ type, reason, ...extra }], type, reason, ...extra };
+  return new errors.ResponseError({
+    body: { error, status: statusCode },
+    statusCode,
+    headers: {},
+    warnings: null,
+    meta: {},
+  });
+}
+
+const indexNotFound = (index) =>
+  responseError(404, 'index_not_found_exception', `no such index [${index}]`, {
+    'resource.type': 'index_or_alias',
+    'resource.id': index,
+    index,
+  });
+
+const versionConflict = (index, id, reason) =>
+  responseError(409, 'version_conflict_engine_exception', `[${id}]: version conflict, ${reason}`, {
+    index,
+  });
+
+const parsingError = (reason) => responseError(400, 'parsing_exception', reason);
+
+// ─── Helpers ───────────────────────────────────────────────────────
+
+/** Merges the legacy `body` param into the flattened v8 params. */
+function flattenParams(params = {}) {
+  const { body, ...rest } = params;
+  return body && typeof body === 'object' && !Array.isArray(body) ? { ...body, ...rest } : rest;
+}
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+const analyze = (value) =>
+  String(value)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(Boolean);
+
+const globToRegExp = (glob) =>
+  new RegExp(
+    `^${glob
+      .split('*')
+      .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}$`
+  );
+
+/** Values at a dotted path, flattening arrays of values and objects on the way. */
+function getValues(source, path) {
+  let values = [source];
+  for (const key of path.split('.')) {
+    values = values
+      .flatMap((value) => (Array.isArray(value) ? value : [value]))
+      .filter((value) => value && typeof value === 'object' && key in value)
+      .map((value) => value[key]);
+  }
+  return values
+    .flatMap((value) => (Array.isArray(value) ? value : [value]))
+    .filter((v) => v != null);
+}
+
+const DATE_MATH_UNITS = {
+  y: (d, n) => d.setUTCFullYear(d.getUTCFullYear() + n),
+  M: (d, n) => d.setUTCMonth(d.getUTCMonth() + n),
+  w: (d, n) => d.setUTCDate(d.getUTCDate() + 7 * n),
+  d: (d, n) => d.setUTCDate(d.getUTCDate() + n),
+  h: (d, n) => d.setUTCHours(d.getUTCHours() + n),
+  H: (d, n) => d.setUTCHours(d.getUTCHours() + n),
+  m: (d, n) => d.setUTCMinutes(d.getUTCMinutes() + n),
+  s: (d, n) => d.setUTCSeconds(d.getUTCSeconds() + n),
+};
+
+/** Evaluates `now`, `now-15m`, `now/d` and `now-1d/d` style date math. */
+function parseDateMath(value) {
+  const match = /^now((?:[+-]\d+[yMwdhHms])*)(?:\/([yMwdhHms]))?$/.exec(value);
+  if (!match) return null;
+  const date = new Date();
+  for (const [, sign, amount, unit] of match[1].matchAll(/([+-])(\d+)([yMwdhHms])/g)) {
+    DATE_MATH_UNITS[unit](date, Number(sign + amount));
+  }
+  return match[2] ? truncateDate(date.getTime(), match[2]) : date.getTime();
+}
+
+function truncateDate(time, unit) {
+  const d = new Date(time);
+  switch (unit) {
+    case 'y':
+      return Date.UTC(d.getUTCFullYear(), 0);
+    case 'q':
+      return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - (d.getUTCMonth() % 3));
+    case 'M':
+      return Date.UTC(d.getUTCFullYear(), d.getUTCMonth());
+    case 'w':
+      // Weeks start on Monday
+      return Date.UTC(
+        d.getUTCFullYear(),
+        d.getUTCMonth(),
+        d.getUTCDate() - ((d.getUTCDay() + 6) % 7)
+      );
+    case 'd':
+      return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    case 'h':
+    case 'H':
+      return Math.floor(time / 3600000) * 3600000;
+    case 'm':
+      return Math.floor(time / 60000) * 60000;
+    default:
+      return Math.floor(time / 1000) * 1000;
+  }
+}
+
+/** Converts numbers, numeric strings, dates and date math into comparable numbers. */
+export function toComparable(value, type) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return Number(value);
+  if (typeof value !== 'string') return value;
+  const dateMath = parseDateMath(value);
+  if (dateMath !== null) return dateMath;
+  if (type !== 'date' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  if (type === 'date' || /^\d{4}-\d{2}/.test(value)) {
+    const time = Date.parse(value);
+    if (!Number.isNaN(time)) return time;
+  }
+  return value;
+}
+
+export function compareValues(a, b) {
+  if (a === b) return 0;
+  if (typeof a === typeof b) return a < b ? -1 : 1;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+// ─── Mappings ──────────────────────────────────────────────────────
+
+function inferMapping(value) {
+  if (Array.isArray(value)) return value.length ? inferMapping(value[0]) : null;
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return { type: 'boolean' };
+  if (typeof value === 'number') return { type: Number.isInteger(value) ? 'long' : 'float' };
+  if (typeof value === 'object') return { properties: inferProperties(value, {}) };
+  if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) return { type: 'date' };
+  return { type: 'text', fields: { keyword: { type: 'keyword', ignore_above: 256 } } };
+}
+
+/** Adds dynamic mappings for fields of `source` not mapped in `properties`. */
+function inferProperties(source, properties) {
+  for (const [key, value] of Object.entries(source)) {
+    const existing = properties[key];
+    if (existing?.properties && value && typeof value === 'object' && !Array.isArray(value)) {
+      inferProperties(value, existing.properties);
+    } else if (!existing) {
+      const mapping = inferMapping(value);
+      if (mapping) properties[key] = mapping;
+    }
+  }
+  return properties;
+}
+
+function mergeProperties(target, source) {
+  for (const [key, mapping] of Object.entries(source || {})) {
+    if (target[key]?.properties && mapping.properties) {
+      mergeProperties(target[key].properties, mapping.properties);
+    } else {
+      target[key] = clone(mapping);
+    }
+  }
+  return target;
+}
+
+/**
+ * Resolves a query field against the mappings: `title.keyword` reads the
+ * `title` value as a keyword, `user.name` walks object properties.
+ */
+function resolveField(mappings, field) {
+  let properties = mappings.properties || {};
+  const path = [];
+  let mapping;
+  for (const key of field.split('.')) {
+    if (mapping?.fields?.[key]) {
+      return { path: path.join('.'), type: mapping.fields[key].type };
+    }
+    mapping = properties[key];
+    path.push(key);
+    properties = mapping?.properties || {};
+  }
+  return { path: field, type: mapping?.type ?? (mapping?.properties ? 'object' : undefined) };
+}
+
+// ─── Query DSL ─────────────────────────────────────────────────────
+
+const isTextType = (type) => type === 'text' || type === 'match_only_text';
+
+function singleField(clause, queryType) {
+  const entries = Object.entries(clause || {}).filter(
+    ([key]) => key !== 'boost' && key !== '_name'
+  );
+  if (entries.length !== 1) {
+    throw parsingError(`[${queryType}] query doesn't support multiple fields`);
+  }
+  return entries[0];
+}
+
+function termMatches(values, expected, type) {
+  return values.some((value) =>
+    isTextType(type)
+      ? analyze(value).includes(String(expected))
+      : value === expected || String(value) === String(expected)
+  );
+}
+
+const QUERIES = {
+  match_all: () => () => true,
+  match_none: () => () => false,
+
+  match(clause) {
+    const [field, spec] = singleField(clause, 'match');
+    const { query, operator = 'or' } = spec && typeof spec === 'object' ? spec : { query: spec };
+    const tokens = analyze(query);
+    return (doc, mappings) => {
+      const { path, type } = resolveField(mappings, field);
+      const values = getValues(doc._source, path);
+      if (type && !isTextType(type)) return termMatches(values, query, type);
+      const docTokens = new Set(values.flatMap(analyze));
+      return String(operator).toLowerCase() === 'and'
+        ? tokens.every((token) => docTokens.has(token))
+        : tokens.some((token) => docTokens.has(token));
+    };
+  },
+
+  match_phrase(clause) {
+    const [field, spec] = singleField(clause, 'match_phrase');
+    const phrase = analyze(spec && typeof spec === 'object' ? spec.query : spec).join(' ');
+    return (doc, mappings) =>
+      getValues(doc._source, resolveField(mappings, field).path).some((value) =>
+        ` ${analyze(value).join(' ')} `.includes(` ${phrase} `)
+      );
+  },
+
+  term(clause) {
+    const [field, spec] = singleField(clause, 'term');
+    const expected = spec && typeof spec === 'object' ? spec.value : spec;
+    return (doc, mappings) => {
+      const { path, type } = resolveField(mappings, field);
+      return termMatches(getValues(doc._source, path), expected, type);
+    };
+  },
+
+  terms(clause) {
+    const [field, expected] = singleField(clause, 'terms');
+    if (!Array.isArray(expected)) throw parsingError('[terms] query requires an array of terms');
+    return (doc, mappings) => {
+      const { path, type } = resolveField(mappings, field);
+      const values = getValues(doc._source, path);
+      return expected.some((value) => termMatches(values, value, type));
+    };
+  },
+
+  ids:
+    ({ values = [] }) =>
+    (doc) =>
+      values.includes(doc._id),
+
+  exists:
+    ({ field }) =>
+    (doc, mappings) =>
+      getValues(doc._source, resolveField(mappings, field).path).length > 0,
+
+  prefix(clause) {
+    const [field, spec] = singleField(clause, 'prefix');
+    const prefix = String(spec && typeof spec === 'object' ? spec.value : spec);
+    return (doc, mappings) => {
+      const { path, type } = resolveField(mappings, field);
+      return getValues(doc._source, path).some((value) =>
+        isTextType(type)
+          ? analyze(value).some((token) => token.startsWith(prefix))
+          : String(value).startsWith(prefix)
+      );
+    };
+  },
+
+  wildcard(clause) {
+    const [field, spec] = singleField(clause, 'wildcard');
+    const {
+      value,
+      wildcard,
+      case_insensitive: caseInsensitive,
+    } = spec && typeof spec === 'object' ? spec : { value: spec };
+    const glob = String(value ?? wildcard);
+    const pattern = globToRegExp(caseInsensitive ? glob.toLowerCase() : glob);
+    // Text fields are matched token by token, against lowercased tokens
+    const tokenPattern = globToRegExp(glob.toLowerCase());
+    return (doc, mappings) => {
+      const { path, type } = resolveField(mappings, field);
+      return getValues(doc._source, path).some((raw) =>
+        isTextType(type)
+          ? analyze(raw).some((token) => tokenPattern.test(token))
+          : pattern.test(caseInsensitive ? String(raw).toLowerCase() : String(raw))
+      );
+    };
+  },
+
+  range(clause) {
+    const [field, bounds] = singleField(clause, 'range');
+    return (doc, mappings) => {
+      const { path, type } = resolveField(mappings, field);
+      return getValues(doc._source, path).some((raw) => {
+        const value = toComparable(raw, type);
+        const compare = (bound) => compareValues(value, toComparable(bound, type));
+        return (
+          (bounds.gte === undefined || compare(bounds.gte) >= 0) &&
+          (bounds.gt === undefined || compare(bounds.gt) > 0) &&
+          (bounds.lte === undefined || compare(bounds.lte) <= 0) &&
+          (bounds.lt === undefined || compare(bounds.lt) < 0)
+        );
+      });
+    };
+  },
+
+  bool(clause) {
+    const compileAll = (queries) => [queries || []].flat().map(compileQuery);
+    const must = compileAll(clause.must).concat(compileAll(clause.filter));
+    const mustNot = compileAll(clause.must_not);
+    const should = compileAll(clause.should);
+    const minimumShouldMatch = Number(
+      clause.minimum_should_match ?? (should.length && !must.length ? 1 : 0)
+    );
+    return (doc, mappings) =>
+      must.every((query) => query(doc, mappings)) &&
+      !mustNot.some((query) => query(doc, mappings)) &&
+      should.filter((query) => query(doc, mappings)).length >= minimumShouldMatch;
+  },
+};
+
+/** Compiles a query DSL object into a `(doc, mappings) => boolean` predicate. */
+export function compileQuery(query) {
+  if (!query || !Object.keys(query).length) return QUERIES.match_all();
+  const [type, ...rest] = Object.keys(query);
+  if (rest.length) {
+    throw parsingError(`[${type}] malformed query, expected [END_OBJECT] but found [FIELD_NAME]`);
+  }
+  if (!QUERIES[type]) throw parsingError(`unknown query [${type}]`);
+  return QUERIES[type](query[type]);
+}
+
+// ─── Sorting & Source Filtering ────────────────────────────────────
+
+function normalizeSort(sort) {
+  return [sort || []].flat().map((entry) => {
+    if (typeof entry === 'string') {
+      return { field: entry, order: entry === '_score' ? 'desc' : 'asc' };
+    }
+    const [field, spec] = Object.entries(entry)[0];
+    const order = typeof spec === 'string' ? spec : spec?.order;
+    return { field, order: order || (field === '_score' ? 'desc' : 'asc'), missing: spec?.missing };
+  });
+}
+
+function sortValue(hit, { field, order }, mappings) {
+  if (field === '_score') return hit._score;
+  if (field === '_doc') return hit._seq;
+  const { path, type } = resolveField(mappings, field);
+  const values = getValues(hit._source, path).map((value) => toComparable(value, type));
+  if (!values.length) return null;
+  return values.reduce((a, b) =>
+    (order === 'desc' ? compareValues(a, b) > 0 : compareValues(a, b) < 0) ? a : b
+  );
+}
+
+function filterSource(source, spec) {
+  if (spec === undefined || spec === true) return source;
+  if (spec === false) return undefined;
+  const includes = [typeof spec === 'object' && !Array.isArray(spec) ? spec.includes : spec]
+    .flat()
+    .filter(Boolean)
+    .map(globToRegExp);
+  const excludes = [spec.excludes || []].flat().map(globToRegExp);
+
+  const walk = (object, prefix) => {
+    const result = {};
+    for (const [key, value] of Object.entries(object)) {
+      const path = prefix + key;
+      if (excludes.some((re) => re.test(path))) continue;
+      if (!includes.length || includes.some((re) => re.test(path))) {
+        result[key] = value;
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const nested = walk(value, `${path}.`);
+        if (Object.keys(nested).length) result[key] = nested;
+      }
+    }
+    return result;
+  };
+  return walk(source, '');
+}
+
+// ─── Aggregations ──────────────────────────────────────────────────
+
+const FIXED_INTERVAL_MS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+const CALENDAR_INTERVALS = {
+  minute: 'm',
+  '1m': 'm',
+  hour: 'h',
+  '1h': 'h',
+  day: 'd',
+  '1d': 'd',
+  week: 'w',
+  '1w': 'w',
+  month: 'M',
+  '1M': 'M',
+  quarter: 'q',
+  '1q': 'q',
+  year: 'y',
+  '1y': 'y',
+};
+
+function nextCalendarBucket(time, unit) {
+  const d = new Date(time);
+  const months = { M: 1, q: 3, y: 12 }[unit];
+  if (months) return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months);
+  const ms = { m: 60000, h: 3600000, d: 86400000, w: 7 * 86400000 }[unit];
+  return time + ms;
+}
+
+function parseFixedInterval(interval) {
+  const match = /^(\d+)(ms|s|m|h|d)$/.exec(interval);
+  if (!match)
+    throw parsingError(
+      `failed to parse setting [date_histogram.fixedInterval] with value [${interval}]`
+    );
+  return Number(match[1]) * FIXED_INTERVAL_MS[match[2]];
+}
+
+function fieldValues(hits, field, mappingsOf) {
+  return hits.map((hit) => {
+    const { path, type } = resolveField(mappingsOf(hit), field);
+    return { hit, values: getValues(hit._source, path), type };
+  });
+}
+
+const METRIC_AGGREGATIONS = {
+  min: (numbers) => (numbers.length ? Math.min(...numbers) : null),
+  max: (numbers) => (numbers.length ? Math.max(...numbers) : null),
+  sum: (numbers) => numbers.reduce((a, b) => a + b, 0),
+  avg: (numbers) => (numbers.length ? numbers.reduce((a, b) => a + b, 0) / numbers.length : null),
+};
+
+const AGGREGATIONS = {
+  terms({ field, size = 10, min_doc_count: minDocCount = 1, order }, hits, mappingsOf) {
+    const buckets = new Map();
+    for (const { hit, values } of fieldValues(hits, field, mappingsOf)) {
+      for (const key of new Set(values)) {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(hit);
+      }
+    }
+    const [orderKey, direction] = Object.entries(order || { _count: 'desc' })[0];
+    const sign = direction === 'asc' ? 1 : -1;
+    const sorted = [...buckets.entries()]
+      .filter(([, bucketHits]) => bucketHits.length >= minDocCount)
+      .sort(([keyA, a], [keyB, b]) =>
+        orderKey === '_key'
+          ? sign * compareValues(keyA, keyB)
+          : sign * (a.length - b.length) || compareValues(keyA, keyB)
+      );
+    const shown = sorted.slice(0, size);
+    return {
+      doc_count_error_upper_bound: 0,
+      sum_other_doc_count: sorted
+        .slice(size)
+        .reduce((sum, [, bucketHits]) => sum + bucketHits.length, 0),
+      buckets: shown.map(([key, bucketHits]) => ({ key, hits: bucketHits })),
+    };
+  },
+
+  date_histogram(spec, hits, mappingsOf) {
+    const { field, min_doc_count: minDocCount = 0 } = spec;
+    const calendarUnit = CALENDAR_INTERVALS[spec.calendar_interval ?? spec.interval];
+    const fixed = calendarUnit ? null : parseFixedInterval(spec.fixed_interval ?? spec.interval);
+    const bucketOf = (time) =>
+      calendarUnit ? truncateDate(time, calendarUnit) : Math.floor(time / fixed) * fixed;
+    const next = (key) => (calendarUnit ? nextCalendarBucket(key, calendarUnit) : key + fixed);
+
+    const buckets = new Map();
+    for (const { hit, values } of fieldValues(hits, field, mappingsOf)) {
+      for (const value of values) {
+        const time = toComparable(value, 'date');
+        if (typeof time !== 'number') continue;
+        const key = bucketOf(time);
+        if (!buckets.has(key)) buckets.set(key, new Set());
+        buckets.get(key).add(hit);
+      }
+    }
+
+    const keys = [...buckets.keys()].sort((a, b) => a - b);
+    const result = [];
+    // Empty buckets between the first and last are filled in, as with min_doc_count 0
+    for (let key = keys[0]; keys.length && key <= keys[keys.length - 1]; key = next(key)) {
+      const bucketHits = [...(buckets.get(key) || [])];
+      if (bucketHits.length >= minDocCount) {
+        result.push({ key_as_string: new Date(key).toISOString(), key, hits: bucketHits });
+      }
+    }
+    return { buckets: result };
+  },
+
+  value_count: ({ field }, hits, mappingsOf) => ({
+    value: fieldValues(hits, field, mappingsOf).reduce((sum, { values }) => sum + values.length, 0),
+  }),
+
+  cardinality: ({ field }, hits, mappingsOf) => ({
+    value: new Set(fieldValues(hits, field, mappingsOf).flatMap(({ values }) => values)).size,
+  }),
+};
+
+for (const [name, compute] of Object.entries(METRIC_AGGREGATIONS)) {
+  AGGREGATIONS[name] = ({ field }, hits, mappingsOf) => {
+    const numbers = fieldValues(hits, field, mappingsOf)
+      .flatMap(({ values, type }) => values.map((value) => toComparable(value, type)))
+      .filter((value) => typeof value === 'number');
+    return { value: compute(numbers) };
+  };
+}
+
+/** Runs the `aggs`/`aggregations` of a search over the matched hits. */
+function runAggregations(aggs, hits, mappingsOf) {
+  const results = {};
+  for (const [name, definition] of Object.entries(aggs || {})) {
+    const { aggs: subAggs, aggregations, meta, ...rest } = definition;
+    const [type, ...others] = Object.keys(rest);
+    if (others.length) {
+      throw parsingError(
+        `Found two aggregation type definitions in [${name}]: [${type}] and [${others[0]}]`
+      );
+    }
+    if (!AGGREGATIONS[type]) throw parsingError(`Unknown aggregation type [${type}]`);
+
+    const result = AGGREGATIONS[type](rest[type], hits, mappingsOf);
+    if (result.buckets) {
+      result.buckets = result.buckets.map(({ hits: bucketHits, ...bucket }) => ({
+        ...bucket,
+        doc_count: bucketHits.length,
+        ...runAggregations(subAggs || aggregations, bucketHits, mappingsOf),
+      }));
+    }
+    results[name] = meta ? { meta, ...result } : result;
+  }
+  return results;
+}
+
+// ─── Emulator ──────────────────────────────────────────────────────
+
+const SHARDS = { total: 1, successful: 1, skipped: 0, failed: 0 };
+
+export class ElasticsearchEmulator {
+  constructor() {
+    this.indices = new Map();
+    this.seqNo = 0;
+  }
+
+  reset() {
+    this.indices.clear();
+  }
+
+  /**
+   * Loads fixtures given as `{ [index]: { mappings, settings, documents } }`,
+   * documents being `{ _id, _source }` or plain sources.
+   */
+  seed(fixtures = {}) {
+    for (const [name, { mappings, settings, documents = [] }] of Object.entries(fixtures)) {
+      if (!this.indices.has(name)) this.createIndex(name, { mappings, settings });
+      for (const doc of documents) {
+        const isHit = doc && typeof doc === 'object' && '_source' in doc;
+        this.writeDocument(name, isHit ? doc._id : undefined, isHit ? doc._source : doc);
+      }
+    }
+  }
+
+  createIndex(name, { mappings = {}, settings = {}, aliases = {} } = {}) {
+    if (this.indices.has(name)) {
+      throw responseError(
+        400,
+        'resource_already_exists_exception',
+        `index [${name}] already exists`,
+        {
+          index: name,
+        }
+      );
+    }
+    const index = {
+      mappings: { ...clone(mappings), properties: clone(mappings.properties) || {} },
+      settings: clone(settings),
+      aliases: clone(aliases),
+      docs: new Map(),
+    };
+    this.indices.set(name, index);
+    return index;
+  }
+
+  getIndex(name, { autoCreate = false } = {}) {
+    const index = this.indices.get(name);
+    if (index) return index;
+    if (autoCreate) return this.createIndex(name);
+    throw indexNotFound(name);
+  }
+
+  /**
+   * Resolves an index expression (comma-separated names, wildcards, `_all`)
+   * to existing index names. Missing concrete indices are a 404.
+   */
+  resolveIndices(expression, { ignoreUnavailable = false } = {}) {
+    const patterns = [expression ?? '_all'].flat().flatMap((entry) => String(entry).split(','));
+    const names = new Set();
+    for (const pattern of patterns) {
+      if (pattern === '_all' || pattern === '*') {
+        this.indices.forEach((_, name) => names.add(name));
+      } else if (pattern.includes('*')) {
+        const re = globToRegExp(pattern);
+        this.indices.forEach((_, name) => re.test(name) && names.add(name));
+      } else if (this.indices.has(pattern)) {
+        names.add(pattern);
+      } else if (!ignoreUnavailable) {
+        throw indexNotFound(pattern);
+      }
+    }
+    return [...names];
+  }
+
+  writeDocument(indexName, id, source, { opType = 'index', ifSeqNo, ifPrimaryTerm } = {}) {
+    const index = this.getIndex(indexName, { autoCreate: true });
+    const docId = id ?? randomUUID().replace(/-/g, '').slice(0, 20);
+    const existing = index.docs.get(docId);
+
+    if (opType === 'create' && existing) {
+      throw versionConflict(
+        indexName,
+        docId,
+        'document already exists (current version [' + existing._version + '])'
+      );
+    }
+    if (
+      ifSeqNo !== undefined &&
+      (existing?._seq_no !== Number(ifSeqNo) || Number(ifPrimaryTerm ?? 1) !== 1)
+    ) {
+      throw versionConflict(
+        indexName,
+        docId,
+        `required seqNo [${ifSeqNo}], primary term [${ifPrimaryTerm}]. ` +
+          (existing
+            ? `current document has seqNo [${existing._seq_no}] and primary term [1]`
+            : 'but no document was found')
+      );
+    }
+
+    inferProperties(source, index.mappings.properties);
+    const doc = {
+      _id: docId,
+      _version: (existing?._version ?? 0) + 1,
+      _seq_no: this.seqNo++,
+      _seq: existing?._seq ?? this.seqNo,
+      _source: clone(source),
+    };
+    index.docs.set(docId, doc);
+    return {
+      _index: indexName,
+      _id: docId,
+      _version: doc._version,
+      result: existing ? 'updated' : 'created',
+      _shards: { total: 1, successful: 1, failed: 0 },
+      _seq_no: doc._seq_no,
+      _primary_term: 1,
+    };
+  }
+
+  getDocument(indexName, id) {
+    return this.indices.get(indexName)?.docs.get(id);
+  }
+
+  toGetResult(indexName, id, doc, sourceSpec) {
+    if (!doc) return { _index: indexName, _id: id, found: false };
+    const source = filterSource(doc._source, sourceSpec);
+    return {
+      _index: indexName,
+      _id: id,
+      _version: doc._version,
+      _seq_no: doc._seq_no,
+      _primary_term: 1,
+      found: true,
+      ...(source !== undefined && { _source: clone(source) }),
+    };
+  }
+
+  updateDocument(indexName, id, params) {
+    if (params.script) {
+      throw responseError(
+        400,
+        'illegal_argument_exception',
+        'scripted updates are not supported by the mock server'
+      );
+    }
+    const existing = this.getDocument(indexName, id);
+    if (!existing) {
+      const upsert = params.doc_as_upsert ? params.doc : params.upsert;
+      if (!upsert) {
+        throw responseError(404, 'document_missing_exception', `[${id}]: document missing`, {
+          index: indexName,
+        });
+      }
+      return this.writeDocument(indexName, id, upsert);
+    }
+
+    const merged = deepMerge(clone(existing._source), params.doc || {});
+    if (
+      params.detect_noop !== false &&
+      JSON.stringify(merged) === JSON.stringify(existing._source)
+    ) {
+      return {
+        _index: indexName,
+        _id: id,
+        _version: existing._version,
+        result: 'noop',
+        _shards: { total: 0, successful: 0, failed: 0 },
+        _seq_no: existing._seq_no,
+        _primary_term: 1,
+      };
+    }
+    return this.writeDocument(indexName, id, merged, {
+      ifSeqNo: params.if_seq_no,
+      ifPrimaryTerm: params.if_primary_term,
+    });
+  }
+
+  deleteDocument(indexName, id) {
+    const index = this.getIndex(indexName);
+    const existing = index.docs.get(id);
+    const result = {
+      _index: indexName,
+      _id: id,
+      _version: (existing?._version ?? 0) + 1,
+      result: existing ? 'deleted' : 'not_found',
+      _shards: { total: 1, successful: 1, failed: 0 },
+      _seq_no: this.seqNo++,
+      _primary_term: 1,
+    };
+    if (!existing) {
+      throw new errors.ResponseError({
+        body: result,
+        statusCode: 404,
+        headers: {},
+        warnings: null,
+        meta: {},
+      });
+    }
+    index.docs.delete(id);
+    return result;
+  }
+
+  /** Matches documents across indices, returning hits with their index. */
+  matchDocuments({ index, query, ignore_unavailable: ignoreUnavailable }) {
+    const matches = compileQuery(query);
+    const hits = [];
+    for (const name of this.resolveIndices(index, { ignoreUnavailable })) {
+      const { docs, mappings } = this.indices.get(name);
+      for (const doc of docs.values()) {
+        if (matches(doc, mappings)) hits.push({ ...doc, _index: name, _score: 1 });
+      }
+    }
+    return hits.sort((a, b) => a._seq - b._seq);
+  }
+
+  search(params) {
+    const started = Date.now();
+    const {
+      from = 0,
+      size = 10,
+      sort,
+      aggs,
+      aggregations,
+      track_total_hits: trackTotalHits,
+    } = params;
+    const hits = this.matchDocuments(params);
+    const mappingsOf = (hit) => this.indices.get(hit._index).mappings;
+
+    const sortSpec = normalizeSort(sort);
+    if (sortSpec.length) {
+      for (const hit of hits) {
+        hit.sort = sortSpec.map((spec) => sortValue(hit, spec, mappingsOf(hit)));
+      }
+      hits.sort((a, b) => {
+        for (const [i, { order }] of sortSpec.entries()) {
+          const [x, y] = [a.sort[i], b.sort[i]];
+          if (x === y) continue;
+          // Missing values sort last in both directions
+          if (x === null) return 1;
+          if (y === null) return -1;
+          return (order === 'desc' ? -1 : 1) * compareValues(x, y);
+        }
+        return 0;
+      });
+    }
+    const scored = !sortSpec.length || sortSpec.some(({ field }) => field === '_score');
+
+    const page = hits.slice(Number(from), Number(from) + Number(size)).map((hit) => {
+      const source = filterSource(hit._source, params._source);
+      return {
+        _index: hit._index,
+        _id: hit._id,
+        _score: scored ? hit._score : null,
+        ...(source !== undefined && { _source: clone(source) }),
+        ...(hit.sort && { sort: hit.sort }),
+      };
+    });
+
+    const aggregationSpec = aggs || aggregations;
+    return {
+      took: Date.now() - started,
+      timed_out: false,
+      _shards: SHARDS,
+      hits: {
+        ...(trackTotalHits !== false && { total: { value: hits.length, relation: 'eq' } }),
+        max_score: scored && hits.length ? 1 : null,
+        hits: page,
+      },
+      ...(aggregationSpec && { aggregations: runAggregations(aggregationSpec, hits, mappingsOf) }),
+    };
+  }
+
+  bulk({ index: defaultIndex, operations = [] }) {
+    const started = Date.now();
+    const items = [];
+    for (let i = 0; i < operations.length; i++) {
+      const [action, meta] = Object.entries(operations[i])[0];
+      const indexName = meta._index ?? defaultIndex;
+      const id = meta._id;
+      let result;
+      try {
+        switch (action) {
+          case 'index':
+          case 'create':
+            result = this.writeDocument(indexName, id, operations[++i], {
+              opType: action,
+              ifSeqNo: meta.if_seq_no,
+              ifPrimaryTerm: meta.if_primary_term,
+            });
+            break;
+          case 'update':
+            result = this.updateDocument(indexName, id, operations[++i]);
+            break;
+          case 'delete':
+            result = this.deleteDocument(indexName, id);
+            break;
+          default:
+            throw responseError(
+              400,
+              'illegal_argument_exception',
+              `Malformed action/metadata line [${i + 1}], expected one of [create, delete, index, update] but found [${action}]`
+            );
+        }
+        result.status = result.result === 'created' ? 201 : 200;
+      } catch (error) {
+        if (!(error instanceof errors.ResponseError)) throw error;
+        result = error.body?.error
+          ? { _index: indexName, _id: id, status: error.statusCode, error: error.body.error }
+          : { ...error.body, status: error.statusCode };
+      }
+      items.push({ [action]: result });
+    }
+    return {
+      took: Date.now() - started,
+      errors: items.some((item) => Object.values(item)[0].error),
+      items,
+    };
+  }
+
+  // ─── Client ──────────────────────────────────────────────────────
+
+  /** Creates an `@elastic/elasticsearch` client look-alike over this emulator. */
+  createClient() {
+    // Document APIs take the document itself as `body`, the others take request params
+    const api =
+      (handler, { flatten = true } = {}) =>
+      async (params = {}, options = {}) => {
+        const body = await handler(flatten ? flattenParams(params) : params);
+        return options.meta
+          ? { body, statusCode: 200, headers: {}, warnings: null, meta: {} }
+          : body;
+      };
+
+    const client = {
+      info: api(() => ({
+        name: 'kibana-mock',
+        cluster_name: 'mock',
+        version: { number: '8.15.0', build_flavor: 'default' },
+        tagline: 'You Know, for Search',
+      })),
+      ping: api(() => true),
+      index: api(
+        (p) =>
+          this.writeDocument(p.index, p.id, p.document ?? p.body ?? {}, {
+            opType: p.op_type,
+            ifSeqNo: p.if_seq_no,
+            ifPrimaryTerm: p.if_primary_term,
+          }),
+        { flatten: false }
+      ),
+      create: api(
+        (p) => this.writeDocument(p.index, p.id, p.document ?? p.body ?? {}, { opType: 'create' }),
+        { flatten: false }
+      ),
+      get: api((p) => {
+        this.getIndex(p.index);
+        const result = this.toGetResult(p.index, p.id, this.getDocument(p.index, p.id), p._source);
+        if (!result.found) {
+          throw new errors.ResponseError({
+            body: result,
+            statusCode: 404,
+            headers: {},
+            warnings: null,
+            meta: {},
+          });
+        }
+        return result;
+      }),
+      exists: api((p) => Boolean(this.getDocument(p.index, p.id))),
+      mget: api((p) => ({
+        docs: (p.docs || (p.ids || []).map((id) => ({ _id: id }))).map(({ _index, _id }) => {
+          const indexName = _index ?? p.index;
+          return this.toGetResult(indexName, _id, this.getDocument(indexName, _id), p._source);
+        }),
+      })),
+      update: api((p) => this.updateDocument(p.index, p.id, p)),
+      delete: api((p) => this.deleteDocument(p.index, p.id)),
+      bulk: api((p) => this.bulk({ index: p.index, operations: p.operations ?? p.body ?? [] }), {
+        flatten: false,
+      }),
+      search: api((p) => this.search(p)),
+      count: api((p) => ({ count: this.matchDocuments(p).length, _shards: SHARDS })),
+      deleteByQuery: api((p) => {
+        const started = Date.now();
+        const hits = this.matchDocuments(p);
+        hits.forEach((hit) => this.indices.get(hit._index).docs.delete(hit._id));
+        return {
+          took: Date.now() - started,
+          timed_out: false,
+          total: hits.length,
+          deleted: hits.length,
+          failures: [],
+        };
+      }),
+      indices: {
+        create: api((p) => {
+          this.createIndex(p.index, p);
+          return { acknowledged: true, shards_acknowledged: true, index: p.index };
+        }),
+        exists: api((p) => this.resolveIndices(p.index, { ignoreUnavailable: true }).length > 0),
+        delete: api((p) => {
+          this.resolveIndices(p.index).forEach((name) => this.indices.delete(name));
+          return { acknowledged: true };
+        }),
+        refresh: api(() => ({ _shards: SHARDS })),
+        get: api((p) =>
+          Object.fromEntries(
+            this.resolveIndices(p.index).map((name) => {
+              const { mappings, settings, aliases } = this.indices.get(name);
+              return [name, clone({ aliases, mappings, settings })];
+            })
+          )
+        ),
+        getMapping: api((p) =>
+          Object.fromEntries(
+            this.resolveIndices(p.index).map((name) => [
+              name,
+              { mappings: clone(this.indices.get(name).mappings) },
+            ])
+          )
+        ),
+        putMapping: api((p) => {
+          const { index, properties, ...rest } = p;
+          for (const name of this.resolveIndices(index)) {
+            const { mappings } = this.indices.get(name);
+            mergeProperties(mappings.properties, properties);
+            for (const key of ['dynamic', '_meta', '_source', 'runtime']) {
+              if (rest[key] !== undefined) mappings[key] = clone(rest[key]);
+            }
+          }
+          return { acknowledged: true };
+        }),
+      },
+    };
+    return client;
+  }
+}
+
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (
+      value &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      target[key] &&
+      typeof target[key] === 'object'
+    ) {
+      deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
@@ -0,0 +1,203 @@
+/**
+ * Elasticsearch Record / Replay
+ *
+ * Record mode wraps a real `@elastic/elasticsearch` client and saves every API
+ * call with its response (or ResponseError) to a fixture file per API, e.g.
+ * `es-fixtures/indices.get_mapping.json`. Replay mode serves those fixtures
+ * offline, matching calls on the API name and the normalized request:
+ * - keys are sorted, `undefined` values dropped and the legacy `body` param is
+ *   merged into the top level, so `{ body: { query } }` matches `{ query }`
+ * - keys listed in `ignoreKeys` (e.g. volatile timestamps) are left out
+ * - repeated identical calls are replayed in the order they were recorded,
+ *   the last response being served once the sequence runs out
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { errors } from '@elastic/elasticsearch';
+
+// Client properties that aren't API namespaces
+const PASSTHROUGH = new Set([
+  'child',
+  'close',
+  'connectionPool',
+  'diagnostic',
+  'helpers',
+  'name',
+  'serializer',
+  'transport',
+]);
+
+// Fixture files are named after the API in the client's snake_case style
+const toApiName = (keys) =>
+  keys.map((key) => key.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`)).join('.');
+
+function normalizeValue(value, ignoreKeys) {
+  if (Array.isArray(value)) return value.map((item) => normalizeValue(item, ignoreKeys));
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.keys(value)
+      .filter((key) => value[key] !== undefined && !ignoreKeys.has(key))
+      .sort()
+      .map((key) => [key, normalizeValue(value[key], ignoreKeys)])
+  );
+}
+
+/** Normalizes API params (and transport options) into the form fixtures are matched on. */
+export function normalizeRequest(params = {}, options = {}, ignoreKeys = new Set()) {
+  const { body, ...rest } = params;
+  const merged =
+    body && typeof body === 'object' && !Array.isArray(body) ? { ...body, ...rest } : params;
+  return normalizeValue({ ...merged, ...(options.meta && { meta: true }) }, ignoreKeys);
+}
+
+// ─── Fixture Files ─────────────────────────────────────────────────
+
+class FixtureStore {
+  constructor(dir, ignoreKeys = []) {
+    this.dir = dir;
+    this.ignoreKeys = new Set(ignoreKeys);
+    this.files = new Map();
+  }
+
+  fileOf(api) {
+    return path.join(this.dir, `${api}.json`);
+  }
+
+  /** Returns the `[{ request, responses }]` entries recorded for an API. */
+  entries(api) {
+    if (!this.files.has(api)) {
+      const file = this.fileOf(api);
+      this.files.set(api, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : []);
+    }
+    return this.files.get(api);
+  }
+
+  find(api, request) {
+    const key = JSON.stringify(request);
+    return this.entries(api).find((entry) => JSON.stringify(entry.request) === key);
+  }
+
+  flush(api) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = this.fileOf(api);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(this.entries(api), null, 2)}\n`);
+    fs.renameSync(tmp, file);
+  }
+}
+
+// The transport's diagnostic `meta` holds connection objects, so only the response is kept
+function toRecordedMeta({ body, statusCode, headers, warnings }) {
+  return { body, statusCode, headers, warnings };
+}
+
+function toRecordedError(error) {
+  return {
+    statusCode: error.meta?.statusCode ?? error.statusCode,
+    headers: error.meta?.headers ?? {},
+    body: error.meta?.body ?? error.body,
+  };
+}
+
+function toResponseError({ statusCode, headers, body }) {
+  return new errors.ResponseError({ body, statusCode, headers, warnings: null, meta: {} });
+}
+
+// ─── Record ────────────────────────────────────────────────────────
+
+/**
+ * Wraps a client so that API calls go through to Elasticsearch and are saved
+ * to `dir`. Calls already recorded in an earlier session are re-recorded;
+ * within a session, repeated calls append to the response sequence.
+ */
+export function createRecordingClient(client, { dir, ignoreKeys } = {}) {
+  const fixtures = new FixtureStore(dir, ignoreKeys);
+  const recorded = new Set();
+
+  function record(api, request, response) {
+    const key = `${api} ${JSON.stringify(request)}`;
+    let entry = fixtures.find(api, request);
+    if (!entry) {
+      entry = { request, responses: [] };
+      fixtures.entries(api).push(entry);
+    } else if (!recorded.has(key)) {
+      entry.responses = [];
+    }
+    recorded.add(key);
+    entry.responses.push(response);
+    fixtures.flush(api);
+  }
+
+  function wrap(target, keys) {
+    return new Proxy(target, {
+      get(obj, key) {
+        const value = Reflect.get(obj, key);
+        if (typeof key === 'symbol' || PASSTHROUGH.has(key)) return value;
+        if (typeof value === 'function') {
+          const api = toApiName([...keys, key]);
+          return async (params, options = {}) => {
+            const request = normalizeRequest(params, options, fixtures.ignoreKeys);
+            try {
+              const result = await value.call(obj, params, options);
+              const response = options.meta ? { meta: toRecordedMeta(result) } : { body: result };
+              record(api, request, response);
+              return result;
+            } catch (error) {
+              // Only Elasticsearch responses are recorded, not connection errors
+              if (error instanceof errors.ResponseError) {
+                record(api, request, { error: toRecordedError(error) });
+              }
+              throw error;
+            }
+          };
+        }
+        return value && typeof value === 'object' ? wrap(value, [...keys, key]) : value;
+      },
+    });
+  }
+
+  return wrap(client, []);
+}
+
+// ─── Replay ────────────────────────────────────────────────────────
+
+/**
+ * Creates a client that answers API calls from the fixtures in `dir`. Calls
+ * with no fixture reject with an error naming the API and request.
+ */
+export function createReplayClient({ dir, ignoreKeys } = {}) {
+  const fixtures = new FixtureStore(dir, ignoreKeys);
+  const served = new Map();
+
+  async function replay(api, params, options = {}) {
+    const request = normalizeRequest(params, options, fixtures.ignoreKeys);
+    const entry = fixtures.find(api, request);
+    if (!entry?.responses.length) {
+      throw new Error(
+        `No recorded Elasticsearch response for ${api} ${JSON.stringify(request)} in ` +
+          `${fixtures.fileOf(api)}. Record it with ES_MODE=record.`
+      );
+    }
+    const index = served.get(entry) ?? 0;
+    served.set(entry, index + 1);
+    const response = entry.responses[Math.min(index, entry.responses.length - 1)];
+    if (response.error) throw toResponseError(response.error);
+    return structuredClone(response.meta ?? response.body);
+  }
+
+  function namespace(keys) {
+    return new Proxy(() => {}, {
+      get(target, key) {
+        if (typeof key === 'symbol' || key === 'then') return undefined;
+        if (key === 'child') return () => root;
+        if (key === 'close') return async () => {};
+        return namespace([...keys, key]);
+      },
+      apply: (target, thisArg, [params, options]) => replay(toApiName(keys), params, options),
+    });
+  }
+
+  const root = namespace([]);
+  return root;
+}
@@ -0,0 +1,336 @@
+/**
+ * Fault Injection
+ *
+ * Makes Elasticsearch and saved objects calls slow or fail on purpose, so
+ * retries, error toasts and partial failures can be exercised locally. Rules
+ * come from the `faults` section of the mock config or `/__mock/faults`:
+ *
+ *   "faults": [
+ *     { "target": "elasticsearch", "method": "search", "index": "logs-*", "latency": 2000 },
+ *     { "target": "elasticsearch", "method": "bulk", "error": 429, "times": 2 },
+ *     { "target": "savedObjects", "method": "update", "type": "my-type", "error": "conflict" }
+ *   ]
+ *
+ * A rule matches calls by `target`, `method` (client API names such as
+ * `search` or `indices.create`; `*` globs and lists work), `index` for
+ * Elasticsearch and `type` for saved objects. Every matching rule applies;
+ * latencies add up and the first error is thrown:
+ * - `latency`: milliseconds, or `[min, max]` for a random delay
+ * - `error`: see ES_FAULTS and SAVED_OBJECTS_FAULTS; a status code works too
+ * - `probability` (0-1, default 1) and `times` (then the rule is dropped)
+ *
+ * Saved objects bulk methods fail per object: objects of a faulted type get
+ * an `error` in the result while the others are written.
+ */
+
+import { errors } from '@elastic/elasticsearch';
+import { createSavedObjectsError } from './saved-objects-types.mjs';
+
+const TARGETS = ['elasticsearch', 'savedObjects'];
+
+// Elasticsearch client properties that aren't API namespaces
+const PASSTHROUGH = new Set([
+  'child',
+  'close',
+  'connectionPool',
+  'diagnostic',
+  'helpers',
+  'name',
+  'serializer',
+  'then',
+  'transport',
+]);
+
+// The result key of saved objects bulk methods, which fail per object
+const BULK_RESULTS = {
+  bulkCreate: 'saved_objects',
+  bulkGet: 'saved_objects',
+  bulkUpdate: 'saved_objects',
+  bulkDelete: 'statuses',
+};
+
+// ─── Errors ────────────────────────────────────────────────────────
+
+function responseError(statusCode, type, reason) {
+  return new errors.ResponseError({
+    body: { error: { root_cause: [{ type, reason }], type, reason }, status: statusCode },
+    statusCode,
+    headers: {},
+    warnings: null,
+    meta: {},
+  });
+}
+
+const ES_FAULTS = {
+  too_many_requests: () =>
+    responseError(
+      429,
+      'es_rejected_execution_exception',
+      'rejected execution of coordinating operation [injected by the mock server]'
+    ),
+  unavailable: () =>
+    responseError(503, 'no_shard_available_action_exception', 'No shard available [injected]'),
+  version_conflict: ({ id }) =>
+    responseError(
+      409,
+      'version_conflict_engine_exception',
+      `[${id ?? 'unknown'}]: version conflict, injected by the mock server`
+    ),
+  index_not_found: ({ index }) =>
+    responseError(404, 'index_not_found_exception', `no such index [${index ?? 'unknown'}]`),
+  timeout: () => new errors.TimeoutError('Request timed out'),
+};
+
+const SAVED_OBJECTS_FAULTS = {
+  // A create without an id has none to name yet
+  conflict: ({ type, id }) =>
+    createSavedObjectsError(409, `Saved object [${type}/${id ?? 'unknown'}] conflict`),
+  not_found: ({ type, id }) =>
+    createSavedObjectsError(404, `Saved object [${type}/${id ?? 'unknown'}] not found`),
+  too_many_requests: () => createSavedObjectsError(429, 'Too Many Requests'),
+  unavailable: () => createSavedObjectsError(503, 'Service Unavailable'),
+  // Kibana's repository reports Elasticsearch timeouts as unavailable
+  timeout: () => createSavedObjectsError(503, 'Request timed out', 'Service Unavailable'),
+};
+
+const STATUS_FAULTS = {
+  elasticsearch: {
+    404: 'index_not_found',
+    409: 'version_conflict',
+    429: 'too_many_requests',
+    503: 'unavailable',
+  },
+  savedObjects: { 404: 'not_found', 409: 'conflict', 429: 'too_many_requests', 503: 'unavailable' },
+};
+
+function createFault(target, error, call) {
+  const faults = target === 'elasticsearch' ? ES_FAULTS : SAVED_OBJECTS_FAULTS;
+  const name = STATUS_FAULTS[target][error] ?? error;
+  if (faults[name]) return faults[name](call);
+  return target === 'elasticsearch'
+    ? responseError(error, 'status_exception', 'Injected by the mock server')
+    : createSavedObjectsError(error, 'Injected by the mock server');
+}
+
+// ─── Rules ─────────────────────────────────────────────────────────
+
+export class FaultRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.statusCode = 400;
+  }
+}
+
+const globToRegExp = (glob) =>
+  new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+
+// A rule value matches if any of its globs matches any of the call's values
+function matches(patterns, values) {
+  if (patterns === undefined) return true;
+  const list = [values]
+    .flat()
+    .flatMap((value) => String(value ?? '').split(','))
+    .filter(Boolean);
+  return [patterns]
+    .flat()
+    .some((pattern) => list.some((value) => globToRegExp(pattern).test(value)));
+}
+
+function validateRule(rule) {
+  if (!TARGETS.includes(rule.target)) {
+    throw new FaultRuleError(`[target]: expected one of [${TARGETS.join(', ')}]`);
+  }
+  if (rule.latency === undefined && rule.error === undefined) {
+    throw new FaultRuleError('A fault needs a [latency], an [error] or both');
+  }
+  const faults = rule.target === 'elasticsearch' ? ES_FAULTS : SAVED_OBJECTS_FAULTS;
+  const { error } = rule;
+  const isStatus = Number.isInteger(error) && error >= 400 && error <= 599;
+  if (error !== undefined && !isStatus && !faults[error]) {
+    throw new FaultRuleError(
+      `[error]: expected a status code or one of [${Object.keys(faults).join(', ')}]`
+    );
+  }
+  const latencies = [rule.latency ?? 0].flat();
+  if (!latencies.every((ms) => Number.isFinite(ms) && ms >= 0) || latencies.length > 2) {
+    throw new FaultRuleError('[latency]: expected milliseconds or [min, max]');
+  }
+}
+
+// The added latency of some rules
+const delayOf = (rules) =>
+  rules.reduce((total, { latency = 0 }) => {
+    const [min, max = min] = [latency].flat();
+    return total + min + Math.random() * (max - min);
+  }, 0);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class FaultInjector {
+  constructor(rules = []) {
+    this.configRules = rules;
+    this.reset();
+  }
+
+  /** Back to the rules from the mock config. */
+  reset() {
+    this.rules = [];
+    this.nextId = 1;
+    this.configRules.forEach((rule, index) => {
+      try {
+        this.add(rule);
+      } catch (error) {
+        throw new Error(`Invalid fault in mock config (faults[${index}]): ${error.message}`);
+      }
+    });
+  }
+
+  clear() {
+    this.rules = [];
+  }
+
+  add(rule) {
+    validateRule(rule);
+    const added = { ...rule, id: String(this.nextId++), hits: 0 };
+    this.rules.push(added);
+    return added;
+  }
+
+  remove(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter((rule) => rule.id !== id);
+    return this.rules.length < before;
+  }
+
+  /** The rules matching a call, counting it as a hit for each. */
+  match(target, call) {
+    const matched = this.rules.filter(
+      (rule) =>
+        rule.target === target &&
+        matches(rule.method, call.method) &&
+        (target === 'elasticsearch'
+          ? matches(rule.index, call.index)
+          : matches(rule.type, call.type)) &&
+        Math.random() < (rule.probability ?? 1)
+    );
+    for (const rule of matched) {
+      rule.hits++;
+      if (rule.times !== undefined && rule.hits >= rule.times) this.remove(rule.id);
+    }
+    return matched;
+  }
+
+  toJSON() {
+    return this.rules;
+  }
+
+  // ─── Elasticsearch ───────────────────────────────────────────────
+
+  /**
+   * Wraps an Elasticsearch client (real, emulated or replaying) so API calls
+   * go through the rules first.
+   */
+  wrapElasticsearchClient(client) {
+    const injector = this;
+
+    function wrap(target, keys, parent) {
+      return new Proxy(target, {
+        get(obj, key) {
+          const value = Reflect.get(obj, key);
+          if (typeof key === 'symbol' || PASSTHROUGH.has(key)) return value;
+          return value && (typeof value === 'object' || typeof value === 'function')
+            ? wrap(value, [...keys, key], obj)
+            : value;
+        },
+        async apply(fn, thisArg, [params = {}, ...rest]) {
+          const call = { method: keys.join('.'), index: params.index, id: params.id };
+          const rules = injector.match('elasticsearch', call);
+          if (rules.length) await injector.applyRules('elasticsearch', rules, call);
+          return Reflect.apply(fn, parent, [params, ...rest]);
+        },
+      });
+    }
+
+    return wrap(client, [], null);
+  }
+
+  // ─── Saved Objects ───────────────────────────────────────────────
+
+  /**
+   * Wraps a saved objects client. Bulk methods fail per object, the others
+   * as a whole. Calls no rule matches stay synchronous if they were.
+   */
+  wrapSavedObjectsClient(client) {
+    return new Proxy(client, {
+      get: (obj, method, proxy) => {
+        const value = Reflect.get(obj, method);
+        if (typeof method === 'symbol' || typeof value !== 'function') return value;
+        // The finder stays synchronous and pages through the wrapped client
+        if (method === 'createPointInTimeFinder') return (...args) => value.apply(proxy, args);
+        return (...args) => {
+          const [first, second, third] = args;
+          if (BULK_RESULTS[method] && Array.isArray(first)) {
+            return this.injectBulk(obj, method, args);
+          }
+          const call = Array.isArray(first)
+            ? { method, type: first.map((object) => object.type) }
+            : typeof first === 'string'
+              ? { method, type: first, id: typeof second === 'string' ? second : third?.id }
+              : { method, type: first?.type };
+          const rules = this.match('savedObjects', call);
+          if (!rules.length) return value.apply(obj, args);
+          return this.applyRules('savedObjects', rules, call).then(() => value.apply(obj, args));
+        };
+      },
+    });
+  }
+
+  async injectBulk(client, method, [objects, ...rest]) {
+    const faulted = new Map();
+    let delay = 0;
+    for (const object of objects) {
+      const rules = this.match('savedObjects', { method, type: object.type });
+      delay = Math.max(delay, delayOf(rules));
+      const { error } = rules.find((rule) => rule.error !== undefined) ?? {};
+      if (error !== undefined) {
+        faulted.set(object, createFault('savedObjects', error, { method, ...object }));
+      }
+    }
+    if (delay) await sleep(delay);
+    if (!faulted.size) return client[method](objects, ...rest);
+
+    console.log(`💥 Injected ${faulted.size} saved object error(s) into ${method}`);
+    const passed = objects.filter((object) => !faulted.has(object));
+    const key = BULK_RESULTS[method];
+    const result = passed.length ? await client[method](passed, ...rest) : { [key]: [] };
+    const results = [...result[key]];
+    return {
+      ...result,
+      [key]: objects.map((object) => {
+        const error = faulted.get(object);
+        if (!error) return results.shift();
+        const { type, id } = object;
+        return {
+          type,
+          id,
+          ...(key === 'statuses' && { success: false }),
+          error: error.output.payload,
+        };
+      }),
+    };
+  }
+
+  // ─── Injection ───────────────────────────────────────────────────
+
+  async applyRules(target, rules, call) {
+    const delay = delayOf(rules);
+    if (delay) await sleep(delay);
+    const { error } = rules.find((rule) => rule.error !== undefined) ?? {};
+    if (error === undefined) return;
+    const subject = target === 'elasticsearch' ? call.index : call.type;
+    console.log(
+      `💥 Injected ${error} into ${target} ${call.method}${subject ? ` (${subject})` : ''}`
+    );
+    throw createFault(target, error, call);
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Kibana Config
+ *
+ * Reads a `kibana.dev.yml`-style file (`KIBANA_CONFIG`, by default
+ * `kibana.dev.yml` in the plugin directory) the way Kibana reads kibana.yml:
+ * - dotted keys (`my_plugin.enabled: true`) and nested objects are merged
+ * - `${VAR}` and `${VAR:default}` are replaced with environment variables
+ *
+ * The plugin's section, at its `configPath`, is validated against the
+ * plugin's `configSchema` and becomes `initializerContext.config`.
+ * `uiSettings.overrides` feeds the mock uiSettings service.
+ */
+
+import * as fs from 'fs';
+import { parse } from 'yaml';
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function substituteEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::([^}]*))?\}/g, (match, name, defaultValue) => {
+      if (process.env[name] !== undefined) return process.env[name];
+      if (defaultValue !== undefined) return defaultValue;
+      throw new Error(`Unknown environment variable referenced in config : ${name}`);
+    });
+  }
+  if (Array.isArray(value)) return value.map(substituteEnv);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, substituteEnv(item)])
+    );
+  }
+  return value;
+}
+
+// `{ 'a.b': 1, a: { c: 2 } }` → `{ a: { b: 1, c: 2 } }`
+function expandDottedKeys(value) {
+  if (!isPlainObject(value)) return value;
+  const result = {};
+  for (const [dottedKey, item] of Object.entries(value)) {
+    const keys = dottedKey.split('.');
+    const last = keys.pop();
+    let target = result;
+    for (const key of keys) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    }
+    const expanded = expandDottedKeys(item);
+    target[last] =
+      isPlainObject(target[last]) && isPlainObject(expanded)
+        ? expandDottedKeys({ ...target[last], ...expanded })
+        : expanded;
+  }
+  return result;
+}
+
+export function loadKibanaConfig(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return expandDottedKeys(substituteEnv(parse(fs.readFileSync(file, 'utf-8')) ?? {}));
+  } catch (error) {
+    throw new Error(`Invalid Kibana config ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * The plugin's config path: `configPath` from kibana.jsonc, or the plugin id
+ * in snake_case, like Kibana.
+ */
+export function getPluginConfigPath(manifest) {
+  const configPath =
+    manifest.configPath || manifest.id.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+  return [configPath].flat().join('.');
+}
+
+/**
+ * Validates the plugin's section of the Kibana config against its schema.
+ * Errors read like Kibana's: `[config validation of [my_plugin].key]: ...`.
+ */
+export function readPluginConfig(kibanaConfig, { manifest, schema }) {
+  const configPath = getPluginConfigPath(manifest);
+  const raw = configPath.split('.').reduce((value, key) => value?.[key], kibanaConfig) ?? {};
+  if (!schema) return raw;
+  const context = { dev: true, prod: false, serverless: false };
+  return schema.validate(raw, context, `config validation of [${configPath}]`);
+}
@@ -0,0 +1,260 @@
+/**
+ * KQL
+ *
+ * Parses Kibana Query Language expressions into the KueryNode trees
+ * `@kbn/es-query` builds, and converts those trees into Elasticsearch query
+ * DSL the way Kibana does before sending a `filter` to Elasticsearch:
+ * - `field: value`, `field: "a phrase"`, `field: val*`, `field: *` (exists)
+ * - `field < 10`, `field >= "2024-01-01"`
+ * - `and`, `or`, `not`, parentheses, and value lists like `field: (a or b)`
+ *
+ * Nested field queries (`field: { ... }`) and free text without a field
+ * aren't supported.
+ */
+
+const WILDCARD = '@kuery-wildcard@';
+const SPECIAL_CHARACTERS = '\\():<>"*{}';
+const RANGE_OPERATORS = { '<=': 'lte', '>=': 'gte', '<': 'lt', '>': 'gt' };
+const NUMBER_PATTERN = /^-?(\d+(\.\d+)?|\.\d+)$/;
+
+export class KQLSyntaxError extends Error {
+  constructor(message, expression, position) {
+    super(`${message}\n${expression}\n${'-'.repeat(position)}^`);
+    this.name = 'KQLSyntaxError';
+    this.shortMessage = message;
+  }
+}
+
+// ─── Nodes ─────────────────────────────────────────────────────────
+
+const literal = (value) => ({ type: 'literal', value });
+const wildcard = (parts) => ({ type: 'wildcard', value: parts.join(WILDCARD) });
+const fn = (name, args) => ({ type: 'function', function: name, arguments: args });
+
+const isWildcardNode = (node) => node.type === 'wildcard';
+const wildcardPattern = (node) => node.value.split(WILDCARD).join('*');
+
+/** Builders matching `nodeBuilder` from @kbn/es-query. */
+export const nodeBuilder = {
+  is: (fieldName, value) => {
+    const valueNode =
+      typeof value === 'object' && value !== null && value.type ? value : literal(value);
+    return fn('is', [literal(fieldName), valueNode, literal(false)]);
+  },
+  or: (nodes) => (nodes.length === 1 ? nodes[0] : fn('or', nodes)),
+  and: (nodes) => (nodes.length === 1 ? nodes[0] : fn('and', nodes)),
+  not: (node) => fn('not', [node]),
+  range: (fieldName, operator, value) =>
+    fn('range', [literal(fieldName), literal(operator), literal(value)]),
+};
+
+// ─── Parser ────────────────────────────────────────────────────────
+
+class Parser {
+  constructor(expression) {
+    this.expression = expression;
+    this.pos = 0;
+  }
+
+  error(message) {
+    throw new KQLSyntaxError(message, this.expression, this.pos);
+  }
+
+  skipSpace() {
+    while (/\s/.test(this.expression[this.pos] ?? '')) this.pos++;
+  }
+
+  peek(text) {
+    this.skipSpace();
+    return this.expression.startsWith(text, this.pos);
+  }
+
+  expect(text) {
+    if (!this.peek(text)) this.error(`Expected "${text}"`);
+    this.pos += text.length;
+  }
+
+  // `and`, `or` and `not` are keywords when they stand alone
+  keyword(name) {
+    this.skipSpace();
+    const word = this.expression.slice(this.pos, this.pos + name.length);
+    const next = this.expression[this.pos + name.length] ?? '';
+    if (word.toLowerCase() !== name || !(next === '' || /[\s("]/.test(next))) return false;
+    this.pos += name.length;
+    return true;
+  }
+
+  atKeyword() {
+    const rest = this.expression.slice(this.pos);
+    return /^\s+(and|or|not)(\s|\(|"|$)/i.test(rest);
+  }
+
+  parse() {
+    this.skipSpace();
+    if (this.pos === this.expression.length) return fn('and', []);
+    const node = this.orQuery((parser) => parser.subQuery());
+    this.skipSpace();
+    if (this.pos < this.expression.length) this.error('Expected "and", "or" or end of input');
+    return node;
+  }
+
+  orQuery(term) {
+    const nodes = [this.andQuery(term)];
+    while (this.keyword('or')) nodes.push(this.andQuery(term));
+    return nodes.length > 1 ? fn('or', nodes) : nodes[0];
+  }
+
+  andQuery(term) {
+    const nodes = [this.notQuery(term)];
+    while (this.keyword('and')) nodes.push(this.notQuery(term));
+    return nodes.length > 1 ? fn('and', nodes) : nodes[0];
+  }
+
+  notQuery(term) {
+    return this.keyword('not') ? fn('not', [term(this)]) : term(this);
+  }
+
+  subQuery() {
+    if (this.peek('(')) {
+      this.pos++;
+      const node = this.orQuery((parser) => parser.subQuery());
+      this.expect(')');
+      return node;
+    }
+    return this.fieldQuery();
+  }
+
+  fieldQuery() {
+    const start = this.pos;
+    const field = this.value();
+    if (isWildcardNode(field)) this.error('Wildcard field names are not supported');
+    this.skipSpace();
+    const operator = Object.keys(RANGE_OPERATORS).find((op) =>
+      this.expression.startsWith(op, this.pos)
+    );
+    if (operator) {
+      this.pos += operator.length;
+      const value = this.value();
+      return fn('range', [field, literal(RANGE_OPERATORS[operator]), value]);
+    }
+    if (!this.peek(':')) {
+      this.pos = start;
+      this.error('Expected a field name followed by ":" or a range operator');
+    }
+    this.pos++;
+    if (this.peek('{')) this.error('Nested field queries are not supported');
+    return this.listOrValue(field);
+  }
+
+  // `field: (a or b and not c)`
+  listOrValue(field) {
+    if (this.peek('(')) {
+      this.pos++;
+      const node = this.orQuery((parser) => parser.listOrValue(field));
+      this.expect(')');
+      return node;
+    }
+    const value = this.value();
+    if (isWildcardNode(value) && value.value === WILDCARD) return fn('exists', [field]);
+    return fn('is', [field, value, literal(value.quoted === true)]);
+  }
+
+  value() {
+    this.skipSpace();
+    if (this.expression[this.pos] === '"') return this.quoted();
+    const parts = [''];
+    while (this.pos < this.expression.length) {
+      const char = this.expression[this.pos];
+      if (char === '\\') {
+        const escaped = this.expression[this.pos + 1];
+        if (escaped === undefined) this.error('Unexpected end of input after "\\"');
+        parts[parts.length - 1] += escaped;
+        this.pos += 2;
+      } else if (char === '*') {
+        parts.push('');
+        this.pos++;
+      } else if (SPECIAL_CHARACTERS.includes(char) || (/\s/.test(char) && this.atKeyword())) {
+        break;
+      } else {
+        parts[parts.length - 1] += char;
+        this.pos++;
+      }
+    }
+    parts[parts.length - 1] = parts[parts.length - 1].trimEnd();
+    if (parts.length === 1 && !parts[0]) this.error('Expected a value');
+    if (parts.length > 1) return wildcard(parts);
+    const [text] = parts;
+    if (text === 'true' || text === 'false') return literal(text === 'true');
+    return literal(NUMBER_PATTERN.test(text) ? Number(text) : text);
+  }
+
+  quoted() {
+    this.pos++;
+    let text = '';
+    while (this.expression[this.pos] !== '"') {
+      if (this.pos >= this.expression.length) this.error('Missing closing quote');
+      if (this.expression[this.pos] === '\\') this.pos++;
+      text += this.expression[this.pos++];
+    }
+    this.pos++;
+    return { ...literal(text), quoted: true };
+  }
+}
+
+/** Parses a KQL expression, like `fromKueryExpression` from @kbn/es-query. */
+export function fromKueryExpression(expression) {
+  const node = new Parser(String(expression)).parse();
+  return stripQuoted(node);
+}
+
+// The quoted flag only exists while parsing; `is` carries it as isPhrase
+function stripQuoted(node) {
+  if (node.type === 'function') return { ...node, arguments: node.arguments.map(stripQuoted) };
+  if (node.type === 'literal' && 'quoted' in node) return literal(node.value);
+  return node;
+}
+
+export const escapeKuery = (value) =>
+  String(value)
+    .replace(/[\\():<>"*]/g, '\\$&')
+    .replace(/(\s)(and|or|not)(\s)/gi, '$1\\$2$3');
+
+// ─── Elasticsearch Query ───────────────────────────────────────────
+
+const valueOf = (node) => (node.type === 'namedArg' ? node.value.value : node.value);
+
+/**
+ * Converts a KueryNode into query DSL. `mapField` renames fields on the way,
+ * e.g. from saved object filter syntax to document fields.
+ */
+export function toElasticsearchQuery(node, { mapField = (field) => field } = {}) {
+  const convert = (child) => toElasticsearchQuery(child, { mapField });
+  const [first, second, third] = node.arguments || [];
+  switch (node.function) {
+    case 'and':
+      return { bool: { filter: node.arguments.map(convert) } };
+    case 'or':
+      return { bool: { should: node.arguments.map(convert), minimum_should_match: 1 } };
+    case 'not':
+      return { bool: { must_not: [convert(first)] } };
+    case 'exists':
+      return { exists: { field: mapField(first.value) } };
+    case 'is': {
+      const field = mapField(first.value);
+      if (isWildcardNode(second)) {
+        return { wildcard: { [field]: { value: wildcardPattern(second) } } };
+      }
+      return third?.value
+        ? { match_phrase: { [field]: second.value } }
+        : { match: { [field]: second.value } };
+    }
+    case 'range': {
+      // Older trees carry the operator as a named argument
+      const [operator, value] =
+        second.type === 'namedArg' ? [second.name, valueOf(second)] : [second.value, third.value];
+      return { range: { [mapField(first.value)]: { [operator]: value } } };
+    }
+    default:
+      throw new Error(`Unsupported KQL function [${node.function}]`);
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Mock Config
+ *
+ * Reads the optional mock server config file (`MOCK_CONFIG`, by default
+ * `mock.config.json` in the plugin directory). Each subsystem reads its own
+ * section, e.g. `security`.
+ */
+
+import * as fs from 'fs';
+
+export function loadMockConfig(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid mock config ${file}: ${error.message}`);
+  }
+}
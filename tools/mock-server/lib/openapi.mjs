@@ -0,0 +1,294 @@
+/**
+ * OpenAPI Generation
+ *
+ * Builds an OpenAPI 3 document from the routes the plugin registered, in the
+ * spirit of Kibana's own `/api/oas` endpoint:
+ * - path, query and body parameters from `validate.params/query/body`
+ *   (bundled config-schema types convert exactly, the real package's Joi
+ *   schemas on a best-effort basis, validation functions as free-form)
+ * - response bodies from `validate.response[status].body`
+ * - `{param?}` and `{param*}` path placeholders become `{param}`
+ * - `options.summary`, `description`, `deprecated` and tags carry over;
+ *   `oas-tag:` prefixes are stripped and `access:` privilege tags left out
+ * - `kbn-xsrf` is documented for methods that require it
+ * - versioned routes are documented with their latest version and an
+ *   `elastic-api-version` header listing the available versions
+ */
+
+import { createRequire } from 'module';
+import { dirname } from 'path';
+
+const XSRF_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// ─── Schemas ───────────────────────────────────────────────────────
+
+/** Converts the output of Joi's `describe()` (real @kbn/config-schema). */
+function joiToJsonSchema(description = {}) {
+  const flags = description.flags || {};
+  const rule = (name) => description.rules?.find((r) => r.name === name)?.args?.limit;
+  let jsonSchema;
+
+  switch (description.type) {
+    case 'object': {
+      const keys = Object.entries(description.keys || {});
+      const required = keys
+        .filter(([, child]) => child.flags?.presence === 'required')
+        .map(([key]) => key);
+      jsonSchema = {
+        type: 'object',
+        properties: Object.fromEntries(keys.map(([key, child]) => [key, joiToJsonSchema(child)])),
+        ...(required.length && { required }),
+        additionalProperties: flags.unknown === true,
+      };
+      break;
+    }
+    case 'array':
+      jsonSchema = { type: 'array', items: joiToJsonSchema(description.items?.[0]) };
+      break;
+    case 'alternatives':
+      jsonSchema = {
+        anyOf: (description.matches || [])
+          .map((match) => match.schema || match.then)
+          .filter(Boolean)
+          .map(joiToJsonSchema),
+      };
+      break;
+    case 'string':
+      jsonSchema = {
+        type: 'string',
+        ...(rule('min') !== undefined && { minLength: rule('min') }),
+        ...(rule('max') !== undefined && { maxLength: rule('max') }),
+      };
+      break;
+    case 'number':
+      jsonSchema = {
+        type: 'number',
+        ...(rule('min') !== undefined && { minimum: rule('min') }),
+        ...(rule('max') !== undefined && { maximum: rule('max') }),
+      };
+      break;
+    case 'boolean':
+      jsonSchema = { type: 'boolean' };
+      break;
+    case 'date':
+      jsonSchema = { type: 'string', format: 'date-time' };
+      break;
+    case 'record':
+    case 'map':
+      jsonSchema = { type: 'object', additionalProperties: true };
+      break;
+    default:
+      jsonSchema = {};
+  }
+
+  const allowed = description.allow || [];
+  if (flags.only && allowed.length) jsonSchema.enum = allowed.filter((value) => value !== null);
+  if (allowed.includes(null)) jsonSchema.nullable = true;
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    jsonSchema.default = flags.default;
+  }
+  if (flags.description) jsonSchema.description = flags.description;
+  return jsonSchema;
+}
+
+/** JSON schema for a route validation rule. */
+export function toJsonSchema(rule) {
+  if (!rule) return null;
+  if (typeof rule.toJsonSchema === 'function') return rule.toJsonSchema();
+  if (typeof rule.getSchema === 'function') return joiToJsonSchema(rule.getSchema().describe());
+  return { description: 'Validated by a custom validation function' };
+}
+
+function isOptional(rule) {
+  if (typeof rule?.isOptional === 'function') return rule.isOptional();
+  if (typeof rule?.getSchema === 'function') {
+    return rule.getSchema().describe().flags?.presence !== 'required';
+  }
+  return true;
+}
+
+// ─── Operations ────────────────────────────────────────────────────
+
+export const toOpenApiPath = (path) => path.replace(/{(\w+)[?*]}/g, '{$1}');
+
+function toParameters(rule, location, { required } = {}) {
+  const properties = typeof rule?.getPropSchemas === 'function' ? rule.getPropSchemas() : null;
+  const jsonSchema = toJsonSchema(rule);
+  if (!jsonSchema) return [];
+
+  if (!properties) {
+    // Function validators and Joi objects: fall back to the object's properties
+    return Object.entries(jsonSchema.properties || {}).map(([name, schema]) => ({
+      name,
+      in: location,
+      required: required ?? (jsonSchema.required || []).includes(name),
+      schema,
+    }));
+  }
+
+  return Object.entries(properties).map(([name, type]) => {
+    const { description, ...schema } = toJsonSchema(type);
+    return {
+      name,
+      in: location,
+      required: required ?? !isOptional(type),
+      ...(description && { description }),
+      schema,
+    };
+  });
+}
+
+function toResponses(responseValidation = {}) {
+  const responses = {};
+  for (const [status, response] of Object.entries(responseValidation)) {
+    if (!/^\d{3}$/.test(status)) continue;
+    const body = typeof response?.body === 'function' ? response.body() : response?.body;
+    responses[status] = {
+      description: response?.description || `${status} response`,
+      ...(body && { content: { 'application/json': { schema: toJsonSchema(body) } } }),
+    };
+  }
+  if (!Object.keys(responses).length) {
+    responses[200] = { description: 'Successful response' };
+  }
+  return responses;
+}
+
+function toTags(tags = []) {
+  return tags
+    .filter((tag) => !tag.startsWith('access:'))
+    .map((tag) => tag.replace(/^oas-tag:/, ''));
+}
+
+/** Kibana's access default: internal for /internal/* paths, public otherwise. */
+export const getRouteAccess = (route) =>
+  route.options?.access ?? (route.path.startsWith('/internal') ? 'internal' : 'public');
+
+function toVersionHeader(versioned, latest) {
+  return {
+    name: 'elastic-api-version',
+    in: 'header',
+    required: !versioned.isPublic,
+    description: 'The version of the API to use',
+    schema: {
+      type: 'string',
+      enum: [...versioned.versions.keys()],
+      ...(versioned.isPublic && { default: latest }),
+    },
+  };
+}
+
+function toOperation(route) {
+  const { options = {}, versioned } = route;
+  const latest = versioned?.getLatestVersion();
+  const { request: validate = {}, response } = versioned
+    ? versioned.getValidation(latest)
+    : { request: route.validate, response: route.response };
+  const pathParameters = toParameters(validate.params, 'path', { required: true });
+  // OpenAPI requires every placeholder to be declared, validated or not
+  for (const [, name] of route.path.matchAll(/{(\w+)[?*]?}/g)) {
+    if (!pathParameters.some((parameter) => parameter.name === name)) {
+      pathParameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+  const parameters = [
+    ...pathParameters,
+    ...toParameters(validate.query, 'query'),
+    ...(versioned ? [toVersionHeader(versioned, latest)] : []),
+    ...(XSRF_METHODS.includes(route.method)
+      ? [
+          {
+            name: 'kbn-xsrf',
+            in: 'header',
+            required: true,
+            description: 'A required header to protect against CSRF attacks',
+            schema: { type: 'string', example: 'true' },
+          },
+        ]
+      : []),
+  ];
+  const body = toJsonSchema(validate.body);
+  const tags = toTags(options.tags);
+  // Versioned routes take summary and description from the route config
+  const summary = options.summary ?? versioned?.config.summary;
+  const description = options.description ?? versioned?.config.description;
+
+  return {
+    operationId: `${route.method}-${toOpenApiPath(route.path)}`,
+    ...(summary && { summary }),
+    ...(description && { description }),
+    ...(tags.length && { tags }),
+    ...(options.deprecated && { deprecated: true }),
+    ...(parameters.length && { parameters }),
+    ...(body && {
+      requestBody: {
+        required: !isOptional(validate.body),
+        content: { 'application/json': { schema: body } },
+      },
+    }),
+    responses: toResponses(response),
+  };
+}
+
+// ─── Document ──────────────────────────────────────────────────────
+
+/**
+ * Generates the OpenAPI document for `routes`. Only public routes are
+ * included unless `access` is `internal` or `all`.
+ */
+export function generateOpenApiDocument(routes, { title, version, serverUrl, access } = {}) {
+  const paths = {};
+  const tags = new Set();
+
+  for (const route of routes) {
+    if (access !== 'all' && getRouteAccess(route) !== (access || 'public')) continue;
+    const operation = toOperation(route);
+    (operation.tags || []).forEach((tag) => tags.add(tag));
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: operation };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title: title || 'Kibana plugin', version: version || '1.0.0' },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    ...(tags.size && { tags: [...tags].sort().map((name) => ({ name })) }),
+    paths: Object.fromEntries(Object.entries(paths).sort(([a], [b]) => a.localeCompare(b))),
+  };
+}
+
+// ─── Explorer ──────────────────────────────────────────────────────
+
+/** Directory with the Swagger UI assets, served under `/__mock/docs/assets`. */
+export const swaggerUiDir = dirname(
+  createRequire(import.meta.url).resolve('swagger-ui-dist/package.json')
+);
+
+export function renderExplorerPage({ title, specUrl, assetsUrl }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${title} API</title>
+    <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({
+        url: ${JSON.stringify(specUrl)},
+        dom_id: '#swagger-ui',
+        deepLinking: true,
+        tryItOutEnabled: true,
+        // Kibana rejects unsafe methods without kbn-xsrf
+        requestInterceptor: (request) => {
+          request.headers['kbn-xsrf'] = request.headers['kbn-xsrf'] || 'true';
+          return request;
+        },
+      });
+    </script>
+  </body>
+</html>
+`;
+}
@@ -0,0 +1,102 @@
+/**
+ * Plugin Initializer Context
+ *
+ * Builds the `PluginInitializerContext` Kibana hands to a server plugin's
+ * `plugin(initializerContext)` export: plugin id, environment, scoped
+ * loggers and the plugin's config.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { BehaviorSubject } from 'rxjs';
+
+const LOG_LEVELS = ['all', 'trace', 'debug', 'info', 'warn', 'error', 'fatal', 'off'];
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+
+// The Kibana version plugins are told they run in
+export const KIBANA_VERSION = '8.15.0';
+
+/**
+ * Reads the plugin id and metadata from kibana.jsonc, falling back to the
+ * legacy kibana.json.
+ */
+export function readPluginManifest(pluginPath) {
+  for (const file of ['kibana.jsonc', 'kibana.json']) {
+    const manifestPath = path.join(pluginPath, file);
+    if (!fs.existsSync(manifestPath)) continue;
+    const content = fs.readFileSync(manifestPath, 'utf-8');
+    // Strip JSON comments for parsing
+    const manifest = JSON.parse(content.replace(/\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, ''));
+    return {
+      id: manifest.plugin?.id || manifest.id,
+      configPath: manifest.plugin?.configPath || manifest.configPath,
+      requiredPlugins: manifest.plugin?.requiredPlugins || manifest.requiredPlugins || [],
+      optionalPlugins: manifest.plugin?.optionalPlugins || manifest.optionalPlugins || [],
+    };
+  }
+  return { id: path.basename(path.resolve(pluginPath)), requiredPlugins: [], optionalPlugins: [] };
+}
+
+export function createLogger(context) {
+  const name = context.join('.');
+  const enabled = (level) => LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(LOG_LEVEL);
+  const write = (level, method) => (message, meta) => {
+    if (!enabled(level)) return;
+    const text = typeof message === 'function' ? message() : message;
+    const line = `[${level.toUpperCase()}][${name}] ${text instanceof Error ? text.stack : text}`;
+    console[method](line, ...(meta ? [meta] : []));
+  };
+
+  return {
+    trace: write('trace', 'debug'),
+    debug: write('debug', 'debug'),
+    info: write('info', 'log'),
+    warn: write('warn', 'warn'),
+    error: write('error', 'error'),
+    fatal: write('fatal', 'error'),
+    log: (record) => write(record.level?.id || 'info', 'log')(record.message),
+    isLevelEnabled: enabled,
+    get: (...childContext) => createLogger([...context, ...childContext]),
+  };
+}
+
+/**
+ * Creates the mock `PluginInitializerContext`. `config` is the already
+ * validated plugin config.
+ */
+export function createPluginInitializerContext({
+  manifest,
+  config = {},
+  version = KIBANA_VERSION,
+}) {
+  const config$ = new BehaviorSubject(config);
+
+  return {
+    opaqueId: Symbol(manifest.id),
+    env: {
+      mode: { dev: true, prod: false, name: 'development' },
+      packageInfo: {
+        version,
+        branch: 'main',
+        buildNum: 9007199254740991,
+        buildSha: 'mock',
+        buildShaShort: 'mock',
+        buildDate: new Date(),
+        buildFlavor: 'traditional',
+        dist: false,
+      },
+      instanceUuid: 'mock-instance',
+      configs: [],
+    },
+    node: { roles: { backgroundTasks: true, ui: true, migrator: false } },
+    logger: createLogger(['plugins', manifest.id]),
+    config: {
+      create: () => config$.asObservable(),
+      get: () => config$.getValue(),
+      legacy: {
+        globalConfig$: new BehaviorSubject({}).asObservable(),
+        get: () => ({}),
+      },
+    },
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Request Log
+ *
+ * Keeps the last requests the mock server answered, with their responses and
+ * timing, for `/__mock/requests`. Bodies are kept up to `MAX_BODY_BYTES`;
+ * JSON bodies are parsed, others are kept as text.
+ */
+
+const MAX_BODY_BYTES = 64 * 1024;
+const JSON_CONTENT_TYPE = /^application\/([\w.-]+\+)?json\b/;
+
+function decodeBody(chunks, contentType = '') {
+  const buffer = Buffer.concat(chunks);
+  if (!buffer.length) return undefined;
+  const text = buffer.subarray(0, MAX_BODY_BYTES).toString('utf-8');
+  if (buffer.length > MAX_BODY_BYTES) return `${text}... (${buffer.length} bytes)`;
+  if (JSON_CONTENT_TYPE.test(contentType)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return /^(text\/|application\/(x-)?ndjson)/.test(contentType) ? text : `(${buffer.length} bytes)`;
+}
+
+const isLoggedBody = (body) =>
+  body && !Buffer.isBuffer(body) && typeof body === 'object' && Object.keys(body).length > 0;
+
+export class RequestLog {
+  constructor({ size = 100 } = {}) {
+    this.size = size;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  add(entry) {
+    this.entries.push({ id: this.nextId++, ...entry });
+    if (this.entries.length > this.size) this.entries.shift();
+  }
+
+  /** The last `limit` entries, newest first. */
+  list({ limit = this.size } = {}) {
+    return this.entries.slice(-limit).reverse();
+  }
+
+  get(id) {
+    return this.entries.find((entry) => entry.id === id);
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  /**
+   * Express middleware recording every request it sees once the response has
+   * been sent. Requests `skip` returns true for are left out; `getUser`
+   * names the user a request ran as.
+   */
+  middleware({ skip = () => false, getUser = () => undefined } = {}) {
+    return (req, res, next) => {
+      if (skip(req)) return next();
+      const start = process.hrtime.bigint();
+      const timestamp = new Date().toISOString();
+      const chunks = [];
+      let size = 0;
+      const capture = (chunk, encoding) => {
+        if (!chunk || typeof chunk === 'function' || size > MAX_BODY_BYTES) return;
+        const buffer = Buffer.isBuffer(chunk)
+          ? chunk
+          : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf-8');
+        size += buffer.length;
+        chunks.push(buffer);
+      };
+      const { write, end } = res;
+      res.write = function (chunk, encoding, ...rest) {
+        capture(chunk, encoding);
+        return write.call(this, chunk, encoding, ...rest);
+      };
+      res.end = function (chunk, encoding, ...rest) {
+        capture(chunk, encoding);
+        return end.call(this, chunk, encoding, ...rest);
+      };
+
+      res.on('finish', () => {
+        this.add({
+          timestamp,
+          durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+          method: req.method,
+          path: req.originalUrl,
+          spaceId: req.spaceId,
+          user: getUser(req),
+          request: {
+            headers: req.headers,
+            // JSON bodies have been parsed by now; raw uploads are left out
+            ...(isLoggedBody(req.body) && { body: req.body }),
+          },
+          response: {
+            statusCode: res.statusCode,
+            headers: res.getHeaders(),
+            body: decodeBody(chunks, res.get('content-type')),
+          },
+        });
+      });
+      next();
+    };
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Kibana Response Factory
+ *
+ * Mirrors Kibana's `KibanaResponseFactory`: route handlers build a
+ * KibanaResponse with `response.ok()`, `response.notFound()`, ... and return
+ * it, and the router turns it into the HTTP response:
+ * - success bodies are sent as JSON (objects), text (strings), raw bytes
+ *   (Buffers) or piped (Readable streams, e.g. NDJSON or SSE)
+ * - error bodies take Kibana's `{ statusCode, error, message, attributes }`
+ *   shape, unless the response sets `bypassErrorFormat`
+ * - `headers` are sent with every kind of response
+ * - `file()` sets the download headers, `redirected()` requires `location`
+ */
+
+import { STATUS_CODES } from 'http';
+import { pipeline } from 'stream/promises';
+
+export class KibanaResponse {
+  constructor(status, payload, options = {}) {
+    this.status = status;
+    this.payload = payload;
+    this.options = options;
+  }
+}
+
+export const isKibanaResponse = (value) => value instanceof KibanaResponse;
+
+const isStream = (value) => value && typeof value.pipe === 'function';
+
+function errorResponse(status, defaultMessage) {
+  return (options = {}) => new KibanaResponse(status, options.body || defaultMessage, options);
+}
+
+function assertStatusCode(options) {
+  if (!options?.statusCode) {
+    throw new Error(
+      `options.statusCode is expected to be set. given options: ${options && options.statusCode}`
+    );
+  }
+}
+
+export const kibanaResponseFactory = {
+  // Success
+  ok: (options = {}) => new KibanaResponse(200, options.body, options),
+  // Not in Kibana; kept for plugins written against earlier mock servers
+  created: (options = {}) => new KibanaResponse(201, options.body, options),
+  accepted: (options = {}) => new KibanaResponse(202, options.body, options),
+  multiStatus: (options = {}) => new KibanaResponse(207, options.body, options),
+  noContent: (options = {}) => new KibanaResponse(204, undefined, options),
+
+  // Redirection
+  redirected: (options = {}) => {
+    if (!options.headers?.location) {
+      throw new Error("expected 'location' header to be set");
+    }
+    return new KibanaResponse(302, options.body, options);
+  },
+
+  // Errors
+  badRequest: errorResponse(400, 'Bad Request'),
+  unauthorized: errorResponse(401, 'Unauthorized'),
+  forbidden: errorResponse(403, 'Forbidden'),
+  notFound: errorResponse(404, 'Not Found'),
+  conflict: errorResponse(409, 'Conflict'),
+  unprocessableContent: errorResponse(422, 'Unprocessable Content'),
+  customError: (options) => {
+    assertStatusCode(options);
+    const { statusCode, body, ...rest } = options;
+    if (statusCode < 400 || statusCode >= 600) {
+      throw new Error(
+        `Unexpected Http status code. Expected from 400 to 599, but given: ${statusCode}`
+      );
+    }
+    return new KibanaResponse(statusCode, body, rest);
+  },
+
+  // Downloads and everything else
+  file: ({
+    body,
+    filename,
+    fileContentType = 'application/octet-stream',
+    fileContentSize,
+    bypassFileNameEncoding,
+    headers = {},
+    ...rest
+  }) => {
+    if (!filename) throw new Error('filename is expected in response.file');
+    const name = bypassFileNameEncoding ? filename : encodeURIComponent(filename);
+    return new KibanaResponse(200, body, {
+      ...rest,
+      headers: {
+        ...headers,
+        'content-type': fileContentType,
+        ...(fileContentSize !== undefined && { 'content-length': fileContentSize }),
+        'content-disposition': `attachment; filename=${name}`,
+        'x-content-type-options': 'nosniff',
+      },
+    });
+  },
+  custom: (options) => {
+    assertStatusCode(options);
+    const { statusCode, body, ...rest } = options;
+    return new KibanaResponse(statusCode, body, rest);
+  },
+};
+
+// ─── Sending ───────────────────────────────────────────────────────
+
+function getErrorMessage(payload) {
+  if (typeof payload === 'string') return payload;
+  if (payload?.message) return String(payload.message);
+  return STATUS_CODES[payload?.statusCode] || 'Error';
+}
+
+/** Kibana's error body: `{ statusCode, error, message, attributes? }`. */
+export function toErrorBody(statusCode, payload) {
+  const attributes = payload && typeof payload === 'object' ? payload.attributes : undefined;
+  return {
+    statusCode,
+    error: STATUS_CODES[statusCode] || 'Unknown',
+    message: getErrorMessage(payload),
+    ...(attributes !== undefined && { attributes }),
+  };
+}
+
+/**
+ * Writes a KibanaResponse to an Express-style response. Resolves once the
+ * body is sent, including when it is a stream.
+ */
+export async function sendKibanaResponse(res, { status, payload, options }) {
+  res.status(status);
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    if (value !== undefined) res.set(name, Array.isArray(value) ? value : String(value));
+  }
+
+  if (status >= 400 && !options.bypassErrorFormat) {
+    res.json(toErrorBody(status, payload));
+  } else if (payload === undefined || payload === null) {
+    res.end();
+  } else if (isStream(payload)) {
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+    await pipeline(payload, res);
+  } else if (Buffer.isBuffer(payload) || typeof payload === 'string') {
+    res.send(payload);
+  } else {
+    res.json(payload);
+  }
+}
@@ -0,0 +1,584 @@
+/**
+ * Mock Saved Objects Client
+ *
+ * A saved objects client over a SavedObjectsStore. Like Kibana's, it:
+ * - rejects unregistered types and hidden types not in `includedHiddenTypes`
+ * - migrates documents on write and read
+ * - scopes documents to the client's namespace (space) according to the
+ *   type's `namespaceType`: single-namespace documents are stored under
+ *   `namespace:type:id`, multi-namespace documents carry a `namespaces` list
+ *   and agnostic documents are visible everywhere
+ * - versions every write: `create` without `overwrite` conflicts with an
+ *   existing object, and writes passing a stale `version` fail with a 409
+ * - runs `find` filters as KQL against the type's mappings, and resolves
+ *   ids through `legacy-url-alias` objects
+ */
+
+import { randomUUID } from 'crypto';
+import { compareValues, compileQuery, toComparable } from './es-emulator.mjs';
+import { fromKueryExpression, toElasticsearchQuery } from './kql.mjs';
+import { createSavedObjectsError } from './saved-objects-types.mjs';
+import { SavedObjectsStore } from './saved-objects-store.mjs';
+import { namespaceToSpaceId, spaceIdToNamespace } from './spaces.mjs';
+
+// Fields of the saved object itself rather than its attributes
+const ROOT_FIELDS = ['type', 'namespaces', 'references', 'updated_at', 'created_at', 'originId'];
+
+// Mappings Kibana's saved objects index has for every document
+const ROOT_MAPPINGS = {
+  type: { type: 'keyword' },
+  namespaces: { type: 'keyword' },
+  originId: { type: 'keyword' },
+  updated_at: { type: 'date' },
+  created_at: { type: 'date' },
+  references: {
+    properties: { name: { type: 'keyword' }, type: { type: 'keyword' }, id: { type: 'keyword' } },
+  },
+};
+
+function notFoundError(type, id) {
+  return createSavedObjectsError(404, `Saved object [${type}/${id}] not found`);
+}
+
+function conflictError(type, id) {
+  return createSavedObjectsError(409, `Saved object [${type}/${id}] conflict`);
+}
+
+function badRequestError(message) {
+  return createSavedObjectsError(400, message, 'Bad Request');
+}
+
+function toErrorPayload(error) {
+  return (
+    error.output?.payload || {
+      statusCode: 500,
+      error: 'Internal Server Error',
+      message: error.message,
+    }
+  );
+}
+
+/** Runs a bulk operation per object, turning failures into per-object errors. */
+function settle(objects, operation) {
+  return Promise.all(
+    objects.map(async (object) => {
+      try {
+        return await operation(object);
+      } catch (e) {
+        return { id: object.id, type: object.type, error: toErrorPayload(e) };
+      }
+    })
+  );
+}
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/** Like Kibana's update: objects are merged deeply, arrays and other values replaced. */
+function mergeForUpdate(target, updates) {
+  if (!isPlainObject(target) || !isPlainObject(updates)) return updates;
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(updates)) {
+    merged[key] = mergeForUpdate(target[key], value);
+  }
+  return merged;
+}
+
+const valueAt = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+// ─── Find ──────────────────────────────────────────────────────────
+
+/** True if a dotted attribute path exists in a type's mappings (sub-fields included). */
+function isMapped(mappings, path) {
+  let mapping = mappings;
+  for (const key of path.split('.')) {
+    mapping = mapping?.properties?.[key] ?? mapping?.fields?.[key];
+    if (!mapping) return false;
+  }
+  return true;
+}
+
+function compileSearch({ search, searchFields, defaultSearchOperator = 'OR' }, types, docs) {
+  const fields = (
+    searchFields ?? [...new Set(docs.flatMap((raw) => Object.keys(raw.attributes || {})))]
+  ).map((field) => field.split('^')[0]);
+  const paths = types.flatMap((type) => fields.map((field) => `${type}.${field}`));
+  const terms = [...String(search).matchAll(/"([^"]*)"|(\S+)/g)].map(([, phrase, word]) => {
+    const query = (path) => {
+      if (phrase !== undefined) return { match_phrase: { [path]: phrase } };
+      if (word.includes('*'))
+        return { wildcard: { [path]: { value: word, case_insensitive: true } } };
+      return { match: { [path]: word } };
+    };
+    return { bool: { should: paths.map(query), minimum_should_match: 1 } };
+  });
+  return compileQuery(
+    defaultSearchOperator === 'AND'
+      ? { bool: { filter: terms } }
+      : { bool: { should: terms, minimum_should_match: 1 } }
+  );
+}
+
+function hasReferences(raw, references, operator) {
+  const has = ({ type, id }) =>
+    (raw.references || []).some((ref) => ref.type === type && ref.id === id);
+  return operator === 'AND' ? references.every(has) : references.some(has);
+}
+
+export function createSavedObjectsClient({
+  store,
+  typeRegistry,
+  namespace: clientNamespace,
+  includedHiddenTypes = [],
+}) {
+  const assertType = (type) => typeRegistry.assertSupported(type, includedHiddenTypes);
+  // Types the plugin never registered are treated as single-namespace
+  const namespaceTypeOf = (type) => typeRegistry.getType(type)?.namespaceType ?? 'single';
+  const isMultiNamespace = (type) => namespaceTypeOf(type).startsWith('multiple');
+  const namespaceOf = (options = {}) =>
+    spaceIdToNamespace('namespace' in options ? options.namespace : clientNamespace);
+
+  const rawKey = (type, id, namespace) =>
+    namespaceTypeOf(type) === 'single' && namespace
+      ? `${namespace}:${type}:${id}`
+      : `${type}:${id}`;
+
+  /** True if the raw document is visible from any of the given space ids. */
+  function isVisible(raw, spaceIds) {
+    if (spaceIds.includes('*')) return true;
+    const namespaceType = namespaceTypeOf(raw.type);
+    if (namespaceType === 'agnostic') return true;
+    if (namespaceType === 'single') return spaceIds.includes(namespaceToSpaceId(raw.namespace));
+    return (raw.namespaces || []).some((ns) => ns === '*' || spaceIds.includes(ns));
+  }
+
+  function getRaw(type, id, namespace) {
+    const raw = store.get(rawKey(type, id, namespace));
+    return raw && isVisible(raw, [namespaceToSpaceId(namespace)]) ? raw : undefined;
+  }
+
+  function assertVersion(raw, version) {
+    if (version !== undefined && raw.version !== version) throw conflictError(raw.type, raw.id);
+  }
+
+  /** Converts a stored document to the shape the client API returns. */
+  function toSavedObject(raw) {
+    const { namespace, ...doc } = typeRegistry.migrateDocument(raw);
+    if (namespaceTypeOf(doc.type) === 'single') {
+      doc.namespaces = [namespaceToSpaceId(namespace)];
+    }
+    return doc;
+  }
+
+  // An enabled alias redirecting `type/id` in a space, see Kibana's legacy URL aliases
+  function getLegacyUrlAlias(type, id, namespace) {
+    const alias = store.get(`legacy-url-alias:${namespaceToSpaceId(namespace)}:${type}:${id}`);
+    return alias && !alias.attributes?.disabled ? alias.attributes : undefined;
+  }
+
+  /** A raw document as Kibana indexes it: attributes under the type's name. */
+  function toSearchable(raw) {
+    const { type, attributes, namespace, ...rest } = raw;
+    const namespaces = isMultiNamespace(type) ? raw.namespaces : [namespaceToSpaceId(namespace)];
+    return {
+      _id: SavedObjectsStore.keyOf(raw),
+      _source: { ...rest, type, namespaces, [type]: attributes },
+    };
+  }
+
+  const mappingsOf = (type) => ({
+    properties: { ...ROOT_MAPPINGS, [type]: typeRegistry.getType(type)?.mappings ?? {} },
+  });
+
+  /**
+   * Compiles a KQL `filter` the way Kibana validates and rewrites it:
+   * `type.attributes.field` becomes the document's `type.field`, and
+   * `type.updated_at` and other root fields the root field.
+   */
+  function compileFilter(filter, types) {
+    const mapField = (key) => {
+      const [type, field, ...rest] = key.split('.');
+      if (field === undefined) {
+        throw badRequestError(
+          `This key '${key}' need to be wrapped by a saved object type like ${types?.join(',')}`
+        );
+      }
+      if (types && !types.includes(type)) throw badRequestError(`This type ${type} is not allowed`);
+      if (ROOT_FIELDS.includes(field)) return [field, ...rest].join('.');
+      if (field !== 'attributes' || !rest.length) {
+        throw badRequestError(
+          `This key '${key}' does NOT match the filter proposition SavedObjectAttributes`
+        );
+      }
+      const definition = typeRegistry.getType(type);
+      // Built-in types are registered without their real mappings
+      if (definition && !definition.builtin && !isMapped(definition.mappings, rest.join('.'))) {
+        throw badRequestError(
+          `This key '${key}' does NOT exist in ${type} saved object index patterns`
+        );
+      }
+      return [type, ...rest].join('.');
+    };
+    try {
+      const node = typeof filter === 'string' ? fromKueryExpression(filter) : filter;
+      return compileQuery(toElasticsearchQuery(node, { mapField }));
+    } catch (e) {
+      throw e.output ? e : badRequestError(e.message);
+    }
+  }
+
+  /** The sort value of a document for `sortField`, comparable with compareValues. */
+  function sortValueOf(raw, sortField) {
+    let value = ROOT_FIELDS.includes(sortField)
+      ? raw[sortField]
+      : (valueAt(raw.attributes, sortField) ??
+        // `title.keyword` and other multi-fields sort by the field's value
+        valueAt(raw.attributes, sortField.split('.').slice(0, -1).join('.')));
+    if (Array.isArray(value)) [value] = value;
+    return value === undefined || value === null || isPlainObject(value)
+      ? null
+      : toComparable(value);
+  }
+
+  return {
+    async create(type, attributes, options = {}) {
+      assertType(type);
+      const namespace = namespaceOf(options);
+      const id = options.id || randomUUID();
+      const spaceId = namespaceToSpaceId(namespace);
+
+      const existing = store.get(rawKey(type, id, namespace));
+      if (existing) {
+        // Multi-namespace ids are global, so an object in another space conflicts
+        if (!options.overwrite || !isVisible(existing, [spaceId])) throw conflictError(type, id);
+        assertVersion(existing, options.version);
+      }
+
+      const now = new Date().toISOString();
+      const raw = typeRegistry.migrateDocument({
+        id,
+        type,
+        ...(namespaceTypeOf(type) === 'single' && namespace && { namespace }),
+        ...(isMultiNamespace(type) && {
+          namespaces: existing?.namespaces || options.initialNamespaces || [spaceId],
+        }),
+        attributes,
+        references: options.references || [],
+        created_at: now,
+        updated_at: now,
+        version: store.nextVersion(),
+        ...(options.migrationVersion && { migrationVersion: options.migrationVersion }),
+        ...(options.typeMigrationVersion && { typeMigrationVersion: options.typeMigrationVersion }),
+      });
+      typeRegistry.validateAttributes(raw);
+      store.set(SavedObjectsStore.keyOf(raw), raw);
+      return toSavedObject(raw);
+    },
+
+    async get(type, id, options = {}) {
+      assertType(type);
+      const raw = getRaw(type, id, namespaceOf(options));
+      if (!raw) {
+        throw notFoundError(type, id);
+      }
+      return toSavedObject(raw);
+    },
+
+    /**
+     * Kibana's resolve: an exact match, a match through a legacy URL alias,
+     * or a conflict when both exist.
+     */
+    async resolve(type, id, options = {}) {
+      assertType(type);
+      const namespace = namespaceOf(options);
+      const raw = getRaw(type, id, namespace);
+      const alias = getLegacyUrlAlias(type, id, namespace);
+      const target = alias && getRaw(type, alias.targetId, namespace);
+      const aliasFields = target && {
+        alias_target_id: alias.targetId,
+        ...(alias.purpose && { alias_purpose: alias.purpose }),
+      };
+      if (raw && target) {
+        return { saved_object: toSavedObject(raw), outcome: 'conflict', ...aliasFields };
+      }
+      if (raw) return { saved_object: toSavedObject(raw), outcome: 'exactMatch' };
+      if (target)
+        return { saved_object: toSavedObject(target), outcome: 'aliasMatch', ...aliasFields };
+      throw notFoundError(type, id);
+    },
+
+    async find(options = {}) {
+      const {
+        type,
+        page = 1,
+        perPage = 20,
+        sortField,
+        sortOrder = 'asc',
+        fields,
+        pit,
+        searchAfter,
+        hasReferenceOperator = 'OR',
+        hasNoReferenceOperator = 'OR',
+      } = options;
+      const types = type === undefined ? undefined : [type].flat();
+      const spaceIds = options.namespaces || [namespaceToSpaceId(namespaceOf())];
+
+      const snapshot = pit ? store.getPointInTime(pit.id) : [...store.values()];
+      if (!snapshot) {
+        throw createSavedObjectsError(404, `Point in time [${pit.id}] not found`);
+      }
+      // Like Kibana, find silently skips types this client can't access
+      let results = snapshot.filter(
+        (raw) =>
+          typeRegistry.isSupported(raw.type, includedHiddenTypes) &&
+          isVisible(raw, spaceIds) &&
+          (!types || types.includes(raw.type))
+      );
+
+      const queries = [
+        options.search &&
+          compileSearch(options, types ?? [...new Set(results.map((raw) => raw.type))], results),
+        options.filter && compileFilter(options.filter, types),
+      ].filter(Boolean);
+      if (queries.length) {
+        const mappings = new Map();
+        results = results.filter((raw) => {
+          if (!mappings.has(raw.type)) mappings.set(raw.type, mappingsOf(raw.type));
+          const doc = toSearchable(raw);
+          return queries.every((query) => query(doc, mappings.get(raw.type)));
+        });
+      }
+
+      const hasReference = [options.hasReference ?? []].flat();
+      if (hasReference.length) {
+        results = results.filter((raw) => hasReferences(raw, hasReference, hasReferenceOperator));
+      }
+      const hasNoReference = [options.hasNoReference ?? []].flat();
+      if (hasNoReference.length) {
+        results = results.filter(
+          (raw) => !hasReferences(raw, hasNoReference, hasNoReferenceOperator)
+        );
+      }
+
+      if (sortField) {
+        const direction = String(sortOrder).toLowerCase() === 'desc' ? -1 : 1;
+        results = results
+          .map((raw) => ({ raw, value: sortValueOf(raw, sortField) }))
+          // Documents without a value go last either way, as in Elasticsearch
+          .sort((a, b) => {
+            if (a.value === null || b.value === null)
+              return (a.value === null) - (b.value === null);
+            return direction * compareValues(a.value, b.value);
+          })
+          .map(({ raw }) => raw);
+      }
+
+      // `sort` values are positions in the sorted results, to pass back as `searchAfter`
+      const start = searchAfter ? Number(searchAfter[0]) + 1 : (page - 1) * perPage;
+      const paginated = results.slice(start, start + perPage);
+      const project = (savedObject) =>
+        fields
+          ? {
+              ...savedObject,
+              attributes: Object.fromEntries(
+                Object.entries(savedObject.attributes || {}).filter(([key]) =>
+                  [fields].flat().includes(key)
+                )
+              ),
+            }
+          : savedObject;
+
+      return {
+        saved_objects: paginated.map((raw, index) => ({
+          ...project(toSavedObject(raw)),
+          ...((pit || searchAfter) && { sort: [start + index] }),
+        })),
+        total: results.length,
+        page,
+        per_page: perPage,
+        ...(pit && { pit_id: pit.id }),
+      };
+    },
+
+    async update(type, id, attributes, options = {}) {
+      assertType(type);
+      const existing = getRaw(type, id, namespaceOf(options));
+      if (!existing) {
+        if (options.upsert) return this.create(type, options.upsert, { ...options, id });
+        throw notFoundError(type, id);
+      }
+      assertVersion(existing, options.version);
+      const current = typeRegistry.migrateDocument(existing);
+      const updated = {
+        ...current,
+        attributes:
+          options.mergeAttributes === false
+            ? attributes
+            : mergeForUpdate(current.attributes, attributes),
+        references: options.references || current.references,
+        updated_at: new Date().toISOString(),
+        version: store.nextVersion(),
+      };
+      store.set(SavedObjectsStore.keyOf(updated), updated);
+      // Like Kibana, the result only carries the attributes that were passed
+      return { ...toSavedObject(updated), attributes };
+    },
+
+    async delete(type, id, options = {}) {
+      assertType(type);
+      const raw = getRaw(type, id, namespaceOf(options));
+      if (!raw) {
+        throw notFoundError(type, id);
+      }
+      if (isMultiNamespace(type) && raw.namespaces.length > 1 && !options.force) {
+        throw createSavedObjectsError(
+          400,
+          'Unable to delete saved object that exists in multiple namespaces, use the `force` option to delete it anyway',
+          'Bad Request'
+        );
+      }
+      store.delete(SavedObjectsStore.keyOf(raw));
+      return {};
+    },
+
+    async bulkCreate(objects, options = {}) {
+      return {
+        saved_objects: await settle(objects, (obj) =>
+          this.create(obj.type, obj.attributes, { ...options, ...obj })
+        ),
+      };
+    },
+
+    async bulkGet(objects, options = {}) {
+      return {
+        saved_objects: await settle(objects, (obj) => this.get(obj.type, obj.id, options)),
+      };
+    },
+
+    async bulkResolve(objects, options = {}) {
+      const results = await settle(objects, (obj) => this.resolve(obj.type, obj.id, options));
+      return {
+        resolved_objects: results.map((result) =>
+          result.error ? { saved_object: result, outcome: 'exactMatch' } : result
+        ),
+      };
+    },
+
+    async bulkUpdate(objects, options = {}) {
+      return {
+        saved_objects: await settle(objects, ({ type, id, attributes, ...objectOptions }) =>
+          this.update(type, id, attributes, { ...options, ...objectOptions })
+        ),
+      };
+    },
+
+    async bulkDelete(objects, options = {}) {
+      const results = await settle(objects, async ({ type, id }) => {
+        await this.delete(type, id, options);
+        return { id, type, success: true };
+      });
+      return {
+        statuses: results.map((result) => (result.error ? { ...result, success: false } : result)),
+      };
+    },
+
+    /**
+     * The objects `create` would conflict with. Objects existing only in
+     * spaces the client can't see are marked as not overwritable.
+     */
+    async checkConflicts(objects = [], options = {}) {
+      const namespace = namespaceOf(options);
+      const errors = [];
+      for (const { type, id } of objects) {
+        try {
+          assertType(type);
+        } catch (e) {
+          errors.push({ id, type, error: toErrorPayload(e) });
+          continue;
+        }
+        const existing = store.get(rawKey(type, id, namespace));
+        if (!existing) continue;
+        errors.push({
+          id,
+          type,
+          error: {
+            ...toErrorPayload(conflictError(type, id)),
+            ...(!isVisible(existing, [namespaceToSpaceId(namespace)]) && {
+              metadata: { isNotOverwritable: true },
+            }),
+          },
+        });
+      }
+      return { errors };
+    },
+
+    /** Removes every reference to an object, e.g. before deleting it. */
+    async removeReferencesTo(type, id, options = {}) {
+      assertType(type);
+      const spaceIds = [namespaceToSpaceId(namespaceOf(options))];
+      let updated = 0;
+      for (const raw of [...store.values()]) {
+        const references = (raw.references || []).filter(
+          (ref) => ref.type !== type || ref.id !== id
+        );
+        if (!isVisible(raw, spaceIds) || references.length === (raw.references || []).length) {
+          continue;
+        }
+        store.set(SavedObjectsStore.keyOf(raw), {
+          ...raw,
+          references,
+          updated_at: new Date().toISOString(),
+          version: store.nextVersion(),
+        });
+        updated++;
+      }
+      return { updated };
+    },
+
+    async openPointInTimeForType() {
+      return { id: store.openPointInTime() };
+    },
+
+    async closePointInTime(id) {
+      const closed = store.closePointInTime(id);
+      return { succeeded: true, num_freed: closed ? 1 : 0 };
+    },
+
+    /**
+     * Pages through every match of `findOptions` over a point in time, like
+     * Kibana's finder: `for await (const page of finder.find()) { ... }`.
+     */
+    createPointInTimeFinder(findOptions = {}) {
+      const client = this;
+      const { perPage = 1000 } = findOptions;
+      let pitId;
+      let open = true;
+      return {
+        async *find() {
+          ({ id: pitId } = await client.openPointInTimeForType(findOptions.type));
+          let searchAfter;
+          try {
+            while (open) {
+              const result = await client.find({
+                ...findOptions,
+                perPage,
+                pit: { id: pitId },
+                searchAfter,
+              });
+              if (result.saved_objects.length) yield result;
+              if (result.saved_objects.length < perPage) break;
+              searchAfter = result.saved_objects[result.saved_objects.length - 1].sort;
+            }
+          } finally {
+            await this.close();
+          }
+        },
+        async close() {
+          open = false;
+          if (pitId) await client.closePointInTime(pitId);
+          pitId = undefined;
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,312 @@
+/**
+ * Saved Objects Import / Export
+ *
+ * Implements the semantics of Kibana's `/api/saved_objects/_import` and
+ * `_export` on top of a saved objects client, so exports from a real Kibana
+ * can be round-tripped through the mock server:
+ * - export by type or object list, optionally following references deep
+ * - export details line with missing references
+ * - import with overwrite / createNewCopies, conflict and missing reference
+ *   reporting, and reference remapping for new copies
+ */
+
+import { randomUUID } from 'crypto';
+import { parseSavedObjects } from './saved-objects-store.mjs';
+
+const EXPORT_FIELDS = [
+  'id',
+  'type',
+  'attributes',
+  'references',
+  'managed',
+  'updated_at',
+  'created_at',
+  'version',
+  'migrationVersion',
+  'coreMigrationVersion',
+  'typeMigrationVersion',
+];
+
+export class SavedObjectsIOError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+const keyOf = ({ type, id }) => `${type}:${id}`;
+
+// Registered, visible types marked `management.importableAndExportable`
+const isImportableAndExportable = (typeRegistry, type) =>
+  !typeRegistry.isHidden(type) && typeRegistry.isImportableAndExportable(type);
+
+function toExportedObject(doc) {
+  return Object.fromEntries(
+    EXPORT_FIELDS.filter((field) => doc[field] !== undefined).map((field) => [field, doc[field]])
+  );
+}
+
+function getMeta(obj) {
+  const title = obj.attributes?.title ?? obj.attributes?.name;
+  return title !== undefined ? { title } : {};
+}
+
+/**
+ * Orders objects so that every object comes after the objects it references,
+ * which is the order Kibana writes exports in.
+ */
+function sortByReferences(objects) {
+  const byKey = new Map(objects.map((obj) => [keyOf(obj), obj]));
+  const sorted = [];
+  const visited = new Set();
+
+  const visit = (obj) => {
+    const key = keyOf(obj);
+    if (visited.has(key)) return;
+    visited.add(key);
+    for (const ref of obj.references || []) {
+      const target = byKey.get(keyOf(ref));
+      if (target) visit(target);
+    }
+    sorted.push(obj);
+  };
+
+  for (const obj of objects) visit(obj);
+  return sorted;
+}
+
+// ─── Export ────────────────────────────────────────────────────────
+
+/**
+ * Resolves the objects to export and returns them as NDJSON lines. Only
+ * importable and exportable types can be exported, like in Kibana.
+ */
+export async function exportSavedObjects(client, typeRegistry, options = {}) {
+  const { type, objects, includeReferencesDeep = false, excludeExportDetails = false } = options;
+
+  if (type && objects) {
+    throw new SavedObjectsIOError(`Can't specify both "types" and "objects" properties when exporting`);
+  }
+  if (!type && !objects) {
+    throw new SavedObjectsIOError('Either `type` or `objects` are required.');
+  }
+
+  const exportable = (type) => isImportableAndExportable(typeRegistry, type);
+  let exported = [];
+  if (objects) {
+    const nonExportable = objects.filter((obj) => !exportable(obj.type));
+    if (nonExportable.length) {
+      throw new SavedObjectsIOError(
+        `Trying to export object(s) with non-exportable types: ${nonExportable.map(keyOf).join(', ')}`
+      );
+    }
+    const { saved_objects: found } = await client.bulkGet(objects);
+    const failed = found.find((obj) => obj.error);
+    if (failed) {
+      throw new SavedObjectsIOError(`Error fetching objects to export`, 400);
+    }
+    exported = found;
+  } else {
+    const types = Array.isArray(type) ? type : [type];
+    const nonExportable = types.filter((name) => !exportable(name));
+    if (nonExportable.length) {
+      throw new SavedObjectsIOError(
+        `Trying to export non-exportable type(s): ${nonExportable.join(', ')}`
+      );
+    }
+    const { saved_objects: found } = await client.find({ type: types, perPage: 10000 });
+    exported = found;
+  }
+
+  const missingReferences = [];
+  if (includeReferencesDeep) {
+    const seen = new Set(exported.map(keyOf));
+    const queue = [...exported];
+    while (queue.length) {
+      const refs = queue
+        .shift()
+        .references.filter((ref) => !seen.has(keyOf(ref)))
+        .map((ref) => ({ type: ref.type, id: ref.id }));
+      if (!refs.length) continue;
+      refs.forEach((ref) => seen.add(keyOf(ref)));
+      const { saved_objects: found } = await client.bulkGet(refs);
+      for (const obj of found) {
+        if (obj.error) {
+          missingReferences.push({ type: obj.type, id: obj.id });
+        } else {
+          exported.push(obj);
+          queue.push(obj);
+        }
+      }
+    }
+  }
+
+  const lines = sortByReferences(exported).map(toExportedObject);
+  if (!excludeExportDetails) {
+    lines.push({
+      excludedObjects: [],
+      excludedObjectsCount: 0,
+      exportedCount: lines.length,
+      missingRefCount: missingReferences.length,
+      missingReferences,
+    });
+  }
+  return lines.map((line) => JSON.stringify(line)).join('\n') + '\n';
+}
+
+// ─── Import ────────────────────────────────────────────────────────
+
+/**
+ * Imports parsed saved objects, returning Kibana's import response body.
+ * Objects of types that can't be imported are reported as `unsupported_type`.
+ */
+export async function importSavedObjects(client, typeRegistry, parsed, options = {}) {
+  const { overwrite = false, createNewCopies = false } = options;
+
+  if (overwrite && createNewCopies) {
+    throw new SavedObjectsIOError('cannot use [overwrite] with [createNewCopies]');
+  }
+
+  const errors = [];
+  const objects = [];
+  for (const obj of parsed) {
+    if (isImportableAndExportable(typeRegistry, obj.type)) {
+      objects.push(obj);
+    } else {
+      errors.push({
+        id: obj.id,
+        type: obj.type,
+        meta: getMeta(obj),
+        error: { type: 'unsupported_type' },
+      });
+    }
+  }
+
+  const importIds = new Set(objects.map(keyOf));
+
+  // New copies get fresh ids, and references between imported objects follow them
+  const destinationIds = new Map(
+    objects.map((obj) => [keyOf(obj), createNewCopies ? randomUUID() : obj.id])
+  );
+
+  // References must point to an imported object or one that already exists
+  const externalRefs = objects
+    .flatMap((obj) => obj.references || [])
+    .filter((ref) => !importIds.has(keyOf(ref)));
+  const { saved_objects: resolvedRefs } = externalRefs.length
+    ? await client.bulkGet(externalRefs.map(({ type, id }) => ({ type, id })))
+    : { saved_objects: [] };
+  const missingRefs = new Set(resolvedRefs.filter((obj) => obj.error).map(keyOf));
+
+  const toCreate = [];
+  for (const obj of objects) {
+    const missing = (obj.references || []).filter((ref) => missingRefs.has(keyOf(ref)));
+    if (missing.length) {
+      errors.push({
+        id: obj.id,
+        type: obj.type,
+        meta: getMeta(obj),
+        error: {
+          type: 'missing_references',
+          references: missing.map(({ type, id }) => ({ type, id })),
+        },
+      });
+      continue;
+    }
+    toCreate.push(obj);
+  }
+
+  // Existing objects conflict unless overwriting or creating new copies
+  const { saved_objects: existing } =
+    toCreate.length && !createNewCopies
+      ? await client.bulkGet(toCreate.map(({ type, id }) => ({ type, id })))
+      : { saved_objects: [] };
+  const existingKeys = new Set(existing.filter((obj) => !obj.error).map(keyOf));
+
+  const successResults = [];
+  for (const obj of toCreate) {
+    const key = keyOf(obj);
+    const exists = existingKeys.has(key);
+    if (exists && !overwrite) {
+      errors.push({ id: obj.id, type: obj.type, meta: getMeta(obj), error: { type: 'conflict' } });
+      continue;
+    }
+
+    const destinationId = destinationIds.get(key);
+    const references = (obj.references || []).map((ref) => ({
+      ...ref,
+      id: destinationIds.get(keyOf(ref)) ?? ref.id,
+    }));
+
+    try {
+      await client.create(obj.type, obj.attributes, {
+        id: destinationId,
+        references,
+        overwrite,
+        migrationVersion: obj.migrationVersion,
+        coreMigrationVersion: obj.coreMigrationVersion,
+        typeMigrationVersion: obj.typeMigrationVersion,
+        managed: obj.managed,
+      });
+    } catch (error) {
+      errors.push({
+        id: obj.id,
+        type: obj.type,
+        meta: getMeta(obj),
+        error: { type: 'unknown', message: error.message, statusCode: error.output?.statusCode || 500 },
+      });
+      continue;
+    }
+
+    successResults.push({
+      type: obj.type,
+      id: obj.id,
+      meta: getMeta(obj),
+      ...(destinationId !== obj.id && { destinationId }),
+      ...(exists && { overwrite: true }),
+      managed: obj.managed ?? false,
+    });
+  }
+
+  return {
+    success: errors.length === 0,
+    successCount: successResults.length,
+    successResults,
+    ...(errors.length && { errors }),
+  };
+}
+
+// ─── Request Parsing ───────────────────────────────────────────────
+
+// A file Kibana can't read is the client's fault, not the server's
+function parseImportFile(content) {
+  try {
+    return parseSavedObjects(content);
+  } catch (error) {
+    throw new SavedObjectsIOError(`Unable to parse the import file: ${error.message}`, 400);
+  }
+}
+
+/**
+ * Extracts the NDJSON payload from an import request body. Accepts Kibana's
+ * multipart form upload (`--form file=@export.ndjson`) or a raw NDJSON body.
+ */
+export function parseImportPayload(buffer, contentType = '') {
+  const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundary) {
+    return parseImportFile(buffer.toString('utf-8'));
+  }
+
+  const delimiter = `--${boundary[1] || boundary[2]}`;
+  const parts = buffer.toString('utf-8').split(delimiter).slice(1, -1);
+  for (const part of parts) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.slice(0, headerEnd);
+    if (!/name="file"/i.test(headers)) continue;
+    if (!/filename="[^"]*\.ndjson"/i.test(headers)) {
+      throw new SavedObjectsIOError('Invalid file extension, must be .ndjson');
+    }
+    return parseImportFile(part.slice(headerEnd + 4).replace(/\r\n$/, ''));
+  }
+  throw new SavedObjectsIOError('[request body.file]: expected value of type [Stream] but got [undefined]');
+}
@@ -0,0 +1,180 @@
+/**
+ * Saved Objects Store
+ *
+ * A Map of `[namespace:]type:id` → saved object document. When created with a
+ * directory, every write goes through to `saved_objects.ndjson` in that
+ * directory and the file is loaded again on startup, so test data survives
+ * hot reloads and restarts.
+ *
+ * Every write gets a new `version`, encoded like Kibana's (`[seqNo, primaryTerm]`
+ * in base64), so clients can rely on optimistic concurrency control.
+ *
+ * Fixture files use Kibana's export format (NDJSON, one object per line) or a
+ * plain JSON array, so real Kibana exports can be checked into the plugin repo
+ * and seeded from there. The `prepare` hook turns those into stored documents,
+ * migrated once (see SavedObjectTypeRegistry.prepareDocument); as it depends
+ * on the types the plugin registers, `prepareAll()` runs it again once they
+ * are known.
+ */
+
+import { randomUUID } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+
+const STORE_FILE = 'saved_objects.ndjson';
+
+export function parseSavedObjects(content) {
+  const trimmed = content.trim();
+  if (!trimmed) return [];
+  if (trimmed.startsWith('[')) return JSON.parse(trimmed);
+  return trimmed
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line))
+    // Skip the export summary line Kibana appends to _export output
+    .filter((obj) => obj.type && obj.id);
+}
+
+export function readFixtureFile(file) {
+  return parseSavedObjects(fs.readFileSync(file, 'utf-8'));
+}
+
+/** Kibana's saved object version: `[seqNo, primaryTerm]` as base64 JSON. */
+const encodeVersion = (seqNo, primaryTerm = 1) =>
+  Buffer.from(JSON.stringify([seqNo, primaryTerm]), 'utf-8').toString('base64');
+
+function decodeVersion(version) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(version), 'base64').toString('utf-8'));
+    return Array.isArray(decoded) && decoded.length === 2 && decoded.every(Number.isInteger)
+      ? decoded
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+export class SavedObjectsStore extends Map {
+  /**
+   * Store key of a document, matching Kibana's raw document ids:
+   * single-namespace documents outside the default space are prefixed with
+   * their namespace.
+   */
+  static keyOf(doc) {
+    return `${doc.namespace ? `${doc.namespace}:` : ''}${doc.type}:${doc.id}`;
+  }
+
+  constructor({ dir, prepare } = {}) {
+    super();
+    this.file = dir ? path.join(dir, STORE_FILE) : null;
+    this.prepare = prepare;
+    this.seqNo = 0;
+    this.pointInTimes = new Map();
+
+    if (this.file && fs.existsSync(this.file)) {
+      for (const doc of readFixtureFile(this.file)) {
+        this.trackVersion(doc.version);
+        super.set(SavedObjectsStore.keyOf(doc), doc);
+      }
+    }
+  }
+
+  /** The version for the next write. */
+  nextVersion() {
+    return encodeVersion(++this.seqNo);
+  }
+
+  // Keeps versions unique when documents come with their own
+  trackVersion(version) {
+    const [seqNo] = decodeVersion(version) ?? [0];
+    this.seqNo = Math.max(this.seqNo, seqNo);
+  }
+
+  /**
+   * Snapshots the current documents for a point in time; finds using its id
+   * page through the snapshot while writes go on.
+   */
+  openPointInTime() {
+    const id = Buffer.from(randomUUID()).toString('base64');
+    this.pointInTimes.set(id, [...this.values()]);
+    return id;
+  }
+
+  getPointInTime(id) {
+    return this.pointInTimes.get(id);
+  }
+
+  closePointInTime(id) {
+    return this.pointInTimes.delete(id);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.flush();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.flush();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.flush();
+  }
+
+  /**
+   * Loads saved objects into the store, replacing documents with the same
+   * type and id. Writes the file once rather than once per object.
+   */
+  seed(objects, { reset = false } = {}) {
+    if (reset) super.clear();
+    for (const obj of objects) {
+      this.trackVersion(obj.version);
+      const doc = this.prepareDocument({
+        references: [],
+        updated_at: new Date().toISOString(),
+        version: this.nextVersion(),
+        ...obj,
+      });
+      super.set(SavedObjectsStore.keyOf(doc), doc);
+    }
+    this.flush();
+    return objects.length;
+  }
+
+  /** Prepares every stored document again, keeping their versions. */
+  prepareAll() {
+    if (!this.prepare) return;
+    const docs = [...this.values()];
+    super.clear();
+    for (const doc of docs) {
+      const prepared = this.prepareDocument(doc);
+      super.set(SavedObjectsStore.keyOf(prepared), prepared);
+    }
+    this.flush();
+  }
+
+  // A document that can't be prepared is kept as it is, so the others still load
+  prepareDocument(doc) {
+    if (!this.prepare) return doc;
+    try {
+      return this.prepare(doc);
+    } catch (error) {
+      console.warn(`⚠️  Saved object [${doc.type}/${doc.id}] kept as is: ${error.message}`);
+      return doc;
+    }
+  }
+
+  flush() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const content = [...this.values()].map((doc) => JSON.stringify(doc)).join('\n');
+    // Write to a temp file first so a crash never leaves a truncated store
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, content ? `${content}\n` : '');
+    fs.renameSync(tmp, this.file);
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ * Saved Object Type Registry
+ *
+ * Backs `core.savedObjects.registerType` in the mock core setup. Types keep
+ * their mappings, namespaceType, hidden flag, management settings and
+ * migrations, and the registry migrates documents the way Kibana's document
+ * migrator does:
+ * - legacy `migrations` keyed by semver, applied in order
+ * - `modelVersions` (virtual versions `10.N.0`) with data_backfill,
+ *   data_removal and unsafe_transform changes
+ * - documents without a version are assumed current
+ */
+
+import { STATUS_CODES } from 'http';
+import { namespaceToSpaceId } from './spaces.mjs';
+
+// Types Kibana registers itself, so plugins can work with them out of the box
+const BUILTIN_TYPES = [
+  { name: 'config', namespaceType: 'single' },
+  { name: 'config-global', namespaceType: 'agnostic' },
+  { name: 'index-pattern', namespaceType: 'multiple' },
+  { name: 'dashboard', namespaceType: 'multiple-isolated' },
+  { name: 'visualization', namespaceType: 'multiple-isolated' },
+  { name: 'search', namespaceType: 'multiple-isolated' },
+  { name: 'lens', namespaceType: 'multiple-isolated' },
+  { name: 'map', namespaceType: 'multiple-isolated' },
+  { name: 'query', namespaceType: 'multiple-isolated' },
+  { name: 'tag', namespaceType: 'multiple' },
+  { name: 'canvas-workpad', namespaceType: 'multiple-isolated' },
+].map((type) => ({
+  hidden: false,
+  mappings: { dynamic: false, properties: {} },
+  management: { importableAndExportable: true },
+  builtin: true,
+  ...type,
+}));
+
+const NAMESPACE_TYPES = ['single', 'multiple', 'multiple-isolated', 'agnostic'];
+
+// ─── Errors ────────────────────────────────────────────────────────
+
+/**
+ * Creates an error shaped like the Boom errors Kibana's
+ * SavedObjectsErrorHelpers throw.
+ */
+export function createSavedObjectsError(statusCode, message, reason) {
+  const error = new Error(reason ? `${message}: ${reason}` : message);
+  error.output = {
+    statusCode,
+    payload: { statusCode, error: STATUS_CODES[statusCode], message: error.message },
+  };
+  return error;
+}
+
+export function createUnsupportedTypeError(type) {
+  return createSavedObjectsError(400, `Unsupported saved object type: '${type}'`, 'Bad Request');
+}
+
+// ─── Versions ──────────────────────────────────────────────────────
+
+function compareVersions(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  }
+  return 0;
+}
+
+const modelVersionToVirtual = (version) => `10.${version}.0`;
+
+function unset(obj, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((acc, key) => acc?.[key], obj);
+  if (parent && typeof parent === 'object') delete parent[last];
+}
+
+function resolveMap(map) {
+  return typeof map === 'function' ? map() : map || {};
+}
+
+/**
+ * Flattens a type's legacy migrations and model versions into one list of
+ * `{ version, transform }` steps sorted by version.
+ */
+function getMigrationSteps(type) {
+  const steps = Object.entries(resolveMap(type.migrations)).map(([version, migration]) => ({
+    version,
+    transform: (doc, context) => migration(doc, context),
+  }));
+
+  for (const [modelVersion, definition] of Object.entries(resolveMap(type.modelVersions))) {
+    const changes = definition.changes || [];
+    steps.push({
+      version: modelVersionToVirtual(modelVersion),
+      transform: (doc, context) => {
+        let document = doc;
+        for (const change of changes) {
+          if (change.type === 'data_backfill') {
+            const { attributes } = change.backfillFn(document, context);
+            document = { ...document, attributes: { ...document.attributes, ...attributes } };
+          } else if (change.type === 'data_removal') {
+            document = { ...document, attributes: structuredClone(document.attributes) };
+            change.removedAttributePaths.forEach((path) => unset(document.attributes, path));
+          } else if (change.type === 'unsafe_transform') {
+            document = change.transformFn(document, context).document;
+          }
+        }
+        return document;
+      },
+    });
+  }
+
+  return steps.sort((a, b) => compareVersions(a.version, b.version));
+}
+
+// ─── Registry ──────────────────────────────────────────────────────
+
+export class SavedObjectTypeRegistry {
+  constructor({ logger = console } = {}) {
+    this.types = new Map();
+    this.logger = logger;
+    this.reset();
+  }
+
+  /**
+   * Drops plugin-registered types so a reloaded plugin can register them again.
+   */
+  reset() {
+    this.types.clear();
+    BUILTIN_TYPES.forEach((type) => this.types.set(type.name, type));
+  }
+
+  registerType(type) {
+    if (!type?.name) {
+      throw new Error('Saved object types must have a name');
+    }
+    if (this.types.has(type.name)) {
+      throw new Error(`Type '${type.name}' is already registered`);
+    }
+    if (!NAMESPACE_TYPES.includes(type.namespaceType)) {
+      throw new Error(
+        `Type '${type.name}': namespaceType must be one of ${NAMESPACE_TYPES.join(', ')}`
+      );
+    }
+    if (!type.mappings) {
+      throw new Error(`Type '${type.name}': mappings are required`);
+    }
+    this.types.set(type.name, { hidden: false, ...type, steps: getMigrationSteps(type) });
+  }
+
+  /** True once the plugin has registered a type of its own. */
+  hasPluginTypes() {
+    return [...this.types.values()].some((type) => !type.builtin);
+  }
+
+  getType(name) {
+    return this.types.get(name);
+  }
+
+  getAllTypes() {
+    return [...this.types.values()];
+  }
+
+  getVisibleTypes() {
+    return this.getAllTypes().filter((type) => !type.hidden);
+  }
+
+  getImportableAndExportableTypes() {
+    return this.getAllTypes().filter((type) => this.isImportableAndExportable(type.name));
+  }
+
+  isHidden(name) {
+    return this.types.get(name)?.hidden ?? false;
+  }
+
+  isNamespaceAgnostic(name) {
+    return this.types.get(name)?.namespaceType === 'agnostic';
+  }
+
+  isSingleNamespace(name) {
+    const type = this.types.get(name);
+    return Boolean(type) && type.namespaceType === 'single';
+  }
+
+  isMultiNamespace(name) {
+    return this.types.get(name)?.namespaceType?.startsWith('multiple') ?? false;
+  }
+
+  isShareable(name) {
+    return this.types.get(name)?.namespaceType === 'multiple';
+  }
+
+  isImportableAndExportable(name) {
+    return this.types.get(name)?.management?.importableAndExportable ?? false;
+  }
+
+  getIndex(name) {
+    return this.types.get(name)?.indexPattern ?? '.kibana';
+  }
+
+  getNameAttribute(name) {
+    return this.types.get(name)?.nameAttribute ?? 'unknown';
+  }
+
+  /**
+   * Throws Kibana's unsupported type error if the type can't be used by a
+   * client that includes `includedHiddenTypes`. Until the plugin registers a
+   * type of its own every type is accepted, as route-only plugins never do.
+   */
+  assertSupported(name, includedHiddenTypes = []) {
+    const type = this.types.get(name);
+    if (!type) {
+      if (this.hasPluginTypes()) throw createUnsupportedTypeError(name);
+      return;
+    }
+    if (type.hidden && !includedHiddenTypes.includes(name)) {
+      throw createUnsupportedTypeError(name);
+    }
+  }
+
+  isSupported(name, includedHiddenTypes = []) {
+    try {
+      this.assertSupported(name, includedHiddenTypes);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  getLatestVersion(name) {
+    const steps = this.types.get(name)?.steps || [];
+    return steps.length ? steps[steps.length - 1].version : undefined;
+  }
+
+  /**
+   * Validates attributes of a new document against the latest model
+   * version's `schemas.create`, if the type defines one.
+   */
+  validateAttributes(doc) {
+    const modelVersions = resolveMap(this.types.get(doc.type)?.modelVersions);
+    const latest = Object.keys(modelVersions).map(Number).sort((a, b) => b - a)[0];
+    const createSchema = modelVersions[latest]?.schemas?.create;
+    if (!createSchema) return;
+    try {
+      createSchema.validate(doc.attributes, {}, 'attributes');
+    } catch (error) {
+      throw createSavedObjectsError(400, error.message, 'Bad Request');
+    }
+  }
+
+  /**
+   * Brings a document from a fixture or export file to what Kibana stores on
+   * import: migrated to the latest version, and as export files carry no
+   * `namespaces`, multi-namespace objects land in the space of their
+   * `namespace` (the default space without one).
+   */
+  prepareDocument(doc) {
+    const migrated = this.migrateDocument(doc);
+    if (!this.isMultiNamespace(doc.type) || migrated.namespaces?.length) return migrated;
+    const { namespace, ...rest } = migrated;
+    return { ...rest, namespaces: [namespaceToSpaceId(namespace)] };
+  }
+
+  /**
+   * Runs every migration newer than the document's `typeMigrationVersion`
+   * (or legacy `migrationVersion[type]`) and stamps the latest version.
+   */
+  migrateDocument(doc) {
+    const type = this.types.get(doc.type);
+    const latest = this.getLatestVersion(doc.type);
+    if (!type || !latest) return doc;
+
+    const current = doc.typeMigrationVersion ?? doc.migrationVersion?.[doc.type];
+    if (!current) return { ...doc, typeMigrationVersion: latest };
+    if (compareVersions(current, latest) > 0) {
+      throw createSavedObjectsError(
+        400,
+        `Document "${doc.id}" belongs to a more recent version of Kibana [${current}] when the last known version is [${latest}].`,
+        'Bad Request'
+      );
+    }
+
+    // Transforms may change the document they get, which mustn't be the stored one
+    const steps = type.steps.filter((step) => compareVersions(step.version, current) > 0);
+    let migrated = steps.length ? structuredClone(doc) : doc;
+    for (const step of steps) {
+      const context = {
+        log: this.logger,
+        migrationVersion: step.version,
+        modelVersion: step.version.startsWith('10.') ? Number(step.version.split('.')[1]) : undefined,
+        convertToMultiNamespaceTypeVersion: type.convertToMultiNamespaceTypeVersion,
+        isSingleNamespaceType: type.namespaceType === 'single',
+      };
+      try {
+        migrated = step.transform(migrated, context);
+      } catch (error) {
+        throw createSavedObjectsError(
+          400,
+          `Migration function for version ${step.version} threw an error: ${error.message}`,
+          'Bad Request'
+        );
+      }
+    }
+
+    const { migrationVersion, ...rest } = migrated;
+    return { ...rest, typeMigrationVersion: latest };
+  }
+}
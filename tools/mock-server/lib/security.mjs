@@ -0,0 +1,375 @@
+/**
+ * Mock Security
+ *
+ * Emulates the parts of Kibana security that route handlers depend on:
+ * - named users and roles from the mock config file
+ * - authentication with Basic auth or the `x-mock-user` header
+ * - route authorization from `security.authz.requiredPrivileges` and
+ *   `options.tags: ['access:...']`
+ * - API privileges granted by roles directly or through registered Kibana
+ *   feature privileges (`features.registerKibanaFeature`)
+ * - saved object privileges for Kibana's own saved objects APIs
+ * - the `security` plugin contracts and `getCurrentUser(request)`
+ */
+
+const BUILTIN_ROLES = {
+  superuser: { superuser: true },
+  kibana_admin: { kibana: [{ base: ['all'], spaces: ['*'] }] },
+  editor: { kibana: [{ base: ['all'], spaces: ['*'] }] },
+  viewer: { kibana: [{ base: ['read'], spaces: ['*'] }] },
+};
+
+const DEFAULT_USERS = {
+  'dev-user': {
+    password: 'changeme',
+    roles: ['superuser'],
+    full_name: 'Development User',
+    email: 'dev@localhost',
+  },
+};
+
+// Saved object actions the `read` privileges grant; `all` grants every action
+const SAVED_OBJECT_READ_ACTIONS = ['get', 'bulk_get', 'find', 'open_point_in_time'];
+
+export class AuthError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+
+  toResponseBody() {
+    const error = this.statusCode === 401 ? 'Unauthorized' : 'Forbidden';
+    return { statusCode: this.statusCode, error, message: this.message };
+  }
+}
+
+// ─── Route Privileges ──────────────────────────────────────────────
+
+function resolveSecurityConfig(security) {
+  return typeof security === 'function' ? security() : security;
+}
+
+/**
+ * Returns whether the route requires an authenticated user: `false` and
+ * `'optional'` (via `security.authc` or legacy `options.authRequired`) don't.
+ */
+export function isAuthRequired(route) {
+  const authc = resolveSecurityConfig(route.security)?.authc;
+  if (authc) return authc.enabled === true;
+  return route.options?.authRequired ?? true;
+}
+
+/**
+ * Normalises a route's privilege requirements into groups that must all be
+ * satisfied, each group being a list of alternatives (`anyOf`) of privilege
+ * sets (`allOf`).
+ */
+function getRequiredPrivileges(route) {
+  const groups = [];
+  const authz = resolveSecurityConfig(route.security)?.authz;
+
+  if (authz && authz.enabled !== false) {
+    for (const entry of authz.requiredPrivileges || []) {
+      if (typeof entry === 'string') {
+        groups.push([[entry]]);
+        continue;
+      }
+      for (const privilege of entry.allRequired || []) {
+        groups.push(typeof privilege === 'string' ? [[privilege]] : [privilege.allOf]);
+      }
+      if (entry.anyRequired?.length) {
+        groups.push(
+          entry.anyRequired.map((privilege) =>
+            typeof privilege === 'string' ? [privilege] : privilege.allOf
+          )
+        );
+      }
+    }
+  }
+
+  // Legacy access tags
+  for (const tag of route.options?.tags || []) {
+    if (tag.startsWith('access:')) groups.push([[tag.slice('access:'.length)]]);
+  }
+
+  return groups;
+}
+
+// ─── Mock Security ─────────────────────────────────────────────────
+
+export class MockSecurity {
+  constructor(config = {}) {
+    this.roles = { ...BUILTIN_ROLES, ...config.roles };
+    this.users = config.users || DEFAULT_USERS;
+    this.defaultUser = config.defaultUser ?? Object.keys(this.users)[0];
+    this.features = new Map();
+    this.requestUsers = new WeakMap();
+  }
+
+  /** Drops features registered by the plugin, before it is reloaded. */
+  reset() {
+    this.features.clear();
+  }
+
+  setDefaultUser(username) {
+    if (username !== null && !this.users[username]) {
+      throw new Error(`Unknown mock user [${username}]`);
+    }
+    this.defaultUser = username;
+  }
+
+  /**
+   * Resolves the user for a request from Basic auth, the `x-mock-user` header
+   * or the default user. Returns `null` for anonymous requests.
+   */
+  authenticate(headers = {}) {
+    const authorization = headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+      const [username, ...rest] = Buffer.from(authorization.slice(6), 'base64')
+        .toString('utf-8')
+        .split(':');
+      const user = this.users[username];
+      if (!user || (user.password !== undefined && user.password !== rest.join(':'))) {
+        throw new AuthError(401, '[security_exception]: unable to authenticate user');
+      }
+      return this.toAuthenticatedUser(username);
+    }
+
+    const headerUser = headers['x-mock-user'];
+    if (headerUser) {
+      if (!this.users[headerUser]) {
+        throw new AuthError(401, `Unknown mock user [${headerUser}]`);
+      }
+      return this.toAuthenticatedUser(headerUser);
+    }
+
+    return this.defaultUser ? this.toAuthenticatedUser(this.defaultUser) : null;
+  }
+
+  toAuthenticatedUser(username) {
+    const { password, ...user } = this.users[username];
+    return {
+      username,
+      roles: [],
+      full_name: null,
+      email: null,
+      metadata: {},
+      enabled: true,
+      ...user,
+      authentication_realm: { name: 'mock', type: 'native' },
+      lookup_realm: { name: 'mock', type: 'native' },
+      authentication_provider: { type: 'basic', name: 'basic' },
+      authentication_type: 'realm',
+      elastic_cloud_user: false,
+    };
+  }
+
+  /**
+   * Authenticates and authorizes a request for a route, throwing an AuthError
+   * with Kibana's 401/403 messages. Remembers the user for getCurrentUser.
+   */
+  authorizeRequest(request, route, { spaceId = 'default' } = {}) {
+    const user = this.authenticate(request.headers);
+    if (!user && isAuthRequired(route)) {
+      throw new AuthError(401, 'Unauthorized');
+    }
+    this.requestUsers.set(request, user);
+    request.auth = { isAuthenticated: Boolean(user) };
+
+    const groups = getRequiredPrivileges(route);
+    if (!groups.length) return user;
+
+    const privileges = user ? this.getApiPrivileges(user, spaceId) : new Set();
+    const has = (privilege) =>
+      privileges.has('*') ||
+      privileges.has(privilege) ||
+      (privilege === 'superuser' && user?.roles.includes('superuser'));
+
+    const missing = groups.filter((alternatives) => !alternatives.some((set) => set.every(has)));
+    if (missing.length) {
+      const required = missing.flat(2);
+      throw new AuthError(
+        403,
+        `API [${route.method.toUpperCase()} ${route.path}] is unauthorized for user, ` +
+          `this action is granted by the Kibana privileges [${required.join(',')}]`
+      );
+    }
+    return user;
+  }
+
+  /**
+   * Calls `callback(feature, privilege)` for each feature privilege (`all`,
+   * `read`, ...) a user's roles grant in a space.
+   */
+  forEachFeaturePrivilege(user, spaceId, callback) {
+    for (const grant of this.getKibanaGrants(user, spaceId)) {
+      for (const base of grant.base || []) {
+        for (const feature of this.features.values()) {
+          if (feature.privileges?.[base]) callback(feature, feature.privileges[base]);
+        }
+      }
+      for (const [featureId, featurePrivileges] of Object.entries(grant.feature || {})) {
+        const feature = this.features.get(featureId);
+        for (const name of featurePrivileges) {
+          const privilege = feature?.privileges?.[name.replace(/^minimal_/, '')];
+          if (privilege) callback(feature, privilege);
+        }
+      }
+    }
+  }
+
+  /** The `kibana` grants of a user's roles that apply in a space. */
+  getKibanaGrants(user, spaceId) {
+    return user.roles
+      .flatMap((roleName) => this.roles[roleName]?.kibana || [])
+      .filter((grant) => {
+        const spaces = grant.spaces || ['*'];
+        return spaces.includes('*') || spaces.includes(spaceId);
+      });
+  }
+
+  isSuperuser(user) {
+    return Boolean(user?.roles.some((roleName) => this.roles[roleName]?.superuser));
+  }
+
+  /**
+   * Expands a user's roles into the set of API privileges they hold in a
+   * space. `*` stands for superuser.
+   */
+  getApiPrivileges(user, spaceId = 'default') {
+    if (this.isSuperuser(user)) return new Set(['*']);
+    const privileges = new Set();
+    for (const roleName of user.roles) {
+      (this.roles[roleName]?.privileges || []).forEach((p) =>
+        privileges.add(p.replace(/^api:/, ''))
+      );
+    }
+    this.forEachFeaturePrivilege(user, spaceId, (feature, privilege) =>
+      (privilege.api || []).forEach((p) => privileges.add(p))
+    );
+    return privileges;
+  }
+
+  /**
+   * Checks that a user may perform a saved objects action (`bulk_create`,
+   * `find`, ...) on types in a space, as Kibana's security extension does.
+   * Base privileges cover every type, feature privileges the types in their
+   * `savedObject.all` / `savedObject.read` lists. Throws Kibana's 403.
+   */
+  authorizeSavedObjects(user, { action, types }, spaceId = 'default') {
+    if (this.isSuperuser(user)) return;
+    const read = SAVED_OBJECT_READ_ACTIONS.includes(action);
+    const grants = user ? this.getKibanaGrants(user, spaceId) : [];
+    const allTypes = grants.some((grant) =>
+      (grant.base || []).some((base) => base === 'all' || (read && base === 'read'))
+    );
+    if (allTypes) return;
+
+    const granted = new Set();
+    if (user) {
+      this.forEachFeaturePrivilege(user, spaceId, (feature, privilege) => {
+        (privilege.savedObject?.all || []).forEach((type) => granted.add(type));
+        if (read) (privilege.savedObject?.read || []).forEach((type) => granted.add(type));
+      });
+    }
+    const unauthorized = [...new Set(types)].filter((type) => !granted.has(type)).sort();
+    if (unauthorized.length) {
+      throw new AuthError(403, `Unable to ${action} ${unauthorized.join(',')}`);
+    }
+  }
+
+  /**
+   * The UI capabilities Kibana's browser core exposes as
+   * `application.capabilities`: each registered feature's `ui` privileges,
+   * true where the user's roles grant them.
+   */
+  getUiCapabilities(user, spaceId = 'default') {
+    const superuser = this.isSuperuser(user);
+    const granted = new Set();
+    if (user && !superuser) {
+      this.forEachFeaturePrivilege(user, spaceId, (feature, privilege) =>
+        (privilege.ui || []).forEach((ui) => granted.add(`${feature.id}.${ui}`))
+      );
+    }
+
+    const capabilities = { navLinks: {}, management: {}, catalogue: {} };
+    for (const feature of this.features.values()) {
+      const ui = new Set(Object.values(feature.privileges || {}).flatMap((p) => p?.ui || []));
+      capabilities[feature.id] = Object.fromEntries(
+        [...ui].map((name) => [name, superuser || granted.has(`${feature.id}.${name}`)])
+      );
+      (feature.app || []).forEach((app) => (capabilities.navLinks[app] = true));
+      (feature.catalogue || []).forEach((entry) => (capabilities.catalogue[entry] = true));
+    }
+    return capabilities;
+  }
+
+  getCurrentUser(request) {
+    return this.requestUsers.get(request) ?? null;
+  }
+
+  // ─── Plugin Contracts ────────────────────────────────────────────
+
+  createFeaturesSetup() {
+    return {
+      registerKibanaFeature: (feature) => {
+        if (this.features.has(feature.id)) {
+          throw new Error(`Feature with id ${feature.id} is already registered.`);
+        }
+        this.features.set(feature.id, feature);
+      },
+      registerElasticsearchFeature: () => {},
+      getKibanaFeatures: () => [...this.features.values()],
+    };
+  }
+
+  createFeaturesStart() {
+    return {
+      getKibanaFeatures: () => [...this.features.values()],
+      getElasticsearchFeatures: () => [],
+    };
+  }
+
+  createAuthcContract() {
+    return { getCurrentUser: (request) => this.getCurrentUser(request) };
+  }
+
+  createSecuritySetup() {
+    return {
+      authc: this.createAuthcContract(),
+      license: { isEnabled: () => true, getFeatures: () => ({ showLinks: true }) },
+    };
+  }
+
+  createSecurityStart() {
+    return {
+      authc: {
+        ...this.createAuthcContract(),
+        apiKeys: { areAPIKeysEnabled: async () => false },
+      },
+      authz: {
+        mode: { useRbacForRequest: () => true },
+        checkPrivilegesWithRequest: (request) => ({
+          globally: async ({ kibana = [] } = {}) => this.checkPrivileges(request, kibana),
+          atSpace: async (spaceId, { kibana = [] } = {}) =>
+            this.checkPrivileges(request, kibana, spaceId),
+        }),
+      },
+    };
+  }
+
+  checkPrivileges(request, requested, spaceId = 'default') {
+    const user = this.getCurrentUser(request);
+    const privileges = user ? this.getApiPrivileges(user, spaceId) : new Set();
+    const results = requested.map((privilege) => ({
+      privilege,
+      authorized:
+        privileges.has('*') || privileges.has(String(privilege).replace(/^api:/, '')),
+    }));
+    return {
+      hasAllRequested: results.every((result) => result.authorized),
+      username: user?.username,
+      privileges: { kibana: results, elasticsearch: { cluster: [], index: {} } },
+    };
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Kibana's default app categories, shared by the @kbn/core server and
+ * browser shims.
+ */
+
+export const DEFAULT_APP_CATEGORIES = Object.freeze({
+  kibana: { id: 'kibana', label: 'Analytics', euiIconType: 'logoKibana', order: 1000 },
+  enterpriseSearch: {
+    id: 'enterpriseSearch',
+    label: 'Search',
+    euiIconType: 'logoEnterpriseSearch',
+    order: 2000,
+  },
+  observability: {
+    id: 'observability',
+    label: 'Observability',
+    euiIconType: 'logoObservability',
+    order: 3000,
+  },
+  security: { id: 'securitySolution', label: 'Security', euiIconType: 'logoSecurity', order: 4000 },
+  management: { id: 'management', label: 'Management', euiIconType: 'managementApp', order: 5000 },
+});
@@ -0,0 +1,8 @@
+/**
+ * Mock shim for @kbn/config-schema
+ *
+ * Used when the real package can't be resolved from the plugin. Shares the
+ * module instance the mock server validates routes with.
+ */
+
+export * from '../config-schema.mjs';
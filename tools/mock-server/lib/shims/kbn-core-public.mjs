@@ -0,0 +1,12 @@
+/**
+ * Mock shim for @kbn/core/public
+ *
+ * Runtime values the browser companion's plugin bundle may import; types are
+ * erased by esbuild.
+ */
+
+export { DEFAULT_APP_CATEGORIES } from './app-categories.mjs';
+
+export const AppStatus = Object.freeze({ accessible: 0, inaccessible: 1 });
+
+export const AppNavLinkStatus = Object.freeze({ default: 0, visible: 1, hidden: 2, disabled: 3 });
@@ -0,0 +1,71 @@
+/**
+ * Mock shim for @kbn/core-saved-objects-server
+ *
+ * SavedObjectsErrorHelpers and SavedObjectsUtils, producing and recognising
+ * the same Boom-shaped errors the mock saved objects client throws.
+ */
+
+import { randomUUID } from 'crypto';
+import { createSavedObjectsError, createUnsupportedTypeError } from '../saved-objects-types.mjs';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const hasStatus = (statusCode) => (error) => error?.output?.statusCode === statusCode;
+
+function decorate(error, statusCode, reason) {
+  const decorated = createSavedObjectsError(statusCode, error.message, reason);
+  decorated.stack = error.stack;
+  return decorated;
+}
+
+export const SavedObjectsErrorHelpers = {
+  isSavedObjectsClientError: (error) => Boolean(error?.output?.statusCode),
+
+  createBadRequestError: (reason) => createSavedObjectsError(400, 'Bad Request', reason),
+  decorateBadRequestError: (error, reason) => decorate(error, 400, reason || 'Bad Request'),
+  isBadRequestError: hasStatus(400),
+
+  createUnsupportedTypeError,
+
+  decorateNotAuthorizedError: (error, reason) => decorate(error, 401, reason || 'Unauthorized'),
+  isNotAuthorizedError: hasStatus(401),
+
+  decorateForbiddenError: (error, reason) => decorate(error, 403, reason || 'Forbidden'),
+  isForbiddenError: hasStatus(403),
+
+  createGenericNotFoundError: (type = null, id = null) =>
+    createSavedObjectsError(
+      404,
+      type && id ? `Saved object [${type}/${id}] not found` : 'Not Found'
+    ),
+  isNotFoundError: hasStatus(404),
+
+  createConflictError: (type, id, reason) =>
+    createSavedObjectsError(409, reason || `Saved object [${type}/${id}] conflict`),
+  decorateConflictError: (error, reason) => decorate(error, 409, reason || 'Conflict'),
+  isConflictError: hasStatus(409),
+
+  decorateTooManyRequestsError: (error, reason) =>
+    decorate(error, 429, reason || 'Too Many Requests'),
+  isTooManyRequestsError: hasStatus(429),
+
+  decorateEsUnavailableError: (error, reason) =>
+    decorate(error, 503, reason || 'Service Unavailable'),
+  isEsUnavailableError: hasStatus(503),
+
+  decorateGeneralError: (error, reason) => decorate(error, 500, reason || 'Internal Server Error'),
+  isGeneralError: hasStatus(500),
+};
+
+export const SavedObjectsUtils = {
+  generateId: () => randomUUID(),
+  isRandomId: (id) => UUID_PATTERN.test(id ?? ''),
+  namespaceIdToString: (namespace) => namespace ?? 'default',
+  namespaceStringToId: (namespace) => (namespace === 'default' ? undefined : namespace),
+  createEmptyFindResponse: ({ page = 1, perPage = 20 } = {}) => ({
+    page,
+    per_page: perPage,
+    total: 0,
+    saved_objects: [],
+  }),
+};
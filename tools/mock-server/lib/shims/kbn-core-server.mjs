@@ -0,0 +1,9 @@
+/**
+ * Mock shim for @kbn/core/server
+ *
+ * Only runtime values live here: type-only imports are erased when the
+ * TypeScript loader transpiles plugin code.
+ */
+
+export { SavedObjectsErrorHelpers, SavedObjectsUtils } from './kbn-core-saved-objects-server.mjs';
+export { DEFAULT_APP_CATEGORIES } from './app-categories.mjs';
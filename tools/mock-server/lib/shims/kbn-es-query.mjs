@@ -0,0 +1,8 @@
+/**
+ * Mock shim for @kbn/es-query
+ *
+ * The KQL helpers server code uses to build saved objects `find` filters,
+ * backed by the mock server's KQL parser.
+ */
+
+export { KQLSyntaxError, escapeKuery, fromKueryExpression, nodeBuilder } from '../kql.mjs';
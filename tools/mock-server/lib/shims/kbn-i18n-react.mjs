@@ -0,0 +1,32 @@
+/**
+ * Mock shim for @kbn/i18n-react
+ *
+ * Renders default messages like the @kbn/i18n shim, with React elements
+ * allowed as `{placeholder}` values.
+ */
+
+import { Fragment, createElement } from 'react';
+import { i18n } from './kbn-i18n.mjs';
+
+const formatMessage = ({ id, defaultMessage }, values) =>
+  i18n.translate(id, { defaultMessage, values });
+
+export function FormattedMessage({ id, defaultMessage, values = {} }) {
+  const parts = (defaultMessage ?? id).split(/({\s*\w+\s*})/).map((part) => {
+    const key = part.match(/^{\s*(\w+)\s*}$/)?.[1];
+    return key && key in values ? values[key] : part;
+  });
+  return createElement(Fragment, null, ...parts);
+}
+
+export const FormattedNumber = ({ value }) =>
+  createElement(Fragment, null, new Intl.NumberFormat('en').format(value));
+
+export const FormattedDate = ({ value, ...options }) =>
+  createElement(Fragment, null, new Intl.DateTimeFormat('en', options).format(new Date(value)));
+
+export const I18nProvider = ({ children }) => createElement(Fragment, null, children);
+
+export const intl = { formatMessage, locale: 'en' };
+
+export const injectI18n = (Component) => (props) => createElement(Component, { ...props, intl });
@@ -0,0 +1,17 @@
+/**
+ * Mock shim for @kbn/i18n
+ *
+ * Returns default messages with `{placeholder}` values filled in. ICU plural
+ * and select syntax is left as is.
+ */
+
+export const i18n = {
+  translate(id, { defaultMessage, values = {} } = {}) {
+    return (defaultMessage ?? id).replace(/{\s*(\w+)\s*}/g, (match, key) =>
+      key in values ? String(values[key]) : match
+    );
+  },
+  getLocale: () => 'en',
+  init: () => {},
+  load: async () => {},
+};
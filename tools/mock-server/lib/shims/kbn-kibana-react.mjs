@@ -0,0 +1,55 @@
+/**
+ * Mock shim for @kbn/kibana-react-plugin/public
+ *
+ * The Kibana services context (`KibanaContextProvider`, `useKibana`,
+ * `withKibana`) and the passthrough wrappers plugins commonly render.
+ */
+
+import { Fragment, createContext, createElement, useContext } from 'react';
+
+export { toMountPoint } from './kbn-react-kibana-mount.mjs';
+
+// kibana-react's toasts wrapper: `toasts.success({ title })` and friends
+function createNotifications(services) {
+  const add = (color) => (toast) => services.notifications?.toasts.add({ ...toast, color });
+  return {
+    toasts: {
+      show: add('primary'),
+      success: add('success'),
+      warning: add('warning'),
+      danger: add('danger'),
+    },
+  };
+}
+
+const createValue = (services = {}) => ({
+  services,
+  notifications: createNotifications(services),
+  overlays: services.overlays,
+});
+
+const context = createContext(createValue());
+
+export function createKibanaReactContext(services) {
+  const value = createValue(services);
+  const Provider = ({ services: extra, children }) =>
+    createElement(
+      context.Provider,
+      { value: extra ? createValue({ ...services, ...extra }) : value },
+      children
+    );
+  return { value, Provider, Consumer: context.Consumer };
+}
+
+export const KibanaContextProvider = ({ services, children }) =>
+  createElement(context.Provider, { value: createValue(services) }, children);
+
+export const useKibana = () => useContext(context);
+
+export const withKibana = (Component) => (props) =>
+  createElement(Component, { ...props, kibana: useKibana() });
+
+const passthrough = ({ children }) => createElement(Fragment, null, children);
+
+export const RedirectAppLinks = passthrough;
+export const KibanaThemeProvider = passthrough;
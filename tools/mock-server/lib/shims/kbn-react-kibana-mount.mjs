@@ -0,0 +1,15 @@
+/**
+ * Mock shim for @kbn/react-kibana-mount
+ *
+ * `toMountPoint` turns a React node into a Kibana `MountPoint` for
+ * `overlays`, toasts and chrome. Kibana's theme and i18n providers are left
+ * out, as the mock core doesn't need them.
+ */
+
+import { createRoot } from 'react-dom/client';
+
+export const toMountPoint = (node) => (element) => {
+  const root = createRoot(element);
+  root.render(node);
+  return () => root.unmount();
+};
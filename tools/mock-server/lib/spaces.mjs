@@ -0,0 +1,80 @@
+/**
+ * Mock Spaces
+ *
+ * Emulates the spaces plugin: requests to `/s/{spaceId}/...` are routed as if
+ * the prefix wasn't there, and the space they were made in is available to
+ * plugins through `spaces.spacesService`. Spaces are listed in the `spaces`
+ * section of the mock config; the default space always exists.
+ */
+
+export const DEFAULT_SPACE_ID = 'default';
+
+const SPACE_URL = /^\/s\/([a-z0-9_-]+)(\/.*)?$/;
+
+export const spaceIdToNamespace = (spaceId) =>
+  !spaceId || spaceId === DEFAULT_SPACE_ID ? undefined : spaceId;
+
+export const namespaceToSpaceId = (namespace) => namespace ?? DEFAULT_SPACE_ID;
+
+export class MockSpaces {
+  constructor(spaces = []) {
+    this.spaces = new Map([
+      [DEFAULT_SPACE_ID, { id: DEFAULT_SPACE_ID, name: 'Default', _reserved: true }],
+    ]);
+    spaces.forEach((space) => this.spaces.set(space.id, { disabledFeatures: [], ...space }));
+    this.requestSpaces = new WeakMap();
+  }
+
+  /**
+   * Splits a request URL into the space it targets and the URL without the
+   * `/s/{spaceId}` prefix.
+   */
+  parseUrl(url) {
+    const match = url.match(SPACE_URL);
+    if (!match) return { spaceId: DEFAULT_SPACE_ID, url };
+    return { spaceId: match[1], url: match[2] || '/' };
+  }
+
+  setRequestSpace(request, spaceId) {
+    this.requestSpaces.set(request, spaceId);
+  }
+
+  getSpaceId(request) {
+    return this.requestSpaces.get(request) ?? DEFAULT_SPACE_ID;
+  }
+
+  getBasePath(request) {
+    const spaceId = this.getSpaceId(request);
+    return spaceId === DEFAULT_SPACE_ID ? '' : `/s/${spaceId}`;
+  }
+
+  getSpace(spaceId) {
+    return this.spaces.get(spaceId) ?? { id: spaceId, name: spaceId, disabledFeatures: [] };
+  }
+
+  createSpacesService() {
+    return {
+      getSpaceId: (request) => this.getSpaceId(request),
+      isInDefaultSpace: (request) => this.getSpaceId(request) === DEFAULT_SPACE_ID,
+      getActiveSpace: async (request) => this.getSpace(this.getSpaceId(request)),
+      namespaceToSpaceId,
+      spaceIdToNamespace,
+    };
+  }
+
+  createSpacesSetup() {
+    return { spacesService: this.createSpacesService() };
+  }
+
+  createSpacesStart() {
+    return {
+      spacesService: {
+        ...this.createSpacesService(),
+        createSpacesClient: () => ({
+          getAll: async () => [...this.spaces.values()],
+          get: async (id) => this.getSpace(id),
+        }),
+      },
+    };
+  }
+}
@@ -0,0 +1,395 @@
+/**
+ * Mock Task Manager
+ *
+ * Emulates the taskManager plugin contracts, running tasks in-process:
+ * - `registerTaskDefinitions` in setup; definitions are dropped on reload
+ * - `schedule`, `ensureScheduled`, `runSoon`, `fetch`, `remove` and the bulk
+ *   methods in start; scheduled tasks survive reloads
+ * - every `pollInterval` ms, idle tasks whose `runAt` has passed run, and
+ *   their result is applied like Kibana does: recurring tasks move to their
+ *   next interval, one-off tasks are removed once they succeed and retried
+ *   up to `maxAttempts` when they fail
+ *
+ * Each task keeps its last runs (state, duration and error) for
+ * `/__mock/tasks`, where tasks can also be run on demand.
+ */
+
+import { randomUUID } from 'crypto';
+import { compileQuery } from './es-emulator.mjs';
+import { createSavedObjectsError } from './saved-objects-types.mjs';
+
+const HISTORY_SIZE = 20;
+const DEFAULT_TIMEOUT = '5m';
+const DEFAULT_MAX_ATTEMPTS = 3;
+// Kibana retries failed one-off tasks 5 minutes later per attempt
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/** Milliseconds of an interval such as `30s`, `5m`, `1h` or `1d`. */
+export function parseInterval(interval) {
+  const match = String(interval).match(/^(\d+)([smhd])$/);
+  if (!match) {
+    throw new Error(
+      `Invalid interval "${interval}". Intervals must be of the form {number}m. Example: 5m.`
+    );
+  }
+  return Number(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+const notFoundError = (id) => createSavedObjectsError(404, `Saved object [task/${id}] not found`);
+
+/** An operation the task's current status doesn't allow, answered with a 409. */
+export class TaskManagerError extends Error {
+  constructor(message) {
+    super(message);
+    this.statusCode = 409;
+  }
+}
+
+// The copy handed to plugin code, so it can't change the stored task
+const toTaskInstance = ({ fakeRequest, ...task }) => ({
+  ...task,
+  params: { ...task.params },
+  state: { ...task.state },
+});
+
+// Runners may change the params and state they get
+const copyTask = (task) => ({
+  ...task,
+  params: structuredClone(task.params),
+  state: structuredClone(task.state),
+});
+
+export class MockTaskManager {
+  constructor({ pollInterval = 3000 } = {}) {
+    this.pollInterval = pollInterval;
+    this.definitions = new Map();
+    this.tasks = new Map();
+    this.history = new Map();
+    this.running = new Set();
+    this.timer = null;
+  }
+
+  /** Drops the task definitions, before the plugin is reloaded. */
+  resetDefinitions() {
+    this.definitions.clear();
+  }
+
+  registerTaskDefinitions(definitions) {
+    for (const [type, definition] of Object.entries(definitions)) {
+      if (this.definitions.has(type)) throw new Error(`Task ${type} is already defined!`);
+      if (typeof definition.createTaskRunner !== 'function') {
+        throw new Error(`Task ${type}: [createTaskRunner]: expected a function`);
+      }
+      if (definition.timeout) parseInterval(definition.timeout);
+      this.definitions.set(type, { type, ...definition });
+    }
+  }
+
+  // ─── Scheduling ──────────────────────────────────────────────────
+
+  schedule(taskInstance, { request } = {}) {
+    const { taskType, id = randomUUID() } = taskInstance;
+    if (!this.definitions.has(taskType)) {
+      const supported = [...this.definitions.keys()].join(', ');
+      throw new Error(`Unsupported task type "${taskType}". Supported types are ${supported}`);
+    }
+    if (this.tasks.has(id)) {
+      throw createSavedObjectsError(409, `Saved object [task/${id}] conflict`);
+    }
+    if (taskInstance.schedule) parseInterval(taskInstance.schedule.interval);
+
+    const now = new Date();
+    const task = {
+      params: {},
+      state: {},
+      scope: undefined,
+      enabled: true,
+      ...taskInstance,
+      id,
+      runAt: taskInstance.runAt ? new Date(taskInstance.runAt) : now,
+      scheduledAt: now,
+      startedAt: null,
+      retryAt: null,
+      attempts: 0,
+      status: 'idle',
+      ownerId: null,
+      ...(request && { fakeRequest: request }),
+    };
+    this.tasks.set(id, task);
+    return toTaskInstance(task);
+  }
+
+  /** Like Kibana, scheduling an id that exists already returns the instance as given. */
+  ensureScheduled(taskInstance, options) {
+    try {
+      return this.schedule(taskInstance, options);
+    } catch (error) {
+      if (error.output?.statusCode === 409) return taskInstance;
+      throw error;
+    }
+  }
+
+  get(id) {
+    const task = this.tasks.get(id);
+    if (!task) throw notFoundError(id);
+    return task;
+  }
+
+  remove(id) {
+    if (!this.tasks.delete(id)) throw notFoundError(id);
+  }
+
+  /** Makes a task run at the next poll. */
+  runSoon(id) {
+    const task = this.get(id);
+    if (task.status === 'running') {
+      throw new TaskManagerError(`Failed to run task "${id}" as it is currently running`);
+    }
+    task.runAt = new Date();
+    task.status = 'idle';
+    return { id };
+  }
+
+  // Applies a change to each task, collecting errors like Kibana's bulk methods
+  bulkChange(ids, change) {
+    const tasks = [];
+    const errors = [];
+    for (const id of ids) {
+      try {
+        const task = this.get(id);
+        change(task);
+        tasks.push(toTaskInstance(task));
+      } catch (error) {
+        errors.push({
+          type: 'task',
+          id,
+          error: error.output?.payload ?? { statusCode: 500, message: error.message },
+        });
+      }
+    }
+    return { tasks, errors };
+  }
+
+  // ─── Running ─────────────────────────────────────────────────────
+
+  start() {
+    if (this.timer || !this.pollInterval) return;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    // Scheduled tasks never keep the process alive
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  poll() {
+    const now = Date.now();
+    for (const task of this.tasks.values()) {
+      if (
+        task.enabled &&
+        task.status === 'idle' &&
+        task.runAt.getTime() <= now &&
+        this.definitions.has(task.taskType)
+      ) {
+        this.runTask(task.id).catch((error) =>
+          console.error(`❌ Task "${task.id}" could not run:`, error.message)
+        );
+      }
+    }
+  }
+
+  /**
+   * Runs a task now, whatever its schedule, and applies the result. Resolves
+   * with the run as recorded in the task's history.
+   */
+  async runTask(id, { manual = false } = {}) {
+    const task = this.get(id);
+    const definition = this.definitions.get(task.taskType);
+    if (!definition) {
+      throw new TaskManagerError(`Task type "${task.taskType}" is not registered`);
+    }
+    if (this.running.has(id)) {
+      throw new TaskManagerError(`Failed to run task "${id}" as it is currently running`);
+    }
+
+    this.running.add(id);
+    task.status = 'running';
+    task.startedAt = new Date();
+    task.attempts++;
+    const start = process.hrtime.bigint();
+    const abortController = new AbortController();
+    const timeout = definition.timeout ?? DEFAULT_TIMEOUT;
+    let timer;
+
+    let result;
+    let error;
+    try {
+      const runner = definition.createTaskRunner({
+        taskInstance: toTaskInstance(task),
+        abortController,
+        fakeRequest: task.fakeRequest,
+      });
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          abortController.abort();
+          Promise.resolve(runner.cancel?.()).catch(() => {});
+          reject(new Error(`Task ${task.taskType} "${id}" timed out after ${timeout}`));
+        }, parseInterval(timeout));
+      });
+      result = (await Promise.race([runner.run(), timedOut])) ?? {};
+      if (result.error) throw result.error;
+    } catch (caught) {
+      error = caught instanceof Error ? caught : new Error(String(caught));
+    } finally {
+      clearTimeout(timer);
+      this.running.delete(id);
+    }
+
+    if (error) this.failRun(task, definition, error);
+    else this.completeRun(task, result);
+
+    const run = {
+      startedAt: task.startedAt.toISOString(),
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      outcome: error ? 'failed' : 'success',
+      manual,
+      state: error ? task.state : (result.state ?? task.state),
+      ...(error && { error: error.message, stack: error.stack }),
+    };
+    const history = [run, ...(this.history.get(id) || [])].slice(0, HISTORY_SIZE);
+    this.history.set(id, history);
+    return run;
+  }
+
+  completeRun(task, { state, runAt, schedule, shouldDeleteTask } = {}) {
+    if (state !== undefined) task.state = state;
+    if (schedule) task.schedule = schedule;
+    task.attempts = 0;
+    task.retryAt = null;
+    task.status = 'idle';
+    if (shouldDeleteTask || (!task.schedule && !runAt)) {
+      this.tasks.delete(task.id);
+      return;
+    }
+    task.runAt = runAt
+      ? new Date(runAt)
+      : new Date(Date.now() + parseInterval(task.schedule.interval));
+  }
+
+  failRun(task, definition, error) {
+    console.error(`❌ Task ${task.taskType} "${task.id}" failed:`, error.message);
+    if (task.schedule) {
+      task.status = 'idle';
+      task.runAt = new Date(Date.now() + parseInterval(task.schedule.interval));
+      return;
+    }
+    if (task.attempts >= (definition.maxAttempts ?? DEFAULT_MAX_ATTEMPTS)) {
+      task.status = 'failed';
+      task.retryAt = null;
+      return;
+    }
+    task.status = 'idle';
+    task.retryAt = task.runAt = new Date(Date.now() + task.attempts * RETRY_DELAY_MS);
+  }
+
+  // ─── Contracts ───────────────────────────────────────────────────
+
+  createSetupContract() {
+    return {
+      index: '.kibana_task_manager',
+      registerTaskDefinitions: (definitions) => this.registerTaskDefinitions(definitions),
+      addMiddleware: () => {},
+    };
+  }
+
+  createStartContract() {
+    const fetch = async ({ query } = {}) => {
+      const matches = compileQuery(query);
+      const docs = [...this.tasks.values()]
+        .filter((task) => matches({ _id: `task:${task.id}`, _source: { type: 'task', task } }, {}))
+        .map(toTaskInstance);
+      return { docs, versionMap: new Map() };
+    };
+
+    return {
+      schedule: async (taskInstance, options) => this.schedule(taskInstance, options),
+      bulkSchedule: async (taskInstances, options) =>
+        taskInstances.map((taskInstance) => this.schedule(taskInstance, options)),
+      ensureScheduled: async (taskInstance, options) => this.ensureScheduled(taskInstance, options),
+      get: async (id) => toTaskInstance(this.get(id)),
+      fetch,
+      remove: async (id) => this.remove(id),
+      removeIfExists: async (id) => {
+        this.tasks.delete(id);
+      },
+      bulkRemove: async (ids) => ({
+        statuses: ids.map((id) => ({ id, type: 'task', success: this.tasks.delete(id) })),
+      }),
+      runSoon: async (id) => this.runSoon(id),
+      bulkEnable: async (ids, runSoon = true) =>
+        this.bulkChange(ids, (task) => {
+          task.enabled = true;
+          if (runSoon) task.runAt = new Date();
+        }),
+      bulkDisable: async (ids) =>
+        this.bulkChange(ids, (task) => {
+          task.enabled = false;
+        }),
+      bulkUpdateSchedules: async (ids, schedule) =>
+        this.bulkChange(ids, (task) => {
+          const interval = parseInterval(schedule.interval);
+          if (task.schedule) {
+            // Kibana keeps the last run and moves the next one to the new interval
+            task.runAt = new Date((task.startedAt?.getTime() ?? Date.now()) + interval);
+          }
+          task.schedule = schedule;
+        }),
+      getRegisteredTypes: () => [...this.definitions.keys()],
+    };
+  }
+
+  // ─── Admin ───────────────────────────────────────────────────────
+
+  /** Remembers the scheduled tasks, for `restoreTasks` to go back to. */
+  saveTasks() {
+    this.savedTasks = [...this.tasks.values()].map(copyTask);
+  }
+
+  /** Back to the tasks from `saveTasks`, with no run history. */
+  restoreTasks() {
+    this.tasks = new Map((this.savedTasks || []).map((task) => [task.id, copyTask(task)]));
+    this.history.clear();
+  }
+
+  /** A task with its run history, for `/__mock/tasks/:id`. */
+  describeTask(id) {
+    const task = this.tasks.get(id);
+    const runs = this.history.get(id) || [];
+    // One-off tasks are removed once done; their runs are still worth seeing
+    if (!task) return runs.length ? { id, status: 'removed', runs } : undefined;
+    const { fakeRequest, ...described } = task;
+    return { ...described, running: this.running.has(id), runs };
+  }
+
+  toJSON() {
+    return {
+      definitions: [...this.definitions.values()].map(
+        ({ type, title, description, timeout = DEFAULT_TIMEOUT, maxAttempts }) => ({
+          type,
+          title,
+          ...(description && { description }),
+          timeout,
+          maxAttempts: maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+        })
+      ),
+      tasks: [...this.tasks.keys()].map((id) => {
+        const { runs, ...task } = this.describeTask(id);
+        return { ...task, lastRun: runs[0] ?? null };
+      }),
+    };
+  }
+}
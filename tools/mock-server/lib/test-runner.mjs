@@ -0,0 +1,399 @@
+/**
+ * Route Scenario Runner
+ *
+ * Runs declarative route tests (`kibana-mock test`) against the mock server's
+ * dispatcher in-process, without opening a port. Scenario files are YAML or
+ * JSON named `*.scenario.{yaml,yml,json}`:
+ *
+ *   name: Items API
+ *   savedObjects: fixtures/items.ndjson     # seeded before the file's tests
+ *   elasticsearch:
+ *     items: { mappings: { ... }, documents: [{ _id: '1', _source: { ... } }] }
+ *   tests:
+ *     - name: lists items
+ *       request: GET /api/my_plugin/items?perPage=5
+ *       expect:
+ *         status: 200
+ *         body: { total: 2 }                 # partial deep match
+ *         json:
+ *           $.items[0].name: First
+ *           $.items: { $length: 2 }
+ *
+ * State is reset before each file; tests within a file run in order and share
+ * it, so a test can read back what an earlier one created.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { Writable } from 'stream';
+import { parse as parseYaml } from 'yaml';
+
+const SCENARIO_FILE = /\.scenario\.(ya?ml|json)$/;
+
+// ─── Scenario Files ────────────────────────────────────────────────
+
+export function findScenarioFiles(targets) {
+  const files = [];
+  const walk = (target) => {
+    const stat = fs.statSync(target);
+    if (stat.isFile()) {
+      files.push(target);
+      return;
+    }
+    for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+      if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+      const child = path.join(target, entry.name);
+      if (entry.isDirectory()) walk(child);
+      else if (SCENARIO_FILE.test(entry.name)) files.push(child);
+    }
+  };
+  targets.forEach(walk);
+  return files.sort();
+}
+
+function readDataFile(file) {
+  const content = fs.readFileSync(file, 'utf-8');
+  return file.endsWith('.json') ? JSON.parse(content) : parseYaml(content);
+}
+
+/** Loads a scenario file into `{ name, savedObjects, elasticsearch, tests }`. */
+export function loadScenarioFile(file) {
+  const data = readDataFile(file);
+  const scenario = Array.isArray(data) ? { tests: data } : data || {};
+  if (!Array.isArray(scenario.tests)) {
+    throw new Error(`${file}: expected a \`tests\` list`);
+  }
+  return { name: path.basename(file).replace(SCENARIO_FILE, ''), ...scenario, file };
+}
+
+/** Normalises a test's request, accepting the `GET /api/path` shorthand. */
+function toRequest(request) {
+  const { method = 'GET', path: requestPath, query, headers = {}, body, user, space, auth } =
+    typeof request === 'string'
+      ? { method: request.split(' ')[0], path: request.split(' ').slice(1).join(' ') }
+      : request || {};
+  if (!requestPath) throw new Error('request.path is required');
+
+  const allHeaders = { ...headers };
+  if (user) allHeaders['x-mock-user'] = user;
+  if (auth) {
+    const credentials = Buffer.from(`${auth.username}:${auth.password ?? ''}`).toString('base64');
+    allHeaders.authorization = `Basic ${credentials}`;
+  }
+  return {
+    method: method.toUpperCase(),
+    path: space && !requestPath.startsWith('/s/') ? `/s/${space}${requestPath}` : requestPath,
+    query,
+    headers: allHeaders,
+    body,
+  };
+}
+
+// ─── Assertions ────────────────────────────────────────────────────
+
+/**
+ * Evaluates a JSON path (`$.items[0].name`, `items[*].id`) against a value.
+ * Paths with a `[*]` wildcard evaluate to the list of matches.
+ */
+export function evaluateJsonPath(value, jsonPath) {
+  const tokens = [];
+  const re = /\.?([^.[\]]+)|\[(\d+|\*|'[^']*'|"[^"]*")\]/g;
+  const expression = jsonPath.replace(/^\$/, '');
+  for (const match of expression.matchAll(re)) {
+    const token = match[1] ?? match[2];
+    tokens.push(/^['"]/.test(token) ? token.slice(1, -1) : token);
+  }
+
+  let results = [value];
+  let wildcard = false;
+  for (const token of tokens) {
+    if (token === '*') {
+      wildcard = true;
+      results = results.flatMap((item) =>
+        item && typeof item === 'object' ? Object.values(item) : []
+      );
+    } else {
+      results = results
+        .filter((item) => item != null && typeof item === 'object' && token in item)
+        .map((item) => item[token]);
+    }
+  }
+  return wildcard ? results : results[0];
+}
+
+const MATCHERS = {
+  $exists: (actual, expected) => (actual !== undefined) === expected,
+  $match: (actual, expected) => typeof actual === 'string' && new RegExp(expected).test(actual),
+  $length: (actual, expected) => actual?.length === expected,
+  $contains: (actual, expected) =>
+    Array.isArray(actual)
+      ? actual.some((item) => !diffValues(item, expected).length)
+      : typeof actual === 'string' && actual.includes(expected),
+  $type: (actual, expected) =>
+    (Array.isArray(actual) ? 'array' : actual === null ? 'null' : typeof actual) === expected,
+  $gt: (actual, expected) => actual > expected,
+  $gte: (actual, expected) => actual >= expected,
+  $lt: (actual, expected) => actual < expected,
+  $lte: (actual, expected) => actual <= expected,
+  $not: (actual, expected) => diffValues(actual, expected).length > 0,
+};
+
+const isMatcher = (value) =>
+  value &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => key in MATCHERS);
+
+const show = (value) => (value === undefined ? 'undefined' : JSON.stringify(value));
+
+/**
+ * Compares an actual value with an expectation and returns the differences.
+ * Objects match partially (extra keys are fine), arrays element-wise with the
+ * same length, and objects of `$` matchers (`{ $gte: 1 }`) by predicate.
+ */
+export function diffValues(actual, expected, at = '$') {
+  if (isMatcher(expected)) {
+    return Object.entries(expected)
+      .filter(([name, operand]) => !MATCHERS[name](actual, operand))
+      .map(([name, operand]) => `${at}: expected ${name} ${show(operand)}, got ${show(actual)}`);
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      return [`${at}: expected ${show(expected)}, got ${show(actual)}`];
+    }
+    return expected.flatMap((item, i) => diffValues(actual[i], item, `${at}[${i}]`));
+  }
+  if (expected && typeof expected === 'object') {
+    if (!actual || typeof actual !== 'object' || Array.isArray(actual)) {
+      return [`${at}: expected an object, got ${show(actual)}`];
+    }
+    return Object.entries(expected).flatMap(([key, value]) =>
+      diffValues(actual[key], value, `${at}.${key}`)
+    );
+  }
+  return actual === expected ? [] : [`${at}: expected ${show(expected)}, got ${show(actual)}`];
+}
+
+function checkExpectations(response, expect = {}) {
+  const failures = [];
+  if (expect.status !== undefined && response.statusCode !== expect.status) {
+    failures.push(`status: expected ${expect.status}, got ${response.statusCode}`);
+  }
+  for (const [name, expected] of Object.entries(expect.headers || {})) {
+    failures.push(...diffValues(response.headers[name.toLowerCase()], expected, `headers.${name}`));
+  }
+  if (expect.body !== undefined) {
+    failures.push(...diffValues(response.body, expect.body));
+  }
+  for (const [jsonPath, expected] of Object.entries(expect.json || {})) {
+    const actual = evaluateJsonPath(response.body, jsonPath);
+    failures.push(...diffValues(actual, expected, jsonPath));
+  }
+  return failures;
+}
+
+// ─── Runner ────────────────────────────────────────────────────────
+
+/**
+ * Runs scenario files with a harness providing:
+ * - `reset()` to restore the initial saved objects and Elasticsearch state
+ * - `seed({ savedObjects, elasticsearch })` with data loaded from the scenario
+ * - `dispatch(request)` resolving to `{ statusCode, headers, body }`
+ *
+ * Returns one suite per file with its test results.
+ */
+export async function runScenarioFiles(files, harness) {
+  const suites = [];
+  for (const file of files) {
+    const suite = { name: file, file, tests: [], time: 0 };
+    suites.push(suite);
+    const started = Date.now();
+
+    try {
+      const scenario = loadScenarioFile(file);
+      suite.name = scenario.name;
+      harness.reset();
+      harness.seed(resolveSeeds(scenario, path.dirname(file)));
+
+      for (const [i, test] of scenario.tests.entries()) {
+        suite.tests.push(await runTest(test, i, path.dirname(file), harness));
+      }
+    } catch (error) {
+      suite.tests.push({ name: 'load scenario', time: 0, failures: [error.message] });
+    }
+    suite.time = Date.now() - started;
+  }
+  return suites;
+}
+
+function resolveSeeds({ savedObjects, elasticsearch }, dir) {
+  const load = (value) => (typeof value === 'string' ? path.resolve(dir, value) : value);
+  return { savedObjects: load(savedObjects), elasticsearch: load(elasticsearch) };
+}
+
+async function runTest(test, index, dir, harness) {
+  const name = test.name || `test ${index + 1}`;
+  const started = Date.now();
+  try {
+    harness.seed(resolveSeeds(test, dir));
+    const response = await harness.dispatch(toRequest(test.request));
+    const failures = checkExpectations(response, test.expect);
+    return { name, time: Date.now() - started, failures, response };
+  } catch (error) {
+    return { name, time: Date.now() - started, failures: [error.stack || error.message] };
+  }
+}
+
+/** Reads a seed that may be given inline or as a path to a YAML/JSON file. */
+export function readSeedFile(value) {
+  return typeof value === 'string' ? readDataFile(value) : value;
+}
+
+// ─── In-Process Responses ──────────────────────────────────────────
+
+/**
+ * A stand-in for the Express response that records what the dispatcher
+ * sends. It is a Writable so streamed bodies can be piped into it; the body
+ * reads back parsed when it was sent as JSON and as text otherwise.
+ */
+const JSON_CONTENT_TYPE = /^application\/([\w.-]+\+)?json\b/;
+
+class RecordedResponse extends Writable {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.chunks = [];
+  }
+
+  get headersSent() {
+    return this.chunks.length > 0 || this.writableEnded;
+  }
+
+  get body() {
+    if (!this.chunks.length) return undefined;
+    const text = Buffer.concat(this.chunks).toString('utf-8');
+    return JSON_CONTENT_TYPE.test(this.headers['content-type'] || '') ? JSON.parse(text) : text;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+    callback();
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  set(name, value) {
+    this.headers[name.toLowerCase()] = Array.isArray(value) ? value.map(String) : String(value);
+    return this;
+  }
+
+  header(name, value) {
+    return this.set(name, value);
+  }
+
+  json(body) {
+    this.headers['content-type'] ??= 'application/json; charset=utf-8';
+    return this.end(body === undefined ? undefined : JSON.stringify(body));
+  }
+
+  send(body) {
+    if (body && typeof body === 'object' && !Buffer.isBuffer(body)) return this.json(body);
+    this.headers['content-type'] ??= Buffer.isBuffer(body)
+      ? 'application/octet-stream'
+      : 'text/html; charset=utf-8';
+    return this.end(body);
+  }
+}
+
+export const createRecordedResponse = () => new RecordedResponse();
+
+// ─── Reporters ─────────────────────────────────────────────────────
+
+const fullName = (suite, test) => `${suite.name} > ${test.name}`;
+
+function countTests(suites) {
+  const tests = suites.flatMap((suite) => suite.tests);
+  const failed = tests.filter((test) => test.failures.length).length;
+  return { total: tests.length, failed, passed: tests.length - failed };
+}
+
+export function formatTap(suites) {
+  const lines = ['TAP version 13'];
+  let n = 0;
+  for (const suite of suites) {
+    lines.push(`# ${suite.name} (${suite.file})`);
+    for (const test of suite.tests) {
+      n++;
+      if (!test.failures.length) {
+        lines.push(`ok ${n} - ${fullName(suite, test)}`);
+        continue;
+      }
+      lines.push(`not ok ${n} - ${fullName(suite, test)}`, '  ---', '  failures:');
+      for (const failure of test.failures) {
+        lines.push(`    - ${JSON.stringify(failure)}`);
+      }
+      if (test.response) {
+        lines.push(`  status: ${test.response.statusCode}`);
+        lines.push(`  body: ${JSON.stringify(test.response.body ?? null)}`);
+      }
+      lines.push('  ...');
+    }
+  }
+  const { total, passed, failed } = countTests(suites);
+  lines.push(`1..${total}`, `# tests ${total}`, `# pass ${passed}`, `# fail ${failed}`);
+  return `${lines.join('\n')}\n`;
+}
+
+const escapeXml = (value) =>
+  String(value).replace(
+    /[<>&"']/g,
+    (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]
+  );
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+export function formatJUnit(suites) {
+  const { total, failed } = countTests(suites);
+  const time = suites.reduce((sum, suite) => sum + suite.time, 0);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="kibana-mock" tests="${total}" failures="${failed}" time="${seconds(time)}">`,
+  ];
+  for (const suite of suites) {
+    const suiteFailures = suite.tests.filter((test) => test.failures.length).length;
+    lines.push(
+      `  <testsuite name="${escapeXml(suite.name)}" file="${escapeXml(suite.file)}" ` +
+        `tests="${suite.tests.length}" failures="${suiteFailures}" time="${seconds(suite.time)}">`
+    );
+    for (const test of suite.tests) {
+      const attributes =
+        `name="${escapeXml(test.name)}" classname="${escapeXml(suite.name)}" ` +
+        `time="${seconds(test.time)}"`;
+      if (!test.failures.length) {
+        lines.push(`    <testcase ${attributes}/>`);
+        continue;
+      }
+      lines.push(
+        `    <testcase ${attributes}>`,
+        `      <failure message="${escapeXml(test.failures[0].split('\n')[0])}">` +
+          `${escapeXml(test.failures.join('\n'))}</failure>`,
+        '    </testcase>'
+      );
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+export const REPORTERS = { tap: formatTap, junit: formatJUnit };
+
+export function summarize(suites) {
+  const { total, passed, failed } = countTests(suites);
+  return `${passed}/${total} route tests passed${failed ? `, ${failed} failed` : ''}`;
+}
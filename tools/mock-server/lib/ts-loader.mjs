@@ -0,0 +1,255 @@
+/**
+ * TypeScript Loader Hooks
+ *
+ * Registered by the mock server with `module.register()` so plugin code under
+ * `server/` and `common/` loads on plain Node:
+ * - transpiles .ts/.tsx on the fly with esbuild
+ * - resolves extensionless and directory imports (`./plugin`, `../common`)
+ * - honours `baseUrl` and `paths` from the plugin's tsconfig (following `extends`)
+ * - maps common `@kbn/*` server imports to the shims in ./shims
+ * - propagates the `?t=` reload query to the plugin's own files, so a hot
+ *   reload re-imports the whole plugin, not just its entry point
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { transform } from 'esbuild';
+
+const TS_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts'];
+const PROBE_SUFFIXES = [
+  '',
+  '.ts',
+  '.tsx',
+  '.mts',
+  '.js',
+  '.mjs',
+  '/index.ts',
+  '/index.tsx',
+  '/index.js',
+  '/index.mjs',
+];
+
+// Specifier → shim file. Shims marked `preferReal` are only used when the real
+// package can't be resolved from the plugin.
+const SHIMS = {
+  '@kbn/core/server': { file: 'kbn-core-server.mjs' },
+  '@kbn/core-saved-objects-server': { file: 'kbn-core-saved-objects-server.mjs' },
+  '@kbn/core-saved-objects-utils-server': { file: 'kbn-core-saved-objects-server.mjs' },
+  '@kbn/i18n': { file: 'kbn-i18n.mjs', preferReal: true },
+  '@kbn/config-schema': { file: 'kbn-config-schema.mjs', preferReal: true },
+  '@kbn/es-query': { file: 'kbn-es-query.mjs', preferReal: true },
+};
+
+// Compiler options that change esbuild's output
+const ESBUILD_COMPILER_OPTIONS = [
+  'experimentalDecorators',
+  'useDefineForClassFields',
+  'verbatimModuleSyntax',
+  'preserveValueImports',
+  'importsNotUsedAsValues',
+  'jsx',
+  'jsxFactory',
+  'jsxFragmentFactory',
+  'jsxImportSource',
+];
+
+const SHIMS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'shims');
+
+let pluginRoot = '';
+let tsconfig = { baseUrl: null, paths: [], compilerOptions: {} };
+
+// ─── tsconfig ──────────────────────────────────────────────────────
+
+function readJsonc(file) {
+  const content = fs
+    .readFileSync(file, 'utf-8')
+    // Strip comments, keeping `//` inside strings such as URLs
+    .replace(/("(?:\\.|[^"\\])*")|\/\/.*$|\/\*[\s\S]*?\*\//gm, (match, str) => str || '')
+    .replace(/,(\s*[}\]])/g, '$1');
+  return JSON.parse(content);
+}
+
+function resolveExtends(ext, fromDir) {
+  if (ext.startsWith('.') || path.isAbsolute(ext)) {
+    const file = path.resolve(fromDir, ext);
+    return file.endsWith('.json') ? file : `${file}.json`;
+  }
+  return createRequire(path.join(fromDir, 'tsconfig.json')).resolve(ext);
+}
+
+/**
+ * Loads a tsconfig and its `extends` chain. `baseUrl` is resolved against the
+ * config that declares it, and `paths` against the effective base.
+ */
+function loadTsconfig(file) {
+  const config = readJsonc(file);
+  const dir = path.dirname(file);
+  let result = { baseUrl: null, paths: null, pathsBase: null, compilerOptions: {} };
+
+  const parents = [config.extends || []].flat();
+  for (const parent of parents) {
+    try {
+      const inherited = loadTsconfig(resolveExtends(parent, dir));
+      const compilerOptions = { ...result.compilerOptions, ...inherited.compilerOptions };
+      result = { ...inherited, compilerOptions };
+    } catch {
+      // Unresolvable base configs (e.g. an uninstalled shared config) are skipped
+    }
+  }
+
+  const options = config.compilerOptions || {};
+  if (options.baseUrl) result.baseUrl = path.resolve(dir, options.baseUrl);
+  if (options.paths) {
+    result.paths = options.paths;
+    result.pathsBase = options.baseUrl ? result.baseUrl : dir;
+  }
+  result.compilerOptions = { ...result.compilerOptions, ...options };
+  return result;
+}
+
+function initTsconfig() {
+  const file = path.join(pluginRoot, 'tsconfig.json');
+  if (!fs.existsSync(file)) return;
+  try {
+    const loaded = loadTsconfig(file);
+    tsconfig = {
+      baseUrl: loaded.baseUrl,
+      compilerOptions: Object.fromEntries(
+        ESBUILD_COMPILER_OPTIONS.filter((key) => key in loaded.compilerOptions).map((key) => [
+          key,
+          loaded.compilerOptions[key],
+        ])
+      ),
+      paths: Object.entries(loaded.paths || {}).map(([pattern, targets]) => ({
+        prefix: pattern.split('*')[0],
+        suffix: pattern.includes('*') ? pattern.split('*')[1] : null,
+        targets: targets.map((target) => path.resolve(loaded.pathsBase, target)),
+      })),
+    };
+  } catch (error) {
+    console.warn(`⚠️  Could not read ${file}: ${error.message}`);
+  }
+}
+
+// ─── Hooks ─────────────────────────────────────────────────────────
+
+export function initialize(data) {
+  pluginRoot = data.pluginPath;
+  initTsconfig();
+}
+
+function probe(base) {
+  const candidates = PROBE_SUFFIXES.map((suffix) => base + suffix);
+  // TS sources imported with the .js extension they will be compiled to
+  if (base.endsWith('.js')) {
+    candidates.push(base.replace(/\.js$/, '.ts'), base.replace(/\.js$/, '.tsx'));
+  }
+  return candidates.find((candidate) => {
+    try {
+      return fs.statSync(candidate).isFile();
+    } catch {
+      return false;
+    }
+  });
+}
+
+function resolvePaths(specifier) {
+  for (const { prefix, suffix, targets } of tsconfig.paths) {
+    let wildcard;
+    if (suffix === null) {
+      if (specifier !== prefix) continue;
+    } else if (specifier.startsWith(prefix) && specifier.endsWith(suffix)) {
+      wildcard = specifier.slice(prefix.length, specifier.length - suffix.length);
+    } else {
+      continue;
+    }
+    for (const target of targets) {
+      const file = probe(wildcard === undefined ? target : target.replace('*', wildcard));
+      if (file) return file;
+    }
+  }
+  return null;
+}
+
+function isPluginFile(file) {
+  return (
+    file.startsWith(pluginRoot + path.sep) &&
+    !file.includes(`${path.sep}node_modules${path.sep}`)
+  );
+}
+
+function withReloadQuery(file, parentURL) {
+  const url = pathToFileURL(file);
+  const reload = parentURL && new URL(parentURL).searchParams.get('t');
+  if (reload && isPluginFile(file)) url.searchParams.set('t', reload);
+  return url.href;
+}
+
+function resolveShim(specifier) {
+  const url = pathToFileURL(path.join(SHIMS_DIR, SHIMS[specifier].file)).href;
+  return { url, shortCircuit: true };
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const { parentURL } = context;
+
+  if (SHIMS[specifier] && !SHIMS[specifier].preferReal) {
+    return resolveShim(specifier);
+  }
+
+  // Relative and absolute paths, probing for TypeScript extensions
+  if (parentURL?.startsWith('file:') && /^\.{1,2}(\/|$)|^\//.test(specifier)) {
+    const base = path.resolve(path.dirname(fileURLToPath(parentURL)), specifier);
+    const file = probe(base);
+    if (file) return { url: withReloadQuery(file, parentURL), shortCircuit: true };
+  }
+
+  // tsconfig paths, then baseUrl-relative bare imports
+  if (!specifier.startsWith('.') && !specifier.includes(':')) {
+    const file =
+      resolvePaths(specifier) || (tsconfig.baseUrl && probe(path.join(tsconfig.baseUrl, specifier)));
+    if (file) return { url: withReloadQuery(file, parentURL), shortCircuit: true };
+  }
+
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (SHIMS[specifier]) return resolveShim(specifier);
+    if (specifier.startsWith('@kbn/')) {
+      error.message +=
+        `\n  The mock server has no shim for "${specifier}". ` +
+        'Import types with `import type` or run inside a Kibana checkout.';
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (!url.startsWith('file:')) return nextLoad(url, context);
+
+  const file = fileURLToPath(url);
+  const ext = path.extname(file);
+
+  if (TS_EXTENSIONS.includes(ext)) {
+    const source = await fs.promises.readFile(file, 'utf-8');
+    const { code } = await transform(source, {
+      loader: ext === '.tsx' ? 'tsx' : 'ts',
+      format: 'esm',
+      target: 'node18',
+      sourcemap: 'inline',
+      sourcefile: file,
+      tsconfigRaw: { compilerOptions: tsconfig.compilerOptions },
+    });
+    return { format: 'module', source: code, shortCircuit: true };
+  }
+
+  // Plugins import JSON without import attributes, as TypeScript allows
+  if (ext === '.json' && isPluginFile(file)) {
+    const source = await fs.promises.readFile(file, 'utf-8');
+    return { format: 'module', source: `export default ${source};`, shortCircuit: true };
+  }
+
+  return nextLoad(url, context);
+}
@@ -0,0 +1,281 @@
+/**
+ * Mock uiSettings
+ *
+ * Emulates Kibana's advanced settings service:
+ * - core settings plugins most often read, with Kibana's defaults, plus the
+ *   ones the plugin registers with `core.uiSettings.register()`
+ * - values set per space, and per user for `scope: 'user'` settings or
+ *   user overrides from the mock config
+ * - `overrides` (kibana.yml's `uiSettings.overrides`) win over everything
+ *   and can't be changed
+ * - settings with a `schema` are validated when set
+ *
+ * Mock config section:
+ *
+ *   "uiSettings": {
+ *     "overrides": { "theme:darkMode": true },
+ *     "spaces": { "default": { "dateFormat:tz": "UTC" } },
+ *     "users": { "alice": { "dateFormat:tz": "Europe/Paris" } }
+ *   }
+ */
+
+export const CORE_UI_SETTINGS = {
+  dateFormat: {
+    name: 'Date format',
+    value: 'MMM D, YYYY @ HH:mm:ss.SSS',
+    type: 'string',
+    category: ['general'],
+  },
+  'dateFormat:tz': {
+    name: 'Timezone for date formatting',
+    value: 'Browser',
+    type: 'select',
+    category: ['general'],
+  },
+  'dateFormat:dow': {
+    name: 'Day of week',
+    value: 'Sunday',
+    type: 'select',
+    options: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    category: ['general'],
+  },
+  'dateFormat:scaled': {
+    name: 'Scaled date format',
+    value: JSON.stringify(
+      [
+        ['', 'HH:mm:ss.SSS'],
+        ['PT1S', 'HH:mm:ss'],
+        ['PT1M', 'HH:mm'],
+        ['PT1H', 'YYYY-MM-DD HH:mm'],
+        ['P1DT', 'YYYY-MM-DD'],
+        ['P1YT', 'YYYY'],
+      ],
+      null,
+      2
+    ),
+    type: 'json',
+    category: ['general'],
+  },
+  'format:number:defaultPattern': {
+    name: 'Number format',
+    value: '0,0.[000]',
+    type: 'string',
+    category: ['general'],
+  },
+  'format:percent:defaultPattern': {
+    name: 'Percent format',
+    value: '0,0.[000]%',
+    type: 'string',
+    category: ['general'],
+  },
+  'format:bytes:defaultPattern': {
+    name: 'Bytes format',
+    value: '0,0.[0]b',
+    type: 'string',
+    category: ['general'],
+  },
+  'timepicker:timeDefaults': {
+    name: 'Time filter defaults',
+    value: JSON.stringify({ from: 'now-15m', to: 'now' }, null, 2),
+    type: 'json',
+    category: ['timepicker'],
+  },
+  'timepicker:refreshIntervalDefaults': {
+    name: 'Time filter refresh interval',
+    value: JSON.stringify({ pause: true, value: 60000 }, null, 2),
+    type: 'json',
+    category: ['timepicker'],
+  },
+  'histogram:maxBars': {
+    name: 'Maximum buckets',
+    value: 100,
+    type: 'number',
+    category: ['search'],
+  },
+  'query:allowLeadingWildcards': {
+    name: 'Allow leading wildcards in query',
+    value: true,
+    type: 'boolean',
+    category: ['search'],
+  },
+  defaultIndex: {
+    name: 'Default data view',
+    value: null,
+    type: 'string',
+    category: ['general'],
+  },
+  'theme:darkMode': {
+    name: 'Dark mode',
+    value: false,
+    type: 'boolean',
+    category: ['appearance'],
+  },
+};
+
+// ─── Service ───────────────────────────────────────────────────────
+
+/** An invalid or forbidden change, answered with a 400. */
+export class UiSettingsError extends Error {
+  constructor(message) {
+    super(message);
+    this.statusCode = 400;
+  }
+}
+
+const copyLayers = (layers = {}) =>
+  Object.fromEntries(Object.entries(layers).map(([id, values]) => [id, { ...values }]));
+
+export class UiSettingsService {
+  constructor(config = {}) {
+    this.config = config;
+    this.registered = new Map(Object.entries(CORE_UI_SETTINGS));
+    this.fileOverrides = {};
+    this.reset();
+  }
+
+  /** Restores the values from the mock config. */
+  reset() {
+    this.overrides = { ...this.fileOverrides, ...this.config.overrides };
+    this.spaces = copyLayers(this.config.spaces);
+    this.users = copyLayers(this.config.users);
+  }
+
+  /** Drops the settings the plugin registered, before it is reloaded. */
+  resetRegistrations() {
+    this.registered = new Map(Object.entries(CORE_UI_SETTINGS));
+  }
+
+  /** Overrides from kibana.yml; the mock config's take precedence. */
+  setFileOverrides(overrides = {}) {
+    this.fileOverrides = overrides;
+    this.overrides = { ...overrides, ...this.config.overrides };
+  }
+
+  register(settings) {
+    for (const [key, definition] of Object.entries(settings)) {
+      if (this.registered.has(key) && !(key in CORE_UI_SETTINGS)) {
+        throw new Error(`uiSettings for the key [${key}] has been already registered`);
+      }
+      this.registered.set(key, definition);
+    }
+  }
+
+  isUserScoped(key, username) {
+    return this.registered.get(key)?.scope === 'user' || key in (this.users[username] || {});
+  }
+
+  /** Values set for a space and user, without defaults or overrides. */
+  getUserProvided({ spaceId = 'default', username } = {}) {
+    const userValues = (username && this.users[username]) || {};
+    return { ...this.spaces[spaceId], ...userValues };
+  }
+
+  /**
+   * Kibana's `{ key: { ...definition, userValue?, isOverridden? } }` view,
+   * as injected into the browser. Schemas are left out.
+   */
+  getSettings(scope) {
+    const userProvided = this.getUserProvided(scope);
+    const keys = new Set([
+      ...this.registered.keys(),
+      ...Object.keys(userProvided),
+      ...Object.keys(this.overrides),
+    ]);
+    return Object.fromEntries(
+      [...keys].map((key) => {
+        const { schema, ...definition } = this.registered.get(key) || {};
+        if (key in this.overrides) {
+          return [key, { ...definition, userValue: this.overrides[key], isOverridden: true }];
+        }
+        return [
+          key,
+          { ...definition, ...(key in userProvided && { userValue: userProvided[key] }) },
+        ];
+      })
+    );
+  }
+
+  validateValue(key, value) {
+    if (key in this.overrides) {
+      throw new UiSettingsError(`Unable to update "${key}" because it is overridden`);
+    }
+    const { schema } = this.registered.get(key) || {};
+    if (!schema || value === null || value === undefined) return;
+    try {
+      schema.validate(value);
+    } catch (error) {
+      throw new UiSettingsError(`[validation [${key}]]: ${error.message}`);
+    }
+  }
+
+  /** Sets a value the way Kibana's client does; `null` goes back to the default. */
+  setValue(key, value, { spaceId = 'default', username } = {}) {
+    this.validateValue(key, value);
+    if (username && this.isUserScoped(key, username)) {
+      this.writeLayer(this.users, username, { [key]: value });
+    } else {
+      this.writeLayer(this.spaces, spaceId, { [key]: value });
+    }
+  }
+
+  /**
+   * Sets values for a whole space, or for a user in every space, as the
+   * mock config does.
+   */
+  setLayerValues({ space = 'default', user, changes = {} }) {
+    Object.entries(changes).forEach(([key, value]) => this.validateValue(key, value));
+    if (user) this.writeLayer(this.users, user, changes);
+    else this.writeLayer(this.spaces, space, changes);
+  }
+
+  writeLayer(layers, id, changes) {
+    layers[id] ??= {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null || value === undefined) delete layers[id][key];
+      else layers[id][key] = value;
+    }
+  }
+
+  /** A server-side `IUiSettingsClient` for a space and user. */
+  createClient(scope = {}) {
+    const getAll = async () =>
+      Object.fromEntries(
+        Object.entries(this.getSettings(scope)).map(([key, setting]) => [
+          key,
+          'userValue' in setting ? setting.userValue : setting.value,
+        ])
+      );
+    const setMany = async (changes) => {
+      Object.entries(changes).forEach(([key, value]) => this.setValue(key, value, scope));
+    };
+
+    return {
+      get: async (key) => (await getAll())[key],
+      getAll,
+      getUserProvided: async () =>
+        Object.fromEntries(
+          Object.entries(this.getSettings(scope))
+            .filter(([, setting]) => 'userValue' in setting)
+            .map(([key, { userValue, isOverridden }]) => [
+              key,
+              { userValue, ...(isOverridden && { isOverridden }) },
+            ])
+        ),
+      getRegistered: () => Object.fromEntries(this.registered),
+      set: (key, value) => setMany({ [key]: value }),
+      setMany,
+      remove: (key) => setMany({ [key]: null }),
+      removeMany: (keys) => setMany(Object.fromEntries(keys.map((key) => [key, null]))),
+      isOverridden: (key) => key in this.overrides,
+      isSensitive: (key) => Boolean(this.registered.get(key)?.sensitive),
+    };
+  }
+
+  /** Everything the service holds, for `/__mock/ui_settings`. */
+  toJSON() {
+    const registered = Object.fromEntries(
+      [...this.registered].map(([key, { schema, ...definition }]) => [key, definition])
+    );
+    return { registered, overrides: this.overrides, spaces: this.spaces, users: this.users };
+  }
+}
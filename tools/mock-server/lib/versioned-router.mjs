@@ -0,0 +1,146 @@
+/**
+ * Versioned Router
+ *
+ * Emulates `router.versioned` from Kibana core:
+ * - `router.versioned.get({ path, access }).addVersion({ version, validate }, handler)`
+ *   for every HTTP method, with chained `addVersion` calls
+ * - public versions are dates (`2023-10-31`), internal ones whole numbers (`1`)
+ * - requests pick a version with the `elastic-api-version` header (or the
+ *   `apiVersion` query parameter when the route enables it); public routes
+ *   default to their latest version, internal routes require the header
+ * - missing, malformed and unknown versions get Kibana's 400 messages
+ * - request validation and, for documented status codes, response
+ *   validation run against the resolved version
+ */
+
+export const ELASTIC_HTTP_VERSION_HEADER = 'elastic-api-version';
+export const ELASTIC_HTTP_VERSION_QUERY_PARAM = 'apiVersion';
+
+const PUBLIC_VERSION_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const INTERNAL_VERSION_REGEX = /^[1-9][0-9]*$/;
+
+/** A version resolution failure, answered with a 400. */
+export class VersionedRouteError extends Error {}
+
+/** Returns Kibana's error message for an invalid version, or undefined. */
+export function validateRouteVersion(isPublic, version) {
+  if (isPublic) {
+    const date = new Date(`${version}T00:00:00Z`);
+    return PUBLIC_VERSION_REGEX.test(version) && date.toISOString().startsWith(version)
+      ? undefined
+      : `Invalid version. Received "${version}", expected a string date formatted as YYYY-MM-DD.`;
+  }
+  return INTERNAL_VERSION_REGEX.test(version)
+    ? undefined
+    : `Invalid version number. Received "${version}", expected a string containing _only_ a finite, whole number greater than 0.`;
+}
+
+function compareVersions(a, b) {
+  return INTERNAL_VERSION_REGEX.test(a) && INTERNAL_VERSION_REGEX.test(b)
+    ? Number(a) - Number(b)
+    : a.localeCompare(b);
+}
+
+export class VersionedRoute {
+  constructor(method, config) {
+    this.method = method;
+    this.path = config.path;
+    this.config = config;
+    this.isPublic = config.access === 'public';
+    this.versions = new Map();
+  }
+
+  addVersion(options, handler) {
+    const { version } = options;
+    const invalid = validateRouteVersion(this.isPublic, version);
+    if (invalid) throw new Error(invalid);
+    if (this.versions.has(version)) {
+      throw new Error(
+        `Version "${version}" handler has already been registered for the route ` +
+          `[${this.method}] [${this.path}]`
+      );
+    }
+    this.versions.set(version, { ...options, handler });
+    console.log(`  📍 ${this.method.toUpperCase()} ${this.path} (version ${version})`);
+    return this;
+  }
+
+  getHandlers() {
+    return [...this.versions.values()];
+  }
+
+  /** The `{ request, response }` validation of a version, resolving lazy configs. */
+  getValidation(version) {
+    const { validate } = this.versions.get(version) || {};
+    const config = typeof validate === 'function' ? validate() : validate;
+    return { request: config?.request || {}, response: config?.response };
+  }
+
+  getLatestVersion() {
+    return [...this.versions.keys()].sort(compareVersions).pop();
+  }
+
+  versionsToString() {
+    return this.versions.size ? `[${[...this.versions.keys()].join(', ')}]` : '<none>';
+  }
+
+  /**
+   * Picks the version a request targets. Returns the version's options and
+   * handler, and the query without the `apiVersion` parameter.
+   */
+  resolve({ headers = {}, query = {} }) {
+    let version = headers[ELASTIC_HTTP_VERSION_HEADER];
+    let remainingQuery = query;
+
+    if (this.config.enableQueryVersion && query[ELASTIC_HTTP_VERSION_QUERY_PARAM]) {
+      const { [ELASTIC_HTTP_VERSION_QUERY_PARAM]: queryVersion, ...rest } = query;
+      version = queryVersion;
+      remainingQuery = rest;
+    }
+
+    if (!version) {
+      if (!this.isPublic) {
+        throw new VersionedRouteError(
+          `Please specify a version via ${ELASTIC_HTTP_VERSION_HEADER} header. ` +
+            `Available versions: ${this.versionsToString()}`
+        );
+      }
+      version = this.getLatestVersion();
+    }
+
+    const invalid = validateRouteVersion(this.isPublic, version);
+    if (invalid) throw new VersionedRouteError(invalid);
+
+    const resolved = this.versions.get(version);
+    if (!resolved) {
+      throw new VersionedRouteError(
+        `No version "${version}" available for [${this.method}] [${this.path}]. ` +
+          `Available versions are: ${this.versionsToString()}`
+      );
+    }
+    return { ...resolved, ...this.getValidation(version), version, query: remainingQuery };
+  }
+}
+
+/**
+ * Creates `router.versioned`. `onRoute` is called once per versioned route
+ * with the VersionedRoute that `addVersion` fills in.
+ */
+export function createVersionedRouter(onRoute) {
+  const routes = [];
+  const register = (method) => (config) => {
+    const route = new VersionedRoute(method, config);
+    routes.push(route);
+    onRoute(route);
+    return route;
+  };
+
+  return {
+    get: register('get'),
+    post: register('post'),
+    put: register('put'),
+    delete: register('delete'),
+    patch: register('patch'),
+    getRoutes: () => [...routes],
+  };
+}
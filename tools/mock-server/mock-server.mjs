@@ -8,13 +8,19 @@
  *
  * Features:
  * - Mocks core.http router patterns
- * - Connects to real Elasticsearch (or mocks it)
- * - Simulates saved objects client
- * - Simulates security context
+ * - Connects to real Elasticsearch (or emulates it in memory, or records and replays it)
+ * - Simulates saved objects client and Spaces
+ * - Simulates security (users, roles, route privileges)
+ * - Runs the plugin lifecycle (plugin → setup → start → stop)
+ * - Loads plugin TypeScript directly (esbuild-based loader)
  * - Hot reloads your plugin code on change
+ * - Runs declarative route scenario tests in-process (`test` command)
+ * - Generates an OpenAPI document from the registered routes
  *
  * Usage:
  *   PLUGIN_PATH=./my-plugin ES_URL=http://localhost:9200 node mock-server.mjs
+ *   PLUGIN_PATH=./my-plugin node mock-server.mjs test [scenarios...] [--reporter junit]
+ *   PLUGIN_PATH=./my-plugin node mock-server.mjs openapi [--output oas.json]
  *
  * Your plugin routes work at http://localhost:3000/api/your_plugin/...
  */
@@ -23,161 +29,216 @@ import express from 'express';
 import { Client } from '@elastic/elasticsearch';
 import { watch } from 'chokidar';
 import { pathToFileURL } from 'url';
+import { relative, resolve } from 'path';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { parseArgs } from 'util';
+import * as nodeModule from 'module';
+import { loadConfigSchema, ValidationError as BundledValidationError } from './lib/config-schema.mjs';
+import { SavedObjectsStore, readFixtureFile } from './lib/saved-objects-store.mjs';
+import { SavedObjectTypeRegistry } from './lib/saved-objects-types.mjs';
+import { createSavedObjectsClient } from './lib/saved-objects-client.mjs';
+import {
+  SavedObjectsIOError,
+  exportSavedObjects,
+  importSavedObjects,
+  parseImportPayload,
+} from './lib/saved-objects-io.mjs';
+import {
+  KIBANA_VERSION,
+  createPluginInitializerContext,
+  readPluginManifest,
+} from './lib/plugin-context.mjs';
+import { loadMockConfig } from './lib/mock-config.mjs';
+import { loadKibanaConfig, readPluginConfig } from './lib/kibana-config.mjs';
+import { AuthError, MockSecurity } from './lib/security.mjs';
+import { MockSpaces, spaceIdToNamespace } from './lib/spaces.mjs';
+import { createRecordingClient, createReplayClient } from './lib/es-recorder.mjs';
+import { ElasticsearchEmulator } from './lib/es-emulator.mjs';
+import {
+  REPORTERS,
+  createRecordedResponse,
+  findScenarioFiles,
+  readSeedFile,
+  runScenarioFiles,
+  summarize,
+} from './lib/test-runner.mjs';
+import {
+  generateOpenApiDocument,
+  getRouteAccess,
+  renderExplorerPage,
+  swaggerUiDir,
+  toJsonSchema,
+} from './lib/openapi.mjs';
+import {
+  ELASTIC_HTTP_VERSION_HEADER,
+  VersionedRouteError,
+  createVersionedRouter,
+} from './lib/versioned-router.mjs';
+import {
+  KibanaResponse,
+  isKibanaResponse,
+  kibanaResponseFactory,
+  sendKibanaResponse,
+  toErrorBody,
+} from './lib/response-factory.mjs';
+import { createBrowserApp, renderShell } from './lib/browser-app.mjs';
+import { RequestLog } from './lib/request-log.mjs';
+import { FaultInjector, FaultRuleError } from './lib/fault-injection.mjs';
+import { UiSettingsError, UiSettingsService } from './lib/ui-settings.mjs';
+import { MockTaskManager } from './lib/task-manager.mjs';
 
 // ─── Configuration ─────────────────────────────────────────────────
 
+const [COMMAND, ...COMMAND_ARGS] = process.argv.slice(2);
+const TEST_MODE = COMMAND === 'test';
+
+// CLI commands keep stdout for their output, so logs go to stderr
+if (TEST_MODE || COMMAND === 'openapi') console.log = console.info = console.error;
+
 const PORT = process.env.PORT || 3000;
 const PLUGIN_PATH = process.env.PLUGIN_PATH || './';
 const ES_URL = process.env.ES_URL || 'http://localhost:9200';
 const ES_USERNAME = process.env.ES_USERNAME || 'elastic';
 const ES_PASSWORD = process.env.ES_PASSWORD || 'changeme';
-const MOCK_ES = process.env.MOCK_ES === 'true';
+// Route tests use the in-memory Elasticsearch unless told otherwise
+const MOCK_ES =
+  process.env.MOCK_ES === 'true' || (TEST_MODE && !process.env.MOCK_ES && !process.env.ES_MODE);
+const ES_MODE = process.env.ES_MODE || 'live';
+const ES_FIXTURES_DIR = process.env.ES_FIXTURES_DIR || `${PLUGIN_PATH}/es-fixtures`;
+const ES_FIXTURES_IGNORE = (process.env.ES_FIXTURES_IGNORE || '').split(',').filter(Boolean);
+const SAVED_OBJECTS_DIR = process.env.SAVED_OBJECTS_DIR || '';
+const SAVED_OBJECTS_SEED = process.env.SAVED_OBJECTS_SEED || '';
+const MOCK_CONFIG = process.env.MOCK_CONFIG || `${PLUGIN_PATH}/mock.config.json`;
+const KIBANA_CONFIG = process.env.KIBANA_CONFIG || `${PLUGIN_PATH}/kibana.dev.yml`;
+const REQUEST_LOG_SIZE = Number(process.env.REQUEST_LOG_SIZE) || 100;
+const TASK_POLL_INTERVAL = Number(process.env.TASK_POLL_INTERVAL ?? 3000);
+
+const mockConfig = loadMockConfig(MOCK_CONFIG);
+const manifest = readPluginManifest(PLUGIN_PATH);
+
+// ─── TypeScript Loader ─────────────────────────────────────────────
+
+// Transpiles plugin TypeScript and maps @kbn/* server imports to shims
+if (typeof nodeModule.register === 'function') {
+  nodeModule.register('./lib/ts-loader.mjs', import.meta.url, {
+    data: { pluginPath: resolve(PLUGIN_PATH) },
+  });
+} else {
+  console.warn('⚠️  Node.js 18.19+ or 20.6+ is required to load TypeScript plugin code');
+}
 
 // ─── Elasticsearch Client ──────────────────────────────────────────
 
 let esClient;
+let esEmulator = null;
+
+const esFixtures = { dir: resolve(ES_FIXTURES_DIR), ignoreKeys: ES_FIXTURES_IGNORE };
 
-if (!MOCK_ES) {
+if (MOCK_ES) {
+  // In-memory Elasticsearch for fully offline development
+  esEmulator = new ElasticsearchEmulator();
+  esClient = esEmulator.createClient();
+  console.log('⚠️  Running with in-memory Elasticsearch');
+} else if (ES_MODE === 'replay') {
+  // Serves responses recorded with ES_MODE=record, no cluster needed
+  esClient = createReplayClient(esFixtures);
+} else {
   esClient = new Client({
     node: ES_URL,
     auth: { username: ES_USERNAME, password: ES_PASSWORD },
     tls: { rejectUnauthorized: false },
   });
-} else {
-  // Mock ES client for fully offline development
-  esClient = {
-    search: async () => ({ hits: { hits: [], total: { value: 0 } } }),
-    index: async (params) => ({ _id: `mock-${Date.now()}`, result: 'created' }),
-    get: async () => ({ _source: {}, found: true }),
-    delete: async () => ({ result: 'deleted' }),
-    bulk: async () => ({ items: [], errors: false }),
-    indices: {
-      exists: async () => true,
-      create: async () => ({ acknowledged: true }),
-      getMapping: async () => ({}),
-    },
-  };
-  console.log('⚠️  Running with mocked Elasticsearch');
+  if (ES_MODE === 'record') {
+    esClient = createRecordingClient(esClient, esFixtures);
+  } else if (ES_MODE !== 'live') {
+    console.warn(`⚠️  Unknown ES_MODE "${ES_MODE}", using live Elasticsearch`);
+  }
+}
+
+// Latency and errors from the `faults` section of the mock config
+const faults = new FaultInjector(mockConfig.faults);
+esClient = faults.wrapElasticsearchClient(esClient);
+
+function describeEsMode() {
+  if (MOCK_ES) return 'IN-MEMORY';
+  if (ES_MODE === 'replay') return `REPLAY from ${ES_FIXTURES_DIR}`;
+  if (ES_MODE === 'record') return `${ES_URL} (recording to ${ES_FIXTURES_DIR})`;
+  return ES_URL;
 }
 
 // ─── Mock Saved Objects Client ─────────────────────────────────────
 
-const savedObjectsStore = new Map();
-
-const mockSavedObjectsClient = {
-  async create(type, attributes, options = {}) {
-    const id = options.id || `${type}-${Date.now()}`;
-    const doc = {
-      id,
-      type,
-      attributes,
-      references: options.references || [],
-      updated_at: new Date().toISOString(),
-      version: 'WzEsMV0=',
-    };
-    savedObjectsStore.set(`${type}:${id}`, doc);
-    return doc;
-  },
+const savedObjectTypes = new SavedObjectTypeRegistry();
 
-  async get(type, id) {
-    const doc = savedObjectsStore.get(`${type}:${id}`);
-    if (!doc) {
-      const error = new Error(`Saved object [${type}/${id}] not found`);
-      error.output = { statusCode: 404 };
-      throw error;
-    }
-    return doc;
-  },
+// Route tests never write to the persistent store
+const savedObjectsStore = new SavedObjectsStore({
+  dir: SAVED_OBJECTS_DIR && !TEST_MODE && resolve(SAVED_OBJECTS_DIR),
+  prepare: (doc) => savedObjectTypes.prepareDocument(doc),
+});
 
-  async find(options) {
-    const { type, search, searchFields, page = 1, perPage = 20 } = options;
-    let results = [...savedObjectsStore.values()];
+// Fixture paths are relative to the plugin so fixture sets can live in its repo
+function seedSavedObjects(file = SAVED_OBJECTS_SEED, options = {}) {
+  if (!file) return 0;
+  return savedObjectsStore.seed(readFixtureFile(resolve(PLUGIN_PATH, file)), options);
+}
 
-    if (type) {
-      const types = Array.isArray(type) ? type : [type];
-      results = results.filter((doc) => types.includes(doc.type));
-    }
+if (SAVED_OBJECTS_SEED && savedObjectsStore.size === 0) {
+  seedSavedObjects();
+}
 
-    if (search && searchFields) {
-      const searchLower = search.toLowerCase();
-      results = results.filter((doc) =>
-        searchFields.some((field) =>
-          String(doc.attributes[field] || '').toLowerCase().includes(searchLower)
-        )
-      );
-    }
+/**
+ * Creates a saved objects client over the shared store, scoped to a
+ * namespace (space) and optionally including hidden types.
+ */
+function createMockSavedObjectsClient({ namespace, includedHiddenTypes } = {}) {
+  const client = createSavedObjectsClient({
+    store: savedObjectsStore,
+    typeRegistry: savedObjectTypes,
+    namespace,
+    includedHiddenTypes,
+  });
+  return faults.wrapSavedObjectsClient(client);
+}
 
-    const total = results.length;
-    const start = (page - 1) * perPage;
-    const paginated = results.slice(start, start + perPage);
+// ─── Mock Security & Spaces ────────────────────────────────────────
 
-    return {
-      saved_objects: paginated,
-      total,
-      page,
-      per_page: perPage,
-    };
-  },
+// Users and roles from the `security` section of the mock config
+const security = new MockSecurity(mockConfig.security);
 
-  async update(type, id, attributes, options = {}) {
-    const existing = await this.get(type, id);
-    const updated = {
-      ...existing,
-      attributes: { ...existing.attributes, ...attributes },
-      references: options.references || existing.references,
-      updated_at: new Date().toISOString(),
-    };
-    savedObjectsStore.set(`${type}:${id}`, updated);
-    return updated;
-  },
+// Spaces from the `spaces` section of the mock config
+const spaces = new MockSpaces(mockConfig.spaces);
 
-  async delete(type, id) {
-    const key = `${type}:${id}`;
-    if (!savedObjectsStore.has(key)) {
-      const error = new Error(`Saved object [${type}/${id}] not found`);
-      error.output = { statusCode: 404 };
-      throw error;
-    }
-    savedObjectsStore.delete(key);
-    return {};
-  },
+// Creates the saved objects client scoped to the space of a request
+function getScopedSavedObjectsClient(request, options = {}) {
+  const namespace = spaceIdToNamespace(spaces.getSpaceId(request));
+  return createMockSavedObjectsClient({ namespace, ...options });
+}
 
-  async bulkCreate(objects) {
-    return {
-      saved_objects: await Promise.all(
-        objects.map((obj) => this.create(obj.type, obj.attributes, obj))
-      ),
-    };
-  },
+// ─── Mock uiSettings ───────────────────────────────────────────────
 
-  async bulkGet(objects) {
-    return {
-      saved_objects: await Promise.all(
-        objects.map(async (obj) => {
-          try {
-            return await this.get(obj.type, obj.id);
-          } catch (e) {
-            return { id: obj.id, type: obj.type, error: { statusCode: 404 } };
-          }
-        })
-      ),
-    };
-  },
-};
+// Advanced settings from the `uiSettings` section of the mock config
+const uiSettings = new UiSettingsService(mockConfig.uiSettings);
+
+function getScopedUiSettingsClient(request) {
+  return uiSettings.createClient({
+    spaceId: spaces.getSpaceId(request),
+    username: security.getCurrentUser(request)?.username,
+  });
+}
 
-// ─── Mock Security ─────────────────────────────────────────────────
+// ─── Mock Task Manager ─────────────────────────────────────────────
 
-const mockUser = {
-  username: 'dev-user',
-  roles: ['superuser'],
-  full_name: 'Development User',
-  email: 'dev@localhost',
-};
+// Route tests run tasks through the admin API only, never on a timer
+const taskManager = new MockTaskManager({ pollInterval: TEST_MODE ? 0 : TASK_POLL_INTERVAL });
 
 // ─── Mock Request Context ──────────────────────────────────────────
 
-function createMockContext() {
-  return {
+// Providers registered via core.http.registerRouteHandlerContext
+const routeHandlerContexts = new Map();
+
+function createMockContext(request) {
+  const savedObjectsClient = getScopedSavedObjectsClient(request);
+  const context = {
     core: Promise.resolve({
       elasticsearch: {
         client: {
@@ -186,64 +247,114 @@ function createMockContext() {
         },
       },
       savedObjects: {
-        client: mockSavedObjectsClient,
-        getClient: () => mockSavedObjectsClient,
+        client: savedObjectsClient,
+        typeRegistry: savedObjectTypes,
+        getClient: (options) => getScopedSavedObjectsClient(request, options),
       },
       uiSettings: {
-        client: {
-          get: async (key) => null,
-          getAll: async () => ({}),
+        client: getScopedUiSettingsClient(request),
+      },
+      security: {
+        authc: {
+          getCurrentUser: () => security.getCurrentUser(request),
         },
       },
     }),
   };
+
+  for (const [name, provider] of routeHandlerContexts) {
+    context[name] = Promise.resolve().then(() => provider(context, request));
+  }
+  return context;
 }
 
-// ─── Mock Response ─────────────────────────────────────────────────
+// ─── Response Validation ───────────────────────────────────────────
 
-function createMockResponse(res) {
-  return {
-    ok: (options = {}) => {
-      res.status(200).json(options.body || {});
-      return { status: 200 };
-    },
-    created: (options = {}) => {
-      res.status(201).json(options.body || {});
-      return { status: 201 };
-    },
-    noContent: () => {
-      res.status(204).send();
-      return { status: 204 };
-    },
-    badRequest: (options = {}) => {
-      res.status(400).json({ message: options.body?.message || 'Bad request' });
-      return { status: 400 };
-    },
-    notFound: (options = {}) => {
-      res.status(404).json({ message: options.body?.message || 'Not found' });
-      return { status: 404 };
-    },
-    forbidden: (options = {}) => {
-      res.status(403).json({ message: options.body?.message || 'Forbidden' });
-      return { status: 403 };
-    },
-    customError: (options) => {
-      res.status(options.statusCode || 500).json({ message: options.body?.message || 'Error' });
-      return { status: options.statusCode };
-    },
-  };
+class ResponseValidationError extends Error {}
+
+/**
+ * Validates a handler's response against a versioned route's
+ * `validate.response`: only statuses it documents with a body rule are checked.
+ */
+function validateResponse(response, responseValidation) {
+  const rule = responseValidation?.[response.status]?.body;
+  if (!rule) return response;
+  try {
+    const body = validateWithSchema(
+      typeof rule === 'function' ? rule() : rule,
+      response.payload,
+      'response body'
+    );
+    return new KibanaResponse(response.status, body, response.options);
+  } catch (error) {
+    throw new ResponseValidationError(`Failed output validation: ${error.message}`);
+  }
 }
 
-// ─── Schema Validator (simplified) ─────────────────────────────────
+// ─── Route Validation ──────────────────────────────────────────────
+
+// Real @kbn/config-schema when the plugin can resolve it, bundled copy otherwise
+const configSchema = await loadConfigSchema(PLUGIN_PATH);
+
+class RouteValidationError extends Error {
+  constructor(error, path = []) {
+    super(typeof error === 'string' ? error : error.message);
+    this.path = path;
+  }
+}
+
+const validationResultFactory = {
+  ok: (value) => ({ value }),
+  badRequest: (error, path) => ({ error: new RouteValidationError(error, path) }),
+};
+
+function isSchemaValidationError(error) {
+  return (
+    error instanceof configSchema.ValidationError ||
+    error instanceof BundledValidationError ||
+    error?.constructor?.name === 'ValidationError'
+  );
+}
+
+function getRequestValidation(validate) {
+  const config = typeof validate === 'function' ? validate() : validate;
+  if (!config) return {};
+  return config.request || config;
+}
+
+// Route-level response validation only documents responses in the OpenAPI spec
+function getResponseValidation(validate) {
+  const config = typeof validate === 'function' ? validate() : validate;
+  return config?.request ? config.response : undefined;
+}
+
+/**
+ * Validates one part of the request the way Kibana's RouteValidator does:
+ * config-schema types get coercion and defaults, validation functions get the
+ * `{ ok, badRequest }` factory, and input without a rule is dropped.
+ */
+function validateWithSchema(schema, data, namespace) {
+  if (!schema) return {};
 
-function validateWithSchema(schema, data) {
-  // Simplified validation — in real usage, you'd use @kbn/config-schema
-  // This just passes through for dev purposes
-  if (!schema) return data;
   if (typeof schema.validate === 'function') {
-    return schema.validate(data);
+    try {
+      return schema.validate(data, {}, namespace);
+    } catch (error) {
+      if (isSchemaValidationError(error)) throw new RouteValidationError(error);
+      throw error;
+    }
+  }
+
+  if (typeof schema === 'function') {
+    const result = schema(data, validationResultFactory);
+    if (result?.error) {
+      const { path, message } = result.error;
+      throw new RouteValidationError(`[${[namespace, ...path].join('.')}]: ${message}`);
+    }
+    return result?.value;
   }
-  return data;
+
+  throw new Error(`The validation rule provided in the handler is not valid`);
 }
 
 // ─── Router Registry ──────────────────────────────────────────────
@@ -255,7 +366,10 @@ function createMockRouter() {
     routes.push({
       method,
       path: config.path,
-      validate: config.validate || {},
+      validate: getRequestValidation(config.validate),
+      response: getResponseValidation(config.validate),
+      options: config.options || {},
+      security: config.security,
       handler,
     });
     console.log(`  📍 ${method.toUpperCase()} ${config.path}`);
@@ -267,6 +381,18 @@ function createMockRouter() {
     put: register('put'),
     delete: register('delete'),
     patch: register('patch'),
+    // Versioned routes are dispatched by the version the request asks for
+    versioned: createVersionedRouter((versioned) => {
+      routes.push({
+        method: versioned.method,
+        path: versioned.path,
+        validate: {},
+        options: { ...versioned.config.options, access: versioned.config.access },
+        security: versioned.config.security,
+        handler: null,
+        versioned,
+      });
+    }),
   };
 }
 
@@ -275,69 +401,682 @@ function createMockRouter() {
 const app = express();
 app.use(express.json());
 
+// Match Kibana's query parsing: repeated keys become arrays, no nested objects
+app.set('query parser', 'simple');
+
 // CORS for local development
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, kbn-xsrf, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, kbn-xsrf, Authorization, X-Mock-User');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
 
+// Spaces: /s/{spaceId}/api/... is routed like /api/... within that space
+app.use((req, res, next) => {
+  const { spaceId, url } = spaces.parseUrl(req.url);
+  req.spaceId = spaceId;
+  req.url = url;
+  next();
+});
+
+// The last requests and responses, for /__mock/requests
+const requestLog = new RequestLog({ size: REQUEST_LOG_SIZE });
+
+app.use(
+  requestLog.middleware({
+    skip: (req) => req.path.startsWith('/__mock'),
+    getUser: (req) => {
+      try {
+        return security.authenticate(req.headers)?.username ?? null;
+      } catch {
+        return undefined; // Unknown users are answered with a 401
+      }
+    },
+  })
+);
+
 // Health check
 app.get('/api/status', (req, res) => {
   res.json({ status: 'ok', mock: true, routes: routes.length });
 });
 
-// ─── Route Loader ──────────────────────────────────────────────────
+// OpenAPI document and explorer
+function createOpenApiDocument(access) {
+  const packageFile = resolve(PLUGIN_PATH, 'package.json');
+  const version = existsSync(packageFile)
+    ? JSON.parse(readFileSync(packageFile, 'utf-8')).version
+    : undefined;
+  return generateOpenApiDocument(routes, {
+    title: manifest.id,
+    version,
+    serverUrl: `http://localhost:${PORT}`,
+    access,
+  });
+}
 
-async function loadPluginRoutes() {
+app.get('/__mock/openapi.json', (req, res) => {
+  res.json(createOpenApiDocument(req.query.access));
+});
+
+app.use('/__mock/docs/assets', express.static(swaggerUiDir));
+
+app.get('/__mock/docs', (req, res) => {
+  const query = req.query.access ? `?access=${encodeURIComponent(req.query.access)}` : '';
+  res.type('html').send(
+    renderExplorerPage({
+      title: manifest.id,
+      specUrl: `/__mock/openapi.json${query}`,
+      assetsUrl: '/__mock/docs/assets',
+    })
+  );
+});
+
+// Saved objects fixtures
+app.post('/__mock/saved_objects/_seed', (req, res) => {
+  const { file, objects, reset = false } = req.body || {};
+  try {
+    const seeded = objects
+      ? savedObjectsStore.seed(objects, { reset })
+      : seedSavedObjects(file, { reset });
+    res.json({ seeded, total: savedObjectsStore.size });
+  } catch (error) {
+    res.status(400).json({ statusCode: 400, error: 'Bad Request', message: error.message });
+  }
+});
+
+app.post('/__mock/saved_objects/_reset', (req, res) => {
+  savedObjectsStore.clear();
+  const seeded = seedSavedObjects();
+  res.json({ seeded, total: savedObjectsStore.size });
+});
+
+// ─── Admin API ─────────────────────────────────────────────────────
+
+app.get('/__mock', (req, res) => {
+  res.json({
+    plugin: manifest.id,
+    routes: routes.length,
+    savedObjects: savedObjectsStore.size,
+    user: security.defaultUser ?? null,
+    endpoints: [
+      'GET /__mock/routes',
+      'GET|DELETE /__mock/saved_objects',
+      'POST /__mock/saved_objects/_seed',
+      'POST /__mock/saved_objects/_reset',
+      'GET|DELETE /__mock/requests',
+      'GET /__mock/requests/:id',
+      'GET|PUT /__mock/user',
+      'POST /__mock/reload',
+      'GET|POST|DELETE /__mock/faults',
+      'POST /__mock/faults/_reset',
+      'DELETE /__mock/faults/:id',
+      'GET /__mock/tasks',
+      'GET|DELETE /__mock/tasks/:id',
+      'POST /__mock/tasks/:id/_run',
+      'GET|POST|DELETE /__mock/ui_settings',
+      'GET /__mock/openapi.json',
+      'GET /__mock/docs',
+    ],
+  });
+});
+
+const describeValidation = ({ params, query, body } = {}) =>
+  Object.fromEntries(
+    Object.entries({ params, query, body })
+      .filter(([, rule]) => rule)
+      .map(([name, rule]) => [name, toJsonSchema(rule)])
+  );
+
+function describeRoute(route) {
+  const { method, path, options, security: routeSecurity, versioned } = route;
+  return {
+    method: method.toUpperCase(),
+    path,
+    access: getRouteAccess(route),
+    ...(options.tags?.length && { tags: options.tags }),
+    ...(routeSecurity && { security: routeSecurity }),
+    ...(versioned
+      ? {
+          versions: Object.fromEntries(
+            [...versioned.versions.keys()].map((version) => {
+              const { request, response = {} } = versioned.getValidation(version);
+              const responses = Object.keys(response).filter((status) => /^\d{3}$/.test(status));
+              return [version, { validate: describeValidation(request), responses }];
+            })
+          ),
+        }
+      : {
+          validate: describeValidation(route.validate),
+          responses: Object.keys(route.response || {}).filter((status) => /^\d{3}$/.test(status)),
+        }),
+  };
+}
+
+app.get('/__mock/routes', (req, res) => {
+  res.json(routes.map(describeRoute));
+});
+
+// The raw documents in the store, optionally of some types (?type=a,b)
+app.get('/__mock/saved_objects', (req, res) => {
+  const types = req.query.type ? [req.query.type].flat().join(',').split(',') : null;
+  const objects = [...savedObjectsStore.values()].filter(
+    (doc) => !types || types.includes(doc.type)
+  );
+  res.json({ total: objects.length, saved_objects: objects });
+});
+
+// Empties the store without re-seeding it
+app.delete('/__mock/saved_objects', (req, res) => {
+  const deleted = savedObjectsStore.size;
+  savedObjectsStore.clear();
+  res.json({ deleted, total: savedObjectsStore.size });
+});
+
+app.get('/__mock/requests', (req, res) => {
+  const limit = Number(req.query.limit) || undefined;
+  res.json({ total: requestLog.entries.length, requests: requestLog.list({ limit }) });
+});
+
+app.get('/__mock/requests/:id', (req, res) => {
+  const entry = requestLog.get(Number(req.params.id));
+  if (!entry) return res.status(404).json(toErrorBody(404, `Request [${req.params.id}] not found`));
+  res.json(entry);
+});
+
+app.delete('/__mock/requests', (req, res) => {
+  requestLog.clear();
+  res.json({ total: 0 });
+});
+
+// The user requests run as when they send no credentials
+const describeUsers = () => ({
+  user: security.defaultUser ?? null,
+  users: Object.keys(security.users),
+});
+
+app.get('/__mock/user', (req, res) => res.json(describeUsers()));
+
+// { "username": "alice" }, or null for anonymous requests
+app.put('/__mock/user', (req, res) => {
+  const { username } = req.body || {};
+  try {
+    if (username === undefined) throw new Error('[username]: expected a username or null');
+    security.setDefaultUser(username);
+    res.json(describeUsers());
+  } catch (error) {
+    res.status(400).json(toErrorBody(400, error.message));
+  }
+});
+
+// Fault rules for Elasticsearch and saved objects: one rule or a list
+app.get('/__mock/faults', (req, res) => res.json(faults));
+
+app.post('/__mock/faults', (req, res) => {
+  try {
+    const added = [req.body].flat().map((rule) => faults.add(rule));
+    res.json(Array.isArray(req.body) ? added : added[0]);
+  } catch (error) {
+    if (!(error instanceof FaultRuleError)) throw error;
+    res.status(400).json(toErrorBody(400, error.message));
+  }
+});
+
+app.post('/__mock/faults/_reset', (req, res) => {
+  faults.reset();
+  res.json(faults);
+});
+
+app.delete('/__mock/faults', (req, res) => {
+  faults.clear();
+  res.json(faults);
+});
+
+app.delete('/__mock/faults/:id', (req, res) => {
+  if (!faults.remove(req.params.id)) {
+    return res.status(404).json(toErrorBody(404, `Fault [${req.params.id}] not found`));
+  }
+  res.json(faults);
+});
+
+// Task definitions and scheduled tasks, with their last runs
+app.get('/__mock/tasks', (req, res) => res.json(taskManager));
+
+app.get('/__mock/tasks/:id', (req, res) => {
+  const task = taskManager.describeTask(req.params.id);
+  if (!task) return res.status(404).json(toErrorBody(404, `Task [${req.params.id}] not found`));
+  res.json(task);
+});
+
+// Runs a task now, whatever its schedule, and answers with the run once done
+app.post('/__mock/tasks/:id/_run', async (req, res) => {
+  try {
+    res.json(await taskManager.runTask(req.params.id, { manual: true }));
+  } catch (error) {
+    const statusCode = error.output?.statusCode ?? error.statusCode ?? 500;
+    res.status(statusCode).json(toErrorBody(statusCode, error.message));
+  }
+});
+
+app.delete('/__mock/tasks/:id', (req, res) => {
+  if (!taskManager.tasks.delete(req.params.id)) {
+    return res.status(404).json(toErrorBody(404, `Task [${req.params.id}] not found`));
+  }
+  res.json(taskManager);
+});
+
+// Reloads the plugin, as a file change would
+app.post('/__mock/reload', async (req, res) => {
+  console.log('\n🔄 Reload requested\nReloading plugin...\n');
+  const loaded = await loadPlugin();
+  browserApp.invalidate();
+  res.status(loaded ? 200 : 500).json({ loaded, routes: routes.length });
+});
+
+// ─── Kibana Routes ─────────────────────────────────────────────────
+
+// Kibana's own /api and /internal routes, which scenario tests dispatch to as well
+const kibanaRoutes = [];
+
+/**
+ * Registers a built-in route on the app and for `dispatchRequest`. With `raw`,
+ * the body arrives as a Buffer unless express.json() has parsed it already.
+ */
+function registerKibanaRoute(method, path, handler, { raw = false } = {}) {
+  const regex = new RegExp('^' + path.replace(/:\w+/g, '([^/]+)') + '$');
+  const paramNames = [...path.matchAll(/:(\w+)/g)].map((m) => m[1]);
+  kibanaRoutes.push({ method, regex, paramNames, handler, raw });
+  if (raw) {
+    app[method](path, express.raw({ type: () => true, limit: '50mb' }), handler);
+  } else {
+    app[method](path, handler);
+  }
+}
+
+// Saved objects import/export, as exposed by Kibana
+function sendSavedObjectsError(res, error) {
+  if (error instanceof AuthError) {
+    return res.status(error.statusCode).json(error.toResponseBody());
+  }
+  const statusCode = error instanceof SavedObjectsIOError ? error.statusCode : 500;
+  if (statusCode === 500) console.error('Saved objects import/export failed:', error);
+  res.status(statusCode).json(toErrorBody(statusCode, error.message));
+}
+
+// Kibana's own saved objects routes authenticate like the plugin's routes
+function authenticateRequest(req) {
+  const route = { method: req.method.toLowerCase(), path: req.baseUrl + req.path };
+  return security.authorizeRequest({ headers: req.headers }, route, { spaceId: req.spaceId });
+}
+
+registerKibanaRoute('post', '/api/saved_objects/_export', async (req, res) => {
+  try {
+    const user = authenticateRequest(req);
+    const { type, objects } = req.body || {};
+    security.authorizeSavedObjects(
+      user,
+      {
+        action: objects ? 'bulk_get' : 'find',
+        types: objects ? objects.map((obj) => obj.type) : [type ?? []].flat(),
+      },
+      req.spaceId
+    );
+    const client = createMockSavedObjectsClient({ namespace: spaceIdToNamespace(req.spaceId) });
+    const ndjson = await exportSavedObjects(client, savedObjectTypes, req.body);
+    res.set('Content-Type', 'application/ndjson');
+    res.set('Content-Disposition', 'attachment; filename="export.ndjson"');
+    res.send(ndjson);
+  } catch (error) {
+    sendSavedObjectsError(res, error);
+  }
+});
+
+registerKibanaRoute(
+  'post',
+  '/api/saved_objects/_import',
+  async (req, res) => {
+    try {
+      const user = authenticateRequest(req);
+      // A JSON body was parsed by express.json() already, and isn't a file
+      if (!Buffer.isBuffer(req.body)) {
+        throw new SavedObjectsIOError(
+          `Unsupported Media Type [${req.headers['content-type']}]: expected a multipart/form-data ` +
+            'upload of an .ndjson file, or an NDJSON body',
+          415
+        );
+      }
+      const objects = parseImportPayload(req.body, req.headers['content-type']);
+      // Objects of unsupported types are reported, not created
+      const types = objects
+        .map((obj) => obj.type)
+        .filter((type) => savedObjectTypes.isImportableAndExportable(type));
+      security.authorizeSavedObjects(user, { action: 'bulk_create', types }, req.spaceId);
+      const client = createMockSavedObjectsClient({ namespace: spaceIdToNamespace(req.spaceId) });
+      const result = await importSavedObjects(client, savedObjectTypes, objects, {
+        overwrite: req.query.overwrite === 'true',
+        createNewCopies: req.query.createNewCopies === 'true',
+      });
+      res.json(result);
+    } catch (error) {
+      sendSavedObjectsError(res, error);
+    }
+  },
+  { raw: true }
+);
+
+// ─── Advanced Settings ─────────────────────────────────────────────
+
+// Kibana's uiSettings API, which the browser's core.uiSettings calls
+const uiSettingsRoute = (update) => async (req, res) => {
+  try {
+    const client = uiSettings.createClient({
+      spaceId: req.spaceId,
+      username: security.authenticate(req.headers)?.username,
+    });
+    await update(client, req.body || {}, req.params);
+    res.json({ settings: await client.getUserProvided() });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.statusCode).json(error.toResponseBody());
+    }
+    const statusCode = error instanceof UiSettingsError ? error.statusCode : 500;
+    res.status(statusCode).json(toErrorBody(statusCode, error.message));
+  }
+};
+
+registerKibanaRoute(
+  'get',
+  '/internal/kibana/settings',
+  uiSettingsRoute(() => {})
+);
+registerKibanaRoute(
+  'post',
+  '/internal/kibana/settings',
+  uiSettingsRoute((client, { changes = {} }) => client.setMany(changes))
+);
+registerKibanaRoute(
+  'post',
+  '/internal/kibana/settings/:key',
+  uiSettingsRoute((client, { value }, { key }) => client.set(key, value))
+);
+registerKibanaRoute(
+  'delete',
+  '/internal/kibana/settings/:key',
+  uiSettingsRoute((client, body, { key }) => client.remove(key))
+);
+
+// Sets values for a space or user: { space?, user?, changes }
+app.get('/__mock/ui_settings', (req, res) => res.json(uiSettings));
+
+app.post('/__mock/ui_settings', (req, res) => {
+  const { space, user, changes } = req.body || {};
+  try {
+    uiSettings.setLayerValues({ space, user, changes });
+    res.json(uiSettings);
+  } catch (error) {
+    res.status(400).json(toErrorBody(400, error.message));
+  }
+});
+
+// Back to the values from the mock config and kibana.dev.yml
+app.delete('/__mock/ui_settings', (req, res) => {
+  uiSettings.reset();
+  res.json(uiSettings);
+});
+
+// ─── Browser Companion ─────────────────────────────────────────────
+
+// Serves public/index.ts with a mock browser core at /app/{appId}
+const browserApp = createBrowserApp({ pluginPath: resolve(PLUGIN_PATH) });
+
+const BROWSER_ASSETS_URL = '/__mock/browser';
+
+app.get(`${BROWSER_ASSETS_URL}/:bundle(shared-deps|plugin).:ext(js|css)`, async (req, res) => {
+  const { bundle, ext } = req.params;
+  const files =
+    bundle === 'plugin' ? await browserApp.getPlugin() : await browserApp.getSharedDeps();
+  res.type(ext).set('Cache-Control', 'no-store').send(files[ext]);
+});
+
+// Live reload: the page reloads when the plugin's browser code changes
+app.get(`${BROWSER_ASSETS_URL}/events`, (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' }).flushHeaders();
+  const unsubscribe = browserApp.onChange(() => res.write('event: reload\ndata: {}\n\n'));
+  req.on('close', unsubscribe);
+});
+
+app.get(['/app', '/app/*'], (req, res) => {
+  const request = { headers: req.headers };
+  spaces.setRequestSpace(request, req.spaceId);
+  let user = null;
+  try {
+    user = security.authenticate(req.headers);
+  } catch {
+    // An unknown `x-mock-user` renders the app as anonymous
+  }
+  res.type('html').send(
+    renderShell({
+      title: `${manifest.id} - Kibana mock`,
+      assetsUrl: BROWSER_ASSETS_URL,
+      metadata: {
+        pluginId: manifest.id,
+        version: KIBANA_VERSION,
+        basePath: spaces.getBasePath(request),
+        config: browserConfig,
+        capabilities: security.getUiCapabilities(user, req.spaceId),
+        uiSettings: uiSettings.getSettings({ spaceId: req.spaceId, username: user?.username }),
+        dependencies: [...manifest.requiredPlugins, ...manifest.optionalPlugins],
+        liveReload: `${BROWSER_ASSETS_URL}/events`,
+      },
+    })
+  );
+});
+
+// ─── Mock Core ─────────────────────────────────────────────────────
+
+function createMockCoreSetup(startServices) {
+  return {
+    http: {
+      createRouter: createMockRouter,
+      registerRouteHandlerContext: (name, provider) => routeHandlerContexts.set(name, provider),
+      registerOnPreRouting: () => {},
+      registerOnPreAuth: () => {},
+      registerOnPostAuth: () => {},
+      registerOnPreResponse: () => {},
+      basePath: {
+        prepend: (path) => path,
+        get: (request) => (request ? spaces.getBasePath(request) : ''),
+      },
+      getServerInfo: () => ({ name: 'kibana-mock', hostname: 'localhost', port: PORT, protocol: 'http' }),
+    },
+    savedObjects: {
+      registerType: (type) => savedObjectTypes.registerType(type),
+      getKibanaIndex: () => '.kibana',
+    },
+    uiSettings: {
+      register: (settings) => uiSettings.register(settings),
+      registerGlobal: (settings) => uiSettings.register(settings),
+    },
+    capabilities: {
+      registerProvider: () => {},
+      registerSwitcher: () => {},
+    },
+    getStartServices: () => startServices,
+  };
+}
+
+function createMockCoreStart() {
+  return {
+    elasticsearch: {
+      client: {
+        asInternalUser: esClient,
+        asScoped: () => ({ asCurrentUser: esClient, asInternalUser: esClient }),
+      },
+    },
+    savedObjects: {
+      getScopedClient: (request, options) => getScopedSavedObjectsClient(request, options),
+      createInternalRepository: (includedHiddenTypes) =>
+        createMockSavedObjectsClient({ includedHiddenTypes }),
+      getTypeRegistry: () => savedObjectTypes,
+    },
+    // Clients outside of a request read and write the default space
+    uiSettings: {
+      asScopedToClient: () => uiSettings.createClient(),
+      globalAsScopedToClient: () => uiSettings.createClient(),
+    },
+    security: {
+      authc: security.createAuthcContract(),
+    },
+  };
+}
+
+// Contracts of the Kibana plugins the mock server emulates
+const mockPluginContracts = {
+  features: {
+    setup: () => security.createFeaturesSetup(),
+    start: () => security.createFeaturesStart(),
+  },
+  security: {
+    setup: () => security.createSecuritySetup(),
+    start: () => security.createSecurityStart(),
+  },
+  spaces: {
+    setup: () => spaces.createSpacesSetup(),
+    start: () => spaces.createSpacesStart(),
+  },
+  taskManager: {
+    setup: () => taskManager.createSetupContract(),
+    start: () => taskManager.createStartContract(),
+  },
+};
+
+/**
+ * Builds the plugin dependencies object for a lifecycle stage. Like Kibana,
+ * only plugins declared in kibana.jsonc are passed.
+ */
+function createPluginDependencies(stage) {
+  const declared = [...manifest.requiredPlugins, ...manifest.optionalPlugins];
+  return Object.fromEntries(
+    declared
+      .filter((name) => mockPluginContracts[name])
+      .map((name) => [name, mockPluginContracts[name][stage]()])
+  );
+}
+
+// ─── Plugin Loader ─────────────────────────────────────────────────
+
+let pluginInstance = null;
+// The config keys the plugin exposes to its browser side
+let browserConfig = {};
+
+function pickExposedConfig(config, exposeToBrowser = {}) {
+  return Object.fromEntries(
+    Object.entries(exposeToBrowser)
+      .filter(([key, exposed]) => exposed && config[key] !== undefined)
+      .map(([key, exposed]) => [
+        key,
+        typeof exposed === 'object' ? pickExposedConfig(config[key], exposed) : config[key],
+      ])
+  );
+}
+
+async function stopPlugin() {
+  if (!pluginInstance) return;
+  const instance = pluginInstance;
+  pluginInstance = null;
+  try {
+    await instance.stop?.();
+  } catch (error) {
+    console.error(`❌ Plugin ${manifest.id} failed to stop:`, error.message);
+  }
+}
+
+/**
+ * Runs the plugin the way Kibana does: `plugin(initializerContext)` from
+ * server/index.ts, then `setup` and `start`. Plugins without a `plugin`
+ * export fall back to `registerRoutes` from server/routes/index.ts.
+ */
+async function loadPlugin() {
+  await stopPlugin();
   routes.length = 0; // Clear existing routes
+  savedObjectTypes.reset(); // Types are registered again by the reloaded plugin
+  routeHandlerContexts.clear();
+  security.reset();
+  uiSettings.resetRegistrations();
+  taskManager.resetDefinitions();
 
+  try {
+    const indexPath = `${PLUGIN_PATH}/server/index.ts`;
+    const pluginModule = existsSync(indexPath)
+      ? await import(pathToFileURL(indexPath).href + `?t=${Date.now()}`)
+      : {};
+
+    if (typeof pluginModule.plugin !== 'function') {
+      const loaded = await loadPluginRoutes();
+      savedObjectsStore.prepareAll();
+      return loaded;
+    }
+
+    const kibanaConfig = loadKibanaConfig(KIBANA_CONFIG);
+    uiSettings.setFileOverrides(kibanaConfig.uiSettings?.overrides);
+    const config = readPluginConfig(kibanaConfig, { manifest, schema: pluginModule.config?.schema });
+    browserConfig = pickExposedConfig(config, pluginModule.config?.exposeToBrowser);
+    const initializerContext = createPluginInitializerContext({ manifest, config });
+
+    let resolveStartServices;
+    const startServices = new Promise((resolve) => (resolveStartServices = resolve));
+
+    const instance = await pluginModule.plugin(initializerContext);
+    pluginInstance = instance;
+    await instance.setup(createMockCoreSetup(startServices), createPluginDependencies('setup'));
+    // Stored and seeded documents follow the types the plugin registered
+    savedObjectsStore.prepareAll();
+
+    const coreStart = createMockCoreStart();
+    const pluginsStart = createPluginDependencies('start');
+    const startContract = await instance.start?.(coreStart, pluginsStart);
+    resolveStartServices([coreStart, pluginsStart, startContract]);
+
+    console.log(`\n✅ Started plugin ${manifest.id} with ${routes.length} routes\n`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to load plugin ${manifest.id}:`, error.message);
+    console.log('\nMake sure server/index.ts exports the plugin initializer like:');
+    console.log('  export const plugin = async (ctx: PluginInitializerContext) => new MyPlugin(ctx);');
+    return false;
+  }
+}
+
+async function loadPluginRoutes() {
   try {
     // Dynamically import the plugin's route registration
     const routesPath = `${PLUGIN_PATH}/server/routes/index.ts`;
     const routeModule = await import(pathToFileURL(routesPath).href + `?t=${Date.now()}`);
-
-    // Create mock core setup
-    const mockCoreSetup = {
-      http: {
-        createRouter: createMockRouter,
-        basePath: {
-          prepend: (path) => path,
-          get: () => '',
-        },
-      },
-      getStartServices: async () => [
-        {
-          elasticsearch: { client: { asInternalUser: esClient } },
-          savedObjects: { getScopedClient: () => mockSavedObjectsClient },
-        },
-        {},
-        {},
-      ],
-    };
+    const router = createMockRouter();
 
     // Call the route registration function
     if (typeof routeModule.registerRoutes === 'function') {
-      await routeModule.registerRoutes(mockCoreSetup.http.createRouter(), {});
+      await routeModule.registerRoutes(router, {});
     } else if (typeof routeModule.default === 'function') {
-      await routeModule.default(mockCoreSetup.http.createRouter(), {});
+      await routeModule.default(router, {});
     }
 
     console.log(`\n✅ Loaded ${routes.length} routes from plugin\n`);
+    return true;
   } catch (error) {
     console.error('❌ Failed to load plugin routes:', error.message);
     console.log('\nMake sure your plugin exports routes like:');
     console.log('  export function registerRoutes(router: IRouter, deps: Deps) { ... }');
+    return false;
   }
 }
 
 // ─── Dynamic Route Handler ─────────────────────────────────────────
 
-app.use('/api', async (req, res, next) => {
+async function handleApiRequest(req, res) {
   const method = req.method.toLowerCase();
-  const path = '/api' + req.path;
+  const path = req.baseUrl + req.path;
 
   // Find matching route
   const route = routes.find((r) => {
@@ -350,7 +1089,9 @@ app.use('/api', async (req, res, next) => {
   });
 
   if (!route) {
-    return res.status(404).json({ message: `Route not found: ${method.toUpperCase()} ${path}` });
+    return res
+      .status(404)
+      .json(toErrorBody(404, `Route not found: ${method.toUpperCase()} ${path}`));
   }
 
   // Extract path params
@@ -366,53 +1107,162 @@ app.use('/api', async (req, res, next) => {
     query: req.query,
     body: req.body,
     headers: req.headers,
-    auth: { isAuthenticated: true },
-    route: { path: route.path, method: route.method },
+    auth: { isAuthenticated: false },
+    route: { path: route.path, method: route.method, options: route.options },
   };
 
+  spaces.setRequestSpace(mockRequest, req.spaceId);
+
   try {
+    // Versioned routes take validation, security and handler from the requested version
+    let target = { ...route, query: req.query, response: undefined };
+    let versionError;
+    if (route.versioned) {
+      try {
+        const resolved = route.versioned.resolve(req);
+        target = {
+          ...resolved,
+          validate: resolved.request,
+          security: resolved.security ?? route.security,
+        };
+        res.set(ELASTIC_HTTP_VERSION_HEADER, resolved.version);
+      } catch (error) {
+        if (!(error instanceof VersionedRouteError)) throw error;
+        versionError = error;
+      }
+    }
+
+    security.authorizeRequest(
+      mockRequest,
+      { ...route, security: target.security },
+      { spaceId: req.spaceId }
+    );
+    if (versionError) throw versionError;
+
     // Validate inputs
-    if (route.validate.params) {
-      mockRequest.params = validateWithSchema(route.validate.params, params);
+    mockRequest.params = validateWithSchema(target.validate.params, params, 'request params');
+    mockRequest.query = validateWithSchema(target.validate.query, target.query, 'request query');
+    mockRequest.body = validateWithSchema(target.validate.body, req.body, 'request body');
+
+    // Call handler; like Kibana, it has to return a KibanaResponse
+    const result = await target.handler(
+      createMockContext(mockRequest),
+      mockRequest,
+      kibanaResponseFactory
+    );
+    if (!isKibanaResponse(result)) {
+      throw new Error(
+        `Unexpected result from Route Handler. Expected KibanaResponse, but given: ${typeof result}.`
+      );
     }
-    if (route.validate.query) {
-      mockRequest.query = validateWithSchema(route.validate.query, req.query);
+    await sendKibanaResponse(res, validateResponse(result, target.response));
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.statusCode).json(error.toResponseBody());
     }
-    if (route.validate.body) {
-      mockRequest.body = validateWithSchema(route.validate.body, req.body);
+    if (error instanceof RouteValidationError || error instanceof VersionedRouteError) {
+      return res.status(400).json(toErrorBody(400, error.message));
+    }
+    if (error instanceof ResponseValidationError) {
+      return res.status(500).json(toErrorBody(500, error.message));
     }
-
-    // Call handler
-    await route.handler(createMockContext(), mockRequest, createMockResponse(res));
-  } catch (error) {
     console.error(`Error in ${route.method.toUpperCase()} ${route.path}:`, error);
-    res.status(500).json({ message: error.message, stack: error.stack });
+    // A stream that fails midway has already sent its status and headers
+    if (res.headersSent) return res.end();
+    res.status(500).json(toErrorBody(500, error.message));
   }
-});
+}
+
+app.use(['/api', '/internal'], handleApiRequest);
+
+/**
+ * Dispatches a request to Kibana's built-in routes or the plugin's routes
+ * in-process, the way the Express app would, and resolves to the recorded
+ * `{ statusCode, headers, body }`.
+ */
+async function dispatchRequest({ method = 'GET', path, query = {}, headers = {}, body }) {
+  const url = new URL(path, 'http://localhost');
+  const { spaceId, url: routedPath } = spaces.parseUrl(url.pathname);
+  const res = createRecordedResponse();
+  if (!/^\/(api|internal)\//.test(routedPath)) {
+    return res.status(404).json(toErrorBody(404, `Route not found: ${method} ${routedPath}`));
+  }
+
+  // Values arrive as strings over HTTP, so scenario values are stringified too
+  const toWire = (value) => (Array.isArray(value) ? value.map(String) : String(value));
+  const req = {
+    method,
+    baseUrl: '',
+    path: routedPath,
+    query: Object.fromEntries(
+      [...new Set(url.searchParams.keys())]
+        .map((key) => {
+          const values = url.searchParams.getAll(key);
+          return [key, values.length > 1 ? values : values[0]];
+        })
+        .concat(Object.entries(query).map(([key, value]) => [key, toWire(value)]))
+    ),
+    headers: Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name.toLowerCase(), toWire(value)])
+    ),
+    body: body === undefined ? {} : JSON.parse(JSON.stringify(body)),
+    params: {},
+    spaceId,
+  };
+
+  const kibanaRoute = kibanaRoutes.find(
+    (route) => route.method === method.toLowerCase() && route.regex.test(routedPath)
+  );
+  if (kibanaRoute) {
+    const values = routedPath.match(kibanaRoute.regex).slice(1);
+    kibanaRoute.paramNames.forEach((name, i) => (req.params[name] = decodeURIComponent(values[i])));
+    // A string body is the raw payload, e.g. NDJSON for _import
+    if (kibanaRoute.raw && typeof body === 'string') req.body = Buffer.from(body);
+    await kibanaRoute.handler(req, res);
+    return res;
+  }
+  await handleApiRequest(req, res);
+  return res;
+}
 
 // ─── Hot Reload ────────────────────────────────────────────────────
 
-const watcher = watch(`${PLUGIN_PATH}/server/**/*.ts`, {
-  ignored: /node_modules/,
-  persistent: true,
-});
+function watchPlugin() {
+  const watchPaths = [
+    ...['server', 'common'].map((dir) => `${PLUGIN_PATH}/${dir}/**/*.{ts,tsx}`),
+    `${PLUGIN_PATH}/public/**/*.{ts,tsx,js,css,scss}`,
+    KIBANA_CONFIG,
+  ];
 
-watcher.on('change', async (path) => {
-  console.log(`\n🔄 File changed: ${path}`);
-  console.log('Reloading routes...\n');
-  await loadPluginRoutes();
-});
+  const watcher = watch(watchPaths, {
+    ignored: /node_modules/,
+    persistent: true,
+  });
+
+  watcher.on('change', async (path) => {
+    console.log(`\n🔄 File changed: ${path}`);
+    // Browser code only needs a new bundle; server code and config reload the plugin
+    if (!relative(PLUGIN_PATH, path).startsWith('public')) {
+      console.log('Reloading plugin...\n');
+      await loadPlugin();
+    }
+    browserApp.invalidate();
+  });
+}
 
 // ─── Start Server ──────────────────────────────────────────────────
 
 async function start() {
   console.log('\n🚀 Kibana Plugin Mock Server\n');
   console.log(`   Plugin:  ${PLUGIN_PATH}`);
-  console.log(`   ES:      ${MOCK_ES ? 'MOCKED' : ES_URL}`);
+  console.log(`   ES:      ${describeEsMode()}`);
+  console.log(`   SO:      ${SAVED_OBJECTS_DIR || 'in-memory'} (${savedObjectsStore.size} objects)`);
   console.log(`   Port:    ${PORT}`);
-  console.log('\nLoading routes...\n');
+  console.log('\nLoading plugin...\n');
 
-  await loadPluginRoutes();
+  await loadPlugin();
+  watchPlugin();
+  taskManager.start();
 
   app.listen(PORT, () => {
     console.log(`\n🟢 Mock server running at http://localhost:${PORT}`);
@@ -420,4 +1270,115 @@ async function start() {
   });
 }
 
-start().catch(console.error);
+// ─── Route Tests ───────────────────────────────────────────────────
+
+/**
+ * `kibana-mock test [files or dirs...] [--reporter tap|junit] [--output file]`
+ *
+ * Loads the plugin once and runs the scenario files against the in-process
+ * dispatcher. The report goes to stdout (or --output), server logs to stderr.
+ * Exits non-zero if any test fails.
+ */
+async function runTests(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      reporter: { type: 'string', short: 'r', default: 'tap' },
+      output: { type: 'string', short: 'o' },
+    },
+  });
+  const format = REPORTERS[values.reporter];
+  if (!format) {
+    throw new Error(`Unknown reporter "${values.reporter}" (expected tap or junit)`);
+  }
+
+  const files = findScenarioFiles(positionals.length ? positionals : [PLUGIN_PATH]);
+  if (!files.length) {
+    console.error('No *.scenario.{yaml,yml,json} files found');
+    return 1;
+  }
+  if (!(await loadPlugin())) return 1;
+  // Tasks the plugin scheduled on start are kept, the ones a file scheduled aren't
+  taskManager.saveTasks();
+
+  const suites = await runScenarioFiles(files, {
+    reset() {
+      savedObjectsStore.clear();
+      seedSavedObjects();
+      esEmulator?.reset();
+      faults.reset();
+      taskManager.restoreTasks();
+      uiSettings.reset();
+    },
+    seed({ savedObjects, elasticsearch }) {
+      if (savedObjects) {
+        savedObjectsStore.seed(
+          typeof savedObjects === 'string' ? readFixtureFile(savedObjects) : savedObjects
+        );
+      }
+      if (elasticsearch) {
+        if (!esEmulator) throw new Error('Elasticsearch fixtures need the in-memory emulator');
+        esEmulator.seed(readSeedFile(elasticsearch));
+      }
+    },
+    dispatch: dispatchRequest,
+  });
+  await stopPlugin();
+
+  const report = format(suites);
+  if (values.output) {
+    writeFileSync(values.output, report);
+  } else {
+    process.stdout.write(report);
+  }
+  console.error(`\n${summarize(suites)}`);
+  return suites.some((suite) => suite.tests.some((test) => test.failures.length)) ? 1 : 0;
+}
+
+// ─── OpenAPI Export ────────────────────────────────────────────────
+
+/**
+ * `kibana-mock openapi [--output file] [--access public|internal|all]`
+ *
+ * Loads the plugin and prints (or writes) the OpenAPI document of its routes.
+ */
+async function exportOpenApi(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      output: { type: 'string', short: 'o' },
+      access: { type: 'string', default: 'public' },
+    },
+  });
+  if (!(await loadPlugin())) return 1;
+  await stopPlugin();
+
+  const document = createOpenApiDocument(values.access);
+  const json = `${JSON.stringify(document, null, 2)}\n`;
+  if (values.output) {
+    writeFileSync(values.output, json);
+    console.error(`Wrote ${Object.keys(document.paths).length} paths to ${values.output}`);
+  } else {
+    process.stdout.write(json);
+  }
+  return 0;
+}
+
+process.on('SIGINT', async () => {
+  await stopPlugin();
+  process.exit(0);
+});
+
+const COMMANDS = { test: runTests, openapi: exportOpenApi };
+
+if (COMMANDS[COMMAND]) {
+  COMMANDS[COMMAND](COMMAND_ARGS)
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+} else {
+  start().catch(console.error);
+}